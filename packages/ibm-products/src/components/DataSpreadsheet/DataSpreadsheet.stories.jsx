@@ -111,6 +111,37 @@ const LargeTemplate = ({ ...args }) => {
   );
 };
 
+const VeryLargeTemplate = ({ ...args }) => {
+  const columns = useMemo(
+    () =>
+      [...Array(100)].map((_, column) => ({
+        Header: `Column ${column + 1}`,
+        accessor: `column${column}`,
+      })),
+    []
+  );
+  const [data, setData] = useState(() =>
+    [...Array(100000)].map((_, row) =>
+      Object.fromEntries(
+        columns.map(({ accessor }, column) => [accessor, row * 100 + column])
+      )
+    )
+  );
+
+  return (
+    <DataSpreadsheet
+      columns={columns}
+      data={data}
+      onDataUpdate={setData}
+      id="spreadsheet--id"
+      {...args}
+      // Logging the cells of a selection area spanning 100,000 rows would
+      // slow the story down
+      onSelectionAreaChange={undefined}
+    />
+  );
+};
+
 const EmptyWithCellsTemplate = ({ ...args }) => {
   const [data, setData] = useState([]);
   const columnDataClone = useMemo(
@@ -160,6 +191,29 @@ const WithManyColumns = ({ ...args }) => {
   );
 };
 
+const WithFormulasTemplate = ({ ...args }) => {
+  const [data, setData] = useState(() => [
+    ...generateData({ rows: 15 }),
+    {
+      firstName: '=CONCAT("Total of ", MAX(A1:A15) + 1, " pets")',
+      age: '=AVG(D1:D15)',
+      visits: '=SUM(E1:E15)',
+      health: '=IF(MIN(F1:F15) < 20, "Needs attention", "Healthy")',
+    },
+  ]);
+  const columns = useMemo(() => columnData, []);
+
+  return (
+    <DataSpreadsheet
+      columns={columns}
+      data={data}
+      onDataUpdate={setData}
+      id="spreadsheet--id"
+      {...args}
+    />
+  );
+};
+
 export const dataSpreadsheet = Template.bind({});
 dataSpreadsheet.storyName = 'Basic spreadsheet';
 dataSpreadsheet.args = {
@@ -175,6 +229,14 @@ largeDatasetSpreadsheet.args = {
   spreadsheetAriaLabel: 'Example data spreadsheet',
 };
 
+export const veryLargeDatasetSpreadsheet = VeryLargeTemplate.bind({});
+veryLargeDatasetSpreadsheet.storyName = 'Very large dataset';
+veryLargeDatasetSpreadsheet.args = {
+  selectAllAriaLabel: 'Select all',
+  spreadsheetAriaLabel: 'Example data spreadsheet',
+  totalVisibleColumns: 8,
+};
+
 export const emptyWithCells = EmptyWithCellsTemplate.bind({});
 emptyWithCells.storyName = 'Empty with cells';
 emptyWithCells.args = {
@@ -190,3 +252,11 @@ withManyColumns.args = {
   spreadsheetAriaLabel: 'Example data spreadsheet',
   totalVisibleColumns: 5,
 };
+
+export const withFormulas = WithFormulasTemplate.bind({});
+withFormulas.storyName = 'With formulas';
+withFormulas.args = {
+  enableFormulas: true,
+  selectAllAriaLabel: 'Select all',
+  spreadsheetAriaLabel: 'Example data spreadsheet',
+};
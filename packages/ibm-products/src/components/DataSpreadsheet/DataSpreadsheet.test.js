@@ -14,7 +14,7 @@ import uuidv4 from '../../global/js/utils/uuidv4';
 
 import { DataSpreadsheet } from '.';
 import { generateData } from './utils/generateData';
-const { click, dblClick, keyboard, tab } = userEvent.setup({
+const { click, dblClick, keyboard, paste, tab } = userEvent.setup({
   // delay: null, // prev version
   advanceTimers: jest.advanceTimersByTime,
 });
@@ -317,6 +317,809 @@ describe(componentName, () => {
     expect(updatedCell.textContent).toEqual(newCellValue);
   });
 
+  const selectCellRange = async (ref, startCellId, endCellId) => {
+    const { mouseDown, mouseOver, mouseUp } = fireEvent;
+    // Rows are re-rendered as the selection changes, so the cell
+    // elements need to be queried again before each event
+    const getCell = (cellId) => ref?.current.querySelector(`#${cellId}`);
+    await act(() => {
+      mouseDown(getCell(startCellId));
+    });
+    await act(() => {
+      mouseOver(getCell(endCellId));
+    });
+    await act(() => {
+      mouseUp(getCell(endCellId));
+    });
+  };
+
+  it('should copy the selected cells to the clipboard as tab-separated text', async () => {
+    const ref = React.createRef();
+    render(<EditableSpreadsheet ref={ref} />);
+    await selectCellRange(
+      ref,
+      `${blockClass}__cell--0--1`,
+      `${blockClass}__cell--1--2`
+    );
+    const getCellText = (row, column) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--${column}`)
+        .textContent;
+    const setClipboardData = jest.fn();
+    await act(() => {
+      fireEvent.copy(document.activeElement, {
+        clipboardData: { setData: setClipboardData },
+      });
+    });
+    expect(setClipboardData).toHaveBeenCalledWith(
+      'text/plain',
+      `${getCellText(0, 1)}\t${getCellText(0, 2)}\n${getCellText(
+        1,
+        1
+      )}\t${getCellText(1, 2)}`
+    );
+  });
+
+  it('should empty the selected cells when cutting them to the clipboard', async () => {
+    const ref = React.createRef();
+    render(<EditableSpreadsheet ref={ref} />);
+    const cellText = ref?.current.querySelector(
+      `#${blockClass}__cell--0--1`
+    ).textContent;
+    await selectCellRange(
+      ref,
+      `${blockClass}__cell--0--1`,
+      `${blockClass}__cell--1--1`
+    );
+    const setClipboardData = jest.fn();
+    await act(() => {
+      fireEvent.cut(document.activeElement, {
+        clipboardData: { setData: setClipboardData },
+      });
+    });
+    expect(setClipboardData.mock.calls[0][1].split('\n')[0]).toEqual(cellText);
+    expect(
+      ref?.current.querySelector(`#${blockClass}__cell--0--1`).textContent
+    ).toEqual('');
+    expect(
+      ref?.current.querySelector(`#${blockClass}__cell--1--1`).textContent
+    ).toEqual('');
+  });
+
+  it('should paste tab-separated text, grow the selection area and update the data once', async () => {
+    const ref = React.createRef();
+    const onDataUpdateFn = jest.fn();
+    const PastableSpreadsheet = () => {
+      const [data, setData] = useState(() => generateData({ rows: 16 }));
+      return (
+        <DataSpreadsheet
+          {...defaultProps}
+          ref={ref}
+          data={data}
+          onDataUpdate={(updater) => {
+            onDataUpdateFn();
+            setData(updater);
+          }}
+        />
+      );
+    };
+    render(<PastableSpreadsheet />);
+    const cellToPasteInto = ref?.current.querySelector(
+      `#${blockClass}__cell--1--1`
+    );
+    await act(() => click(cellToPasteInto));
+    await act(() => paste('cat\tBruno\r\nfrog\t"Heidi\tKona"\r\n'));
+
+    expect(onDataUpdateFn).toHaveBeenCalledTimes(1);
+    const getCellText = (row, column) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--${column}`)
+        .textContent;
+    expect(getCellText(1, 1)).toEqual('cat');
+    expect(getCellText(1, 2)).toEqual('Bruno');
+    expect(getCellText(2, 1)).toEqual('frog');
+    expect(getCellText(2, 2)).toEqual('Heidi\tKona');
+    expect(
+      ref?.current.querySelector(`.${blockClass}__selection-area--element`)
+    ).toBeInTheDocument();
+  });
+
+  it('should undo and redo cell deletions with keyboard shortcuts', async () => {
+    const ref = React.createRef();
+    render(<EditableSpreadsheet ref={ref} />);
+    const getCellText = () =>
+      ref?.current.querySelector(`#${blockClass}__cell--0--1`).textContent;
+    const originalCellText = getCellText();
+    await selectCellRange(
+      ref,
+      `${blockClass}__cell--0--1`,
+      `${blockClass}__cell--1--2`
+    );
+    await act(() => keyboard('{Delete}'));
+    expect(getCellText()).toEqual('');
+
+    await act(() => keyboard('{Control>}z{/Control}'));
+    expect(getCellText()).toEqual(originalCellText);
+
+    await act(() => keyboard('{Control>}{Shift>}z{/Shift}{/Control}'));
+    expect(getCellText()).toEqual('');
+  });
+
+  it('should expose the undo/redo history on historyRef and onHistoryChange', async () => {
+    const ref = React.createRef();
+    const historyRef = React.createRef();
+    const onHistoryChange = jest.fn();
+    render(
+      <EditableSpreadsheet
+        ref={ref}
+        historyRef={historyRef}
+        onHistoryChange={onHistoryChange}
+      />
+    );
+    expect(ref.current).toHaveClass(blockClass);
+    expect(historyRef.current.canUndo()).toBe(false);
+    const originalCellText = ref?.current.querySelector(
+      `#${blockClass}__cell--0--1`
+    ).textContent;
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--0--1`))
+    );
+    await act(() => paste('turtle'));
+    expect(historyRef.current.canUndo()).toBe(true);
+    expect(onHistoryChange).toHaveBeenLastCalledWith({
+      canUndo: true,
+      canRedo: false,
+    });
+
+    await act(() => historyRef.current.undo());
+    expect(
+      ref?.current.querySelector(`#${blockClass}__cell--0--1`).textContent
+    ).toEqual(originalCellText);
+    expect(historyRef.current.canUndo()).toBe(false);
+    expect(historyRef.current.canRedo()).toBe(true);
+    expect(onHistoryChange).toHaveBeenLastCalledWith({
+      canUndo: false,
+      canRedo: true,
+    });
+
+    await act(() => historyRef.current.redo());
+    expect(
+      ref?.current.querySelector(`#${blockClass}__cell--0--1`).textContent
+    ).toEqual('turtle');
+    expect(onHistoryChange).toHaveBeenCalledTimes(3);
+  });
+
+  const typedDataUpdateFn = jest.fn();
+  const TypedSpreadsheet = forwardRef(({ ...rest }, ref) => {
+    const [data, setData] = useState(() => generateData({ rows: 16 }));
+    return (
+      <DataSpreadsheet
+        {...defaultProps}
+        columns={[
+          {
+            Header: 'Pet type',
+            accessor: 'petType',
+            type: 'select',
+            options: ['dog', 'cat', { value: 'bird', label: 'Bird' }],
+          },
+          {
+            Header: 'Age',
+            accessor: 'age',
+            type: 'number',
+            validate: (value) => value <= 30 || 'Age must be 30 or less',
+          },
+          {
+            Header: 'Vaccinated',
+            accessor: 'vaccinated',
+            type: 'boolean',
+          },
+        ]}
+        ref={ref}
+        data={data}
+        onDataUpdate={(updater, validation) => {
+          typedDataUpdateFn(validation);
+          setData(updater);
+        }}
+        {...rest}
+      />
+    );
+  });
+
+  it('should convert values to the column type and mark and report invalid cells', async () => {
+    const ref = React.createRef();
+    render(<TypedSpreadsheet ref={ref} />);
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--0--1`))
+    );
+    await act(() => paste('45'));
+
+    expect(typedDataUpdateFn).toHaveBeenCalledWith({
+      invalidCells: [
+        {
+          row: 0,
+          column: 1,
+          columnId: 'age',
+          value: 45,
+          message: 'Age must be 30 or less',
+        },
+      ],
+    });
+    const invalidCell = ref?.current.querySelector(
+      `#${blockClass}__cell--0--1`
+    );
+    expect(invalidCell).toHaveClass(`${blockClass}__body--td--invalid`);
+    expect(invalidCell).toHaveAttribute('title', 'Age must be 30 or less');
+    expect(invalidCell.parentElement).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('should report the invalid cells of the data and of the changed rows', async () => {
+    const ref = React.createRef();
+    const onInvalidCellsChange = jest.fn();
+    const columns = [
+      { Header: 'First Name', accessor: 'firstName' },
+      {
+        Header: 'Age',
+        accessor: 'age',
+        type: 'number',
+        validate: (value) => value <= 30 || 'Age must be 30 or less',
+      },
+    ];
+    const getInvalidCell = (row, value) => ({
+      row,
+      column: 1,
+      columnId: 'age',
+      value,
+      message: 'Age must be 30 or less',
+    });
+    const ValidatedSpreadsheet = () => {
+      const [data, setData] = useState([
+        { firstName: 'Ada', age: 45 },
+        { firstName: 'Bob', age: 20 },
+        { firstName: 'Cy', age: 25 },
+      ]);
+      return (
+        <DataSpreadsheet
+          {...defaultProps}
+          ref={ref}
+          columns={columns}
+          data={data}
+          onDataUpdate={setData}
+          onInvalidCellsChange={onInvalidCellsChange}
+        />
+      );
+    };
+    const { unmount } = render(<ValidatedSpreadsheet />);
+    // The invalid cells of the initial data are reported on mount
+    expect(onInvalidCellsChange).toHaveBeenLastCalledWith([
+      getInvalidCell(0, 45),
+    ]);
+
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--2--1`))
+    );
+    await act(() => paste('50'));
+    expect(onInvalidCellsChange).toHaveBeenLastCalledWith([
+      getInvalidCell(0, 45),
+      getInvalidCell(2, 50),
+    ]);
+
+    // The invalid cells move along with their rows
+    await act(() => {
+      fireEvent.contextMenu(
+        ref?.current.querySelector(`#${blockClass}__cell--1--header`)
+      );
+    });
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: /Insert row above/ }))
+    );
+    expect(onInvalidCellsChange).toHaveBeenLastCalledWith([
+      getInvalidCell(0, 45),
+      getInvalidCell(3, 50),
+    ]);
+    unmount();
+
+    // The invalid cells of new data are reported when it is passed
+    const { rerender } = render(
+      <DataSpreadsheet
+        {...defaultProps}
+        columns={columns}
+        data={[{ firstName: 'Ada', age: 20 }]}
+        onInvalidCellsChange={onInvalidCellsChange}
+      />
+    );
+    expect(onInvalidCellsChange).toHaveBeenLastCalledWith([]);
+    rerender(
+      <DataSpreadsheet
+        {...defaultProps}
+        columns={columns}
+        data={[{ firstName: 'Ada', age: 40 }]}
+        onInvalidCellsChange={onInvalidCellsChange}
+      />
+    );
+    expect(onInvalidCellsChange).toHaveBeenLastCalledWith([
+      getInvalidCell(0, 40),
+    ]);
+  });
+
+  it('should toggle boolean cells and use a select editor for select columns', async () => {
+    const ref = React.createRef();
+    render(<TypedSpreadsheet ref={ref} />);
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--0--2`))
+    );
+    await act(() => keyboard('{Enter}'));
+    expect(
+      ref?.current.querySelector(
+        `#${blockClass}__cell--0--2 [aria-label="true"]`
+      )
+    ).toBeInTheDocument();
+
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--0--0`))
+    );
+    const activeCellElement = ref?.current.querySelector(
+      `.${blockClass}__active-cell--highlight`
+    );
+    await act(() => dblClick(activeCellElement));
+    const cellEditor = ref?.current.querySelector(
+      `#${blockClass}__cell-editor-text-area`
+    );
+    expect(cellEditor.tagName).toEqual('SELECT');
+    expect(cellEditor).toHaveClass(`${blockClass}__cell-editor--select`);
+    expect(cellEditor.querySelectorAll('option')).toHaveLength(4);
+  });
+
+  // eslint-disable-next-line react/prop-types
+  const FormulaSpreadsheet = forwardRef(({ initialData, ...rest }, ref) => {
+    const [data, setData] = useState(initialData);
+    return (
+      <DataSpreadsheet
+        {...defaultProps}
+        columns={[
+          { Header: 'Item', accessor: 'item' },
+          { Header: 'Amount', accessor: 'amount' },
+        ]}
+        ref={ref}
+        data={data}
+        onDataUpdate={setData}
+        enableFormulas
+        {...rest}
+      />
+    );
+  });
+
+  it('should compute formulas and recalculate the cells that depend on an updated cell', async () => {
+    const ref = React.createRef();
+    render(
+      <FormulaSpreadsheet
+        ref={ref}
+        initialData={[
+          { item: 'Bruno', amount: 10 },
+          { item: 'Kona', amount: 20 },
+          { item: 'Total', amount: '=SUM(B1:B2)' },
+          { item: '=CONCAT(A1, "-", A2)', amount: '=IF(B3>25, "high", "low")' },
+        ]}
+      />
+    );
+    const getCellText = (row, column) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--${column}`)
+        .textContent;
+    expect(getCellText(2, 1)).toEqual('30');
+    expect(getCellText(3, 0)).toEqual('Bruno-Kona');
+    expect(getCellText(3, 1)).toEqual('high');
+
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--0--1`))
+    );
+    await act(() => paste('1'));
+    expect(getCellText(2, 1)).toEqual('21');
+    expect(getCellText(3, 1)).toEqual('low');
+
+    // The formula is shown while editing
+    await act(() =>
+      click(ref?.current.querySelector(`#${blockClass}__cell--2--1`))
+    );
+    await act(() => keyboard('{Enter}'));
+    expect(
+      ref?.current.querySelector(`#${blockClass}__cell-editor-text-area`)
+    ).toHaveValue('=SUM(B1:B2)');
+  });
+
+  it('should flag circular references as cell errors', async () => {
+    const ref = React.createRef();
+    render(
+      <FormulaSpreadsheet
+        ref={ref}
+        initialData={[
+          { item: '=B1', amount: '=A1 + 1' },
+          { item: '=A1', amount: '=UNKNOWN(1)' },
+        ]}
+      />
+    );
+    const getCell = (row, column) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--${column}`);
+    expect(getCell(0, 0)).toHaveTextContent('#CIRC!');
+    expect(getCell(0, 1)).toHaveTextContent('#CIRC!');
+    expect(getCell(0, 0)).toHaveClass(`${blockClass}__body--td--invalid`);
+    expect(getCell(0, 0)).toHaveAttribute('title', 'Circular reference');
+    expect(getCell(1, 0)).toHaveTextContent('#CIRC!');
+    expect(getCell(1, 1)).toHaveTextContent('#NAME?');
+  });
+
+  it('should continue a series when dragging the fill handle and undo it as one change', async () => {
+    const ref = React.createRef();
+    const historyRef = React.createRef();
+    render(
+      <FormulaSpreadsheet
+        ref={ref}
+        historyRef={historyRef}
+        initialData={[
+          { item: 'Item 1', amount: 1 },
+          { item: 'Item 2', amount: 2 },
+          { item: '', amount: '' },
+          { item: '', amount: '' },
+        ]}
+      />
+    );
+    const getCell = (row, column) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--${column}`);
+    await selectCellRange(
+      ref,
+      `${blockClass}__cell--0--0`,
+      `${blockClass}__cell--1--1`
+    );
+    const fillHandle = ref?.current.querySelector(
+      `.${blockClass}__fill-handle`
+    );
+    expect(fillHandle).toHaveStyle({ display: 'block' });
+
+    await act(() => {
+      fireEvent.mouseDown(fillHandle);
+      fireEvent.mouseOver(getCell(3, 1));
+    });
+    expect(
+      ref?.current.querySelector(`.${blockClass}__fill-area--element`)
+    ).toHaveStyle({ display: 'block' });
+    await act(() => fireEvent.mouseUp(getCell(3, 1)));
+
+    expect(getCell(2, 0)).toHaveTextContent('Item 3');
+    expect(getCell(3, 0)).toHaveTextContent('Item 4');
+    expect(getCell(2, 1)).toHaveTextContent('3');
+    expect(getCell(3, 1)).toHaveTextContent('4');
+    expect(
+      ref?.current.querySelector(`.${blockClass}__fill-area--element`)
+    ).not.toBeInTheDocument();
+
+    await act(() => historyRef.current.undo());
+    expect(getCell(2, 0)).toHaveTextContent('');
+    expect(getCell(3, 1)).toHaveTextContent('');
+  });
+
+  const rowOperationFn = jest.fn();
+  const RowSpreadsheet = forwardRef(({ ...rest }, ref) => {
+    const [data, setData] = useState(() => generateData({ rows: 4 }));
+    return (
+      <DataSpreadsheet
+        {...defaultProps}
+        ref={ref}
+        columns={defaultProps.columns.slice(1, 3)}
+        data={data}
+        onDataUpdate={(updater, metadata) => {
+          rowOperationFn(metadata?.operation);
+          setData(updater);
+        }}
+        {...rest}
+      />
+    );
+  });
+
+  it('should insert and delete rows from the row actions menu and keyboard shortcuts', async () => {
+    const ref = React.createRef();
+    const historyRef = React.createRef();
+    render(<RowSpreadsheet ref={ref} historyRef={historyRef} />);
+    const getCellText = (row) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--1`).textContent;
+    const originalFirstNames = [0, 1, 2, 3].map(getCellText);
+
+    await act(() => {
+      fireEvent.contextMenu(
+        ref?.current.querySelector(`#${blockClass}__cell--1--header`)
+      );
+    });
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: /Insert row above/ }))
+    );
+    expect(rowOperationFn).toHaveBeenLastCalledWith({
+      type: 'insertRows',
+      indexes: [1],
+      rows: [{ petType: null, firstName: null }],
+    });
+    expect(getCellText(1)).toEqual('');
+    expect(getCellText(2)).toEqual(originalFirstNames[1]);
+
+    // CTRL + ALT + - deletes the selected (inserted) row
+    await act(() => {
+      fireEvent.keyDown(ref.current, {
+        key: '-',
+        code: 'Minus',
+        ctrlKey: true,
+        altKey: true,
+      });
+    });
+    expect(rowOperationFn).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: 'deleteRows', indexes: [1] })
+    );
+    expect(getCellText(1)).toEqual(originalFirstNames[1]);
+
+    // Undoing the deletion inserts the row again
+    await act(() => historyRef.current.undo());
+    expect(rowOperationFn).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: 'insertRows', indexes: [1] })
+    );
+    expect(getCellText(1)).toEqual('');
+  });
+
+  it('should move rows with keyboard shortcuts and by dragging row headers', async () => {
+    const ref = React.createRef();
+    render(<RowSpreadsheet ref={ref} />);
+    const getCellText = (row) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--1`).textContent;
+    const getRowHeader = (row) =>
+      ref?.current.querySelector(`#${blockClass}__cell--${row}--header`);
+    const originalFirstNames = [0, 1, 2, 3].map(getCellText);
+
+    await act(() => click(getRowHeader(0)));
+    await act(() => {
+      fireEvent.keyDown(ref.current, {
+        key: 'ArrowDown',
+        code: 'ArrowDown',
+        altKey: true,
+        shiftKey: true,
+      });
+    });
+    expect(rowOperationFn).toHaveBeenLastCalledWith({
+      type: 'moveRows',
+      indexes: [0],
+      toIndex: 1,
+    });
+    expect(getCellText(0)).toEqual(originalFirstNames[1]);
+    expect(getCellText(1)).toEqual(originalFirstNames[0]);
+
+    // The moved row stays selected and can be dragged by its row header
+    await act(() => {
+      fireEvent.mouseDown(getRowHeader(1));
+      fireEvent.mouseOver(
+        ref?.current.querySelector(`#${blockClass}__cell--3--0`)
+      );
+    });
+    expect(
+      ref?.current.querySelector(`.${blockClass}__reorder-indicator-line--row`)
+    ).toHaveStyle({ display: 'block' });
+    await act(() => {
+      fireEvent.mouseUp(
+        ref?.current.querySelector(`#${blockClass}__cell--3--0`)
+      );
+    });
+    expect(rowOperationFn).toHaveBeenLastCalledWith({
+      type: 'moveRows',
+      indexes: [1],
+      toIndex: 3,
+    });
+    expect(getCellText(3)).toEqual(originalFirstNames[0]);
+    expect(getCellText(2)).toEqual(originalFirstNames[3]);
+    expect(
+      ref?.current.querySelector(`.${blockClass}__reorder-indicator-line--row`)
+    ).not.toBeInTheDocument();
+  });
+
+  it('should sort and filter the rows from the column menu without reordering the data', async () => {
+    const ref = React.createRef();
+    const dataUpdateFn = jest.fn();
+    const SortSpreadsheet = forwardRef((props, ref) => {
+      const [data, setData] = useState([
+        { petType: 'dog', firstName: 'Bruno' },
+        { petType: 'cat', firstName: 'Alex' },
+        { petType: 'dog', firstName: 'Cleo' },
+        { petType: '', firstName: 'Dana' },
+      ]);
+      return (
+        <DataSpreadsheet
+          {...defaultProps}
+          ref={ref}
+          columns={defaultProps.columns.slice(1, 3)}
+          data={data}
+          onDataUpdate={(updater, metadata) => {
+            dataUpdateFn(metadata?.operation);
+            setData(updater);
+          }}
+        />
+      );
+    });
+    render(<SortSpreadsheet ref={ref} />);
+    const getFirstNames = () =>
+      Array.from(
+        ref.current.querySelectorAll(
+          `[data-column-index="1"].${blockClass}__body--td`
+        ),
+        (cell) => cell.textContent
+      );
+    const openColumnMenu = (column) =>
+      act(() => {
+        fireEvent.contextMenu(
+          ref.current.querySelector(`#${blockClass}__cell--header--${column}`)
+        );
+      });
+    const getColumnHeader = (column) =>
+      ref.current.querySelector(`#${blockClass}__cell--header--${column}`)
+        .parentElement;
+
+    await openColumnMenu(1);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: 'Sort descending' }))
+    );
+    expect(getFirstNames()).toEqual(['Dana', 'Cleo', 'Bruno', 'Alex']);
+    expect(getColumnHeader(1)).toHaveAttribute('aria-sort', 'descending');
+    expect(dataUpdateFn).not.toHaveBeenCalled();
+
+    // Unselecting a value of the pet type column hides its rows
+    await openColumnMenu(0);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: /^Filter by value/ }))
+    );
+    await act(() =>
+      click(screen.getByRole('menuitemcheckbox', { name: 'cat' }))
+    );
+    expect(getFirstNames()).toEqual(['Dana', 'Cleo', 'Bruno']);
+    expect(
+      getColumnHeader(0).querySelector(`.${blockClass}__th-indicator--filter`)
+    ).toBeInTheDocument();
+    expect(dataUpdateFn).not.toHaveBeenCalled();
+
+    // Applying the sort to the data reorders every row, including the rows
+    // that are filtered out, and clears the sort
+    await openColumnMenu(1);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: 'Apply sort to data' }))
+    );
+    expect(dataUpdateFn).toHaveBeenLastCalledWith({
+      type: 'sortRows',
+      order: [3, 2, 0, 1],
+    });
+    expect(getColumnHeader(1)).not.toHaveAttribute('aria-sort');
+    expect(getFirstNames()).toEqual(['Dana', 'Cleo', 'Bruno']);
+
+    await openColumnMenu(0);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: 'Clear filter' }))
+    );
+    expect(getFirstNames()).toEqual(['Dana', 'Cleo', 'Bruno', 'Alex']);
+  });
+
+  it('should apply the sort of a column with its own sortType to the data', async () => {
+    const ref = React.createRef();
+    const dataUpdateFn = jest.fn();
+    const columns = [
+      defaultProps.columns[1],
+      {
+        ...defaultProps.columns[2],
+        // Sorts the names by their length
+        sortType: (row1, row2, columnId) =>
+          row1.values[columnId].length - row2.values[columnId].length,
+      },
+    ];
+    render(
+      <DataSpreadsheet
+        {...defaultProps}
+        ref={ref}
+        columns={columns}
+        data={[
+          { petType: 'dog', firstName: 'Bartholomew' },
+          { petType: 'cat', firstName: 'Al' },
+          { petType: 'dog', firstName: 'Cleo' },
+        ]}
+        onDataUpdate={(updater, metadata) => dataUpdateFn(metadata?.operation)}
+      />
+    );
+    const openColumnMenu = (column) =>
+      act(() => {
+        fireEvent.contextMenu(
+          ref.current.querySelector(`#${blockClass}__cell--header--${column}`)
+        );
+      });
+
+    await openColumnMenu(1);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: 'Sort ascending' }))
+    );
+    await openColumnMenu(0);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: /^Filter by value/ }))
+    );
+    await act(() =>
+      click(screen.getByRole('menuitemcheckbox', { name: 'cat' }))
+    );
+    await openColumnMenu(1);
+    await act(() =>
+      click(screen.getByRole('menuitem', { name: 'Apply sort to data' }))
+    );
+    expect(dataUpdateFn).toHaveBeenLastCalledWith({
+      type: 'sortRows',
+      order: [1, 2, 0],
+    });
+    // The filter is kept
+    expect(
+      ref.current.querySelector(`.${blockClass}__th-indicator--filter`)
+    ).toBeInTheDocument();
+  });
+
+  it('should only render the columns scrolled into view and keep cells out of view usable', async () => {
+    const ref = React.createRef();
+    const onSelectionAreaChangeFn = jest.fn();
+    const wideColumns = [...Array(20)].map((_, column) => ({
+      Header: `Column ${column}`,
+      accessor: `column${column}`,
+    }));
+    const wideData = [...Array(60)].map((_, row) =>
+      Object.fromEntries(
+        wideColumns.map(({ accessor }, column) => [
+          accessor,
+          `${row}-${column}`,
+        ])
+      )
+    );
+    render(
+      <DataSpreadsheet
+        {...defaultProps}
+        ref={ref}
+        columns={wideColumns}
+        data={wideData}
+        totalVisibleColumns={3}
+        onSelectionAreaChange={onSelectionAreaChangeFn}
+      />
+    );
+    const getElement = (id) => ref?.current.querySelector(`#${id}`);
+    expect(getElement(`${blockClass}__cell--header--4`)).toBeInTheDocument();
+    expect(getElement(`${blockClass}__cell--0--4`)).toBeInTheDocument();
+    expect(getElement(`${blockClass}__cell--header--15`)).toBeNull();
+    expect(getElement(`${blockClass}__cell--0--15`)).toBeNull();
+
+    const listContainer = ref?.current.querySelector(
+      `.${blockClass}__list--container`
+    );
+    await act(() => {
+      listContainer.scrollLeft = 14 * 150;
+      fireEvent.scroll(listContainer);
+    });
+    expect(getElement(`${blockClass}__cell--header--15`)).toBeInTheDocument();
+    expect(getElement(`${blockClass}__cell--0--15`)).toBeInTheDocument();
+    expect(getElement(`${blockClass}__cell--0--0`)).toBeNull();
+
+    // Rows and columns that were never rendered can be selected and copied
+    await act(() => click(getElement(`${blockClass}__cell--header--header`)));
+    expect(onSelectionAreaChangeFn.mock.calls[0][0][0].cells).toHaveLength(
+      60 * 20
+    );
+    const setClipboardData = jest.fn();
+    await act(() => {
+      fireEvent.copy(document.activeElement, {
+        clipboardData: { setData: setClipboardData },
+      });
+    });
+    const copiedRows = setClipboardData.mock.calls[0][1].split('\n');
+    expect(copiedRows).toHaveLength(60);
+    expect(copiedRows[59].split('\t')).toEqual(
+      wideColumns.map((_, column) => `59-${column}`)
+    );
+
+    // The active cell is placed from the column widths when its column is
+    // scrolled out of view
+    const activeCell = ref?.current.querySelector(
+      `.${blockClass}__active-cell--highlight`
+    );
+    expect(activeCell.getAttribute('data-active-column-index')).toEqual('0');
+    await act(() => keyboard('{ArrowRight}'));
+    expect(activeCell.getAttribute('data-active-column-index')).toEqual('1');
+    expect(activeCell).toHaveStyle({ left: '210px', width: '150px' });
+  });
+
   it('should set initial placement of active cell on the select all button', async () => {
     const ref = React.createRef();
     const { container } = render(
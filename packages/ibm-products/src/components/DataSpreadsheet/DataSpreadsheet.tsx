@@ -12,22 +12,41 @@ import React, {
   useState,
   useCallback,
   useEffect,
+  useImperativeHandle,
   ForwardedRef,
   MutableRefObject,
   LegacyRef,
+  Ref,
 } from 'react';
 import {
   useBlockLayout,
   useTable,
   useColumnOrder,
-  Column,
+  useFilters,
+  useSortBy,
+  CellProps,
   UseColumnOrderInstanceProps,
+  UseFiltersInstanceProps,
+  UseFiltersState,
+  UseSortByInstanceProps,
+  UseSortByState,
   TableInstance,
+  TableOptions,
+  UseFiltersOptions,
+  UseSortByOptions,
 } from 'react-table';
 
 // Other standard imports.
 import PropTypes from 'prop-types';
 import cx from 'classnames';
+import {
+  Menu,
+  MenuItem,
+  MenuItemDivider,
+  // @ts-ignore
+  MenuItemSelectable,
+} from '@carbon/react';
+import { Checkbox, CheckboxCheckedFilled } from '@carbon/react/icons';
 
 import { pkg } from '../../settings';
 import { DataSpreadsheetBody } from './DataSpreadsheetBody';
@@ -42,9 +61,16 @@ import { deepCloneObject } from '../../global/js/utils/deepCloneObject';
 import {
   useResetSpreadsheetFocus,
   useSpreadsheetOutsideClick,
+  useSpreadsheetColumnMenu,
   useMoveActiveCell,
   useMultipleKeyTracking,
   useSpreadsheetEdit,
+  useSpreadsheetFillHandle,
+  useSpreadsheetFormulas,
+  useSpreadsheetHistory,
+  useSpreadsheetRowActions,
+  useSpreadsheetRowReorder,
+  useSpreadsheetVirtualColumns,
 } from './hooks';
 
 import { createActiveCellFn } from './utils/createActiveCellFn';
@@ -55,24 +81,94 @@ import { removeCellSelections } from './utils/removeCellSelections';
 import { selectAllCells } from './utils/selectAllCells';
 import { handleEditSubmit } from './utils/handleEditSubmit';
 import { handleKeyPress } from './utils/commonEventHandlers';
-import { ActiveCellCoordinates, PrevState, Size, Theme } from './types';
+import { handleClipboardCopy } from './utils/handleClipboardCopy';
+import { handleClipboardPaste } from './utils/handleClipboardPaste';
+import { applyCellUpdates } from './utils/applyCellUpdates';
+import { applyRowOperation } from './utils/applyRowOperation';
+import { parseCellValue } from './utils/parseCellValue';
+import {
+  getInvalidCells,
+  moveInvalidCells,
+  updateInvalidCells,
+} from './utils/getCellValidation';
+import { getPreparedRow } from './utils/getPreparedRow';
+import { renderCellContent } from './utils/renderCellContent';
+import { filterByCellValues, sortByCellValue } from './utils/sortAndFilterRows';
+import {
+  ActiveCellCoordinates,
+  DataSpreadsheetHistory,
+  DataSpreadsheetHistoryState,
+  InvalidCell,
+  PrevState,
+  RowOperation,
+  Size,
+  SpreadsheetColumnConfig,
+  Theme,
+} from './types';
 
 // The block part of our conventional BEM class names (blockClass__E--M).
 const blockClass = `${pkg.prefix}--data-spreadsheet`;
 const componentName = 'DataSpreadsheet';
 
+// Default cell renderer for columns with `type: 'boolean'`
+const BooleanCell = ({ cell: { value } }: CellProps<object>) =>
+  value ? (
+    <CheckboxCheckedFilled size={16} aria-label={`${value}`} />
+  ) : (
+    <Checkbox size={16} aria-label={`${!!value}`} />
+  );
+
+// Keyboard shortcut hints shown in the row actions menu
+const rowActionShortcuts = {
+  mac: {
+    insertAbove: '⌥⌘=',
+    insertBelow: '⇧⌥⌘=',
+    delete: '⌥⌘-',
+    moveUp: '⌥⇧↑',
+    moveDown: '⌥⇧↓',
+  },
+  other: {
+    insertAbove: 'Ctrl+Alt+=',
+    insertBelow: 'Ctrl+Alt+Shift+=',
+    delete: 'Ctrl+Alt+-',
+    moveUp: 'Alt+Shift+↑',
+    moveDown: 'Alt+Shift+↓',
+  },
+};
+
 // Default values for props
 const defaults = {
+  applySortToDataLabel: 'Apply sort to data',
+  clearFilterLabel: 'Clear filter',
+  clearSortLabel: 'Clear sort',
+  columnMenuLabel: 'Column actions',
   columns: Object.freeze([]),
   data: Object.freeze([]),
   defaultEmptyRowCount: 16,
+  deleteRowsLabel: 'Delete rows',
+  emptyFilterValueLabel: '(Empty)',
+  enableFormulas: false,
+  filterByValueLabel: 'Filter by value',
+  insertRowAboveLabel: 'Insert row above',
+  insertRowBelowLabel: 'Insert row below',
+  moveRowsDownLabel: 'Move rows down',
+  moveRowsUpLabel: 'Move rows up',
   onDataUpdate: Object.freeze(() => {}),
   onActiveCellChange: Object.freeze(() => {}),
   onSelectionAreaChange: Object.freeze(() => {}),
+  rowActionsMenuLabel: 'Row actions',
+  sortAscendingLabel: 'Sort ascending',
+  sortDescendingLabel: 'Sort descending',
   theme: 'light',
 };
 
 interface DataSpreadsheetProps {
+  /**
+   * The label of the column menu item that reorders the data to match the
+   * sorted rows
+   */
+  applySortToDataLabel?: string;
+
   /**
    * Specifies the cell height
    */
@@ -84,9 +180,30 @@ interface DataSpreadsheetProps {
   className?: string;
 
   /**
-   * The data that will build the column headers
+   * The label of the column menu item that removes the column filter
    */
-  columns?: readonly Column<object>[];
+  clearFilterLabel?: string;
+
+  /**
+   * The label of the column menu item that removes the column sort
+   */
+  clearSortLabel?: string;
+
+  /**
+   * The label of the column menu, opened by right clicking a column header
+   * or with ALT + ArrowDown on the active column header
+   */
+  columnMenuLabel?: string;
+
+  /**
+   * The data that will build the column headers. Each column can set a `type`
+   * ('text', 'number', 'date', 'select' or 'boolean') to pick the cell editor,
+   * `options` for select columns, and a `validate(value, row)` fn that returns
+   * `false` or an error message for invalid cell values. Columns can opt out
+   * of the column menu sorting and filtering with `disableSortBy` and
+   * `disableFilters`
+   */
+  columns?: readonly SpreadsheetColumnConfig[];
 
   /**
    * The spreadsheet data that will be rendered in the body of the spreadsheet component
@@ -98,31 +215,116 @@ interface DataSpreadsheetProps {
    */
   defaultEmptyRowCount?: number;
 
+  /**
+   * The label of the row actions menu item that deletes the selected rows
+   */
+  deleteRowsLabel?: string;
+
+  /**
+   * The label of the empty cell value in the column menu value filter
+   */
+  emptyFilterValueLabel?: string;
+
+  /**
+   * Computes cells that start with `=` as formulas, ie `=SUM(A1:A3)`. Columns
+   * are referenced by letter (A is the first column) and rows by their row
+   * header number. Formulas are shown while editing and computed values while
+   * viewing
+   */
+  enableFormulas?: boolean;
+
+  /**
+   * The label of the column menu submenu that filters the rows by the values
+   * of the column
+   */
+  filterByValueLabel?: string;
+
+  /**
+   * A ref set to the undo/redo history, `{ undo, redo, canUndo, canRedo }`,
+   * so that it can be driven from a toolbar
+   */
+  historyRef?: Ref<DataSpreadsheetHistory>;
+
   /**
    * The spreadsheet id
    */
   id?: number | string;
 
+  /**
+   * The label of the row actions menu item that inserts rows above the selected rows
+   */
+  insertRowAboveLabel?: string;
+
+  /**
+   * The label of the row actions menu item that inserts rows below the selected rows
+   */
+  insertRowBelowLabel?: string;
+
+  /**
+   * The label of the row actions menu item that moves the selected rows down
+   */
+  moveRowsDownLabel?: string;
+
+  /**
+   * The label of the row actions menu item that moves the selected rows up
+   */
+  moveRowsUpLabel?: string;
+
   /**
    * The event handler that is called when the active cell changes
    */
   onActiveCellChange?: () => void;
 
   /**
-   * The setter fn for the data prop
+   * The setter fn for the data prop. Each edit, deletion, cut, paste, undo or
+   * redo calls it once with an updater fn that applies every changed cell, and
+   * `{ invalidCells }` listing the cells that fail their column `validate` fn.
+   * Row insertions, deletions and moves also pass the `operation` that was
+   * applied, ie `{ type: 'deleteRows', indexes: [2, 3], rows }`, so that it
+   * can be replayed
+   */
+  onDataUpdate?: (
+    { ...args },
+    metadata?: { invalidCells: InvalidCell[]; operation?: RowOperation }
+  ) => void;
+
+  /**
+   * The event handler that is called with `{ canUndo, canRedo }` when the
+   * undo/redo history changes, ie to enable the buttons of a toolbar
    */
-  onDataUpdate?: ({ ...args }) => void;
+  onHistoryChange?: (historyState: DataSpreadsheetHistoryState) => void;
+
+  /**
+   * The event handler that is called with the cells that fail their column
+   * `validate` fn, on mount and whenever the data changes
+   */
+  onInvalidCellsChange?: (invalidCells: InvalidCell[]) => void;
 
   /**
    * The event handler that is called when the selection area values change
    */
   onSelectionAreaChange?: () => void;
 
+  /**
+   * The label of the row actions menu, opened by right clicking a row header
+   */
+  rowActionsMenuLabel?: string;
+
   /**
    * The aria label applied to the Select all button
    */
   selectAllAriaLabel: string;
 
+  /**
+   * The label of the column menu item that sorts the rows in ascending order
+   */
+  sortAscendingLabel?: string;
+
+  /**
+   * The label of the column menu item that sorts the rows in descending order
+   */
+  sortDescendingLabel?: string;
+
   /**
    * The aria label applied to the Data spreadsheet component
    */
@@ -149,16 +351,34 @@ export let DataSpreadsheet = React.forwardRef(
   (
     {
       // The component props, in alphabetical order (for consistency).
+      applySortToDataLabel = defaults.applySortToDataLabel,
       cellSize = 'sm',
       className,
+      clearFilterLabel = defaults.clearFilterLabel,
+      clearSortLabel = defaults.clearSortLabel,
+      columnMenuLabel = defaults.columnMenuLabel,
       columns = defaults.columns,
       data = defaults.data,
       defaultEmptyRowCount = defaults.defaultEmptyRowCount,
+      deleteRowsLabel = defaults.deleteRowsLabel,
+      emptyFilterValueLabel = defaults.emptyFilterValueLabel,
+      enableFormulas = defaults.enableFormulas,
+      filterByValueLabel = defaults.filterByValueLabel,
       onDataUpdate = defaults.onDataUpdate,
+      historyRef,
       id,
+      insertRowAboveLabel = defaults.insertRowAboveLabel,
+      insertRowBelowLabel = defaults.insertRowBelowLabel,
+      moveRowsDownLabel = defaults.moveRowsDownLabel,
+      moveRowsUpLabel = defaults.moveRowsUpLabel,
       onActiveCellChange = defaults.onActiveCellChange,
+      onHistoryChange,
+      onInvalidCellsChange,
       onSelectionAreaChange = defaults.onSelectionAreaChange,
+      rowActionsMenuLabel = defaults.rowActionsMenuLabel,
       selectAllAriaLabel,
+      sortAscendingLabel = defaults.sortAscendingLabel,
+      sortDescendingLabel = defaults.sortDescendingLabel,
       spreadsheetAriaLabel,
       theme,
       totalVisibleColumns,
@@ -169,8 +389,7 @@ export let DataSpreadsheet = React.forwardRef(
     ref: ForwardedRef<HTMLDivElement>
   ) => {
     const multiKeyTrackingRef: LegacyRef<HTMLDivElement> = useRef(null);
-    const localRef = useRef();
-    const spreadsheetRef = ref || localRef;
+    const spreadsheetRef = useRef<HTMLDivElement>();
     const focusedElement = useActiveElement();
     const [containerHasFocus, setContainerHasFocus] = useState(false);
     const [activeCellCoordinates, setActiveCellCoordinates] =
@@ -194,9 +413,11 @@ export let DataSpreadsheet = React.forwardRef(
         activeCellCoordinates,
         isEditing,
         cellEditorValue,
+        data,
       }) || {};
     const cellSizeValue = getCellSize(cellSize);
     const cellEditorRef = useRef<HTMLTextAreaElement>();
+    const cellEditorContainerRef = useRef<HTMLDivElement>();
     const [activeCellContent, setActiveCellContent] = useState<any>();
     const activeCellRef = useRef<HTMLDivElement | HTMLButtonElement>();
     const cellEditorRulerRef = useRef<HTMLPreElement>();
@@ -214,6 +435,20 @@ export let DataSpreadsheet = React.forwardRef(
       isEditing,
     });
     const scrollBarSize = useMemo(() => getScrollbarWidth(), []);
+    // Columns are sorted and filtered by cell value, unless they provide
+    // their own `sortType` or `filter`
+    const spreadsheetColumns = useMemo(
+      () =>
+        columns.map((column: SpreadsheetColumnConfig) => ({
+          sortType: sortByCellValue,
+          filter: filterByCellValues,
+          ...column,
+          ...(column.type === 'boolean' && !column.Cell
+            ? { Cell: BooleanCell }
+            : {}),
+        })),
+      [columns]
+    );
 
     const {
       getTableProps,
@@ -222,36 +457,226 @@ export let DataSpreadsheet = React.forwardRef(
       rows,
       totalColumnsWidth,
       prepareRow,
+      preFilteredRows,
       setColumnOrder,
+      setSortBy,
+      state,
       visibleColumns,
     } = useTable(
       {
-        columns,
+        columns: spreadsheetColumns,
         data,
         defaultColumn,
-      },
+        // The rows stay sorted and filtered while the data is being edited
+        autoResetFilters: false,
+        autoResetSortBy: false,
+      } as TableOptions<object> &
+        UseFiltersOptions<object> &
+        UseSortByOptions<object>,
       useBlockLayout,
-      useColumnOrder
-    ) as UseColumnOrderInstanceProps<any> & TableInstance;
+      useColumnOrder,
+      useFilters,
+      useSortBy
+    ) as UseColumnOrderInstanceProps<any> &
+      UseFiltersInstanceProps<any> &
+      UseSortByInstanceProps<any> &
+      TableInstance;
+    const { filters, sortBy } = state as UseFiltersState<any> &
+      UseSortByState<any>;
+    // `rows` are in view order, their `index` being their index in the data
+    const isSortedOrFiltered = sortBy.length > 0 || filters.length > 0;
+
+    // Formulas reference cells by their position in the data, so they are
+    // computed from the rows before sorting or filtering
+    const formulaResults = useSpreadsheetFormulas({
+      enableFormulas,
+      rows: preFilteredRows,
+      visibleColumns,
+    });
+
+    // Clears the selection areas after a column reorder or row operation is
+    // undone or redone, since they no longer line up with the restored data
+    const handleHistoryRestore = useCallback(() => {
+      removeCellSelections({ matcher: undefined, spreadsheetRef });
+      setSelectionAreas([]);
+      setSelectionAreaData([]);
+    }, []);
+
+    // The invalid cells of the data, along with the data and the columns they
+    // were validated for. Each commit validates the rows it changes only
+    const validationRef = useRef<{
+      data: readonly object[];
+      columns: typeof visibleColumns;
+      invalidCells: InvalidCell[];
+    }>();
+    const getCurrentInvalidCells = useCallback(() => {
+      const validation = validationRef.current;
+      if (validation?.data !== data || validation?.columns !== visibleColumns) {
+        validationRef.current = {
+          data,
+          columns: visibleColumns,
+          invalidCells: getInvalidCells(data, visibleColumns),
+        };
+      }
+      return (validationRef.current as { invalidCells: InvalidCell[] })
+        .invalidCells;
+    }, [data, visibleColumns]);
+
+    // Report the invalid cells on mount and whenever the data changes, ie
+    // when it is imported
+    useEffect(() => {
+      onInvalidCellsChange?.(getCurrentInvalidCells());
+      // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [getCurrentInvalidCells]);
+
+    // Apply cell updates with a single call to `onDataUpdate`, passing the
+    // invalid cells of the updated data as the second argument
+    const commitCellUpdates = useCallback(
+      (cellUpdates) => {
+        const newData = applyCellUpdates(data, cellUpdates);
+        const invalidCells = updateInvalidCells(
+          getCurrentInvalidCells(),
+          newData,
+          visibleColumns,
+          cellUpdates.map(({ row }) => row)
+        );
+        validationRef.current = {
+          data: newData,
+          columns: visibleColumns,
+          invalidCells,
+        };
+        onDataUpdate(
+          (prev) =>
+            prev === data ? newData : applyCellUpdates(prev, cellUpdates),
+          { invalidCells }
+        );
+      },
+      [data, visibleColumns, onDataUpdate, getCurrentInvalidCells]
+    );
+
+    // Apply a row operation with a single call to `onDataUpdate`, passing the
+    // operation alongside the invalid cells so that it can be replayed
+    const commitRowOperation = useCallback(
+      (operation: RowOperation) => {
+        const newData = applyRowOperation(data, operation);
+        const invalidCells = moveInvalidCells(
+          getCurrentInvalidCells(),
+          data.length,
+          newData,
+          visibleColumns,
+          operation
+        );
+        validationRef.current = {
+          data: newData,
+          columns: visibleColumns,
+          invalidCells,
+        };
+        onDataUpdate(
+          (prev) =>
+            prev === data ? newData : applyRowOperation(prev, operation),
+          { invalidCells, operation }
+        );
+      },
+      [data, visibleColumns, onDataUpdate, getCurrentInvalidCells]
+    );
+
+    const { addHistoryEntry, undo, redo, canUndo, canRedo } =
+      useSpreadsheetHistory({
+        commitCellUpdates,
+        commitRowOperation,
+        setColumnOrder,
+        onColumnOrderRestore: handleHistoryRestore,
+        onRowOperationRestore: handleHistoryRestore,
+        onHistoryChange,
+      });
+
+    // Update a block of cells, used when editing, deleting, pasting or
+    // cutting cells. Values are converted to the column type, and each call
+    // is added to the undo/redo history as a single entry. Cell updates
+    // use the row index in the view, which is mapped to the data index.
+    const updateCells = useCallback(
+      (cellUpdates) => {
+        const changedCells = (cellUpdates || [])
+          .map((cellUpdate) => ({
+            ...cellUpdate,
+            row: rows[cellUpdate.row]?.index ?? cellUpdate.row,
+            value: parseCellValue(
+              cellUpdate.value,
+              (
+                visibleColumns.find(
+                  (column) => column.id === cellUpdate.columnId
+                ) as SpreadsheetColumnConfig
+              )?.type
+            ),
+            previousValue:
+              rows[cellUpdate.row]?.original?.[cellUpdate.columnId],
+          }))
+          .filter(
+            ({ previousValue, value }) =>
+              (previousValue ?? '') !== (value ?? '')
+          );
+        if (!changedCells.length) {
+          return;
+        }
+        addHistoryEntry({ type: 'cells', cells: changedCells });
+        commitCellUpdates(changedCells);
+      },
+      [rows, visibleColumns, addHistoryEntry, commitCellUpdates]
+    );
+
+    // Insert, delete or move rows, adding the operation to the history
+    const updateRows = useCallback(
+      (operation: RowOperation) => {
+        addHistoryEntry({ type: 'rows', operation });
+        commitRowOperation(operation);
+      },
+      [addHistoryEntry, commitRowOperation]
+    );
 
     // Update the spreadsheet data after editing a cell
     const updateData = useCallback(
       (rowIndex, columnId, newValue) => {
-        onDataUpdate((prev) =>
-          prev.map((row, index) => {
-            if (index === rowIndex) {
-              return {
-                ...prev[rowIndex],
-                [columnId]: cellEditorValue || newValue,
-              };
-            }
-            return row;
-          })
-        );
+        updateCells([
+          {
+            row: rowIndex,
+            columnId,
+            value: cellEditorValue || newValue,
+          },
+        ]);
+      },
+      [cellEditorValue, updateCells]
+    );
+
+    // The column of the active cell, used to pick the cell editor by column type
+    const activeCellColumn: SpreadsheetColumnConfig | null =
+      typeof activeCellCoordinates?.column === 'number' &&
+      typeof activeCellCoordinates?.row === 'number'
+        ? visibleColumns[activeCellCoordinates.column]
+        : null;
+
+    // Reorder the columns, adding the previous column order to the history
+    const updateColumnOrder = useCallback(
+      (newColumnOrder) => {
+        addHistoryEntry({
+          type: 'columnOrder',
+          previousColumnOrder: visibleColumns.map((column) => column.id),
+          columnOrder: newColumnOrder,
+        });
+        setColumnOrder(newColumnOrder);
       },
-      [cellEditorValue, onDataUpdate]
+      [visibleColumns, addHistoryEntry, setColumnOrder]
     );
 
+    // The forwarded ref is the spreadsheet element, the undo/redo history is
+    // exposed on `historyRef`
+    useImperativeHandle(ref, () => spreadsheetRef.current as HTMLDivElement);
+    useImperativeHandle(historyRef, () => ({ undo, redo, canUndo, canRedo }), [
+      undo,
+      redo,
+      canUndo,
+      canRedo,
+    ]);
+
     // Removes the active cell element
     const removeActiveCell = useCallback(() => {
       const activeCellHighlight: HTMLDivElement | null = (
@@ -279,8 +704,10 @@ export let DataSpreadsheet = React.forwardRef(
           prevCoords?.column !== activeCellCoordinates?.column) &&
         isEditing
       ) {
-        const cellProps =
-          rows[Number(prevCoords?.row)].cells[Number(prevCoords?.column)];
+        const cellProps = getPreparedRow(
+          rows[Number(prevCoords?.row)],
+          prepareRow
+        ).cells[Number(prevCoords?.column)];
         removeCellEditor();
         updateData(prevCoords?.row, cellProps.column.id, undefined);
         if (cellEditorRulerRef?.current) {
@@ -299,12 +726,13 @@ export let DataSpreadsheet = React.forwardRef(
           const activeCellFullData =
             typeof activeCellCoordinates?.column === 'number' &&
             typeof activeCellCoordinates?.row === 'number'
-              ? rows[activeCellCoordinates?.row].cells[
-                  activeCellCoordinates?.column
-                ]
+              ? getPreparedRow(rows[activeCellCoordinates?.row], prepareRow)
+                  .cells[activeCellCoordinates?.column]
               : null;
           if (activeCellFullData) {
-            setActiveCellContent(activeCellFullData.render('Cell'));
+            setActiveCellContent(
+              renderCellContent(activeCellFullData, formulaResults)
+            );
           } else {
             setActiveCellContent(null);
           }
@@ -333,17 +761,52 @@ export let DataSpreadsheet = React.forwardRef(
       previousState?.activeCellCoordinates,
       previousState?.cellEditorValue,
       updateData,
+      prepareRow,
       rows,
+      formulaResults,
       isEditing,
       removeCellEditor,
       activeCellContent,
     ]);
 
+    // Refresh the active cell contents when the data changes without the
+    // active cell moving, ie after pasting or cutting a selection area
+    useEffect(() => {
+      if (
+        !previousState?.data ||
+        previousState.data === data ||
+        isEditing ||
+        typeof activeCellCoordinates?.row !== 'number' ||
+        typeof activeCellCoordinates?.column !== 'number'
+      ) {
+        return;
+      }
+      const activeCellFullData = getPreparedRow(
+        rows[activeCellCoordinates.row],
+        prepareRow
+      )?.cells[activeCellCoordinates.column];
+      setActiveCellContent(
+        activeCellFullData
+          ? renderCellContent(activeCellFullData, formulaResults)
+          : null
+      );
+    }, [
+      data,
+      previousState?.data,
+      isEditing,
+      activeCellCoordinates,
+      prepareRow,
+      rows,
+      formulaResults,
+    ]);
+
     const createActiveCell = useCallback(
       ({ placementElement, coords, addToHeader = false }) => {
         const activeCellFullData =
           typeof coords?.column === 'number' && typeof coords?.row === 'number'
-            ? rows[coords?.row].cells[coords?.column]
+            ? getPreparedRow(rows[coords?.row], prepareRow).cells[
+                coords?.column
+              ]
             : null;
         const activeCellValue = activeCellFullData
           ? Object.values(activeCellFullData.row.values)[coords?.column]
@@ -358,11 +821,19 @@ export let DataSpreadsheet = React.forwardRef(
           onActiveCellChange,
           activeCellValue,
           activeCellRef,
-          cellEditorRef,
+          cellEditorContainerRef,
           defaultColumn,
+          visibleColumns,
         });
       },
-      [spreadsheetRef, rows, onActiveCellChange, defaultColumn]
+      [
+        spreadsheetRef,
+        prepareRow,
+        rows,
+        onActiveCellChange,
+        defaultColumn,
+        visibleColumns,
+      ]
     );
 
     useResetSpreadsheetFocus({
@@ -546,6 +1017,50 @@ export let DataSpreadsheet = React.forwardRef(
       ]
     );
 
+    const {
+      closeRowActionsMenu,
+      handleRowAction,
+      handleRowActionKeyDown,
+      handleRowHeaderContextMenu,
+      moveRows,
+      rowActionsMenu,
+    } = useSpreadsheetRowActions({
+      activeCellCoordinates,
+      currentMatcher,
+      isSortedOrFiltered,
+      rows,
+      selectionAreas,
+      setActiveCellCoordinates,
+      setCurrentMatcher,
+      setSelectionAreaData,
+      setSelectionAreas,
+      spreadsheetRef,
+      updateActiveCellCoordinates,
+      updateRows,
+      visibleColumns,
+    });
+
+    const {
+      closeColumnMenu,
+      columnFilterOptions,
+      columnMenu,
+      handleColumnAction,
+      handleColumnHeaderContextMenu,
+      handleColumnMenuKeyDown,
+    } = useSpreadsheetColumnMenu({
+      activeCellCoordinates,
+      preFilteredRows,
+      setActiveCellCoordinates,
+      setSelectionAreaData,
+      setSelectionAreas,
+      setSortBy,
+      sortBy,
+      spreadsheetRef,
+      updateRows,
+      visibleColumns,
+    });
+    const columnMenuColumn: any = visibleColumns[columnMenu.columnIndex];
+
     const handleKeyPressEvent = useCallback(
       (event) => {
         handleKeyPress(
@@ -563,7 +1078,7 @@ export let DataSpreadsheet = React.forwardRef(
           handleHomeEndKey,
           keysPressedList,
           usingMac,
-          updateData,
+          updateCells,
           checkForReturnCondition,
           handleArrowKeyPress,
           setSelectionAreas,
@@ -572,7 +1087,12 @@ export let DataSpreadsheet = React.forwardRef(
           activeCellRef,
           setActiveCellCoordinates,
           setContainerHasFocus,
-          setActiveCellContent
+          setActiveCellContent,
+          undo,
+          redo,
+          handleRowActionKeyDown,
+          prepareRow,
+          handleColumnMenuKeyDown
         );
       },
       [
@@ -589,19 +1109,97 @@ export let DataSpreadsheet = React.forwardRef(
         handleHomeEndKey,
         keysPressedList,
         usingMac,
-        updateData,
+        updateCells,
         checkForReturnCondition,
         handleArrowKeyPress,
+        undo,
+        redo,
+        handleRowActionKeyDown,
+        prepareRow,
+        handleColumnMenuKeyDown,
+      ]
+    );
+
+    const handleClipboardCopyEvent = useCallback(
+      (event) => {
+        if (isEditing) {
+          return;
+        }
+        handleClipboardCopy({
+          event,
+          type: event.type,
+          activeCellCoordinates,
+          currentMatcher,
+          prepareRow,
+          rows,
+          selectionAreas,
+          setActiveCellContent,
+          updateCells,
+        });
+      },
+      [
+        isEditing,
+        activeCellCoordinates,
+        currentMatcher,
+        prepareRow,
+        rows,
+        selectionAreas,
+        updateCells,
+      ]
+    );
+
+    const handleClipboardPasteEvent = useCallback(
+      (event) => {
+        if (isEditing) {
+          return;
+        }
+        handleClipboardPaste({
+          event,
+          activeCellCoordinates,
+          currentMatcher,
+          prepareRow,
+          rows,
+          selectionAreas,
+          setCurrentMatcher,
+          setSelectionAreas,
+          spreadsheetRef,
+          updateCells,
+        });
+      },
+      [
+        isEditing,
+        activeCellCoordinates,
+        currentMatcher,
+        prepareRow,
+        rows,
+        selectionAreas,
+        spreadsheetRef,
+        updateCells,
       ]
     );
 
     const startEditMode = () => {
+      // Boolean cells are toggled instead of being edited
+      if (activeCellColumn?.type === 'boolean') {
+        const { row, column } = activeCellCoordinates as {
+          row: number;
+          column: number;
+        };
+        updateCells([
+          {
+            row,
+            columnId: activeCellColumn.id,
+            value: !getPreparedRow(rows[row], prepareRow)?.cells[column]?.value,
+          },
+        ]);
+        return;
+      }
       setIsEditing(true);
       setClickAndHoldActive(false);
       const activeCellFullData =
         typeof activeCellCoordinates?.column === 'number' &&
         typeof activeCellCoordinates?.row === 'number'
-          ? rows[activeCellCoordinates?.row].cells[
+          ? getPreparedRow(rows[activeCellCoordinates?.row], prepareRow).cells[
               activeCellCoordinates?.column
             ]
           : null;
@@ -627,10 +1225,13 @@ export let DataSpreadsheet = React.forwardRef(
     // this is not done for us by default in Safari
     useEffect(() => {
       if (isEditing && !previousState?.isEditing) {
-        cellEditorRef?.current?.setSelectionRange(
-          Number(cellEditorRulerRef?.current?.textContent?.length),
-          Number(cellEditorRulerRef?.current?.textContent?.length)
-        );
+        // Number, date and select editors do not support text selection
+        if (cellEditorRef?.current?.tagName === 'TEXTAREA') {
+          cellEditorRef.current.setSelectionRange(
+            Number(cellEditorRulerRef?.current?.textContent?.length),
+            Number(cellEditorRulerRef?.current?.textContent?.length)
+          );
+        }
         cellEditorRef?.current?.focus();
       }
     }, [isEditing, previousState?.isEditing]);
@@ -758,6 +1359,36 @@ export let DataSpreadsheet = React.forwardRef(
       startEditMode();
     };
 
+    useSpreadsheetFillHandle({
+      activeCellCoordinates,
+      currentMatcher,
+      defaultColumn,
+      isEditing,
+      ref: spreadsheetRef,
+      rows,
+      selectionAreas,
+      setCurrentMatcher,
+      setSelectionAreas,
+      updateCells,
+      visibleColumns,
+    });
+
+    useSpreadsheetRowReorder({
+      currentMatcher,
+      defaultColumn,
+      isSortedOrFiltered,
+      moveRows,
+      ref: spreadsheetRef,
+      selectionAreas,
+    });
+
+    const virtualColumns = useSpreadsheetVirtualColumns({
+      defaultColumn,
+      ref: spreadsheetRef,
+      totalVisibleColumns,
+      visibleColumns,
+    });
+
     useSpreadsheetEdit({
       isEditing,
       rows,
@@ -817,159 +1448,333 @@ export let DataSpreadsheet = React.forwardRef(
       selectionAreas,
       handleActiveCellMouseEnterCallback,
     ]);
-    // cspell:words rowcount colcount
-    return (
-      <div
-        {...rest}
-        {...getTableProps()}
-        {...getDevtoolsProps(componentName)}
-        className={cx(
-          blockClass,
-          className,
+
+    // Renders the cell editor that matches the type of the active cell column,
+    // a textarea is used for text columns and columns without a type
+    const renderCellEditor = () => {
+      const cellEditorProps = {
+        id: `${blockClass}__cell-editor-text-area`,
+        value: cellEditorValue,
+        onKeyDown: handleEditSubmit({
+          activeCellCoordinates,
+          cellEditorRulerRef,
+          columns,
+          prepareRow,
+          previousState,
+          removeCellEditor,
+          rows,
+          setActiveCellCoordinates,
+          setCurrentMatcher,
+          setSelectionAreas,
+          spreadsheetRef,
+          updateData,
+        }),
+        onChange: (event) => {
+          if (previousState.isEditing) {
+            setCellEditorValue(event.target.value);
+            if (cellEditorRulerRef?.current) {
+              cellEditorRulerRef.current.textContent = event.target.value;
+            }
+          }
+        },
+        'aria-labelledby': activeCellCoordinates
+          ? `${blockClass}__cell--${activeCellCoordinates?.row}--${activeCellCoordinates?.column}`
+          : '',
+        className: cx(
+          `${blockClass}__cell-editor`,
           `${blockClass}--interactive-cell-element`,
+          `${blockClass}__cell-editor--${cellSize}`,
           {
-            [`${blockClass}__container-has-focus`]: containerHasFocus,
-            [`${blockClass}__${theme}`]: theme === 'dark',
+            [`${blockClass}__cell-editor--${activeCellColumn?.type}`]:
+              activeCellColumn?.type,
+            [`${blockClass}__cell-editor--active`]: isEditing,
           }
-        )}
-        ref={spreadsheetRef as MutableRefObject<HTMLDivElement>}
-        role="grid"
-        tabIndex={0}
-        aria-rowcount={rows?.length || 0}
-        aria-colcount={columns?.length || 0}
-        aria-label={spreadsheetAriaLabel}
-        onKeyDown={handleKeyPressEvent}
-        onFocus={() => setContainerHasFocus(true)}
-      >
-        <div ref={multiKeyTrackingRef}>
-          {/* HEADER */}
-          <DataSpreadsheetHeader
-            ref={spreadsheetRef as LegacyRef<HTMLDivElement>}
-            activeCellCoordinates={activeCellCoordinates}
-            cellSize={cellSize}
-            columns={columns}
-            currentMatcher={currentMatcher}
-            defaultColumn={defaultColumn}
-            selectedHeaderReorderActive={selectedHeaderReorderActive}
-            setSelectedHeaderReorderActive={setSelectedHeaderReorderActive}
-            headerGroups={headerGroups}
-            rows={rows}
-            scrollBarSize={scrollBarSize}
-            selectionAreas={selectionAreas}
-            setActiveCellCoordinates={setActiveCellCoordinates}
-            setSelectionAreas={setSelectionAreas}
-            setCurrentMatcher={setCurrentMatcher}
-            setSelectionAreaData={setSelectionAreaData}
-            totalVisibleColumns={totalVisibleColumns}
-            updateActiveCellCoordinates={updateActiveCellCoordinates}
-            setHeaderCellHoldActive={setHeaderCellHoldActive}
-            headerCellHoldActive={headerCellHoldActive}
-            visibleColumns={visibleColumns}
-            selectAllAriaLabel={selectAllAriaLabel}
-          />
+        ),
+      };
+      switch (activeCellColumn?.type) {
+        case 'number':
+        case 'date':
+          return (
+            <input
+              {...cellEditorProps}
+              type={activeCellColumn.type}
+              ref={cellEditorRef as unknown as LegacyRef<HTMLInputElement>}
+            />
+          );
+        case 'select':
+          return (
+            <select
+              {...cellEditorProps}
+              ref={cellEditorRef as unknown as LegacyRef<HTMLSelectElement>}
+            >
+              <option value="" />
+              {activeCellColumn.options?.map((option) => {
+                const { value, label } =
+                  typeof option === 'string'
+                    ? { value: option, label: option }
+                    : option;
+                return (
+                  <option key={value} value={value}>
+                    {label ?? value}
+                  </option>
+                );
+              })}
+            </select>
+          );
+        default:
+          return (
+            <textarea
+              {...cellEditorProps}
+              ref={cellEditorRef as LegacyRef<HTMLTextAreaElement>}
+            />
+          );
+      }
+    };
 
-          {/* BODY */}
-          <DataSpreadsheetBody
-            activeCellRef={activeCellRef}
-            activeCellCoordinates={activeCellCoordinates}
-            ref={spreadsheetRef as LegacyRef<HTMLDivElement>}
-            clickAndHoldActive={clickAndHoldActive}
-            setClickAndHoldActive={setClickAndHoldActive}
-            currentMatcher={currentMatcher}
-            setCurrentMatcher={setCurrentMatcher}
-            setContainerHasFocus={setContainerHasFocus}
-            selectedHeaderReorderActive={selectedHeaderReorderActive}
-            setSelectedHeaderReorderActive={setSelectedHeaderReorderActive}
-            selectionAreas={selectionAreas}
-            setSelectionAreas={setSelectionAreas}
-            headerGroups={headerGroups}
-            defaultColumn={defaultColumn}
-            getTableBodyProps={getTableBodyProps}
-            onDataUpdate={onDataUpdate}
-            onActiveCellChange={onActiveCellChange}
-            onSelectionAreaChange={onSelectionAreaChange}
-            prepareRow={prepareRow}
-            rows={rows}
-            selectionAreaData={selectionAreaData}
-            setSelectionAreaData={setSelectionAreaData}
-            setActiveCellCoordinates={setActiveCellCoordinates}
-            scrollBarSize={scrollBarSize}
-            totalColumnsWidth={totalColumnsWidth}
-            id={id}
-            columns={columns}
-            defaultEmptyRowCount={defaultEmptyRowCount}
-            setActiveCellInsideSelectionArea={setActiveCellInsideSelectionArea}
-            totalVisibleColumns={totalVisibleColumns}
-            setHeaderCellHoldActive={setHeaderCellHoldActive}
-            setColumnOrder={setColumnOrder}
-            visibleColumns={visibleColumns}
-          />
-          <button
-            onMouseDown={handleActiveCellMouseDown}
-            onMouseUp={handleActiveCellMouseUp}
-            onClick={handleActiveCellClick}
-            onKeyDown={handleActiveCellKeyDown}
-            onDoubleClick={handleActiveCellDoubleClick}
-            onMouseEnter={handleActiveCellMouseEnter}
-            ref={activeCellRef as LegacyRef<HTMLButtonElement>}
-            className={cx(
-              `${blockClass}--interactive-cell-element`,
-              `${blockClass}__active-cell--highlight`,
-              {
-                [`${blockClass}__active-cell--with-selection`]:
-                  activeCellInsideSelectionArea,
+    // cspell:words rowcount colcount
+    return (
+      <>
+        <div
+          {...rest}
+          {...getTableProps()}
+          {...getDevtoolsProps(componentName)}
+          className={cx(
+            blockClass,
+            className,
+            `${blockClass}--interactive-cell-element`,
+            {
+              [`${blockClass}__container-has-focus`]: containerHasFocus,
+              [`${blockClass}__${theme}`]: theme === 'dark',
+            }
+          )}
+          ref={spreadsheetRef as MutableRefObject<HTMLDivElement>}
+          role="grid"
+          tabIndex={0}
+          aria-rowcount={rows?.length || 0}
+          aria-colcount={columns?.length || 0}
+          aria-label={spreadsheetAriaLabel}
+          onKeyDown={handleKeyPressEvent}
+          onCopy={handleClipboardCopyEvent}
+          onCut={handleClipboardCopyEvent}
+          onPaste={handleClipboardPasteEvent}
+          onFocus={() => setContainerHasFocus(true)}
+        >
+          <div ref={multiKeyTrackingRef}>
+            {/* HEADER */}
+            <DataSpreadsheetHeader
+              ref={spreadsheetRef as LegacyRef<HTMLDivElement>}
+              activeCellCoordinates={activeCellCoordinates}
+              cellSize={cellSize}
+              columns={columns}
+              currentMatcher={currentMatcher}
+              defaultColumn={defaultColumn}
+              selectedHeaderReorderActive={selectedHeaderReorderActive}
+              setSelectedHeaderReorderActive={setSelectedHeaderReorderActive}
+              headerGroups={headerGroups}
+              rows={rows}
+              scrollBarSize={scrollBarSize}
+              selectionAreas={selectionAreas}
+              setActiveCellCoordinates={setActiveCellCoordinates}
+              setSelectionAreas={setSelectionAreas}
+              setCurrentMatcher={setCurrentMatcher}
+              setSelectionAreaData={setSelectionAreaData}
+              totalVisibleColumns={totalVisibleColumns}
+              updateActiveCellCoordinates={updateActiveCellCoordinates}
+              setHeaderCellHoldActive={setHeaderCellHoldActive}
+              headerCellHoldActive={headerCellHoldActive}
+              virtualColumns={virtualColumns}
+              visibleColumns={visibleColumns}
+              selectAllAriaLabel={selectAllAriaLabel}
+              onColumnHeaderContextMenu={handleColumnHeaderContextMenu}
+            />
+
+            {/* BODY */}
+            <DataSpreadsheetBody
+              activeCellRef={activeCellRef}
+              activeCellCoordinates={activeCellCoordinates}
+              ref={spreadsheetRef as LegacyRef<HTMLDivElement>}
+              clickAndHoldActive={clickAndHoldActive}
+              setClickAndHoldActive={setClickAndHoldActive}
+              currentMatcher={currentMatcher}
+              setCurrentMatcher={setCurrentMatcher}
+              setContainerHasFocus={setContainerHasFocus}
+              selectedHeaderReorderActive={selectedHeaderReorderActive}
+              setSelectedHeaderReorderActive={setSelectedHeaderReorderActive}
+              selectionAreas={selectionAreas}
+              setSelectionAreas={setSelectionAreas}
+              headerGroups={headerGroups}
+              defaultColumn={defaultColumn}
+              getTableBodyProps={getTableBodyProps}
+              onDataUpdate={onDataUpdate}
+              onActiveCellChange={onActiveCellChange}
+              onSelectionAreaChange={onSelectionAreaChange}
+              prepareRow={prepareRow}
+              rows={rows}
+              selectionAreaData={selectionAreaData}
+              setSelectionAreaData={setSelectionAreaData}
+              setActiveCellCoordinates={setActiveCellCoordinates}
+              scrollBarSize={scrollBarSize}
+              totalColumnsWidth={totalColumnsWidth}
+              id={id}
+              columns={columns}
+              defaultEmptyRowCount={defaultEmptyRowCount}
+              formulaResults={formulaResults}
+              setActiveCellInsideSelectionArea={
+                setActiveCellInsideSelectionArea
               }
-            )}
-            type="button"
+              totalVisibleColumns={totalVisibleColumns}
+              setHeaderCellHoldActive={setHeaderCellHoldActive}
+              setColumnOrder={updateColumnOrder}
+              virtualColumns={virtualColumns}
+              visibleColumns={visibleColumns}
+              onRowHeaderContextMenu={handleRowHeaderContextMenu}
+            />
+            <button
+              onMouseDown={handleActiveCellMouseDown}
+              onMouseUp={handleActiveCellMouseUp}
+              onClick={handleActiveCellClick}
+              onKeyDown={handleActiveCellKeyDown}
+              onDoubleClick={handleActiveCellDoubleClick}
+              onMouseEnter={handleActiveCellMouseEnter}
+              ref={activeCellRef as LegacyRef<HTMLButtonElement>}
+              className={cx(
+                `${blockClass}--interactive-cell-element`,
+                `${blockClass}__active-cell--highlight`,
+                {
+                  [`${blockClass}__active-cell--with-selection`]:
+                    activeCellInsideSelectionArea,
+                }
+              )}
+              type="button"
+            >
+              {activeCellContent}
+            </button>
+            <div
+              ref={cellEditorContainerRef as LegacyRef<HTMLDivElement>}
+              className={`${blockClass}__cell-editor-container`}
+            >
+              {renderCellEditor()}
+            </div>
+            <pre
+              aria-hidden
+              ref={cellEditorRulerRef as LegacyRef<HTMLPreElement>}
+              className={`${blockClass}__cell-editor-ruler`}
+            />
+          </div>
+        </div>
+        {/* ROW ACTIONS MENU, outside of the grid so its key presses are not handled as grid navigation */}
+        <Menu
+          className={`${blockClass}__row-actions-menu`}
+          label={rowActionsMenuLabel}
+          open={rowActionsMenu.open}
+          onClose={closeRowActionsMenu}
+          x={rowActionsMenu.x}
+          y={rowActionsMenu.y}
+          size="sm"
+        >
+          {[
+            {
+              action: 'insertAbove',
+              label: insertRowAboveLabel,
+              disabled: isSortedOrFiltered,
+            },
+            {
+              action: 'insertBelow',
+              label: insertRowBelowLabel,
+              disabled: isSortedOrFiltered,
+            },
+            {
+              action: 'moveUp',
+              label: moveRowsUpLabel,
+              disabled:
+                isSortedOrFiltered || rowActionsMenu.rowRange.start === 0,
+            },
+            {
+              action: 'moveDown',
+              label: moveRowsDownLabel,
+              disabled:
+                isSortedOrFiltered ||
+                rowActionsMenu.rowRange.end === rows.length - 1,
+            },
+            { action: 'delete', label: deleteRowsLabel, kind: 'danger' },
+          ].map(({ action, label, disabled, kind }) => (
+            <MenuItem
+              key={action}
+              label={label}
+              disabled={disabled}
+              kind={kind as 'danger' | undefined}
+              shortcut={rowActionShortcuts[usingMac ? 'mac' : 'other'][action]}
+              onClick={() => handleRowAction(action, rowActionsMenu.rowRange)}
+            />
+          ))}
+        </Menu>
+        {/* COLUMN MENU, sorts and filters the rows without changing the data */}
+        <Menu
+          className={`${blockClass}__column-menu`}
+          label={columnMenuLabel}
+          open={columnMenu.open}
+          onClose={closeColumnMenu}
+          x={columnMenu.x}
+          y={columnMenu.y}
+          size="sm"
+        >
+          {[
+            {
+              action: 'sortAscending',
+              label: sortAscendingLabel,
+              disabled: !columnMenuColumn?.canSort,
+            },
+            {
+              action: 'sortDescending',
+              label: sortDescendingLabel,
+              disabled: !columnMenuColumn?.canSort,
+            },
+            {
+              action: 'clearSort',
+              label: clearSortLabel,
+              disabled: !columnMenuColumn?.isSorted,
+            },
+            {
+              action: 'applySort',
+              label: applySortToDataLabel,
+              disabled: !columnMenuColumn?.isSorted,
+            },
+          ].map(({ action, label, disabled }) => (
+            <MenuItem
+              key={action}
+              label={label}
+              disabled={disabled}
+              onClick={() => handleColumnAction(action, columnMenu.columnIndex)}
+            />
+          ))}
+          <MenuItemDivider />
+          <MenuItem
+            label={filterByValueLabel}
+            disabled={!columnFilterOptions.length}
           >
-            {activeCellContent}
-          </button>
-          <textarea
-            id={`${blockClass}__cell-editor-text-area`}
-            value={cellEditorValue}
-            onKeyDown={handleEditSubmit({
-              activeCellCoordinates,
-              cellEditorRulerRef,
-              columns,
-              previousState,
-              removeCellEditor,
-              rows,
-              setActiveCellCoordinates,
-              setCurrentMatcher,
-              setSelectionAreas,
-              spreadsheetRef,
-              updateData,
-            })}
-            onChange={(event) => {
-              if (previousState.isEditing) {
-                setCellEditorValue(event.target.value);
-                if (cellEditorRulerRef?.current) {
-                  cellEditorRulerRef.current.textContent = event.target.value;
+            {columnFilterOptions.map(({ key, selected }) => (
+              <MenuItemSelectable
+                key={key}
+                label={key || emptyFilterValueLabel}
+                selected={selected}
+                // MenuItemSelectable calls `onChange` with the selected state
+                // and then with the click event
+                onChange={(value) =>
+                  typeof value === 'boolean' &&
+                  handleColumnAction('filter', columnMenu.columnIndex, key)
                 }
-              }
-            }}
-            ref={cellEditorRef as LegacyRef<HTMLTextAreaElement>}
-            aria-labelledby={
-              activeCellCoordinates
-                ? `${blockClass}__cell--${activeCellCoordinates?.row}--${activeCellCoordinates?.column}`
-                : ''
+              />
+            ))}
+          </MenuItem>
+          <MenuItem
+            label={clearFilterLabel}
+            disabled={columnMenuColumn?.filterValue === undefined}
+            onClick={() =>
+              handleColumnAction('clearFilter', columnMenu.columnIndex)
             }
-            className={cx(
-              `${blockClass}__cell-editor`,
-              `${blockClass}--interactive-cell-element`,
-              `${blockClass}__cell-editor--${cellSize}`,
-              {
-                [`${blockClass}__cell-editor--active`]: isEditing,
-              }
-            )}
-          />
-          <pre
-            aria-hidden
-            ref={cellEditorRulerRef as LegacyRef<HTMLPreElement>}
-            className={`${blockClass}__cell-editor-ruler`}
           />
-        </div>
-      </div>
+        </Menu>
+      </>
     );
   }
 );
@@ -985,6 +1790,12 @@ DataSpreadsheet.displayName = componentName;
 // in alphabetical order (for consistency).
 // See https://www.npmjs.com/package/prop-types#usage.
 DataSpreadsheet.propTypes = {
+  /**
+   * The label of the column menu item that reorders the data to match the
+   * sorted rows
+   */
+  applySortToDataLabel: PropTypes.string,
+
   /**
    * Specifies the cell height
    */
@@ -996,7 +1807,28 @@ DataSpreadsheet.propTypes = {
   className: PropTypes.string,
 
   /**
-   * The data that will build the column headers
+   * The label of the column menu item that removes the column filter
+   */
+  clearFilterLabel: PropTypes.string,
+
+  /**
+   * The label of the column menu item that removes the column sort
+   */
+  clearSortLabel: PropTypes.string,
+
+  /**
+   * The label of the column menu, opened by right clicking a column header
+   * or with ALT + ArrowDown on the active column header
+   */
+  columnMenuLabel: PropTypes.string,
+
+  /**
+   * The data that will build the column headers. Each column can set a `type`
+   * ('text', 'number', 'date', 'select' or 'boolean') to pick the cell editor,
+   * `options` for select columns, and a `validate(value, row)` fn that returns
+   * `false` or an error message for invalid cell values. Columns can opt out
+   * of the column menu sorting and filtering with `disableSortBy` and
+   * `disableFilters`
    */
   /**@ts-ignore */
   columns: PropTypes.arrayOf(
@@ -1004,6 +1836,19 @@ DataSpreadsheet.propTypes = {
       Header: PropTypes.string,
       accessor: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
       Cell: PropTypes.func, // optional cell formatter
+      type: PropTypes.oneOf(['text', 'number', 'date', 'select', 'boolean']),
+      options: PropTypes.arrayOf(
+        PropTypes.oneOfType([
+          PropTypes.string,
+          PropTypes.shape({
+            value: PropTypes.string,
+            label: PropTypes.string,
+          }),
+        ])
+      ),
+      validate: PropTypes.func,
+      disableFilters: PropTypes.bool,
+      disableSortBy: PropTypes.bool,
     })
   ),
 
@@ -1018,31 +1863,114 @@ DataSpreadsheet.propTypes = {
    */
   defaultEmptyRowCount: PropTypes.number,
 
+  /**
+   * The label of the row actions menu item that deletes the selected rows
+   */
+  deleteRowsLabel: PropTypes.string,
+
+  /**
+   * The label of the empty cell value in the column menu value filter
+   */
+  emptyFilterValueLabel: PropTypes.string,
+
+  /**
+   * Computes cells that start with `=` as formulas, ie `=SUM(A1:A3)`. Columns
+   * are referenced by letter (A is the first column) and rows by their row
+   * header number. Formulas are shown while editing and computed values while
+   * viewing
+   */
+  enableFormulas: PropTypes.bool,
+
+  /**
+   * The label of the column menu submenu that filters the rows by the values
+   * of the column
+   */
+  filterByValueLabel: PropTypes.string,
+
+  /**
+   * A ref set to the undo/redo history, `{ undo, redo, canUndo, canRedo }`,
+   * so that it can be driven from a toolbar
+   */
+  /**@ts-ignore */
+  historyRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+
   /**
    * The spreadsheet id
    */
   id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
 
+  /**
+   * The label of the row actions menu item that inserts rows above the selected rows
+   */
+  insertRowAboveLabel: PropTypes.string,
+
+  /**
+   * The label of the row actions menu item that inserts rows below the selected rows
+   */
+  insertRowBelowLabel: PropTypes.string,
+
+  /**
+   * The label of the row actions menu item that moves the selected rows down
+   */
+  moveRowsDownLabel: PropTypes.string,
+
+  /**
+   * The label of the row actions menu item that moves the selected rows up
+   */
+  moveRowsUpLabel: PropTypes.string,
+
   /**
    * The event handler that is called when the active cell changes
    */
   onActiveCellChange: PropTypes.func,
 
   /**
-   * The setter fn for the data prop
+   * The setter fn for the data prop. Each edit, deletion, cut, paste, undo or
+   * redo calls it once with an updater fn that applies every changed cell, and
+   * `{ invalidCells }` listing the cells that fail their column `validate` fn.
+   * Row insertions, deletions and moves also pass the `operation` that was
+   * applied, ie `{ type: 'deleteRows', indexes: [2, 3], rows }`, so that it
+   * can be replayed
    */
   onDataUpdate: PropTypes.func,
 
+  /**
+   * The event handler that is called with `{ canUndo, canRedo }` when the
+   * undo/redo history changes, ie to enable the buttons of a toolbar
+   */
+  onHistoryChange: PropTypes.func,
+
+  /**
+   * The event handler that is called with the cells that fail their column
+   * `validate` fn, on mount and whenever the data changes
+   */
+  onInvalidCellsChange: PropTypes.func,
+
   /**
    * The event handler that is called when the selection area values change
    */
   onSelectionAreaChange: PropTypes.func,
 
+  /**
+   * The label of the row actions menu, opened by right clicking a row header
+   */
+  rowActionsMenuLabel: PropTypes.string,
+
   /**
    * The aria label applied to the Select all button
    */
   selectAllAriaLabel: PropTypes.string.isRequired,
 
+  /**
+   * The label of the column menu item that sorts the rows in ascending order
+   */
+  sortAscendingLabel: PropTypes.string,
+
+  /**
+   * The label of the column menu item that sorts the rows in descending order
+   */
+  sortDescendingLabel: PropTypes.string,
+
   /**
    * The aria label applied to the Data spreadsheet component
    */
@@ -30,6 +30,9 @@ import { createCellSelectionArea } from './utils/createCellSelectionArea';
 import { checkActiveHeaderCell } from './utils/checkActiveHeaderCell';
 import { checkSelectedHeaderCell } from './utils/checkSelectedHeaderCell';
 import { getSpreadsheetWidth } from './utils/getSpreadsheetWidth';
+import { getCellValidation } from './utils/getCellValidation';
+import { getCellKey } from './utils/cellReferences';
+import { renderCellContent } from './utils/renderCellContent';
 
 import { useSpreadsheetMouseUp } from './hooks';
 import {
@@ -38,7 +41,13 @@ import {
   handleRowHeaderClick,
 } from './utils/commonEventHandlers';
 import { prepareProps } from '../../global/js/utils/props-helper';
-import { ActiveCellCoordinates, PrevState, SpreadsheetColumn } from './types';
+import {
+  ActiveCellCoordinates,
+  FormulaResult,
+  PrevState,
+  SpreadsheetColumn,
+  VirtualColumns,
+} from './types';
 import {
   Column,
   IdType,
@@ -48,6 +57,23 @@ import {
 
 const blockClass = `${pkg.prefix}--data-spreadsheet`;
 
+// Number of cells in a selection area, used to tell whether it has changed
+// without building the list of its cells
+const getSelectionAreaSize = (selectionData) =>
+  selectionData
+    ? (selectionData.rows.end - selectionData.rows.start + 1) *
+      (selectionData.columns.end - selectionData.columns.start + 1)
+    : 0;
+
+const renderColumnSpacer = (width?: number) =>
+  width ? (
+    <div
+      aria-hidden
+      className={`${blockClass}__column-spacer`}
+      style={{ flexShrink: 0, width }}
+    />
+  ) : null;
+
 interface DataSpreadsheetBodyProps {
   /**
    * Object containing the active cell coordinates
@@ -83,6 +109,11 @@ interface DataSpreadsheetBodyProps {
    */
   defaultEmptyRowCount?: number;
 
+  /**
+   * The computed values of formula cells, keyed by `${rowIndex}:${columnId}`
+   */
+  formulaResults?: Map<string, FormulaResult> | null;
+
   /**
    * Function to set table body prop values
    */
@@ -108,6 +139,11 @@ interface DataSpreadsheetBodyProps {
    */
   onDataUpdate?: ({ ...args }) => void;
 
+  /**
+   * The event handler that is called when a row header is right clicked
+   */
+  onRowHeaderContextMenu?: (event: React.MouseEvent, index: number) => void;
+
   /**
    * The event handler that is called when the selection areas change
    */
@@ -210,6 +246,12 @@ interface DataSpreadsheetBodyProps {
    */
   totalVisibleColumns?: number;
 
+  /**
+   * The range of columns that are rendered, which are the columns scrolled
+   * into view along with a few columns on either side
+   */
+  virtualColumns?: VirtualColumns;
+
   /**
    * Prop from react-table used to reorder columns
    */
@@ -224,10 +266,12 @@ export const DataSpreadsheetBody = forwardRef(
       activeCellCoordinates,
       defaultColumn,
       defaultEmptyRowCount,
+      formulaResults,
       getTableBodyProps,
       headerGroups,
       id,
       onDataUpdate,
+      onRowHeaderContextMenu,
       prepareRow,
       rows,
       selectionAreaData,
@@ -249,6 +293,7 @@ export const DataSpreadsheetBody = forwardRef(
       totalVisibleColumns,
       setHeaderCellHoldActive,
       setColumnOrder,
+      virtualColumns,
       visibleColumns,
     }: DataSpreadsheetBodyProps,
     ref: ForwardedRef<HTMLDivElement>
@@ -279,8 +324,8 @@ export const DataSpreadsheetBody = forwardRef(
         if (
           previousState?.selectionAreaData?.length !==
             selectionAreaData?.length ||
-          selectionAreaData?.[0]?.cells.length !==
-            previousState?.selectionAreaData?.[0]?.cells.length
+          getSelectionAreaSize(selectionAreaData?.[0]) !==
+            getSelectionAreaSize(previousState?.selectionAreaData?.[0])
         ) {
           selectionChanged = true;
         }
@@ -313,6 +358,7 @@ export const DataSpreadsheetBody = forwardRef(
               area.point2.column
             );
             const columnEnd = Math.max(area.point1.column, area.point2.column);
+            let cells;
             const selectionData = {
               rows: {
                 start: rowStart,
@@ -322,21 +368,27 @@ export const DataSpreadsheetBody = forwardRef(
                 start: columnStart,
                 end: columnEnd,
               },
-              cells: populateSelectionAreaCellData({
-                rowStart,
-                rowEnd,
-                columnStart,
-                columnEnd,
-              }),
+              // The list of cells is only built when it is read, since a
+              // selection area can cover millions of cells in large datasets
+              get cells() {
+                cells =
+                  cells ||
+                  populateSelectionAreaCellData({
+                    rowStart,
+                    rowEnd,
+                    columnStart,
+                    columnEnd,
+                  });
+                return cells;
+              },
               selectionId: area.matcher,
             };
-            setSelectionAreaData?.((prev) => {
-              const prevValues = deepCloneObject(prev);
-              const newAreaData = prevValues.filter(
-                (item) => item.selectionId !== area.matcher
-              );
-              return [...newAreaData, selectionData];
-            });
+            // The selection area data is not cloned, which would build the
+            // list of cells of every selection area
+            setSelectionAreaData?.((prev: any[]) => [
+              ...prev.filter((item) => item.selectionId !== area.matcher),
+              selectionData,
+            ]);
           }
           if (!area.areaCreated && area.point1 && area.point2 && area.matcher) {
             createCellSelectionArea({
@@ -502,12 +554,11 @@ export const DataSpreadsheetBody = forwardRef(
             (item) => !removedSelectionAreaMatcherArr.includes(item.matcher)
           );
         });
-        setSelectionAreaData?.((prev) => {
-          const prevValues = deepCloneObject(prev);
-          return prevValues.filter(
+        setSelectionAreaData?.((prev: any[]) =>
+          prev.filter(
             (item) => !removedSelectionAreaMatcherArr.includes(item.selectionId)
-          );
-        });
+          )
+        );
       }
     }, [ref, setSelectionAreas, setSelectionAreaData]);
 
@@ -520,10 +571,10 @@ export const DataSpreadsheetBody = forwardRef(
     // adds the active cell highlight
 
     const handleBodyCellClickEvent = useCallback(
-      (cell, columnIndex) => {
+      (rowIndex, columnIndex) => {
         return (event) => {
           handleBodyCellClick(
-            cell,
+            rowIndex,
             columnIndex,
             event,
             currentMatcher,
@@ -558,32 +609,30 @@ export const DataSpreadsheetBody = forwardRef(
       ]
     );
 
-    const handleBodyScroll = () => {
-      const headerRowElement =
-        (ref as MutableRefObject<HTMLDivElement>).current.querySelector(`
-        .${blockClass}__header--container .${blockClass}__tr`) ||
-        new HTMLDivElement();
-      headerRowElement.scrollLeft = (
-        contentScrollRef as MutableRefObject<HTMLDivElement>
-      )?.current.scrollLeft;
-    };
-
+    // Sync the scrollLeft position of the body to the header row
     useEffect(() => {
-      (
-        contentScrollRef as MutableRefObject<HTMLDivElement>
-      ).current.addEventListener('scroll', () => handleBodyScroll());
-      const contentScrollElementRef =
-        contentScrollRef.current || new HTMLElement();
+      const contentScrollElement = contentScrollRef.current;
+      const handleBodyScroll = () => {
+        const headerRowElement = (
+          ref as MutableRefObject<HTMLDivElement>
+        ).current.querySelector(
+          `.${blockClass}__header--container .${blockClass}__tr`
+        );
+        if (headerRowElement && contentScrollElement) {
+          headerRowElement.scrollLeft = contentScrollElement.scrollLeft;
+        }
+      };
+      contentScrollElement?.addEventListener('scroll', handleBodyScroll);
       return () => {
-        contentScrollElementRef.removeEventListener('scroll', handleBodyScroll);
+        contentScrollElement?.removeEventListener('scroll', handleBodyScroll);
       };
-    });
+    }, [ref]);
 
     const handleBodyCellHoverEvent = useCallback(
-      (cell, columnIndex) => {
+      (rowIndex, columnIndex) => {
         return () => {
           handleBodyCellHover(
-            cell,
+            rowIndex,
             columnIndex,
             clickAndHoldActive,
             currentMatcher,
@@ -625,8 +674,12 @@ export const DataSpreadsheetBody = forwardRef(
 
     // Builds the empty rows and calls `onDataUpdate` to set the new empty rows
     // using defaultEmptyRowCount to determine how many empty rows are created.
+    // The data is left as is when every row is hidden by a column filter.
     useEffect(() => {
-      if (!rows?.length) {
+      const isFiltered = visibleColumns?.some(
+        (column: any) => column.filterValue !== undefined
+      );
+      if (!rows?.length && !isFiltered) {
         const buildEmptyRows = () => {
           const emptyRowData: object[] = [];
           [...Array(defaultEmptyRowCount)].map(() => {
@@ -640,12 +693,24 @@ export const DataSpreadsheetBody = forwardRef(
         };
         buildEmptyRows();
       }
-    }, [rows, headerGroups, defaultEmptyRowCount, onDataUpdate]);
+    }, [
+      rows,
+      headerGroups,
+      defaultEmptyRowCount,
+      onDataUpdate,
+      visibleColumns,
+    ]);
 
     const RenderEmptyRows = () => {
       return <div />;
     };
 
+    // Only the columns scrolled into view are rendered, with spacers taking up
+    // the width of the columns on either side
+    const columnStartIndex = virtualColumns?.startIndex ?? 0;
+    const columnEndIndex =
+      virtualColumns?.endIndex ?? (visibleColumns?.length || 0) - 1;
+
     // Renders each row/cell in the spreadsheet body
     const RenderRow = useCallback(
       ({ index, style }) => {
@@ -674,6 +739,9 @@ export const DataSpreadsheetBody = forwardRef(
                   data-column-index="header"
                   type="button"
                   onClick={handleRowHeaderClickEvent(index)}
+                  onContextMenu={(event) =>
+                    onRowHeaderContextMenu?.(event, index)
+                  }
                   className={cx(
                     `${blockClass}__td`,
                     `${blockClass}__td-th`,
@@ -695,44 +763,72 @@ export const DataSpreadsheetBody = forwardRef(
                     width: defaultColumn?.rowHeaderWidth,
                   }}
                 >
-                  {index + 1}
+                  {row.index + 1}
                 </button>
               </div>
               {/* CELL BUTTONS */}
-              {row.cells.map((cell, index) => {
-                const cellProps = prepareProps(cell.getCellProps(), 'key');
-                return (
-                  <div
-                    key={`cell_${index}`}
-                    aria-colindex={index + 1}
-                    {...cellProps}
-                    role="gridcell"
-                    style={{
-                      ...cell.getCellProps().style,
-                      display: 'grid',
-                      minWidth: cell?.column?.width || defaultColumn?.width,
-                    }}
-                  >
-                    <button
-                      id={`${blockClass}__cell--${cell.row.index}--${index}`}
-                      tabIndex={-1}
-                      data-row-index={cell.row.index}
-                      data-column-index={index}
-                      className={cx(
-                        `${blockClass}__td`,
-                        `${blockClass}__body--td`,
-                        `${blockClass}--interactive-cell-element`
-                      )}
-                      onMouseDown={handleBodyCellClickEvent(cell, index)}
-                      onMouseOver={handleBodyCellHoverEvent(cell, index)}
-                      onFocus={() => {}}
-                      type="button"
+              {renderColumnSpacer(virtualColumns?.offsetLeft)}
+              {row.cells
+                .slice(columnStartIndex, columnEndIndex + 1)
+                .map((cell, columnOffset) => {
+                  const columnIndex = columnStartIndex + columnOffset;
+                  const cellProps = prepareProps(cell.getCellProps(), 'key');
+                  const formulaResult = formulaResults?.get(
+                    getCellKey(cell.row.index, cell.column.id)
+                  );
+                  // Formula errors (ie circular references) are marked like
+                  // invalid cells, other formulas validate their computed value
+                  const { invalid, message } = formulaResult?.error
+                    ? { invalid: true, message: formulaResult.message }
+                    : getCellValidation(
+                        cell.column,
+                        formulaResult ? formulaResult.value : cell.value,
+                        cell.row.original
+                      );
+                  return (
+                    <div
+                      key={`cell_${columnIndex}`}
+                      aria-colindex={columnIndex + 1}
+                      {...cellProps}
+                      role="gridcell"
+                      aria-invalid={invalid || undefined}
+                      style={{
+                        ...cell.getCellProps().style,
+                        display: 'grid',
+                        minWidth: cell?.column?.width || defaultColumn?.width,
+                      }}
                     >
-                      {cell.render('Cell')}
-                    </button>
-                  </div>
-                );
-              })}
+                      <button
+                        id={`${blockClass}__cell--${index}--${columnIndex}`}
+                        tabIndex={-1}
+                        data-row-index={index}
+                        data-column-index={columnIndex}
+                        className={cx(
+                          `${blockClass}__td`,
+                          `${blockClass}__body--td`,
+                          `${blockClass}--interactive-cell-element`,
+                          {
+                            [`${blockClass}__body--td--invalid`]: invalid,
+                          }
+                        )}
+                        title={message}
+                        onMouseDown={handleBodyCellClickEvent(
+                          index,
+                          columnIndex
+                        )}
+                        onMouseOver={handleBodyCellHoverEvent(
+                          index,
+                          columnIndex
+                        )}
+                        onFocus={() => {}}
+                        type="button"
+                      >
+                        {renderCellContent(cell, formulaResults)}
+                      </button>
+                    </div>
+                  );
+                })}
+              {renderColumnSpacer(virtualColumns?.offsetRight)}
             </div>
           );
         }
@@ -747,6 +843,11 @@ export const DataSpreadsheetBody = forwardRef(
         handleBodyCellHoverEvent,
         defaultColumn,
         columns,
+        formulaResults,
+        onRowHeaderContextMenu,
+        columnStartIndex,
+        columnEndIndex,
+        virtualColumns,
       ]
     );
 
@@ -828,6 +929,12 @@ DataSpreadsheetBody.propTypes = {
    */
   defaultEmptyRowCount: PropTypes.number,
 
+  /**
+   * The computed values of formula cells, keyed by `${rowIndex}:${columnId}`
+   */
+  /**@ts-ignore */
+  formulaResults: PropTypes.instanceOf(Map),
+
   /**
    * Function to set table body prop values
    */
@@ -854,6 +961,11 @@ DataSpreadsheetBody.propTypes = {
    */
   onDataUpdate: PropTypes.func,
 
+  /**
+   * The event handler that is called when a row header is right clicked
+   */
+  onRowHeaderContextMenu: PropTypes.func,
+
   /**
    * The event handler that is called when the selection areas change
    */
@@ -950,6 +1062,18 @@ DataSpreadsheetBody.propTypes = {
    */
   totalVisibleColumns: PropTypes.number,
 
+  /**
+   * The range of columns that are rendered, which are the columns scrolled
+   * into view along with a few columns on either side
+   */
+  /**@ts-ignore */
+  virtualColumns: PropTypes.shape({
+    startIndex: PropTypes.number,
+    endIndex: PropTypes.number,
+    offsetLeft: PropTypes.number,
+    offsetRight: PropTypes.number,
+  }),
+
   /**
    * Prop from react-table used to reorder columns
    */
@@ -17,6 +17,7 @@ import React, {
 import PropTypes from 'prop-types';
 import cx from 'classnames';
 import { px } from '@carbon/layout';
+import { ArrowDown, ArrowUp, Filter } from '@carbon/react/icons';
 import { pkg } from '../../settings';
 import { usePreviousValue } from '../../global/js/hooks';
 import { checkActiveHeaderCell } from './utils/checkActiveHeaderCell';
@@ -33,11 +34,21 @@ import {
   PrevState,
   Size,
   SpreadsheetColumn,
+  VirtualColumns,
 } from './types';
 import { Column } from 'react-table';
 
 const blockClass = `${pkg.prefix}--data-spreadsheet`;
 
+const renderColumnSpacer = (width?: number) =>
+  width ? (
+    <div
+      aria-hidden
+      className={`${blockClass}__column-spacer`}
+      style={{ flexShrink: 0, width }}
+    />
+  ) : null;
+
 interface DataSpreadsheetHeaderProps {
   /**
    * Object containing the active cell coordinates
@@ -74,6 +85,11 @@ interface DataSpreadsheetHeaderProps {
    */
   headerGroups?: any[];
 
+  /**
+   * The event handler that is called when a column header is right clicked
+   */
+  onColumnHeaderContextMenu?: (event: React.MouseEvent, index: number) => void;
+
   /**
    * All of the spreadsheet row data
    */
@@ -142,6 +158,12 @@ interface DataSpreadsheetHeaderProps {
    */
   updateActiveCellCoordinates?: (arg) => void;
 
+  /**
+   * The range of columns that are rendered, which are the columns scrolled
+   * into view along with a few columns on either side
+   */
+  virtualColumns?: VirtualColumns;
+
   /**
    * Array of visible columns provided by react-table useTable hook
    */
@@ -157,6 +179,7 @@ export const DataSpreadsheetHeader = forwardRef(
       currentMatcher,
       defaultColumn,
       headerGroups,
+      onColumnHeaderContextMenu,
       scrollBarSize,
       selectionAreas,
       selectedHeaderReorderActive,
@@ -171,6 +194,7 @@ export const DataSpreadsheetHeader = forwardRef(
       setHeaderCellHoldActive,
       headerCellHoldActive,
       selectAllAriaLabel,
+      virtualColumns,
       visibleColumns,
     }: DataSpreadsheetHeaderProps,
     ref: ForwardedRef<HTMLDivElement>
@@ -302,6 +326,12 @@ export const DataSpreadsheetHeader = forwardRef(
 
     useSpreadsheetMouseMove({ ref, headerCellHoldActive, defaultColumn });
 
+    // Only the columns scrolled into view are rendered, with spacers taking up
+    // the width of the columns on either side
+    const columnStartIndex = virtualColumns?.startIndex ?? 0;
+    const columnEndIndex =
+      virtualColumns?.endIndex ?? (visibleColumns?.length || 0) - 1;
+
     return (
       <div className={cx(`${blockClass}__header--container`)} role="rowgroup">
         {headerGroups?.map((headerGroup, index) => {
@@ -360,70 +390,102 @@ export const DataSpreadsheetHeader = forwardRef(
                 </button>
               </div>
               {/* COLUMN HEADER BUTTONS */}
-              {headerGroup.headers.map((column, index) => {
-                const colProps = prepareProps(column.getHeaderProps(), 'key');
-                const selectedHeader = checkSelectedHeaderCell(
-                  index,
-                  selectionAreas,
-                  'column',
-                  rows
-                );
-                return (
-                  <div
-                    key={`column_${index}`}
-                    role="columnheader"
-                    className={`${blockClass}__columnheader`}
-                    {...colProps}
-                  >
-                    <button
-                      id={`${blockClass}__cell--header--${index}`}
-                      data-row-index="header"
-                      data-column-index={index}
-                      tabIndex={-1}
-                      onMouseDown={
-                        selectedHeader
-                          ? handleHeaderMouseDown(index)
-                          : undefined
-                      }
-                      onMouseUp={
-                        selectedHeader &&
-                        typeof setSelectedHeaderReorderActive === 'function'
-                          ? () => setSelectedHeaderReorderActive(false)
-                          : undefined
-                      }
-                      onClick={
-                        !selectedHeader
-                          ? handleColumnHeaderClick(index)
-                          : undefined
-                      }
-                      style={{
-                        height: defaultColumn?.rowHeight,
-                        width: column?.width || defaultColumn?.width,
-                      }}
-                      className={cx(
-                        `${blockClass}__th`,
-                        `${blockClass}--interactive-cell-element`,
-                        {
-                          [`${blockClass}__th--active-header`]:
-                            activeCellCoordinates?.column === index ||
-                            checkActiveHeaderCell(
-                              index,
-                              selectionAreas,
-                              'column'
-                            ),
-                          [`${blockClass}__th--selected-header`]:
-                            selectedHeader,
-                          [`${blockClass}__th--selected-header-reorder-active`]:
-                            selectedHeaderReorderActive,
-                        }
-                      )}
-                      type="button"
+              {renderColumnSpacer(virtualColumns?.offsetLeft)}
+              {headerGroup.headers
+                .slice(columnStartIndex, columnEndIndex + 1)
+                .map((column, columnOffset) => {
+                  const index = columnStartIndex + columnOffset;
+                  const colProps = prepareProps(column.getHeaderProps(), 'key');
+                  const selectedHeader = checkSelectedHeaderCell(
+                    index,
+                    selectionAreas,
+                    'column',
+                    rows
+                  );
+                  const sortDirection = column.isSortedDesc
+                    ? 'descending'
+                    : 'ascending';
+                  return (
+                    <div
+                      key={`column_${index}`}
+                      role="columnheader"
+                      className={`${blockClass}__columnheader`}
+                      aria-sort={column.isSorted ? sortDirection : undefined}
+                      {...colProps}
                     >
-                      {column.render('Header')}
-                    </button>
-                  </div>
-                );
-              })}
+                      <button
+                        id={`${blockClass}__cell--header--${index}`}
+                        data-row-index="header"
+                        data-column-index={index}
+                        tabIndex={-1}
+                        onMouseDown={
+                          selectedHeader
+                            ? handleHeaderMouseDown(index)
+                            : undefined
+                        }
+                        onMouseUp={
+                          selectedHeader &&
+                          typeof setSelectedHeaderReorderActive === 'function'
+                            ? () => setSelectedHeaderReorderActive(false)
+                            : undefined
+                        }
+                        onClick={
+                          !selectedHeader
+                            ? handleColumnHeaderClick(index)
+                            : undefined
+                        }
+                        onContextMenu={(event) =>
+                          onColumnHeaderContextMenu?.(event, index)
+                        }
+                        style={{
+                          height: defaultColumn?.rowHeight,
+                          width: column?.width || defaultColumn?.width,
+                        }}
+                        className={cx(
+                          `${blockClass}__th`,
+                          `${blockClass}--interactive-cell-element`,
+                          {
+                            [`${blockClass}__th--active-header`]:
+                              activeCellCoordinates?.column === index ||
+                              checkActiveHeaderCell(
+                                index,
+                                selectionAreas,
+                                'column'
+                              ),
+                            [`${blockClass}__th--selected-header`]:
+                              selectedHeader,
+                            [`${blockClass}__th--selected-header-reorder-active`]:
+                              selectedHeaderReorderActive,
+                          }
+                        )}
+                        type="button"
+                      >
+                        {column.render('Header')}
+                        {/* SORT AND FILTER INDICATORS */}
+                        {(column.isSorted || column.filterValue) && (
+                          <span className={`${blockClass}__th-indicators`}>
+                            {column.isSorted &&
+                              (column.isSortedDesc ? (
+                                <ArrowDown
+                                  className={`${blockClass}__th-indicator--sort`}
+                                />
+                              ) : (
+                                <ArrowUp
+                                  className={`${blockClass}__th-indicator--sort`}
+                                />
+                              ))}
+                            {column.filterValue && (
+                              <Filter
+                                className={`${blockClass}__th-indicator--filter`}
+                              />
+                            )}
+                          </span>
+                        )}
+                      </button>
+                    </div>
+                  );
+                })}
+              {renderColumnSpacer(virtualColumns?.offsetRight)}
             </div>
           );
         })}
@@ -477,6 +539,11 @@ DataSpreadsheetHeader.propTypes = {
    */
   headerGroups: PropTypes.arrayOf(PropTypes.object),
 
+  /**
+   * The event handler that is called when a column header is right clicked
+   */
+  onColumnHeaderContextMenu: PropTypes.func,
+
   /**
    * All of the spreadsheet row data
    */
@@ -545,6 +612,18 @@ DataSpreadsheetHeader.propTypes = {
    */
   updateActiveCellCoordinates: PropTypes.func,
 
+  /**
+   * The range of columns that are rendered, which are the columns scrolled
+   * into view along with a few columns on either side
+   */
+  /**@ts-ignore */
+  virtualColumns: PropTypes.shape({
+    startIndex: PropTypes.number,
+    endIndex: PropTypes.number,
+    offsetLeft: PropTypes.number,
+    offsetRight: PropTypes.number,
+  }),
+
   /**
    * Array of visible columns provided by react-table useTable hook
    */
@@ -9,6 +9,13 @@ export { useMoveActiveCell } from './useMoveActiveCell';
 export { useMultipleKeyTracking } from './useMultipleKeyTracking';
 export { useResetSpreadsheetFocus } from './useResetSpreadsheetFocus';
 export { useSpreadsheetOutsideClick } from './useSpreadsheetOutsideClick';
+export { useSpreadsheetColumnMenu } from './useSpreadsheetColumnMenu';
 export { useSpreadsheetEdit } from './useSpreadsheetEdit';
+export { useSpreadsheetFillHandle } from './useSpreadsheetFillHandle';
+export { useSpreadsheetFormulas } from './useSpreadsheetFormulas';
+export { useSpreadsheetHistory } from './useSpreadsheetHistory';
+export { useSpreadsheetRowActions } from './useSpreadsheetRowActions';
+export { useSpreadsheetRowReorder } from './useSpreadsheetRowReorder';
+export { useSpreadsheetVirtualColumns } from './useSpreadsheetVirtualColumns';
 export { useSpreadsheetMouseUp } from './useSpreadsheetMouseUp';
 export { useSpreadsheetMouseMove } from './useSpreadsheetMouseMove';
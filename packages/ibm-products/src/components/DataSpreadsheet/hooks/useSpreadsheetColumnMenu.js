@@ -0,0 +1,181 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useState } from 'react';
+import { pkg } from '../../../settings';
+import { removeCellSelections } from '../utils/removeCellSelections';
+import { getColumnFilterOptions, sortRows } from '../utils/sortAndFilterRows';
+
+// The number of values listed in the filter by value submenu
+const maxFilterOptions = 100;
+
+// Sorts and filters the rows of the spreadsheet from the column header menu,
+// without changing the order of the data unless the sort is applied to it
+// through `updateRows`
+export const useSpreadsheetColumnMenu = ({
+  activeCellCoordinates,
+  blockClass = `${pkg.prefix}--data-spreadsheet`,
+  preFilteredRows,
+  setActiveCellCoordinates,
+  setSelectionAreaData,
+  setSelectionAreas,
+  setSortBy,
+  sortBy,
+  spreadsheetRef,
+  updateRows,
+  visibleColumns,
+}) => {
+  const [columnMenu, setColumnMenu] = useState({
+    open: false,
+    x: 0,
+    y: 0,
+    columnIndex: 0,
+  });
+  const column = visibleColumns[columnMenu.columnIndex];
+
+  // The sort is applied to the data in the order of all the rows sorted like
+  // react-table sorts them, including the rows the filters leave out
+  const applySort = useCallback(() => {
+    const order = sortRows(preFilteredRows, sortBy, visibleColumns).map(
+      (row) => row.index
+    );
+    if (order.some((previousIndex, index) => previousIndex !== index)) {
+      updateRows({ type: 'sortRows', order });
+    }
+    setSortBy([]);
+  }, [preFilteredRows, setSortBy, sortBy, updateRows, visibleColumns]);
+
+  // The distinct values of the column, with the values that are not
+  // filtered out selected. The other column filters are applied to the rows
+  // the values are taken from. react-table updates its column objects in
+  // place, so the options are not memoized.
+  const columnFilterOptions =
+    columnMenu.open && column?.canFilter
+      ? getColumnFilterOptions(column.preFilteredRows, column.id)
+          .slice(0, maxFilterOptions)
+          .map((option) => ({
+            ...option,
+            selected:
+              !column.filterValue || column.filterValue.includes(option.key),
+          }))
+      : [];
+
+  // Toggles a value of the column filter, removing the filter once every
+  // value is selected again
+  const toggleFilterValue = useCallback((targetColumn, key) => {
+    const keys = getColumnFilterOptions(
+      targetColumn.preFilteredRows,
+      targetColumn.id
+    ).map((option) => option.key);
+    const filterValue = targetColumn.filterValue || keys;
+    const nextFilterValue = filterValue.includes(key)
+      ? filterValue.filter((filterKey) => filterKey !== key)
+      : [...filterValue, key];
+    targetColumn.setFilter(
+      keys.every((filterKey) => nextFilterValue.includes(filterKey))
+        ? undefined
+        : nextFilterValue
+    );
+  }, []);
+
+  // Runs a column menu action, ie sorting a column or toggling one of its
+  // filter values. The selection areas no longer line up with the rows
+  // afterwards, so they are cleared and the column header becomes active.
+  const handleColumnAction = useCallback(
+    (action, columnIndex, filterKey) => {
+      const targetColumn = visibleColumns[columnIndex];
+      if (!targetColumn) {
+        return;
+      }
+      switch (action) {
+        case 'sortAscending':
+        case 'sortDescending':
+          targetColumn.toggleSortBy(action === 'sortDescending', false);
+          break;
+        case 'clearSort':
+          targetColumn.clearSortBy();
+          break;
+        case 'applySort':
+          applySort();
+          break;
+        case 'filter':
+          toggleFilterValue(targetColumn, filterKey);
+          break;
+        case 'clearFilter':
+          targetColumn.setFilter(undefined);
+          break;
+      }
+      removeCellSelections({ spreadsheetRef });
+      setSelectionAreas([]);
+      setSelectionAreaData([]);
+      setActiveCellCoordinates({ row: 'header', column: columnIndex });
+    },
+    [
+      applySort,
+      setActiveCellCoordinates,
+      setSelectionAreaData,
+      setSelectionAreas,
+      spreadsheetRef,
+      toggleFilterValue,
+      visibleColumns,
+    ]
+  );
+
+  // Opens the column menu of the column header that was right clicked
+  const handleColumnHeaderContextMenu = useCallback((event, index) => {
+    event.preventDefault();
+    setColumnMenu({
+      open: true,
+      x: event.clientX,
+      y: event.clientY,
+      columnIndex: index,
+    });
+  }, []);
+
+  // Opens the column menu below the active column header with ALT +
+  // ArrowDown, returning true when the event opened the menu
+  const handleColumnMenuKeyDown = useCallback(
+    (event) => {
+      if (
+        !event.altKey ||
+        event.key !== 'ArrowDown' ||
+        activeCellCoordinates?.row !== 'header' ||
+        typeof activeCellCoordinates?.column !== 'number'
+      ) {
+        return false;
+      }
+      event.preventDefault();
+      const headerCell = spreadsheetRef.current?.querySelector(
+        `#${blockClass}__cell--header--${activeCellCoordinates.column}`
+      );
+      const { left, bottom } =
+        headerCell?.getBoundingClientRect() || new DOMRect();
+      setColumnMenu({
+        open: true,
+        x: left,
+        y: bottom,
+        columnIndex: activeCellCoordinates.column,
+      });
+      return true;
+    },
+    [activeCellCoordinates, blockClass, spreadsheetRef]
+  );
+
+  const closeColumnMenu = useCallback(
+    () => setColumnMenu((prev) => ({ ...prev, open: false })),
+    []
+  );
+
+  return {
+    closeColumnMenu,
+    columnFilterOptions,
+    columnMenu,
+    handleColumnAction,
+    handleColumnHeaderContextMenu,
+    handleColumnMenuKeyDown,
+  };
+};
@@ -35,8 +35,7 @@ export const useSpreadsheetEdit = ({
     const rulerWidth = cellEditorRulerRef.current.offsetWidth;
     const cellEditorCurrentWidth = parseInt(cellEditorRef.current.style.width);
     if (isEditing) {
-      const cellProps =
-        rows[activeCellCoordinates?.row]?.cells[activeCellCoordinates?.column];
+      const activeColumn = visibleColumns[activeCellCoordinates?.column];
       const activeCellLeftPosition = activeCellRef?.current.style.left;
       const activeCellTopPosition = activeCellRef?.current.style.top;
       cellEditorRef.current.style.left = activeCellLeftPosition;
@@ -47,7 +46,7 @@ export const useSpreadsheetEdit = ({
         (parseInt(activeCellRef?.current.style.height) - 16) / 2 - 1
       }px`; // calculate paddingTop based on cellHeight which could be variable depending on the cellSize prop
       cellEditorRef.current.style.textAlign =
-        cellProps?.column?.placement === 'right' ? 'right' : 'left';
+        activeColumn?.placement === 'right' ? 'right' : 'left';
       cellEditorRef.current?.focus();
 
       if (rulerWidth < cellEditorCurrentWidth) {
@@ -0,0 +1,217 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef } from 'react';
+import { px } from '@carbon/layout';
+import { pkg } from '../../../settings';
+import uuidv4 from '../../../global/js/utils/uuidv4';
+import { getActiveSelectionBounds } from '../utils/getActiveSelectionBounds';
+import { getFillArea, getFillUpdates } from '../utils/getFillUpdates';
+import { removeCellSelections } from '../utils/removeCellSelections';
+
+// Adds a fill handle to the bottom right corner of the current selection
+// area. Dragging the handle previews the cells to fill and, on mouse up,
+// fills them with copies or a continued series of the selected values
+// through a single `updateCells` call.
+export const useSpreadsheetFillHandle = ({
+  activeCellCoordinates,
+  blockClass = `${pkg.prefix}--data-spreadsheet`,
+  currentMatcher,
+  defaultColumn,
+  isEditing,
+  ref,
+  rows,
+  selectionAreas,
+  setCurrentMatcher,
+  setSelectionAreas,
+  updateCells,
+  visibleColumns,
+}) => {
+  // The drag handlers are attached to the document, so they read the latest
+  // values from a ref instead of being attached again on every render
+  const latestValuesRef = useRef(null);
+  latestValuesRef.current = {
+    activeCellCoordinates,
+    currentMatcher,
+    defaultColumn,
+    rows,
+    selectionAreas,
+    setCurrentMatcher,
+    setSelectionAreas,
+    updateCells,
+    visibleColumns,
+  };
+
+  useEffect(() => {
+    const spreadsheetElement = ref.current;
+    const bodyContainer = spreadsheetElement?.querySelector(
+      `.${blockClass}__list--container`
+    )?.firstElementChild;
+    if (!bodyContainer) {
+      return;
+    }
+    let fillHandle = spreadsheetElement.querySelector(
+      `.${blockClass}__fill-handle`
+    );
+    if (!fillHandle) {
+      fillHandle = document.createElement('div');
+      fillHandle.classList.add(`${blockClass}__fill-handle`);
+      fillHandle.setAttribute('aria-hidden', 'true');
+    }
+    // The fill handle is removed when the body container is re-rendered
+    bodyContainer.appendChild(fillHandle);
+    const currentArea = selectionAreas?.find(
+      (item) => item.matcher === currentMatcher
+    );
+    const selectionAreaElement = spreadsheetElement.querySelector(
+      `[data-matcher-id="${currentMatcher}"]`
+    );
+    if (
+      isEditing ||
+      !currentArea?.point2 ||
+      !selectionAreaElement ||
+      selectionAreas.length > 1
+    ) {
+      fillHandle.style.display = 'none';
+      return;
+    }
+    const { left, top, width, height } = selectionAreaElement.style;
+    fillHandle.style.left = px(parseFloat(left) + parseFloat(width));
+    fillHandle.style.top = px(parseFloat(top) + parseFloat(height));
+    fillHandle.style.display = 'block';
+
+    let fillPreview;
+    let fillArea = null;
+    let bounds;
+
+    // Positions the dashed fill preview around the selection area and the
+    // cells that will be filled
+    const updateFillPreview = () => {
+      if (!fillArea) {
+        fillPreview.style.display = 'none';
+        return;
+      }
+      const { defaultColumn, visibleColumns } = latestValuesRef.current;
+      const rowHeight =
+        parseFloat(height) /
+        (bounds.greatestRowIndex - bounds.lowestRowIndex + 1);
+      const getColumnsWidth = (start, end) =>
+        visibleColumns
+          .slice(start, end + 1)
+          .reduce(
+            (total, column) => total + (column.width || defaultColumn?.width),
+            0
+          );
+      const fillRowCount =
+        fillArea.greatestRowIndex - fillArea.lowestRowIndex + 1;
+      const isVertical =
+        fillArea.direction === 'down' || fillArea.direction === 'up';
+      const previewPlacement = {
+        left: parseFloat(left),
+        top: parseFloat(top),
+        width: parseFloat(width),
+        height: parseFloat(height),
+      };
+      if (isVertical) {
+        previewPlacement.height += rowHeight * fillRowCount;
+        if (fillArea.direction === 'up') {
+          previewPlacement.top -= rowHeight * fillRowCount;
+        }
+      } else {
+        const fillWidth = getColumnsWidth(
+          fillArea.lowestColumnIndex,
+          fillArea.greatestColumnIndex
+        );
+        previewPlacement.width += fillWidth;
+        if (fillArea.direction === 'left') {
+          previewPlacement.left -= fillWidth;
+        }
+      }
+      Object.entries(previewPlacement).forEach(([property, value]) => {
+        fillPreview.style[property] = px(value);
+      });
+      fillPreview.style.display = 'block';
+    };
+
+    const handleFillMouseMove = (event) => {
+      const closestBodyCell = event.target?.closest?.(
+        `.${blockClass}__body--td`
+      );
+      if (!closestBodyCell) {
+        return;
+      }
+      fillArea = getFillArea(bounds, {
+        row: Number(closestBodyCell.getAttribute('data-row-index')),
+        column: Number(closestBodyCell.getAttribute('data-column-index')),
+      });
+      updateFillPreview();
+    };
+
+    const handleFillMouseUp = () => {
+      document.removeEventListener('mouseover', handleFillMouseMove);
+      document.removeEventListener('mouseup', handleFillMouseUp);
+      fillPreview.remove();
+      if (!fillArea) {
+        return;
+      }
+      const {
+        rows,
+        setCurrentMatcher,
+        setSelectionAreas,
+        updateCells,
+        visibleColumns,
+      } = latestValuesRef.current;
+      updateCells(getFillUpdates({ bounds, fillArea, rows, visibleColumns }));
+
+      // Grow the selection area to cover the filled cells
+      const tempMatcher = uuidv4();
+      removeCellSelections({ spreadsheetRef: ref });
+      setSelectionAreas([
+        {
+          point1: {
+            row: Math.min(bounds.lowestRowIndex, fillArea.lowestRowIndex),
+            column: Math.min(
+              bounds.lowestColumnIndex,
+              fillArea.lowestColumnIndex
+            ),
+          },
+          point2: {
+            row: Math.max(bounds.greatestRowIndex, fillArea.greatestRowIndex),
+            column: Math.max(
+              bounds.greatestColumnIndex,
+              fillArea.greatestColumnIndex
+            ),
+          },
+          areaCreated: false,
+          matcher: tempMatcher,
+        },
+      ]);
+      setCurrentMatcher(tempMatcher);
+    };
+
+    const handleFillHandleMouseDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      bounds = getActiveSelectionBounds(latestValuesRef.current);
+      if (!bounds) {
+        return;
+      }
+      fillArea = null;
+      fillPreview = document.createElement('div');
+      fillPreview.classList.add(`${blockClass}__fill-area--element`);
+      fillPreview.style.display = 'none';
+      bodyContainer.appendChild(fillPreview);
+      document.addEventListener('mouseover', handleFillMouseMove);
+      document.addEventListener('mouseup', handleFillMouseUp);
+    };
+
+    fillHandle.addEventListener('mousedown', handleFillHandleMouseDown);
+    return () => {
+      fillHandle.removeEventListener('mousedown', handleFillHandleMouseDown);
+    };
+  }, [blockClass, currentMatcher, isEditing, ref, selectionAreas]);
+};
@@ -0,0 +1,169 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useMemo, useRef } from 'react';
+import { getCellKey } from '../utils/cellReferences';
+import { createFormulaError, evaluateFormula } from '../utils/evaluateFormula';
+import {
+  getFormulaReferences,
+  isFormula,
+  parseFormula,
+} from '../utils/parseFormula';
+
+// Computes the value of every formula cell (a value starting with `=`) and
+// keeps track of the cells each formula depends on. When the data changes,
+// only the changed cells and the formulas that depend on them are
+// recalculated. Returns a Map of `${rowIndex}:${columnId}` keys to either
+// { value } or { error, message } for each formula cell, or null when
+// formulas are not enabled.
+export const useSpreadsheetFormulas = ({
+  enableFormulas,
+  rows,
+  visibleColumns,
+}) => {
+  const engineRef = useRef(null);
+
+  return useMemo(() => {
+    if (!enableFormulas) {
+      engineRef.current = null;
+      return null;
+    }
+    const columnIds = visibleColumns.map((column) => column.id);
+    const previousEngine = engineRef.current;
+    // References are resolved by column position, so the formulas are
+    // rebuilt from scratch when the columns or number of rows change
+    const rebuild =
+      !previousEngine ||
+      previousEngine.columnIds.join() !== columnIds.join() ||
+      previousEngine.rows.length !== rows.length;
+    const engine = rebuild
+      ? {
+          columnIds,
+          rows: [],
+          formulas: new Map(),
+          dependents: new Map(),
+          results: new Map(),
+        }
+      : previousEngine;
+
+    const unregisterFormula = (key) => {
+      engine.formulas.get(key)?.references.forEach((referenceKey) => {
+        engine.dependents.get(referenceKey)?.delete(key);
+      });
+      engine.formulas.delete(key);
+    };
+
+    const registerFormula = (key, value) => {
+      let formula;
+      try {
+        const tree = parseFormula(value);
+        formula = {
+          tree,
+          references: getFormulaReferences(tree).map(({ row, column }) =>
+            getCellKey(row, columnIds[column] ?? column)
+          ),
+        };
+      } catch (error) {
+        formula = { error, references: [] };
+      }
+      formula.references.forEach((referenceKey) => {
+        if (!engine.dependents.has(referenceKey)) {
+          engine.dependents.set(referenceKey, new Set());
+        }
+        engine.dependents.get(referenceKey).add(key);
+      });
+      engine.formulas.set(key, formula);
+    };
+
+    // Find the cells that changed since the last render, rows that were not
+    // updated keep their original object reference
+    const changedKeys = [];
+    rows.forEach((row, rowIndex) => {
+      const previousRow = engine.rows[rowIndex];
+      if (previousRow?.original === row.original) {
+        return;
+      }
+      columnIds.forEach((columnId) => {
+        const value = row.values[columnId];
+        if (previousRow && previousRow.values[columnId] === value) {
+          return;
+        }
+        const key = getCellKey(rowIndex, columnId);
+        changedKeys.push(key);
+        unregisterFormula(key);
+        if (isFormula(value)) {
+          registerFormula(key, value);
+        }
+      });
+    });
+    engine.rows = rows;
+
+    // Every cell that depends on a changed cell, directly or through other
+    // formulas, needs to be recalculated
+    const dirtyKeys = new Set(changedKeys);
+    const pendingKeys = [...changedKeys];
+    while (pendingKeys.length) {
+      engine.dependents.get(pendingKeys.pop())?.forEach((dependentKey) => {
+        if (!dirtyKeys.has(dependentKey)) {
+          dirtyKeys.add(dependentKey);
+          pendingKeys.push(dependentKey);
+        }
+      });
+    }
+    dirtyKeys.forEach((key) => engine.results.delete(key));
+
+    const visitingKeys = new Set();
+    const computeFormula = (key) => {
+      if (engine.results.has(key)) {
+        return engine.results.get(key);
+      }
+      const formula = engine.formulas.get(key);
+      let result;
+      visitingKeys.add(key);
+      try {
+        if (formula.error) {
+          throw createFormulaError('#ERROR!', formula.error.message);
+        }
+        const value = evaluateFormula(formula.tree, (rowIndex, columnIndex) => {
+          const columnId = columnIds[columnIndex];
+          if (!rows[rowIndex] || columnId === undefined) {
+            throw createFormulaError('#REF!', 'Reference is out of range');
+          }
+          const referenceKey = getCellKey(rowIndex, columnId);
+          if (!engine.formulas.has(referenceKey)) {
+            return rows[rowIndex].values[columnId];
+          }
+          if (visitingKeys.has(referenceKey)) {
+            throw createFormulaError('#CIRC!', 'Circular reference');
+          }
+          const referenceResult = computeFormula(referenceKey);
+          if (referenceResult.error) {
+            throw createFormulaError(
+              referenceResult.error,
+              referenceResult.message
+            );
+          }
+          return referenceResult.value;
+        });
+        result = { value };
+      } catch (error) {
+        result = { error: error.code || '#ERROR!', message: error.message };
+      }
+      visitingKeys.delete(key);
+      engine.results.set(key, result);
+      return result;
+    };
+    dirtyKeys.forEach((key) => {
+      if (engine.formulas.has(key)) {
+        computeFormula(key);
+      }
+    });
+
+    engineRef.current = engine;
+    return new Map(engine.results);
+  }, [enableFormulas, rows, visibleColumns]);
+};
@@ -0,0 +1,115 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useRef } from 'react';
+import { getInverseRowOperation } from '../utils/applyRowOperation';
+
+const maxHistoryLength = 100;
+
+// Keeps track of the undo/redo history for cell edits, bulk cell updates
+// (deletion, cut and paste), column reordering and row operations. History
+// entries are either { type: 'cells', cells: [{ row, columnId, previousValue,
+// value }] }, { type: 'columnOrder', previousColumnOrder, columnOrder } or
+// { type: 'rows', operation } (see applyRowOperation). `onHistoryChange` is
+// called with { canUndo, canRedo } when either of them changes.
+export const useSpreadsheetHistory = ({
+  commitCellUpdates,
+  commitRowOperation,
+  setColumnOrder,
+  onColumnOrderRestore,
+  onRowOperationRestore,
+  onHistoryChange,
+}) => {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const historyStateRef = useRef({ canUndo: false, canRedo: false });
+  const onHistoryChangeRef = useRef(onHistoryChange);
+  onHistoryChangeRef.current = onHistoryChange;
+
+  const updateHistoryState = useCallback(() => {
+    const canUndo = undoStackRef.current.length > 0;
+    const canRedo = redoStackRef.current.length > 0;
+    const { current } = historyStateRef;
+    if (current.canUndo !== canUndo || current.canRedo !== canRedo) {
+      historyStateRef.current = { canUndo, canRedo };
+      onHistoryChangeRef.current?.(historyStateRef.current);
+    }
+  }, []);
+
+  const addHistoryEntry = useCallback(
+    (entry) => {
+      undoStackRef.current = [...undoStackRef.current, entry].slice(
+        -maxHistoryLength
+      );
+      // A new change invalidates anything that was previously undone
+      redoStackRef.current = [];
+      updateHistoryState();
+    },
+    [updateHistoryState]
+  );
+
+  const restoreHistoryEntry = useCallback(
+    (entry, type) => {
+      if (entry.type === 'cells') {
+        commitCellUpdates(
+          entry.cells.map((cell) => ({
+            ...cell,
+            value: type === 'undo' ? cell.previousValue : cell.value,
+          }))
+        );
+      }
+      if (entry.type === 'columnOrder') {
+        setColumnOrder(
+          type === 'undo' ? entry.previousColumnOrder : entry.columnOrder
+        );
+        onColumnOrderRestore?.();
+      }
+      if (entry.type === 'rows') {
+        commitRowOperation(
+          type === 'undo'
+            ? getInverseRowOperation(entry.operation)
+            : entry.operation
+        );
+        onRowOperationRestore?.();
+      }
+    },
+    [
+      commitCellUpdates,
+      commitRowOperation,
+      setColumnOrder,
+      onColumnOrderRestore,
+      onRowOperationRestore,
+    ]
+  );
+
+  const undo = useCallback(() => {
+    const entry = undoStackRef.current[undoStackRef.current.length - 1];
+    if (!entry) {
+      return;
+    }
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    redoStackRef.current = [...redoStackRef.current, entry];
+    updateHistoryState();
+    restoreHistoryEntry(entry, 'undo');
+  }, [restoreHistoryEntry, updateHistoryState]);
+
+  const redo = useCallback(() => {
+    const entry = redoStackRef.current[redoStackRef.current.length - 1];
+    if (!entry) {
+      return;
+    }
+    redoStackRef.current = redoStackRef.current.slice(0, -1);
+    undoStackRef.current = [...undoStackRef.current, entry];
+    updateHistoryState();
+    restoreHistoryEntry(entry, 'redo');
+  }, [restoreHistoryEntry, updateHistoryState]);
+
+  const canUndo = useCallback(() => undoStackRef.current.length > 0, []);
+  const canRedo = useCallback(() => redoStackRef.current.length > 0, []);
+
+  return { addHistoryEntry, undo, redo, canUndo, canRedo };
+};
@@ -164,8 +164,11 @@ export const useSpreadsheetMouseUp = ({
                 `.${blockClass}__th--selected-header`
               )
             )[0];
+            // The first selected header can be scrolled out of view, in
+            // which case the selection area is placed when it is created
+            // again with the new column order
             const firstSelectedHeaderCoords =
-              firstSelectedHeader.getBoundingClientRect();
+              firstSelectedHeader?.getBoundingClientRect() || new DOMRect();
             const newRelativePosition =
               firstSelectedHeaderCoords.left -
               spreadsheetPosition.left +
@@ -30,6 +30,11 @@ export const useSpreadsheetOutsideClick = ({
         ) ||
         event.target.classList.contains(
           `${blockClass}--interactive-cell-element`
+        ) ||
+        // The row actions and column menus are rendered outside of the
+        // spreadsheet
+        event.target.closest?.(
+          `.${blockClass}__row-actions-menu, .${blockClass}__column-menu`
         )
       ) {
         return;
@@ -0,0 +1,254 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import uuidv4 from '../../../global/js/utils/uuidv4';
+import { checkForHoldingKey } from '../utils/checkForHoldingKey';
+import { getActiveSelectionBounds } from '../utils/getActiveSelectionBounds';
+import { removeCellSelections } from '../utils/removeCellSelections';
+
+const getIndexes = (start, count) =>
+  Array.from({ length: count }, (_, index) => start + index);
+
+// Returns the row action for a keyboard shortcut, ie CMD + ALT + = inserts
+// rows above the selection and ALT + SHIFT + ArrowUp moves them up
+const getRowActionFromKeyboardEvent = (event) => {
+  const isHoldingCommandKey = checkForHoldingKey(event, 'cmd');
+  if (isHoldingCommandKey && event.altKey && event.code === 'Equal') {
+    return event.shiftKey ? 'insertBelow' : 'insertAbove';
+  }
+  if (isHoldingCommandKey && event.altKey && event.code === 'Minus') {
+    return 'delete';
+  }
+  if (!isHoldingCommandKey && event.altKey && event.shiftKey) {
+    return { ArrowUp: 'moveUp', ArrowDown: 'moveDown' }[event.key] || null;
+  }
+  return null;
+};
+
+// Inserts, deletes and moves the selected rows (or the row of the active
+// cell) through `updateRows`, and keeps track of the row header context menu.
+// Rows can only be inserted or moved while the rows are shown in data order,
+// not while they are sorted or filtered.
+export const useSpreadsheetRowActions = ({
+  activeCellCoordinates,
+  currentMatcher,
+  isSortedOrFiltered,
+  rows,
+  selectionAreas,
+  setActiveCellCoordinates,
+  setCurrentMatcher,
+  setSelectionAreaData,
+  setSelectionAreas,
+  spreadsheetRef,
+  updateActiveCellCoordinates,
+  updateRows,
+  visibleColumns,
+}) => {
+  const [rowActionsMenu, setRowActionsMenu] = useState({
+    open: false,
+    x: 0,
+    y: 0,
+    rowRange: { start: 0, end: 0 },
+  });
+
+  const selectedRowRange = useMemo(() => {
+    const bounds = getActiveSelectionBounds({
+      activeCellCoordinates,
+      currentMatcher,
+      selectionAreas,
+    });
+    if (bounds) {
+      return { start: bounds.lowestRowIndex, end: bounds.greatestRowIndex };
+    }
+    // The active cell can be placed in a row header without a selection area
+    return typeof activeCellCoordinates?.row === 'number'
+      ? { start: activeCellCoordinates.row, end: activeCellCoordinates.row }
+      : null;
+  }, [activeCellCoordinates, currentMatcher, selectionAreas]);
+
+  // Selects whole rows, the same way as clicking on a row header
+  const selectRows = useCallback(
+    (start, end) => {
+      const tempMatcher = uuidv4();
+      removeCellSelections({ spreadsheetRef });
+      setSelectionAreaData([]);
+      setActiveCellCoordinates({ row: start, column: 0 });
+      setSelectionAreas([
+        {
+          point1: { row: start, column: 0 },
+          point2: { row: end, column: visibleColumns.length - 1 },
+          areaCreated: false,
+          matcher: tempMatcher,
+          header: {
+            type: 'row',
+            selectedIndexList: getIndexes(start, end - start + 1),
+          },
+        },
+      ]);
+      setCurrentMatcher(tempMatcher);
+    },
+    [
+      spreadsheetRef,
+      setActiveCellCoordinates,
+      setCurrentMatcher,
+      setSelectionAreaData,
+      setSelectionAreas,
+      visibleColumns.length,
+    ]
+  );
+
+  // Moves the rows from `start` to `end` so that the first one ends up at
+  // `toIndex`, keeping them selected
+  const moveRows = useCallback(
+    (start, end, toIndex) => {
+      const count = end - start + 1;
+      if (
+        isSortedOrFiltered ||
+        toIndex === start ||
+        toIndex < 0 ||
+        toIndex + count > rows.length
+      ) {
+        return;
+      }
+      updateRows({
+        type: 'moveRows',
+        indexes: getIndexes(start, count),
+        toIndex,
+      });
+      selectRows(toIndex, toIndex + count - 1);
+    },
+    [isSortedOrFiltered, rows.length, selectRows, updateRows]
+  );
+
+  // Runs a row action on a range of rows, which defaults to the selected rows
+  const handleRowAction = useCallback(
+    (action, rowRange = selectedRowRange) => {
+      if (!rowRange) {
+        return;
+      }
+      const { start, end } = rowRange;
+      const count = end - start + 1;
+      switch (action) {
+        // Inserts as many empty rows as there are selected rows
+        case 'insertAbove':
+        case 'insertBelow': {
+          if (isSortedOrFiltered) {
+            break;
+          }
+          const firstIndex = action === 'insertAbove' ? start : end + 1;
+          const indexes = getIndexes(firstIndex, count);
+          updateRows({
+            type: 'insertRows',
+            indexes,
+            rows: indexes.map(() =>
+              Object.fromEntries(visibleColumns.map(({ id }) => [id, null]))
+            ),
+          });
+          selectRows(firstIndex, firstIndex + count - 1);
+          break;
+        }
+        // The rows are deleted by their index in the data, which differs
+        // from their position in the view while the rows are sorted
+        case 'delete': {
+          const deletedRows = getIndexes(start, count)
+            .map((index) => rows[index])
+            .sort((row1, row2) => row1.index - row2.index);
+          updateRows({
+            type: 'deleteRows',
+            indexes: deletedRows.map((row) => row.index),
+            rows: deletedRows.map((row) => row.original),
+          });
+          removeCellSelections({ spreadsheetRef });
+          setSelectionAreaData([]);
+          updateActiveCellCoordinates({
+            coords: {
+              row: Math.max(Math.min(start, rows.length - count - 1), 0),
+              column:
+                typeof activeCellCoordinates?.column === 'number'
+                  ? activeCellCoordinates.column
+                  : 0,
+            },
+          });
+          break;
+        }
+        case 'moveUp':
+        case 'moveDown':
+          moveRows(start, end, action === 'moveUp' ? start - 1 : start + 1);
+          break;
+      }
+    },
+    [
+      activeCellCoordinates,
+      isSortedOrFiltered,
+      moveRows,
+      rows,
+      selectRows,
+      selectedRowRange,
+      spreadsheetRef,
+      setSelectionAreaData,
+      updateActiveCellCoordinates,
+      updateRows,
+      visibleColumns,
+    ]
+  );
+
+  // Handles the row action keyboard shortcuts, returning true when the
+  // event was a row action
+  const handleRowActionKeyDown = useCallback(
+    (event) => {
+      const action = getRowActionFromKeyboardEvent(event);
+      if (!action) {
+        return false;
+      }
+      event.preventDefault();
+      handleRowAction(action);
+      return true;
+    },
+    [handleRowAction]
+  );
+
+  // Opens the row actions menu for the selected rows, or only for the row
+  // that was right clicked when it is not part of the current row selection.
+  // The selection is left as is, since moving the active cell would take the
+  // focus away from the menu.
+  const handleRowHeaderContextMenu = useCallback(
+    (event, index) => {
+      event.preventDefault();
+      const isRowSelection =
+        selectionAreas?.find((item) => item.matcher === currentMatcher)?.header
+          ?.type === 'row';
+      const isSelectedRow =
+        isRowSelection &&
+        index >= selectedRowRange?.start &&
+        index <= selectedRowRange?.end;
+      setRowActionsMenu({
+        open: true,
+        x: event.clientX,
+        y: event.clientY,
+        rowRange: isSelectedRow
+          ? selectedRowRange
+          : { start: index, end: index },
+      });
+    },
+    [currentMatcher, selectedRowRange, selectionAreas]
+  );
+
+  const closeRowActionsMenu = useCallback(
+    () => setRowActionsMenu((prev) => ({ ...prev, open: false })),
+    []
+  );
+
+  return {
+    closeRowActionsMenu,
+    handleRowAction,
+    handleRowActionKeyDown,
+    handleRowHeaderContextMenu,
+    moveRows,
+    rowActionsMenu,
+  };
+};
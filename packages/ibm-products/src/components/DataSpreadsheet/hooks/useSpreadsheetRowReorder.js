@@ -0,0 +1,132 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef } from 'react';
+import { px } from '@carbon/layout';
+import { pkg } from '../../../settings';
+import { getSelectionAreaPoints } from '../utils/getSelectionAreaPoints';
+
+// Used for reordering rows. Dragging the row header of a selected row shows
+// an indicator line where the selected rows will be placed, and moves them
+// through `moveRows` on mouse up. Rows cannot be dragged while they are
+// sorted or filtered.
+export const useSpreadsheetRowReorder = ({
+  blockClass = `${pkg.prefix}--data-spreadsheet`,
+  currentMatcher,
+  defaultColumn,
+  isSortedOrFiltered,
+  moveRows,
+  ref,
+  selectionAreas,
+}) => {
+  // The drag handlers are attached to the document, so they read the latest
+  // values from a ref instead of being attached again on every render
+  const latestValuesRef = useRef(null);
+  latestValuesRef.current = {
+    currentMatcher,
+    defaultColumn,
+    isSortedOrFiltered,
+    moveRows,
+    selectionAreas,
+  };
+
+  useEffect(() => {
+    const spreadsheetElement = ref.current;
+    if (!spreadsheetElement) {
+      return;
+    }
+    let bounds;
+    let indicatorLine;
+    let toIndex;
+
+    const handleRowDragMouseOver = (event) => {
+      const closestRowElement = event.target?.closest?.(
+        `.${blockClass}__body--container [data-row-index]`
+      );
+      if (!closestRowElement) {
+        return;
+      }
+      const { lowestRowIndex, greatestRowIndex } = bounds;
+      const targetIndex = Number(
+        closestRowElement.getAttribute('data-row-index')
+      );
+      const rowHeight = latestValuesRef.current.defaultColumn?.rowHeight;
+      const rowCount = greatestRowIndex - lowestRowIndex + 1;
+      if (targetIndex >= lowestRowIndex && targetIndex <= greatestRowIndex) {
+        toIndex = lowestRowIndex;
+        indicatorLine.style.display = 'none';
+        return;
+      }
+      // Rows dragged upwards are placed above the target row, and rows
+      // dragged downwards are placed below it
+      const isMovingUp = targetIndex < lowestRowIndex;
+      toIndex = isMovingUp ? targetIndex : targetIndex - rowCount + 1;
+      indicatorLine.style.top = px(
+        (isMovingUp ? targetIndex : targetIndex + 1) * rowHeight
+      );
+      indicatorLine.style.display = 'block';
+    };
+
+    const handleRowDragMouseUp = () => {
+      document.removeEventListener('mouseover', handleRowDragMouseOver);
+      document.removeEventListener('mouseup', handleRowDragMouseUp);
+      indicatorLine.remove();
+      latestValuesRef.current.moveRows(
+        bounds.lowestRowIndex,
+        bounds.greatestRowIndex,
+        toIndex
+      );
+    };
+
+    const handleRowHeaderMouseDown = (event) => {
+      const rowHeader = event.target?.closest?.(`.${blockClass}__td-th`);
+      const { currentMatcher, isSortedOrFiltered, selectionAreas } =
+        latestValuesRef.current;
+      const currentArea = selectionAreas?.find(
+        (item) => item.matcher === currentMatcher
+      );
+      if (
+        !rowHeader ||
+        isSortedOrFiltered ||
+        event.button !== 0 ||
+        currentArea?.header?.type !== 'row' ||
+        !currentArea.point2
+      ) {
+        return;
+      }
+      const rowIndex = Number(rowHeader.getAttribute('data-row-index'));
+      bounds = getSelectionAreaPoints(currentArea);
+      // Only selected rows can be dragged
+      if (
+        rowIndex < bounds.lowestRowIndex ||
+        rowIndex > bounds.greatestRowIndex
+      ) {
+        return;
+      }
+      toIndex = bounds.lowestRowIndex;
+      indicatorLine = document.createElement('div');
+      indicatorLine.classList.add(
+        `${blockClass}__reorder-indicator-line`,
+        `${blockClass}__reorder-indicator-line--row`
+      );
+      indicatorLine.style.display = 'none';
+      spreadsheetElement
+        .querySelector(`.${blockClass}__list--container`)
+        ?.firstElementChild?.appendChild(indicatorLine);
+      document.addEventListener('mouseover', handleRowDragMouseOver);
+      document.addEventListener('mouseup', handleRowDragMouseUp);
+    };
+
+    spreadsheetElement.addEventListener('mousedown', handleRowHeaderMouseDown);
+    return () => {
+      spreadsheetElement.removeEventListener(
+        'mousedown',
+        handleRowHeaderMouseDown
+      );
+    };
+  }, [blockClass, ref]);
+};
@@ -0,0 +1,70 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { pkg } from '../../../settings';
+import {
+  getColumnOffsets,
+  getVirtualColumns,
+} from '../utils/getVirtualColumns';
+
+const isSameRange = (range1, range2) =>
+  range1.startIndex === range2.startIndex &&
+  range1.endIndex === range2.endIndex &&
+  range1.offsetLeft === range2.offsetLeft &&
+  range1.offsetRight === range2.offsetRight;
+
+// Keeps track of the columns that are scrolled into view in the spreadsheet
+// body, so that the header and body only render those columns. The range
+// is only updated when a column is scrolled in or out of view, not on every
+// scroll event.
+export const useSpreadsheetVirtualColumns = ({
+  blockClass = `${pkg.prefix}--data-spreadsheet`,
+  defaultColumn,
+  ref,
+  totalVisibleColumns,
+  visibleColumns,
+}) => {
+  const columnOffsets = useMemo(
+    () => getColumnOffsets(visibleColumns, defaultColumn),
+    [visibleColumns, defaultColumn]
+  );
+  // The body is as wide as `totalVisibleColumns` columns, or as wide as all
+  // of the columns when it is not set
+  const width =
+    columnOffsets[
+      totalVisibleColumns
+        ? Math.min(totalVisibleColumns, visibleColumns.length)
+        : visibleColumns.length
+    ];
+  const [virtualColumns, setVirtualColumns] = useState(() =>
+    getVirtualColumns({ columnOffsets, scrollLeft: 0, width })
+  );
+
+  useEffect(() => {
+    const listContainer = ref.current?.querySelector(
+      `.${blockClass}__list--container`
+    );
+    const updateVirtualColumns = () => {
+      const nextVirtualColumns = getVirtualColumns({
+        columnOffsets,
+        scrollLeft: listContainer?.scrollLeft || 0,
+        width,
+      });
+      setVirtualColumns((prev) =>
+        isSameRange(prev, nextVirtualColumns) ? prev : nextVirtualColumns
+      );
+    };
+    updateVirtualColumns();
+    listContainer?.addEventListener('scroll', updateVirtualColumns);
+    return () => {
+      listContainer?.removeEventListener('scroll', updateVirtualColumns);
+    };
+  }, [blockClass, columnOffsets, ref, width]);
+
+  return virtualColumns;
+};
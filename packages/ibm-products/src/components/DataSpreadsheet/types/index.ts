@@ -1,6 +1,44 @@
+import { CellProps, Column, Renderer } from 'react-table';
+
 export type Size = 'xs' | 'sm' | 'md' | 'lg';
 export type Theme = 'light' | 'dark';
 
+export type CellType = 'text' | 'number' | 'date' | 'select' | 'boolean';
+
+export interface CellOption {
+  value: string;
+  label?: string;
+}
+
+export type SpreadsheetColumnConfig = Column<object> & {
+  Cell?: Renderer<CellProps<object>>;
+  type?: CellType;
+  options?: readonly (string | CellOption)[];
+  validate?: (value: any, row: object) => boolean | string | void;
+  disableFilters?: boolean;
+  disableSortBy?: boolean;
+};
+
+export interface InvalidCell {
+  row: number;
+  column: number;
+  columnId: string;
+  value: any;
+  message?: string;
+}
+
+export interface FormulaResult {
+  value?: any;
+  error?: string;
+  message?: string;
+}
+
+export type RowOperation =
+  | { type: 'insertRows'; indexes: number[]; rows: object[] }
+  | { type: 'deleteRows'; indexes: number[]; rows: object[] }
+  | { type: 'moveRows'; indexes: number[]; toIndex: number }
+  | { type: 'sortRows'; order: number[] };
+
 export interface SpreadsheetColumn {
   rowHeight?: number;
   rowHeaderWidth?: number;
@@ -14,6 +52,7 @@ export interface ActiveCellCoordinates {
 
 export interface PrevState {
   cellEditorValue?: string;
+  data?: readonly object[];
   activeCellCoordinates?: ActiveCellCoordinates;
   isEditing?: boolean;
   selectionAreaData?: any[];
@@ -31,3 +70,24 @@ export interface ItemType {
   point1?: Point;
   point2?: Point;
 }
+
+// The range of columns rendered by the header and body, and the widths
+// taken up by the columns scrolled out of view on either side
+export interface VirtualColumns {
+  startIndex: number;
+  endIndex: number;
+  offsetLeft: number;
+  offsetRight: number;
+}
+
+export interface DataSpreadsheetHistory {
+  undo: () => void;
+  redo: () => void;
+  canUndo: () => boolean;
+  canRedo: () => boolean;
+}
+
+export interface DataSpreadsheetHistoryState {
+  canUndo: boolean;
+  canRedo: boolean;
+}
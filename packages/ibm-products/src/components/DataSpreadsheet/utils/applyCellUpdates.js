@@ -0,0 +1,22 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Returns a copy of the spreadsheet data with a list of cell updates
+// applied, ie [{ row: 0, columnId: 'firstName', value: 'Bruno' }]. Rows
+// without any updates keep their original object reference.
+export const applyCellUpdates = (data, cellUpdates) => {
+  const updatesByRow = new Map();
+  cellUpdates.forEach(({ row, columnId, value }) => {
+    updatesByRow.set(row, {
+      ...updatesByRow.get(row),
+      [columnId]: value,
+    });
+  });
+  return data.map((row, index) =>
+    updatesByRow.has(index) ? { ...row, ...updatesByRow.get(index) } : row
+  );
+};
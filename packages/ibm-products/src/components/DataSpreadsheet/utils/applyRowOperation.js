@@ -0,0 +1,70 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Returns a copy of the spreadsheet data with a row operation applied.
+// Operations are reported to consumers so that they can be replayed:
+// - { type: 'insertRows', indexes, rows } inserts `rows` so that they end up
+//   at `indexes` (ascending) in the updated data
+// - { type: 'deleteRows', indexes, rows } removes the rows at `indexes`,
+//   `rows` being the removed rows
+// - { type: 'moveRows', indexes, toIndex } moves the consecutive rows at
+//   `indexes` so that the first one ends up at `toIndex`
+// - { type: 'sortRows', order } reorders every row, `order` being the
+//   previous index of each row in the updated data
+export const applyRowOperation = (data, operation) => {
+  switch (operation.type) {
+    case 'insertRows': {
+      const newData = [...data];
+      operation.indexes.forEach((index, position) => {
+        newData.splice(index, 0, operation.rows[position]);
+      });
+      return newData;
+    }
+    case 'deleteRows':
+      return data.filter((row, index) => !operation.indexes.includes(index));
+    case 'moveRows': {
+      const newData = [...data];
+      const movedRows = newData.splice(
+        operation.indexes[0],
+        operation.indexes.length
+      );
+      newData.splice(operation.toIndex, 0, ...movedRows);
+      return newData;
+    }
+    case 'sortRows':
+      return operation.order.map((index) => data[index]);
+    default:
+      return data;
+  }
+};
+
+// Returns the operation that reverts a row operation, used to undo it
+export const getInverseRowOperation = (operation) => {
+  switch (operation.type) {
+    case 'insertRows':
+      return { ...operation, type: 'deleteRows' };
+    case 'deleteRows':
+      return { ...operation, type: 'insertRows' };
+    case 'moveRows':
+      return {
+        type: 'moveRows',
+        indexes: operation.indexes.map(
+          (index) => index - operation.indexes[0] + operation.toIndex
+        ),
+        toIndex: operation.indexes[0],
+      };
+    case 'sortRows': {
+      const order = [];
+      operation.order.forEach((previousIndex, index) => {
+        order[previousIndex] = index;
+      });
+      return { type: 'sortRows', order };
+    }
+    default:
+      return operation;
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Converts a zero based column index into its spreadsheet letter, ie 0 => 'A',
+// 25 => 'Z' and 26 => 'AA'
+export const getColumnLetter = (columnIndex) => {
+  let letter = '';
+  let index = columnIndex + 1;
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letter;
+};
+
+// Converts an A1-style reference into zero based row and column indexes, ie
+// 'B3' => { row: 2, column: 1 }. The row number matches the row header label.
+// Absolute references ($B$3) are accepted but treated as relative ones.
+export const parseCellReference = (reference) => {
+  const match = /^\$?([A-Z]+)\$?([0-9]+)$/i.exec(`${reference}`.trim());
+  if (!match) {
+    return null;
+  }
+  const column = match[1]
+    .toUpperCase()
+    .split('')
+    .reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0);
+  return { row: Number(match[2]) - 1, column: column - 1 };
+};
+
+// The key used to look up the computed value of a formula cell
+export const getCellKey = (rowIndex, columnId) => `${rowIndex}:${columnId}`;
@@ -0,0 +1,61 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Values containing tabs, line breaks or quotes are wrapped in double
+// quotes (with any quotes doubled), which is what Excel and Google Sheets
+// produce and expect when copying cells
+const formatClipboardValue = (value) => {
+  const stringValue = value === null || value === undefined ? '' : `${value}`;
+  if (/[\t\n\r"]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+};
+
+// Converts a two dimensional array of cell values into tab-separated text
+export const formatClipboardData = (values) =>
+  values.map((row) => row.map(formatClipboardValue).join('\t')).join('\n');
+
+// Converts tab-separated text into a two dimensional array of cell values
+export const parseClipboardData = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  const normalizedText = (text || '').replace(/\r\n?/g, '\n');
+  for (let index = 0; index < normalizedText.length; index++) {
+    const character = normalizedText[index];
+    if (inQuotes) {
+      if (character === '"' && normalizedText[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        value += character;
+      }
+    } else if (character === '"' && value === '') {
+      inQuotes = true;
+    } else if (character === '\t') {
+      row.push(value);
+      value = '';
+    } else if (character === '\n') {
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += character;
+    }
+  }
+  // Spreadsheet applications add a trailing line break after the last row
+  if (value !== '' || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
@@ -18,7 +18,7 @@ const blockClass = `${pkg.prefix}--data-spreadsheet`;
 // onClick fn for each cell in the data spreadsheet body,
 // adds the active cell highlight
 
-export const handleBodyCellClick = (cell, columnIndex, event, ...rest) => {
+export const handleBodyCellClick = (rowIndex, columnIndex, event, ...rest) => {
   const [
     currentMatcher,
     activeCellCoordinates,
@@ -45,7 +45,7 @@ export const handleBodyCellClick = (cell, columnIndex, event, ...rest) => {
   const isHoldingShiftKey = checkForHoldingKey(event, 'shiftKey');
   setContainerHasFocus(true);
   const activeCoordinates = {
-    row: cell.row.index,
+    row: rowIndex,
     column: columnIndex,
   };
   const tempMatcher = uuidv4();
@@ -98,11 +98,11 @@ export const handleBodyCellClick = (cell, columnIndex, event, ...rest) => {
   }
 };
 
-export const handleBodyCellHover = (cell, columnIndex, ...rest) => {
+export const handleBodyCellHover = (rowIndex, columnIndex, ...rest) => {
   const [clickAndHoldActive, currentMatcher, setSelectionAreas] = rest;
   if (clickAndHoldActive) {
     const cellCoordinates = {
-      row: cell.row.index,
+      row: rowIndex,
       column: columnIndex,
     };
 
@@ -173,7 +173,7 @@ export const handleKeyPress = (event, ...rest) => {
     handleHomeEndKey,
     keysPressedList,
     usingMac,
-    updateData,
+    updateCells,
     checkForReturnCondition,
     handleArrowKeyPress,
     setSelectionAreas,
@@ -183,6 +183,11 @@ export const handleKeyPress = (event, ...rest) => {
     setActiveCellCoordinates,
     setContainerHasFocus,
     setActiveCellContent,
+    undo,
+    redo,
+    handleRowActionKeyDown,
+    prepareRow,
+    handleColumnMenuKeyDown,
   ] = rest;
 
   const { key } = event;
@@ -192,6 +197,24 @@ export const handleKeyPress = (event, ...rest) => {
     return;
   }
 
+  // CMD + z (undo) and CMD + SHIFT + z (redo). The modifier keys are read from
+  // the event since keyup events are lost while the Meta key is held
+  if (event.code === 'KeyZ' && checkForHoldingKey(event, 'cmd')) {
+    event.preventDefault();
+    return event.shiftKey ? redo() : undo();
+  }
+
+  // Row operations, ie CMD + ALT + = (insert rows above) or ALT + SHIFT +
+  // ArrowUp (move rows up)
+  if (handleRowActionKeyDown(event)) {
+    return;
+  }
+
+  // ALT + ArrowDown opens the column menu of the active column header
+  if (handleColumnMenuKeyDown?.(event)) {
+    return;
+  }
+
   // Clear out all cell selection areas if user uses any arrow key, except if the shift key is being held
   if (['ArrowLeft', 'ArrowUp', 'ArrowRight', 'ArrowDown'].indexOf(key) > -1) {
     if (
@@ -238,9 +261,10 @@ export const handleKeyPress = (event, ...rest) => {
         const deleteParams = {
           selectionAreas,
           currentMatcher,
+          prepareRow,
           rows,
           setActiveCellContent,
-          updateData,
+          updateCells,
           activeCellCoordinates,
         };
         handleCellDeletion(deleteParams);
@@ -7,6 +7,7 @@
 
 import { px } from '@carbon/layout';
 import { pkg } from '../../../settings';
+import { getColumnOffsets } from './getVirtualColumns';
 
 export const createActiveCellFn = ({
   placementElement,
@@ -17,8 +18,9 @@ export const createActiveCellFn = ({
   onActiveCellChange,
   activeCellValue,
   activeCellRef,
-  cellEditorRef,
+  cellEditorContainerRef,
   defaultColumn,
+  visibleColumns,
 }) => {
   if (!coords) {
     return;
@@ -26,10 +28,13 @@ export const createActiveCellFn = ({
   // If the active cell is in the column header row (very first), we need to append this element
   // to `.${blockClass}__header--container`, otherwise it should be appended to `.${blockClass}__listContainer` firstElementChild
   const point1Element =
-    document.querySelector(
+    contextRef?.current.querySelector(
       `[data-row-index="${coords.row}"][data-column-index="${coords.column}"]`
-    ) || document.querySelector(`.${blockClass}__body--td`); // if we can't find the point1 element (this can happen in the case where a virtualized row is not present anymore in the DOM), we get the default height/width of the first body cell we find
-  const selectionAreaCellWidth = point1Element.offsetWidth;
+    ) || contextRef?.current.querySelector(`.${blockClass}__body--td`); // if we can't find the point1 element (this can happen in the case where a virtualized row or column is not present anymore in the DOM), we get the default height of the first body cell we find
+  const selectionAreaCellWidth =
+    typeof coords.column === 'number'
+      ? visibleColumns?.[coords.column]?.width || defaultColumn.width
+      : point1Element.offsetWidth;
   const selectionAreaCellHeight = point1Element.offsetHeight;
   const activeElementContainer = addToHeader
     ? contextRef?.current.querySelector(`.${blockClass}__header--container`)
@@ -45,10 +50,8 @@ export const createActiveCellFn = ({
     left: placementElement
       ? placementElement.getBoundingClientRect().left -
         activeElementContainer.getBoundingClientRect().left
-      : coords.column === 0
-      ? 0 + (defaultColumn.rowHeaderWidth - 4)
-      : selectionAreaCellWidth * coords.column +
-        (defaultColumn.rowHeaderWidth - 4), // calculate left value here if virtualized row is not in DOM, accounting for row header cell width (including borders)
+      : getColumnOffsets(visibleColumns || [], defaultColumn)[coords.column] +
+        (defaultColumn.rowHeaderWidth - 4), // calculate left value here if virtualized row or column is not in DOM, accounting for row header cell width (including borders)
   };
   const activeCellButton = activeCellRef?.current;
   activeCellButton.style.width = px(
@@ -71,7 +74,7 @@ export const createActiveCellFn = ({
   activeElementContainer.appendChild(activeCellButton);
   activeCellButton.focus();
   if (!addToHeader) {
-    activeElementContainer.appendChild(cellEditorRef.current);
+    activeElementContainer.appendChild(cellEditorContainerRef.current);
   }
   if (typeof coords?.column === 'number' && typeof coords?.row === 'number') {
     onActiveCellChange?.(activeCellValue);
@@ -8,6 +8,7 @@
 import { px } from '@carbon/layout';
 import { deepCloneObject } from '../../../global/js/utils/deepCloneObject';
 import { getSelectionAreaPoints } from './getSelectionAreaPoints';
+import { getColumnOffsets } from './getVirtualColumns';
 
 export const createCellSelectionArea = ({
   ref,
@@ -42,14 +43,14 @@ export const createCellSelectionArea = ({
     }
   });
   const point1Element =
-    document.querySelector(
+    ref.current.querySelector(
       `[data-row-index="${area.point1.row}"][data-column-index="${area.point1.column}"]`
-    ) || document.querySelector(`.${blockClass}__body--td`); // if we can't find the point1 element (this can happen in the case where a virtualized row is not present anymore in the DOM), we get the default height of the first body cell we find
+    ) || ref.current.querySelector(`.${blockClass}__body--td`); // if we can't find the point1 element (this can happen in the case where a virtualized row or column is not present anymore in the DOM), we get the default height of the first body cell we find
 
   const selectionAreaCellHeight = point1Element.offsetHeight;
   const selectionAreaTotalHeight =
     selectionAreaCellHeight * (greatestRowIndex - lowestRowIndex + 1);
-  const bodyContainer = document.querySelector(
+  const bodyContainer = ref.current.querySelector(
     `.${blockClass}__list--container`
   ).firstElementChild;
   const placementElement = bodyContainer.querySelector(
@@ -65,13 +66,11 @@ export const createCellSelectionArea = ({
     left: placementElement
       ? placementElement.getBoundingClientRect().left -
         bodyContainer.getBoundingClientRect().left
-      : lowestColumnIndex === 0
-      ? 0 + (defaultColumn.rowHeaderWidth - 4)
-      : defaultColumn.width * lowestColumnIndex +
-        (defaultColumn.rowHeaderWidth - 4), // calculate left value here if virtualized row is not in DOM, accounting for row header cell width (including borders)
+      : getColumnOffsets(visibleColumns, defaultColumn)[lowestColumnIndex] +
+        (defaultColumn.rowHeaderWidth - 4), // calculate left value here if virtualized row or column is not in DOM, accounting for row header cell width (including borders)
   };
   const selectionAreaElement =
-    document.querySelector(`[data-matcher-id="${area.matcher}"]`) ||
+    ref.current.querySelector(`[data-matcher-id="${area.matcher}"]`) ||
     document.createElement('div');
   selectionAreaElement.classList.add(`${blockClass}__selection-area--element`);
   selectionAreaElement.setAttribute('data-matcher-id', area.matcher);
@@ -0,0 +1,165 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getFormulaReferences } from './parseFormula';
+
+// Formula errors carry a spreadsheet style error code (ie #REF!) that is
+// displayed in the cell, and a message used as the cell title
+export const createFormulaError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isEmpty(value)) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  const numberValue = Number(value);
+  if (isNaN(numberValue)) {
+    throw createFormulaError('#VALUE!', `"${value}" is not a number`);
+  }
+  return numberValue;
+};
+
+const toText = (value) => {
+  if (isEmpty(value)) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return `${value}`;
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'string' && isNaN(Number(value))) {
+    return value.toUpperCase() === 'TRUE';
+  }
+  return !!toNumber(value);
+};
+
+// Numbers from ranges or references are used by the aggregate functions,
+// while text and empty cells are skipped like in other spreadsheet apps
+const getNumbers = (args) =>
+  args
+    .flat()
+    .filter((value) => !isEmpty(value) && !isNaN(Number(value)))
+    .map(Number);
+
+const formulaFunctions = {
+  SUM: (args) => getNumbers(args).reduce((total, value) => total + value, 0),
+  AVG: (args) => {
+    const numbers = getNumbers(args);
+    if (!numbers.length) {
+      throw createFormulaError('#DIV/0!', 'AVG has no numbers to average');
+    }
+    return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+  },
+  MIN: (args) => {
+    const numbers = getNumbers(args);
+    return numbers.length ? Math.min(...numbers) : 0;
+  },
+  MAX: (args) => {
+    const numbers = getNumbers(args);
+    return numbers.length ? Math.max(...numbers) : 0;
+  },
+  CONCAT: (args) => args.flat().map(toText).join(''),
+};
+formulaFunctions.AVERAGE = formulaFunctions.AVG;
+
+const compareValues = (left, right) => {
+  if (
+    !isEmpty(left) &&
+    !isEmpty(right) &&
+    !isNaN(Number(left)) &&
+    !isNaN(Number(right))
+  ) {
+    return Number(left) - Number(right);
+  }
+  return toText(left).localeCompare(toText(right), undefined, {
+    sensitivity: 'accent',
+  });
+};
+
+const binaryOperators = {
+  '+': (left, right) => toNumber(left) + toNumber(right),
+  '-': (left, right) => toNumber(left) - toNumber(right),
+  '*': (left, right) => toNumber(left) * toNumber(right),
+  '/': (left, right) => {
+    if (toNumber(right) === 0) {
+      throw createFormulaError('#DIV/0!', 'Division by zero');
+    }
+    return toNumber(left) / toNumber(right);
+  },
+  '&': (left, right) => toText(left) + toText(right),
+  '=': (left, right) => compareValues(left, right) === 0,
+  '<>': (left, right) => compareValues(left, right) !== 0,
+  '<': (left, right) => compareValues(left, right) < 0,
+  '>': (left, right) => compareValues(left, right) > 0,
+  '<=': (left, right) => compareValues(left, right) <= 0,
+  '>=': (left, right) => compareValues(left, right) >= 0,
+};
+
+// Evaluates a formula syntax tree from `parseFormula`. `getCellValue(row,
+// column)` returns the (computed) value of a referenced cell, and throws a
+// formula error if that cell cannot be computed.
+export const evaluateFormula = (tree, getCellValue) => {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'value':
+        return node.value;
+      case 'reference':
+        return getCellValue(node.row, node.column);
+      case 'range':
+        return getFormulaReferences(node).map(({ row, column }) =>
+          getCellValue(row, column)
+        );
+      case 'unary': {
+        const operand = toNumber(evaluate(node.operand));
+        return node.operator === '-' ? -operand : operand;
+      }
+      case 'binary':
+        return binaryOperators[node.operator](
+          evaluate(node.left),
+          evaluate(node.right)
+        );
+      case 'function': {
+        // IF only evaluates the branch that is returned
+        if (node.name === 'IF') {
+          const [condition, whenTrue, whenFalse] = node.args;
+          if (!condition) {
+            throw createFormulaError('#VALUE!', 'IF requires a condition');
+          }
+          if (toBoolean(evaluate(condition))) {
+            return whenTrue ? evaluate(whenTrue) : true;
+          }
+          return whenFalse ? evaluate(whenFalse) : false;
+        }
+        const formulaFunction = formulaFunctions[node.name];
+        if (!formulaFunction) {
+          throw createFormulaError('#NAME?', `Unknown function "${node.name}"`);
+        }
+        return formulaFunction(node.args.map(evaluate));
+      }
+      default:
+        throw createFormulaError('#ERROR!', 'Invalid formula');
+    }
+  };
+  const result = evaluate(tree);
+  if (Array.isArray(result)) {
+    throw createFormulaError('#VALUE!', 'A range cannot be used as a value');
+  }
+  // Round floating point noise, ie 0.1 + 0.2
+  return typeof result === 'number' ? Number(result.toPrecision(15)) : result;
+};
@@ -0,0 +1,36 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getSelectionAreaPoints } from './getSelectionAreaPoints';
+
+// Returns the bounds of the current selection area, falling back to the
+// active cell when no selection area has been created yet. Returns null
+// if the active cell is placed in a row or column header.
+export const getActiveSelectionBounds = ({
+  activeCellCoordinates,
+  currentMatcher,
+  selectionAreas,
+}) => {
+  const currentArea = selectionAreas?.find(
+    (item) => item.matcher === currentMatcher
+  );
+  if (currentArea?.point1 && currentArea?.point2) {
+    return getSelectionAreaPoints(currentArea);
+  }
+  if (
+    typeof activeCellCoordinates?.row !== 'number' ||
+    typeof activeCellCoordinates?.column !== 'number'
+  ) {
+    return null;
+  }
+  return {
+    lowestRowIndex: activeCellCoordinates.row,
+    lowestColumnIndex: activeCellCoordinates.column,
+    greatestRowIndex: activeCellCoordinates.row,
+    greatestColumnIndex: activeCellCoordinates.column,
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { applyRowOperation } from './applyRowOperation';
+import { isFormula } from './parseFormula';
+
+// Runs the column `validate(value, row)` fn for a single cell. The validate
+// fn returns `true` (or nothing) for a valid value, and `false` or an error
+// message for an invalid value.
+export const getCellValidation = (column, value, row) => {
+  if (typeof column?.validate !== 'function') {
+    return { invalid: false };
+  }
+  const result = column.validate(value, row);
+  return {
+    invalid: result === false || typeof result === 'string',
+    message: typeof result === 'string' ? result : undefined,
+  };
+};
+
+// The columns with a `validate` fn, along with their index
+const getColumnsToValidate = (columns) =>
+  columns
+    .map((column, columnIndex) => ({ column, columnIndex }))
+    .filter(({ column }) => typeof column.validate === 'function');
+
+const getRowInvalidCells = (row, rowIndex, columnsToValidate) =>
+  columnsToValidate.flatMap(({ column, columnIndex }) => {
+    const value = column.accessor
+      ? column.accessor(row, rowIndex)
+      : row[column.id];
+    // Formulas are validated against their computed value when rendered
+    if (isFormula(value)) {
+      return [];
+    }
+    const { invalid, message } = getCellValidation(column, value, row);
+    return invalid
+      ? [
+          {
+            row: rowIndex,
+            column: columnIndex,
+            columnId: column.id,
+            value,
+            message,
+          },
+        ]
+      : [];
+  });
+
+const byPosition = (cell1, cell2) =>
+  cell1.row - cell2.row || cell1.column - cell2.column;
+
+// Returns every invalid cell in the spreadsheet data, used to report the
+// validation state back to the consumer
+export const getInvalidCells = (data, columns) => {
+  const columnsToValidate = getColumnsToValidate(columns);
+  if (!columnsToValidate.length) {
+    return [];
+  }
+  return data.flatMap((row, rowIndex) =>
+    getRowInvalidCells(row, rowIndex, columnsToValidate)
+  );
+};
+
+// Returns the invalid cells of the data once the rows at `rowIndexes` have
+// changed, validating those rows only
+export const updateInvalidCells = (invalidCells, data, columns, rowIndexes) => {
+  const columnsToValidate = getColumnsToValidate(columns);
+  if (!columnsToValidate.length) {
+    return [];
+  }
+  const changedRowIndexes = new Set(rowIndexes);
+  return [
+    ...invalidCells.filter(({ row }) => !changedRowIndexes.has(row)),
+    ...Array.from(changedRowIndexes).flatMap((rowIndex) =>
+      getRowInvalidCells(data[rowIndex], rowIndex, columnsToValidate)
+    ),
+  ].sort(byPosition);
+};
+
+// Returns the invalid cells of the data once a row operation has been
+// applied, moving the invalid cells along with their rows and validating the
+// inserted rows only
+export const moveInvalidCells = (
+  invalidCells,
+  previousRowCount,
+  data,
+  columns,
+  operation
+) => {
+  // The previous index of each row of the updated data, -1 for inserted rows
+  const previousIndexes = applyRowOperation(
+    Array.from({ length: previousRowCount }, (_, index) => index),
+    operation.type === 'insertRows'
+      ? { ...operation, rows: operation.rows.map(() => -1) }
+      : operation
+  );
+  const newIndexes = [];
+  const insertedRowIndexes = [];
+  previousIndexes.forEach((previousIndex, index) => {
+    if (previousIndex < 0) {
+      insertedRowIndexes.push(index);
+    } else {
+      newIndexes[previousIndex] = index;
+    }
+  });
+  return updateInvalidCells(
+    invalidCells
+      .filter(({ row }) => newIndexes[row] !== undefined)
+      .map((cell) => ({ ...cell, row: newIndexes[cell.row] })),
+    data,
+    columns,
+    insertedRowIndexes
+  );
+};
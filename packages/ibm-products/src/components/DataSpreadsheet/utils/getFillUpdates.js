@@ -0,0 +1,102 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { rangeWithCallback } from '../../../global/js/utils/rangeWithCallback';
+import { getFillValues } from './getFillValues';
+
+// Returns the direction and bounds of the cells to fill when the fill handle
+// of a selection area is dragged to the `target` cell, or null when the
+// target is inside the selection area. Like other spreadsheet apps, the
+// selection is extended in whichever direction the target is furthest away.
+export const getFillArea = (bounds, target) => {
+  const {
+    lowestRowIndex,
+    lowestColumnIndex,
+    greatestRowIndex,
+    greatestColumnIndex,
+  } = bounds;
+  const rowDistance = Math.max(
+    lowestRowIndex - target.row,
+    target.row - greatestRowIndex,
+    0
+  );
+  const columnDistance = Math.max(
+    lowestColumnIndex - target.column,
+    target.column - greatestColumnIndex,
+    0
+  );
+  if (!rowDistance && !columnDistance) {
+    return null;
+  }
+  if (rowDistance >= columnDistance) {
+    const direction = target.row > greatestRowIndex ? 'down' : 'up';
+    return {
+      direction,
+      lowestRowIndex: direction === 'down' ? greatestRowIndex + 1 : target.row,
+      greatestRowIndex: direction === 'down' ? target.row : lowestRowIndex - 1,
+      lowestColumnIndex,
+      greatestColumnIndex,
+    };
+  }
+  const direction = target.column > greatestColumnIndex ? 'right' : 'left';
+  return {
+    direction,
+    lowestRowIndex,
+    greatestRowIndex,
+    lowestColumnIndex:
+      direction === 'right' ? greatestColumnIndex + 1 : target.column,
+    greatestColumnIndex:
+      direction === 'right' ? target.column : lowestColumnIndex - 1,
+  };
+};
+
+// Returns the cell updates for filling `fillArea` from the values of the
+// selection area, one series per column (when filling up or down) or per row
+// (when filling left or right). Filling up or left continues the series
+// backwards.
+export const getFillUpdates = ({ bounds, fillArea, rows, visibleColumns }) => {
+  const cellUpdates = [];
+  const isVertical =
+    fillArea.direction === 'down' || fillArea.direction === 'up';
+  const isReversed =
+    fillArea.direction === 'up' || fillArea.direction === 'left';
+  const getValue = (row, column) =>
+    rows[row]?.values[visibleColumns[column]?.id];
+
+  const [lineStart, lineEnd] = isVertical
+    ? [bounds.lowestColumnIndex, bounds.greatestColumnIndex]
+    : [bounds.lowestRowIndex, bounds.greatestRowIndex];
+  const [sourceStart, sourceEnd] = isVertical
+    ? [bounds.lowestRowIndex, bounds.greatestRowIndex]
+    : [bounds.lowestColumnIndex, bounds.greatestColumnIndex];
+  const [fillStart, fillEnd] = isVertical
+    ? [fillArea.lowestRowIndex, fillArea.greatestRowIndex]
+    : [fillArea.lowestColumnIndex, fillArea.greatestColumnIndex];
+
+  rangeWithCallback(lineStart, lineEnd, (line) => {
+    const sourceValues = [];
+    rangeWithCallback(sourceStart, sourceEnd, (index) => {
+      sourceValues.push(
+        isVertical ? getValue(index, line) : getValue(line, index)
+      );
+    });
+    if (isReversed) {
+      sourceValues.reverse();
+    }
+    const fillValues = getFillValues(sourceValues, fillEnd - fillStart + 1);
+    fillValues.forEach((value, offset) => {
+      const index = isReversed ? fillEnd - offset : fillStart + offset;
+      const row = isVertical ? index : line;
+      const column = isVertical ? line : index;
+      if (!rows[row] || !visibleColumns[column]) {
+        return;
+      }
+      cellUpdates.push({ row, columnId: visibleColumns[column].id, value });
+    });
+  });
+  return cellUpdates;
+};
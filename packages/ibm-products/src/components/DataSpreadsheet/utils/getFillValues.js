@@ -0,0 +1,115 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const dayInMilliseconds = 24 * 60 * 60 * 1000;
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+const trailingNumberPattern = /^(.*?)(\d+)$/;
+
+const isNumeric = (value) =>
+  typeof value === 'number' ||
+  (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+// Returns the step between each value, or null if the values are not evenly
+// spaced
+const getConstantStep = (numbers) => {
+  const step = numbers[1] - numbers[0];
+  return numbers.every(
+    (number, index) => index === 0 || number - numbers[index - 1] === step
+  )
+    ? step
+    : null;
+};
+
+const getNumberSeries = (values, count) => {
+  const numbers = values.map(Number);
+  const step = values.length > 1 ? getConstantStep(numbers) : null;
+  if (step === null) {
+    return null;
+  }
+  const lastNumber = numbers[numbers.length - 1];
+  return Array.from({ length: count }, (_, index) => {
+    const number = Number((lastNumber + step * (index + 1)).toPrecision(15));
+    // Keep numeric strings as strings, ie values pasted into text columns
+    return typeof values[0] === 'number' ? number : `${number}`;
+  });
+};
+
+const getDateSeries = (values, count) => {
+  // Strings are ISO dates, ie the values of date columns
+  const times = values.map((value) =>
+    value instanceof Date ? value.getTime() : Date.parse(`${value}T00:00:00Z`)
+  );
+  const step = values.length > 1 ? getConstantStep(times) : dayInMilliseconds;
+  if (step === null) {
+    return null;
+  }
+  const lastTime = times[times.length - 1];
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(lastTime + step * (index + 1));
+    return values[0] instanceof Date ? date : date.toISOString().slice(0, 10);
+  });
+};
+
+// Text with a trailing number, ie 'Item 1' => 'Item 2', keeping any zero
+// padding of the original number
+const getTextSeries = (values, count) => {
+  const matches = values.map((value) => trailingNumberPattern.exec(value));
+  const prefix = matches[0][1];
+  if (matches.some((match) => match[1] !== prefix)) {
+    return null;
+  }
+  const numbers = matches.map((match) => Number(match[2]));
+  const step = values.length > 1 ? getConstantStep(numbers) : 1;
+  if (step === null) {
+    return null;
+  }
+  const padding = matches[matches.length - 1][2].length;
+  const lastNumber = numbers[numbers.length - 1];
+  return Array.from({ length: count }, (_, index) => {
+    const number = lastNumber + step * (index + 1);
+    return number < 0
+      ? `${prefix}${number}`
+      : `${prefix}${`${number}`.padStart(padding, '0')}`;
+  });
+};
+
+const getSeries = (values, count) => {
+  if (values.every(isNumeric)) {
+    return getNumberSeries(values, count);
+  }
+  if (
+    values.every(
+      (value) =>
+        value instanceof Date ||
+        (typeof value === 'string' && isoDatePattern.test(value))
+    )
+  ) {
+    // Values shaped like dates that are not valid dates, ie '2024-13-01', are
+    // copied as they are
+    return values.every(
+      (value) =>
+        !isNaN(value instanceof Date ? value.getTime() : Date.parse(value))
+    )
+      ? getDateSeries(values, count)
+      : null;
+  }
+  if (
+    values.every(
+      (value) => typeof value === 'string' && trailingNumberPattern.test(value)
+    )
+  ) {
+    return getTextSeries(values, count);
+  }
+  return null;
+};
+
+// Returns `count` values that follow on from a line of source values, used by
+// the fill handle. Evenly spaced numbers, dates and text with a trailing
+// number are continued as a series, anything else is copied.
+export const getFillValues = (values, count) =>
+  getSeries(values, count) ||
+  Array.from({ length: count }, (_, index) => values[index % values.length]);
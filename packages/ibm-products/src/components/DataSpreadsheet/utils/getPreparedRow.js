@@ -0,0 +1,22 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// The `prepareRow` fn that last prepared each row. react-table creates a new
+// `prepareRow` fn when the columns are reordered, which leaves the cells of
+// rows prepared with the previous one in the previous column order.
+const preparedRows = new WeakMap();
+
+// react-table only builds the cells of a row once it has been prepared, and
+// the virtualized body only prepares the rows that it renders. Rows that are
+// scrolled out of view are prepared when their cells are needed.
+export const getPreparedRow = (row, prepareRow) => {
+  if (row && prepareRow && preparedRows.get(row) !== prepareRow) {
+    prepareRow(row);
+    preparedRows.set(row, prepareRow);
+  }
+  return row;
+};
@@ -30,12 +30,8 @@ export const getSpreadsheetWidth = ({
   }
   if (totalVisibleColumns) {
     const totalVisibleColumnWidth = visibleColumns
-      .map(
-        (item, index) =>
-          index <= totalVisibleColumns - 1 &&
-          (item?.width || defaultColumn?.width)
-      )
-      .reduce((prev, curr) => prev + curr, 0);
+      .slice(0, totalVisibleColumns)
+      .reduce((prev, item) => prev + (item?.width || defaultColumn?.width), 0);
     return totalVisibleColumnWidth + additionalWidth;
   }
 };
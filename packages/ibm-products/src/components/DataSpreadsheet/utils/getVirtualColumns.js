@@ -0,0 +1,59 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Returns the left offset of every column relative to the first column,
+// followed by the total width of all of the columns
+export const getColumnOffsets = (visibleColumns, defaultColumn) => {
+  const columnOffsets = [0];
+  visibleColumns.forEach((column, index) => {
+    columnOffsets.push(
+      columnOffsets[index] + (column?.width || defaultColumn?.width)
+    );
+  });
+  return columnOffsets;
+};
+
+// Returns the index of the column found at a horizontal position
+const getColumnIndexAtOffset = (columnOffsets, offset) => {
+  let low = 0;
+  let high = columnOffsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (columnOffsets[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+// Returns the range of columns to render for the horizontal scroll position
+// of the spreadsheet body, with `overscanCount` columns on each side, and the
+// widths left empty before and after the rendered columns
+export const getVirtualColumns = ({
+  columnOffsets,
+  overscanCount = 2,
+  scrollLeft,
+  width,
+}) => {
+  const lastIndex = columnOffsets.length - 2;
+  const startIndex = Math.max(
+    getColumnIndexAtOffset(columnOffsets, scrollLeft) - overscanCount,
+    0
+  );
+  const endIndex = Math.min(
+    getColumnIndexAtOffset(columnOffsets, scrollLeft + width) + overscanCount,
+    lastIndex
+  );
+  return {
+    startIndex,
+    endIndex,
+    offsetLeft: columnOffsets[startIndex],
+    offsetRight: columnOffsets[lastIndex + 1] - columnOffsets[endIndex + 1],
+  };
+};
@@ -7,14 +7,16 @@
 
 import { deepCloneObject } from '../../../global/js/utils/deepCloneObject';
 import { rangeWithCallback } from '../../../global/js/utils/rangeWithCallback';
+import { getPreparedRow } from './getPreparedRow';
 
 export const handleCellDeletion = ({
   activeCellCoordinates,
   selectionAreas,
   currentMatcher,
+  prepareRow,
   rows,
   setActiveCellContent,
-  updateData,
+  updateCells,
 }) => {
   // This means that the delete key has been pressed when the active cell is in a header,
   // not within the spreadsheet body. To delete an entire row/column, it must first be
@@ -47,11 +49,20 @@ export const handleCellDeletion = ({
     selectionAreaToEmptyContents?.point1?.row,
     selectionAreaToEmptyContents?.point2?.row
   );
+  const cellUpdates = [];
   rangeWithCallback(lowestColumnIndex, greatestColumnIndex, (columnIndex) => {
     rangeWithCallback(lowestRowIndex, greatestRowIndex, (rowIndex) => {
-      const cellProps = rows[rowIndex].cells[columnIndex];
-      updateData(rowIndex, cellProps?.column.id, '');
+      const cellProps = getPreparedRow(rows[rowIndex], prepareRow).cells[
+        columnIndex
+      ];
+      cellUpdates.push({
+        row: rowIndex,
+        columnId: cellProps?.column.id,
+        value: '',
+      });
     });
   });
+  // Empty every cell in the selection area as a single update
+  updateCells(cellUpdates);
   setActiveCellContent(null);
 };
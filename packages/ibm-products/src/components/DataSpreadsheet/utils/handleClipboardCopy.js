@@ -0,0 +1,66 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { rangeWithCallback } from '../../../global/js/utils/rangeWithCallback';
+import { formatClipboardData } from './clipboardData';
+import { getActiveSelectionBounds } from './getActiveSelectionBounds';
+import { getPreparedRow } from './getPreparedRow';
+
+// Handles the copy and cut clipboard events, placing the values of the
+// current selection area on the clipboard as tab-separated text. Cutting
+// also empties the contents of the selected cells.
+export const handleClipboardCopy = ({
+  event,
+  type = 'copy',
+  activeCellCoordinates,
+  currentMatcher,
+  prepareRow,
+  rows,
+  selectionAreas,
+  setActiveCellContent,
+  updateCells,
+}) => {
+  const bounds = getActiveSelectionBounds({
+    activeCellCoordinates,
+    currentMatcher,
+    selectionAreas,
+  });
+  if (!bounds || !rows?.length) {
+    return;
+  }
+  const {
+    lowestRowIndex,
+    lowestColumnIndex,
+    greatestRowIndex,
+    greatestColumnIndex,
+  } = bounds;
+  const values = [];
+  const cellUpdates = [];
+  rangeWithCallback(lowestRowIndex, greatestRowIndex, (rowIndex) => {
+    const rowValues = [];
+    rangeWithCallback(lowestColumnIndex, greatestColumnIndex, (columnIndex) => {
+      const cellProps = getPreparedRow(rows[rowIndex], prepareRow)?.cells[
+        columnIndex
+      ];
+      rowValues.push(cellProps?.value);
+      if (cellProps) {
+        cellUpdates.push({
+          row: rowIndex,
+          columnId: cellProps.column.id,
+          value: '',
+        });
+      }
+    });
+    values.push(rowValues);
+  });
+  event.preventDefault();
+  event.clipboardData?.setData('text/plain', formatClipboardData(values));
+  if (type === 'cut') {
+    updateCells(cellUpdates);
+    setActiveCellContent(null);
+  }
+};
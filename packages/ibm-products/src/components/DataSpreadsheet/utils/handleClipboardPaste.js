@@ -0,0 +1,89 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import uuidv4 from '../../../global/js/utils/uuidv4';
+import { parseClipboardData } from './clipboardData';
+import { getActiveSelectionBounds } from './getActiveSelectionBounds';
+import { getPreparedRow } from './getPreparedRow';
+import { removeCellSelections } from './removeCellSelections';
+
+// Handles the paste clipboard event, writing tab-separated text (ie from
+// Excel or Google Sheets) into the spreadsheet starting at the top left
+// cell of the current selection area. The selection area grows to fit the
+// pasted block, which is clipped to the existing rows and columns.
+export const handleClipboardPaste = ({
+  event,
+  activeCellCoordinates,
+  currentMatcher,
+  prepareRow,
+  rows,
+  selectionAreas,
+  setCurrentMatcher,
+  setSelectionAreas,
+  spreadsheetRef,
+  updateCells,
+}) => {
+  const bounds = getActiveSelectionBounds({
+    activeCellCoordinates,
+    currentMatcher,
+    selectionAreas,
+  });
+  if (!bounds || !rows?.length) {
+    return;
+  }
+  event.preventDefault();
+  const pastedValues = parseClipboardData(
+    event.clipboardData?.getData('text/plain')
+  );
+  if (!pastedValues.length) {
+    return;
+  }
+  const { lowestRowIndex, lowestColumnIndex } = bounds;
+  const totalColumns = getPreparedRow(rows[0], prepareRow).cells.length;
+  const lastRowIndex = Math.min(
+    lowestRowIndex + pastedValues.length - 1,
+    rows.length - 1
+  );
+  const lastColumnIndex = Math.min(
+    lowestColumnIndex + Math.max(...pastedValues.map((row) => row.length)) - 1,
+    totalColumns - 1
+  );
+  const cellUpdates = [];
+  pastedValues.forEach((pastedRow, rowOffset) => {
+    const rowIndex = lowestRowIndex + rowOffset;
+    if (rowIndex > lastRowIndex) {
+      return;
+    }
+    pastedRow.forEach((value, columnOffset) => {
+      const cellProps = getPreparedRow(rows[rowIndex], prepareRow).cells[
+        lowestColumnIndex + columnOffset
+      ];
+      if (!cellProps || cellProps.value === value) {
+        return;
+      }
+      cellUpdates.push({
+        row: rowIndex,
+        columnId: cellProps.column.id,
+        value,
+      });
+    });
+  });
+  updateCells(cellUpdates);
+
+  // Grow the selection area to cover the pasted block
+  const tempMatcher = uuidv4();
+  removeCellSelections({ spreadsheetRef });
+  setSelectionAreas([
+    {
+      point1: { row: lowestRowIndex, column: lowestColumnIndex },
+      point2: { row: lastRowIndex, column: lastColumnIndex },
+      areaCreated: false,
+      matcher: tempMatcher,
+    },
+  ]);
+  setCurrentMatcher(tempMatcher);
+};
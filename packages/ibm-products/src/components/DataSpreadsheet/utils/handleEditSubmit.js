@@ -7,12 +7,14 @@
 
 import { removeCellSelections } from './removeCellSelections';
 import uuidv4 from '../../../global/js/utils/uuidv4';
+import { getPreparedRow } from './getPreparedRow';
 
 // Update the data
 export const handleEditSubmit = ({
   activeCellCoordinates,
   cellEditorRulerRef,
   columns,
+  prepareRow,
   previousState,
   removeCellEditor,
   rows,
@@ -27,7 +29,8 @@ export const handleEditSubmit = ({
     const updateSelectionAreaOnCellEditSubmit = ({ type }) => {
       const submitEditChanges = () => {
         const prevCoords = previousState?.activeCellCoordinates;
-        const cellProps = rows[prevCoords?.row].cells[prevCoords?.column];
+        const cellProps = getPreparedRow(rows[prevCoords?.row], prepareRow)
+          .cells[prevCoords?.column];
         removeCellEditor();
         updateData(prevCoords?.row, cellProps.column.id);
       };
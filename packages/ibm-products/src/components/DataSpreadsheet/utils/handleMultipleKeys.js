@@ -303,7 +303,11 @@ export const handleMultipleKeys = ({
     scrollElement.scrollTop = scrollElement.scrollHeight;
     const coordinatesClone = { ...activeCellCoordinates };
     removeCellSelections({ spreadsheetRef });
-    const lastCellExists = !!rows[rows?.length - 1].cells[columns?.length - 1];
+    const lastCellExists = !!spreadsheetRef.current.querySelector(
+      `[data-row-index="${rows.length - 1}"][data-column-index="${
+        columns.length - 1
+      }"]`
+    );
     const updateToLastCell = () => {
       updateActiveCellCoordinates({
         coords: coordinatesClone,
@@ -18,7 +18,10 @@ export const moveColumnIndicatorLine = ({
   const closestCell = event.target.closest(
     `.${blockClass}--interactive-cell-element`
   );
-  const newColumnIndex = closestCell?.getAttribute('data-column-index');
+  if (!closestCell) {
+    return;
+  }
+  const newColumnIndex = closestCell.getAttribute('data-column-index');
   const originalColumnIndex = clonedSelectionElement?.getAttribute(
     'data-column-index-original'
   );
@@ -0,0 +1,32 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// Converts a value coming from the cell editor or the clipboard to the
+// type declared by the column, ie '42' in a `number` column becomes 42.
+// Values that cannot be converted are returned as is so that they can be
+// picked up by the column `validate` fn.
+export const parseCellValue = (value, type) => {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+  switch (type) {
+    case 'number': {
+      const numberValue = Number(`${value}`.trim());
+      return `${value}`.trim() === '' || isNaN(numberValue)
+        ? value
+        : numberValue;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      return ['true', '1', 'yes'].includes(`${value}`.trim().toLowerCase());
+    }
+    default:
+      return value;
+  }
+};
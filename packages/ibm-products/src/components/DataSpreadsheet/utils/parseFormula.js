@@ -0,0 +1,188 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { parseCellReference } from './cellReferences';
+
+const tokenPatterns = [
+  ['whitespace', /^\s+/],
+  ['number', /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/],
+  ['string', /^"(?:[^"]|"")*"/],
+  ['reference', /^\$?[A-Za-z]+\$?\d+/],
+  ['name', /^[A-Za-z_][A-Za-z0-9_.]*/],
+  ['operator', /^(<>|<=|>=|[-+*/&=<>])/],
+  ['punctuation', /^[(),:]/],
+];
+
+const comparisonOperators = ['=', '<>', '<', '>', '<=', '>='];
+
+const tokenize = (formula) => {
+  const tokens = [];
+  let remaining = formula;
+  while (remaining.length) {
+    const match = tokenPatterns
+      .map(([type, pattern]) => ({ type, result: pattern.exec(remaining) }))
+      .find(({ result }) => result);
+    if (!match) {
+      throw new Error(`Unexpected character "${remaining[0]}"`);
+    }
+    const text = match.result[0];
+    if (match.type !== 'whitespace') {
+      tokens.push({ type: match.type, text });
+    }
+    remaining = remaining.slice(text.length);
+  }
+  return tokens;
+};
+
+// Returns true when a cell value should be evaluated as a formula
+export const isFormula = (value) =>
+  typeof value === 'string' && value.length > 1 && value.startsWith('=');
+
+// Parses a formula (with or without the leading `=`) into a syntax tree, ie
+// '=SUM(A1:A3) * 2' becomes a `binary` node with a `function` node and a
+// `number` node. Throws an error when the formula is not valid.
+export const parseFormula = (formula) => {
+  const tokens = tokenize(formula.replace(/^=/, ''));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (text) => {
+    const token = next();
+    if (token?.text !== text) {
+      throw new Error(`Expected "${text}"`);
+    }
+    return token;
+  };
+
+  const parseReference = (token) => {
+    const start = parseCellReference(token.text);
+    if (peek()?.text !== ':') {
+      return { type: 'reference', ...start };
+    }
+    next();
+    const endToken = next();
+    if (endToken?.type !== 'reference') {
+      throw new Error('Expected a cell reference after ":"');
+    }
+    return { type: 'range', start, end: parseCellReference(endToken.text) };
+  };
+
+  const parseFunction = (name) => {
+    const args = [];
+    expect('(');
+    if (peek()?.text !== ')') {
+      args.push(parseExpression());
+      while (peek()?.text === ',') {
+        next();
+        args.push(parseExpression());
+      }
+    }
+    expect(')');
+    return { type: 'function', name: name.toUpperCase(), args };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error('Unexpected end of formula');
+    }
+    if (token.type === 'number') {
+      return { type: 'value', value: Number(token.text) };
+    }
+    if (token.type === 'string') {
+      return {
+        type: 'value',
+        value: token.text.slice(1, -1).replace(/""/g, '"'),
+      };
+    }
+    if (token.type === 'reference' && peek()?.text !== '(') {
+      return parseReference(token);
+    }
+    if (token.type === 'reference' || token.type === 'name') {
+      if (peek()?.text === '(') {
+        return parseFunction(token.text);
+      }
+      const upperCaseName = token.text.toUpperCase();
+      if (upperCaseName === 'TRUE' || upperCaseName === 'FALSE') {
+        return { type: 'value', value: upperCaseName === 'TRUE' };
+      }
+      throw new Error(`Unknown name "${token.text}"`);
+    }
+    if (token.text === '(') {
+      const expression = parseExpression();
+      expect(')');
+      return expression;
+    }
+    throw new Error(`Unexpected "${token.text}"`);
+  };
+
+  const parseUnary = () => {
+    if (peek()?.text === '-' || peek()?.text === '+') {
+      const { text } = next();
+      return { type: 'unary', operator: text, operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  // Builds a left associative binary node for each of the given operators
+  const parseBinary = (operators, parseOperand) => () => {
+    let left = parseOperand();
+    while (peek()?.type === 'operator' && operators.includes(peek().text)) {
+      const { text } = next();
+      left = { type: 'binary', operator: text, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parseTerm = parseBinary(['*', '/'], parseUnary);
+  const parseAdditive = parseBinary(['+', '-'], parseTerm);
+  const parseConcat = parseBinary(['&'], parseAdditive);
+  const parseExpression = parseBinary(comparisonOperators, parseConcat);
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().text}"`);
+  }
+  return tree;
+};
+
+// Returns every cell referenced by a formula syntax tree, with ranges
+// expanded into their individual cells
+export const getFormulaReferences = (tree) => {
+  switch (tree.type) {
+    case 'reference':
+      return [{ row: tree.row, column: tree.column }];
+    case 'range': {
+      const references = [];
+      const [startRow, endRow] = [tree.start.row, tree.end.row].sort(
+        (a, b) => a - b
+      );
+      const [startColumn, endColumn] = [
+        tree.start.column,
+        tree.end.column,
+      ].sort((a, b) => a - b);
+      for (let row = startRow; row <= endRow; row++) {
+        for (let column = startColumn; column <= endColumn; column++) {
+          references.push({ row, column });
+        }
+      }
+      return references;
+    }
+    case 'function':
+      return tree.args.flatMap(getFormulaReferences);
+    case 'unary':
+      return getFormulaReferences(tree.operand);
+    case 'binary':
+      return [
+        ...getFormulaReferences(tree.left),
+        ...getFormulaReferences(tree.right),
+      ];
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { getCellKey } from './cellReferences';
+
+// Renders the contents of a body cell. Formula cells render their computed
+// value (or error code) instead of the formula itself.
+export const renderCellContent = (cell, formulaResults) => {
+  const result = formulaResults?.get(
+    getCellKey(cell.row.index, cell.column.id)
+  );
+  if (!result) {
+    return cell.render('Cell');
+  }
+  const value = result.error ?? result.value;
+  return cell.render('Cell', {
+    value: typeof value === 'boolean' ? `${value}`.toUpperCase() : value,
+  });
+};
@@ -0,0 +1,77 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { defaultOrderByFn } from 'react-table';
+
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: 'base',
+});
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '';
+
+// Compares two cell values, numbers and dates by value and everything else
+// as text (so that 'Item 2' comes before 'Item 10'). Empty cells come last.
+export const compareCellValues = (value1, value2) => {
+  if (isEmptyValue(value1) || isEmptyValue(value2)) {
+    return Number(isEmptyValue(value1)) - Number(isEmptyValue(value2));
+  }
+  if (value1 instanceof Date && value2 instanceof Date) {
+    return value1.getTime() - value2.getTime();
+  }
+  if (typeof value1 === 'number' && typeof value2 === 'number') {
+    return value1 - value2;
+  }
+  return collator.compare(String(value1), String(value2));
+};
+
+// react-table `sortType` for spreadsheet columns
+export const sortByCellValue = (row1, row2, columnId) =>
+  compareCellValues(row1.values[columnId], row2.values[columnId]);
+
+// Sorts the rows like react-table's `useSortBy`, with the `sortType`
+// function of each column, eg to sort the rows that are filtered out as well
+export const sortRows = (rows, sortBy, columns) =>
+  defaultOrderByFn(
+    rows,
+    sortBy.map(({ id, desc }) => {
+      const { sortType } = columns.find((column) => column.id === id) || {};
+      const sortFn =
+        typeof sortType === 'function' ? sortType : sortByCellValue;
+      return (row1, row2) => sortFn(row1, row2, id, desc);
+    }),
+    sortBy.map(({ desc }) => !desc)
+  );
+
+// The value used to match a cell against the values of a column filter
+export const getFilterKey = (value) =>
+  isEmptyValue(value) ? '' : String(value);
+
+// react-table `filter` for spreadsheet columns, the filter value being the
+// list of filter keys to keep
+export const filterByCellValues = (rows, [columnId], filterValue) =>
+  rows.filter((row) =>
+    filterValue.includes(getFilterKey(row.values[columnId]))
+  );
+filterByCellValues.autoRemove = (filterValue) => !Array.isArray(filterValue);
+
+// Returns the distinct values of a column as filter options, sorted the same
+// way as the column
+export const getColumnFilterOptions = (rows, columnId) => {
+  const options = new Map();
+  rows.forEach((row) => {
+    const value = row.values[columnId];
+    const key = getFilterKey(value);
+    if (!options.has(key)) {
+      options.set(key, { key, value });
+    }
+  });
+  return [...options.values()].sort((option1, option2) =>
+    compareCellValues(option1.value, option2.value)
+  );
+};
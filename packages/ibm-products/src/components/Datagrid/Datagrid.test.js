@@ -8,7 +8,13 @@
 /* eslint-disable react/prop-types */
 
 import React, { useState, useEffect, forwardRef } from 'react';
-import { render, screen, fireEvent } from '@testing-library/react'; // https://testing-library.com/docs/react-testing-library/intro
+import {
+  render,
+  screen,
+  fireEvent,
+  act,
+  waitFor,
+} from '@testing-library/react'; // https://testing-library.com/docs/react-testing-library/intro
 import { within } from '@testing-library/dom';
 import uuidv4 from '../../global/js/utils/uuidv4';
 import { makeData } from './utils/makeData';
@@ -38,6 +44,18 @@ import {
   useColumnRightAlign,
   useColumnCenterAlign,
   useEditableCell,
+  useServerSide,
+  useViewState,
+  useGrouping,
+  useExport,
+  useCellRangeSelection,
+  useRowReorder,
+  useFooterTotals,
+  useConditionalFormatting,
+  useGridNavigation,
+  useFind,
+  usePinnedRows,
+  useFiltering,
 } from '.';
 
 import {
@@ -558,6 +576,31 @@ const NestedRows = ({ initialState = {}, ...rest } = {}) => {
   return <Datagrid datagridState={datagridState} {...rest} />;
 };
 
+const LazyNestedRows = ({ onLoadChildren, ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Visits', accessor: 'visits' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', visits: 10, hasChildren: true },
+    { firstName: 'Bob', visits: 5 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      onLoadChildren,
+      ...rest,
+    },
+    useNestedRows
+  );
+
+  return <Datagrid datagridState={datagridState} />;
+};
+
 const NestedTable = ({ ...rest } = {}) => {
   const [data] = useState(makeData(20));
   const nestedColumns = React.useMemo(() => [...defaultHeader], []);
@@ -802,6 +845,560 @@ const WithPagination = ({ ...rest } = {}) => {
   return <Datagrid datagridState={{ ...datagridState }} {...rest} />;
 };
 
+const ServerSide = ({ onQueryChange, isFetching = false } = {}) => {
+  const columns = React.useMemo(() => defaultHeader, []);
+  const [data] = useState(makeData(10));
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      isFetching,
+      onQueryChange,
+      rowCount: 100,
+      DatagridPagination,
+      ascendingSortableLabelText: 'ascending',
+      descendingSortableLabelText: 'descending',
+      defaultSortableLabelText: 'none',
+    },
+    useSortableColumns,
+    useServerSide
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const ViewState = ({ ...rest } = {}) => {
+  const columns = React.useMemo(() => defaultHeader, []);
+  const [data] = useState(makeData(10));
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      viewStateKey: 'view-state-test',
+      ascendingSortableLabelText: 'ascending',
+      descendingSortableLabelText: 'descending',
+      defaultSortableLabelText: 'none',
+      ...rest,
+    },
+    useSortableColumns,
+    useColumnOrder,
+    useViewState
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const Grouping = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Status', accessor: 'status' },
+      { Header: 'Visits', accessor: 'visits', aggregate: 'sum' },
+      { Header: 'Age', accessor: 'age', aggregate: 'avg' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10, age: 20 },
+    { firstName: 'Bob', status: 'married', visits: 5, age: 40 },
+    { firstName: 'Cy', status: 'single', visits: 20, age: 30 },
+    { firstName: 'Di', status: 'married', visits: 1, age: 50 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      DatagridActions: ({ GroupByDropdown, groupByDropdownProps }) => (
+        <GroupByDropdown {...groupByDropdownProps} />
+      ),
+      ascendingSortableLabelText: 'ascending',
+      descendingSortableLabelText: 'descending',
+      defaultSortableLabelText: 'none',
+      ...rest,
+    },
+    useSelectRows,
+    useSortableColumns,
+    useColumnOrder,
+    useGrouping
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const ExportActions = ({ ExportButton, exportButtonProps, exportData }) => (
+  <>
+    <ExportButton {...exportButtonProps} />
+    <Button onClick={() => exportData({ format: 'tsv', selectedOnly: true })}>
+      Export selected
+    </Button>
+  </>
+);
+
+const Export = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Status', accessor: 'status' },
+      { Header: 'Visits', accessor: 'visits' },
+      {
+        Header: 'Joined',
+        accessor: 'joined',
+        Cell: ({ value }) => value.toISOString().slice(0, 10),
+        exportFormatter: ({ value }) => value.getUTCFullYear(),
+      },
+      { Header: 'Notes', accessor: 'notes', disableExport: true },
+      { Header: 'Age', accessor: 'age' },
+    ],
+    []
+  );
+  const [data] = useState([
+    {
+      firstName: '=Ada, "A"',
+      status: 'single',
+      visits: 10,
+      joined: new Date(Date.UTC(2020, 1, 1)),
+      notes: 'Ada notes',
+      age: 20,
+    },
+    {
+      firstName: 'Bob',
+      status: 'married',
+      visits: 5,
+      joined: new Date(Date.UTC(2021, 1, 1)),
+      notes: 'Bob notes',
+      age: 40,
+    },
+    {
+      firstName: '\tCy',
+      status: 'single',
+      visits: 20,
+      joined: new Date(Date.UTC(2022, 1, 1)),
+      notes: 'Cy notes',
+      age: 30,
+    },
+    {
+      firstName: '\rDee',
+      status: 'single',
+      visits: 30,
+      joined: new Date(Date.UTC(2023, 1, 1)),
+      notes: 'Dee notes',
+      age: 50,
+    },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      initialState: {
+        columnOrder: ['visits', 'firstName'],
+        filters: [{ id: 'status', value: 'single' }],
+        hiddenColumns: ['age'],
+      },
+      exportProps: { filename: 'people' },
+      DatagridActions: ExportActions,
+      ascendingSortableLabelText: 'ascending',
+      descendingSortableLabelText: 'descending',
+      defaultSortableLabelText: 'none',
+      ...rest,
+    },
+    useSelectRows,
+    useSortableColumns,
+    useColumnOrder,
+    useExport
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const CellRangeSelection = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Status', accessor: 'status' },
+      {
+        Header: 'Visits',
+        accessor: 'visits',
+        Cell: ({ value }) => <strong>{value} visits</strong>,
+      },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10 },
+    { firstName: 'Bob', status: 'married', visits: 5 },
+    { firstName: 'Cy', status: 'single <3', visits: 20 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      ...rest,
+    },
+    useSelectRows,
+    useCellRangeSelection
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const RowReorder = ({ onRowOrderChange, ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Visits', accessor: 'visits' },
+    ],
+    []
+  );
+  const [data, setData] = useState([
+    {
+      firstName: 'Ada',
+      visits: 10,
+      subRows: [
+        { firstName: 'Ann', visits: 1 },
+        { firstName: 'Abe', visits: 2 },
+      ],
+    },
+    { firstName: 'Bob', visits: 5 },
+    { firstName: 'Cy', visits: 20 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      getRowId: (row) => row.firstName,
+      initialState: { expanded: { Ada: true } },
+      onRowOrderChange: (newData, change) => {
+        onRowOrderChange(newData, change);
+        setData(newData);
+      },
+      ...rest,
+    },
+    useNestedRows,
+    useRowReorder
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const FooterTotals = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Status', accessor: 'status', total: 'count' },
+      { Header: 'Visits', accessor: 'visits', total: 'sum' },
+      {
+        Header: 'Progress',
+        accessor: 'progress',
+        total: 'average',
+        Footer: ({ total, isPageTotal }) =>
+          `${isPageTotal ? 'Page' : 'All'}: ${total}%`,
+      },
+      {
+        Header: 'Age',
+        accessor: 'age',
+        total: (values) => values.filter((value) => value >= 18).length,
+      },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10, progress: 50, age: 30 },
+    { firstName: 'Bob', status: 'married', visits: 5, progress: 20, age: 12 },
+    { firstName: 'Cy', status: 'single', visits: 1200, progress: 80, age: 40 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      ...rest,
+    },
+    useFooterTotals
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const ConditionalFormatting = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      {
+        Header: 'Status',
+        accessor: 'status',
+        formattingRules: [
+          { operator: 'matches', value: '^sing', icon: 'normal' },
+          {
+            predicate: (value, row) => row.original.visits > 100,
+            status: 'warning',
+          },
+        ],
+      },
+      {
+        Header: 'Visits',
+        accessor: 'visits',
+        formattingRules: [
+          { operator: 'greaterThan', value: 100, status: 'error' },
+          { operator: 'between', value: [5, 10], status: 'success' },
+        ],
+      },
+      {
+        Header: 'Progress',
+        accessor: 'progress',
+        formattingRules: [{ dataBar: true }],
+      },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10, progress: 50 },
+    { firstName: 'Bob', status: 'married', visits: 1, progress: 20 },
+    { firstName: 'Cy', status: 'married', visits: 1200, progress: 80 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      DatagridActions: ({ ConditionalFormattingButton }) => (
+        <ConditionalFormattingButton />
+      ),
+      ...rest,
+    },
+    useConditionalFormatting
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const GridNavigation = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      {
+        Header: 'Status',
+        accessor: 'status',
+        Cell: ({ value }) => <button type="button">{value}</button>,
+      },
+      { Header: 'Visits', accessor: 'visits' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10 },
+    { firstName: 'Bob', status: 'married', visits: 1 },
+    { firstName: 'Cy', status: 'single', visits: 1200 },
+    { firstName: 'Di', status: 'married', visits: 30 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      gridNavigationProps: { pageRowCount: 2 },
+      ...rest,
+    },
+    useGridNavigation,
+    useSelectRows
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const FindActions = ({ FindSearch }) => <FindSearch />;
+
+const Find = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Visits', accessor: 'visits' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', visits: 10 },
+    { firstName: 'Bob', visits: 1 },
+    { firstName: 'Cara', visits: 1200 },
+    { firstName: 'Dan', visits: 30 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      DatagridActions: FindActions,
+      ...rest,
+    },
+    useFind
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const PinnedRowsActions = ({ pinRow }) => (
+  <button type="button" onClick={() => pinRow('1', 'top')}>
+    Pin Bob
+  </button>
+);
+
+const PinnedRows = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: '', accessor: 'actions', isAction: true },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada' },
+    { firstName: 'Bob' },
+    { firstName: 'Cara' },
+    { firstName: 'Dan' },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      rowActions: [{ id: 'edit', itemText: 'Edit', onClick: jest.fn() }],
+      DatagridActions: PinnedRowsActions,
+      ...rest,
+    },
+    useActionsColumn,
+    usePinnedRows
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const GroupedHeaders = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'Name', accessor: 'name' },
+      {
+        Header: 'CPU',
+        columns: [
+          { Header: 'Requested', accessor: 'requested' },
+          { Header: 'Used', accessor: 'used' },
+          { Header: 'Limit', accessor: 'limit' },
+        ],
+      },
+    ],
+    []
+  );
+  const [data] = useState([
+    { name: 'api', requested: 2, used: 1, limit: 4 },
+    { name: 'web', requested: 1, used: 1, limit: 2 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      DatagridActions,
+      ...rest,
+    },
+    useSelectRows,
+    useCustomizeColumns,
+    useColumnOrder
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
+const MultiSortColumns = ({ ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Status', accessor: 'status' },
+      { Header: 'Visits', accessor: 'visits' },
+      { Header: 'Age', accessor: 'age' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', status: 'single', visits: 10, age: 20 },
+    { firstName: 'Bob', status: 'married', visits: 5, age: 40 },
+    { firstName: 'Cy', status: 'single', visits: 20, age: 30 },
+    { firstName: 'Di', status: 'married', visits: 1, age: 40 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      ascendingSortableLabelText: 'ascending',
+      descendingSortableLabelText: 'descending',
+      defaultSortableLabelText: 'none',
+      ...rest,
+    },
+    useSortableColumns
+  );
+
+  return <Datagrid datagridState={datagridState} />;
+};
+
+const FilterTypesActions = ({ FilterFlyout, getFilterFlyoutProps }) => (
+  <FilterFlyout {...getFilterFlyoutProps()} />
+);
+
+const FilterTypes = ({ filterProps, ...rest } = {}) => {
+  const columns = React.useMemo(
+    () => [
+      { Header: 'First Name', accessor: 'firstName', filter: 'text' },
+      { Header: 'Amount', accessor: 'amount', filter: 'range' },
+      { Header: 'Age', accessor: 'age', filter: 'adult' },
+    ],
+    []
+  );
+  const [data] = useState([
+    { firstName: 'Ada', amount: 10, age: 20 },
+    { firstName: 'bob', amount: 50, age: 15 },
+    { firstName: 'Carla', amount: 100, age: 40 },
+    { firstName: 'Abe', amount: 75, age: 30 },
+  ]);
+  const datagridState = useDatagrid(
+    {
+      columns,
+      data,
+      filterProps: {
+        variation: 'flyout',
+        updateMethod: 'instant',
+        filters: [
+          {
+            type: 'text',
+            column: 'firstName',
+            props: { FormGroup: { legendText: 'First name' } },
+          },
+          {
+            type: 'range',
+            column: 'amount',
+            props: { FormGroup: { legendText: 'Amount' } },
+          },
+          { type: 'adult', column: 'age', props: {} },
+        ],
+        customFilterTypes: {
+          adult: {
+            predicate: (age, adultsOnly) => !adultsOnly || age >= 18,
+            initialValue: false,
+            formatValue: () => 'adults only',
+            renderFilter: ({ column, value, onChange }) => (
+              <label htmlFor={`${column}-adult-filter`}>
+                <input
+                  id={`${column}-adult-filter`}
+                  type="checkbox"
+                  checked={value}
+                  onChange={(event) => onChange(event.target.checked)}
+                />
+                Adults only
+              </label>
+            ),
+          },
+        },
+        ...filterProps,
+      },
+      DatagridActions: FilterTypesActions,
+      ...rest,
+    },
+    useFiltering
+  );
+
+  return <Datagrid datagridState={{ ...datagridState }} />;
+};
+
 const BatchActions = () => {
   const columns = React.useMemo(() => defaultHeader, []);
   const [data] = useState(makeData(10));
@@ -911,6 +1508,9 @@ describe(componentName, () => {
   });
 
   afterEach(() => {
+    // Removes the spy on the fake `setTimeout`, which the tests without fake
+    // timers would otherwise keep
+    jest.restoreAllMocks();
     jest.useRealTimers();
     window.ResizeObserver = ResizeObserver;
   });
@@ -1157,72 +1757,919 @@ describe(componentName, () => {
     expect(screen.getByRole('img')).toHaveClass(
       `${pkg.prefix}--empty-state__illustration-notFound`
     );
-
-    rerender(<EmptyUsage emptyStateType="12345" />);
-    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+
+    rerender(<EmptyUsage emptyStateType="12345" />);
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+  });
+
+  it('Initial Load', async () => {
+    render(<InitialLoad data-testid={dataTestId} />);
+    expect(
+      screen
+        .getByRole('table')
+        .getElementsByTagName('thead')[0]
+        .getElementsByTagName('tr')[0]
+        .getElementsByTagName('th').length
+    ).toEqual(15);
+  });
+
+  it('Infinite Scroll', async () => {
+    render(<InfiniteScroll data-testid={dataTestId}></InfiniteScroll>);
+
+    expect(
+      screen
+        .getByRole('table')
+        .getElementsByTagName('tbody')[0]
+        .getElementsByTagName('div')[0].classList[0]
+    ).toBe('c4p--datagrid__virtual-scrollbar');
+  });
+
+  it('renders Ten Thousand table entries', async () => {
+    const { rerender } = render(
+      <TenThousandEntries data-testid={dataTestId} />
+    );
+
+    const tableBody =
+      screen.getAllByRole('rowgroup')[1].firstElementChild.firstElementChild;
+    const tableBodyHeight = tableBody.style.height;
+    expect(parseInt(tableBodyHeight)).toEqual(480000);
+
+    expect(
+      parseInt(tableBodyHeight) / 48 // 48 is default row height
+    ).toEqual(10000);
+
+    rerender(
+      <TenThousandEntries
+        virtualHeight={400}
+        data-testid={dataTestId}
+        loadMoreThreshold={300}
+      />
+    );
+    const rowGroups = screen.getAllByRole('rowgroup');
+    const bodyRowGroup = rowGroups[1];
+    const virtualScrollingElement = bodyRowGroup.firstElementChild;
+    fireEvent.scroll(virtualScrollingElement, { target: { scrollY: 5000 } });
+    expect(virtualScrollingElement.scrollLeft).toEqual(
+      bodyRowGroup.previousElementSibling.scrollLeft
+    );
+  });
+
+  it('With Pagination', async () => {
+    render(<WithPagination data-testid={dataTestId}></WithPagination>);
+
+    expect(
+      document.getElementById(`${carbon.prefix}-pagination-select-4`)
+    ).toBeDefined();
+    expect(
+      document.getElementById(`${carbon.prefix}-pagination-select-6`)
+    ).toBeDefined();
+  });
+
+  it('Server Side', async () => {
+    const onQueryChange = jest.fn();
+    const { rerender } = render(<ServerSide onQueryChange={onQueryChange} />);
+
+    // The query is only emitted once the debounce delay has passed
+    expect(onQueryChange).not.toHaveBeenCalled();
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+    expect(onQueryChange).toHaveBeenCalledTimes(1);
+    expect(onQueryChange).toHaveBeenLastCalledWith({
+      sortBy: [],
+      filters: [],
+      globalFilter: undefined,
+      pageIndex: 0,
+      pageSize: 10,
+    });
+
+    // The rows are left in the order they were passed in
+    const firstNames = () =>
+      Array.from(
+        document.querySelectorAll(`tbody .${blockClass}__carbon-row`)
+      ).map((row) => row.querySelectorAll('td')[1]?.textContent);
+    const initialFirstNames = firstNames();
+    const headerRow = screen.getAllByRole('row')[0];
+    const firstNameHeader = within(headerRow).getAllByRole('columnheader')[1];
+    await click(within(firstNameHeader).getByRole('button'));
+    act(() => {
+      jest.advanceTimersByTime(300);
+    });
+    expect(onQueryChange).toHaveBeenCalledTimes(2);
+    expect(onQueryChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        sortBy: [{ id: 'firstName', desc: false }],
+      })
+    );
+    expect(firstNames()).toEqual(initialFirstNames);
+    expect(
+      document.getElementById(`${carbon.prefix}-pagination-select-4`)
+    ).toBeDefined();
+
+    // Only the skeleton rows are shown while the next rows are fetched
+    rerender(<ServerSide onQueryChange={onQueryChange} isFetching />);
+    const bodyRows = document.querySelectorAll(
+      `tbody .${blockClass}__carbon-row`
+    );
+    expect(bodyRows.length).toEqual(3);
+    bodyRows.forEach((row) =>
+      expect(
+        row.querySelector(`.${carbon.prefix}--skeleton__text`)
+      ).toBeTruthy()
+    );
+    expect(
+      document.querySelector(`.${carbon.prefix}--pagination`)
+    ).toBeTruthy();
+  });
+
+  it('View State', async () => {
+    const viewStateKey = 'view-state-test';
+    window.localStorage.setItem(
+      viewStateKey,
+      JSON.stringify({
+        version: 1,
+        columnOrder: ['lastName', 'firstName'],
+        hiddenColumns: ['age'],
+        columnWidths: { lastName: 240 },
+        rowSize: 'xs',
+        sortBy: [{ id: 'firstName', desc: true }],
+        filters: [],
+      })
+    );
+    const { unmount } = render(<ViewState />);
+
+    // The saved view state is restored on mount
+    const headerRow = screen.getAllByRole('row')[0];
+    const columnHeaders = within(headerRow).getAllByRole('columnheader');
+    expect(columnHeaders[0]).toHaveTextContent('Last Name');
+    expect(columnHeaders[1]).toHaveTextContent('First Name');
+    expect(within(headerRow).queryByText('Age')).toBeNull();
+    expect(columnHeaders[0].style.width).toEqual('240px');
+    expect(
+      within(columnHeaders[1]).getByRole('button').getAttribute('aria-sort')
+    ).toEqual('descending');
+    expect(screen.getByRole('table')).toHaveClass(
+      `${carbon.prefix}--data-table--xs`
+    );
+
+    // Changes to the view are saved
+    await click(within(columnHeaders[0]).getByRole('button'));
+    expect(
+      JSON.parse(window.localStorage.getItem(viewStateKey)).sortBy
+    ).toEqual([{ id: 'lastName', desc: false }]);
+    unmount();
+
+    // View states saved by another version are ignored
+    window.localStorage.setItem(
+      viewStateKey,
+      JSON.stringify({ version: 0, hiddenColumns: ['firstName'] })
+    );
+    render(<ViewState />);
+    expect(
+      within(screen.getAllByRole('row')[0]).getByText('First Name')
+    ).toBeInTheDocument();
+    window.localStorage.removeItem(viewStateKey);
+  });
+
+  it('View State in the URL', async () => {
+    const viewStateKey = 'view';
+    render(<ViewState viewStateKey={viewStateKey} viewStateStorage="url" />);
+    const headerRow = screen.getAllByRole('row')[0];
+    const firstNameHeader = within(headerRow).getAllByRole('columnheader')[1];
+    await click(within(firstNameHeader).getByRole('button'));
+    const viewState = JSON.parse(
+      new URLSearchParams(window.location.search).get(viewStateKey)
+    );
+    expect(viewState).toEqual(
+      expect.objectContaining({
+        version: 1,
+        sortBy: [{ id: 'firstName', desc: false }],
+      })
+    );
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('Grouping', async () => {
+    render(<Grouping />);
+    const groupRows = () =>
+      Array.from(document.querySelectorAll(`.${blockClass}__group-row`));
+
+    // Grouping from the toolbar
+    await click(screen.getByRole('button', { name: 'Group by' }));
+    await click(screen.getByRole('checkbox', { name: 'Status' }));
+    expect(groupRows().length).toEqual(2);
+    const [singleRow, marriedRow] = groupRows();
+    expect(singleRow).toHaveTextContent('single(2)');
+    // The aggregates of the rows in the group
+    const singleCells = within(singleRow).getAllByRole('cell');
+    expect(singleCells[3]).toHaveTextContent('30');
+    expect(singleCells[4]).toHaveTextContent('25');
+    expect(within(marriedRow).getAllByRole('cell')[3]).toHaveTextContent('6');
+
+    // Groups are sorted by the grouped value
+    await click(screen.getByRole('button', { name: /^Status/ }));
+    expect(groupRows()[0]).toHaveTextContent('married(2)');
+    await click(screen.getByRole('button', { name: /^Status/ }));
+    expect(groupRows()[0]).toHaveTextContent('single(2)');
+
+    // Expanding a group shows its rows, without repeating the grouped value
+    await click(
+      within(singleRow).getByRole('button', { name: 'Expand group' })
+    );
+    const bodyRows = within(screen.getAllByRole('rowgroup')[1]).getAllByRole(
+      'row'
+    );
+    expect(bodyRows.length).toEqual(4);
+    const adaRow = bodyRows.find((row) => within(row).queryByText('Ada'));
+    expect(within(adaRow).getAllByRole('cell')[1]).toBeEmptyDOMElement();
+
+    // The rows of a group are selected like any other row
+    await click(within(adaRow).getByRole('checkbox'));
+    expect(within(adaRow).getByRole('checkbox')).toBeChecked();
+
+    // Removing the group from the group bar
+    const groupBar = document.querySelector(`.${blockClass}__group-bar`);
+    await click(within(groupBar).getByRole('button', { name: 'Remove group' }));
+    expect(groupRows().length).toEqual(0);
+    expect(groupBar).toHaveTextContent(
+      'Drag a column header here to group rows by it'
+    );
+
+    // Grouping by dragging a column header to the group bar
+    const dataTransfer = {
+      data: {},
+      types: [],
+      setData(type, value) {
+        this.data[type] = value;
+        this.types.push(type);
+      },
+      getData(type) {
+        return this.data[type];
+      },
+    };
+    const firstNameHeader = screen.getByRole('columnheader', {
+      name: /First Name/,
+    });
+    fireEvent.dragStart(firstNameHeader, { dataTransfer });
+    fireEvent.dragOver(groupBar, { dataTransfer });
+    fireEvent.drop(groupBar, { dataTransfer });
+    expect(groupRows().length).toEqual(4);
+    expect(within(groupBar).getByText('First Name')).toBeInTheDocument();
+  });
+
+  it('should select a range of cells and copy it', () => {
+    render(<CellRangeSelection />);
+    const getCell = (name) => screen.getByRole('cell', { name });
+    const getSelectedCells = () =>
+      screen
+        .getAllByRole('cell')
+        .filter((cell) =>
+          cell.classList.contains(`${blockClass}__cell--range-selected`)
+        )
+        .map((cell) => cell.textContent);
+    const getTabStops = () =>
+      screen
+        .getAllByRole('cell')
+        .filter((cell) => cell.getAttribute('tabindex') === '0')
+        .map((cell) => cell.textContent);
+    const copy = (cell) => {
+      const setData = jest.fn();
+      fireEvent.copy(cell, { clipboardData: { setData } });
+      return Object.fromEntries(setData.mock.calls);
+    };
+
+    // The cells of a table cannot be selected for assistive technologies
+    expect(getCell('Ada')).not.toHaveAttribute('aria-selected');
+    expect(getTabStops()).toEqual(['Ada']);
+
+    // Dragging the mouse
+    fireEvent.mouseDown(getCell('Bob'));
+    fireEvent.mouseUp(document);
+    expect(getTabStops()).toEqual(['Bob']);
+    fireEvent.mouseDown(getCell('Ada'));
+    fireEvent.mouseEnter(getCell('married'));
+    fireEvent.mouseUp(document);
+    fireEvent.mouseEnter(getCell('20 visits'));
+    expect(getSelectedCells()).toEqual(['Ada', 'single', 'Bob', 'married']);
+
+    // Shift+click extends the range from where it started
+    fireEvent.mouseDown(getCell('20 visits'), { shiftKey: true });
+    expect(getSelectedCells().length).toEqual(9);
+    // The values are copied rather than the rendered cells
+    expect(copy(getCell('Ada'))).toEqual({
+      'text/plain': 'Ada\tsingle\t10\r\nBob\tmarried\t5\r\nCy\tsingle <3\t20',
+      'text/html':
+        '<table><tr><td>Ada</td><td>single</td><td>10</td></tr>' +
+        '<tr><td>Bob</td><td>married</td><td>5</td></tr>' +
+        '<tr><td>Cy</td><td>single &lt;3</td><td>20</td></tr></table>',
+    });
+
+    // The keyboard moves the selected cell, and extends the range with Shift
+    fireEvent.mouseDown(getCell('Cy'));
+    fireEvent.keyDown(getCell('Cy'), { key: 'ArrowUp' });
+    expect(document.activeElement).toEqual(getCell('Bob'));
+    fireEvent.keyDown(getCell('Bob'), { key: 'ArrowDown', shiftKey: true });
+    fireEvent.keyDown(getCell('Cy'), { key: 'ArrowRight', shiftKey: true });
+    expect(document.activeElement).toEqual(getCell('single <3'));
+    expect(getSelectedCells()).toEqual(['Bob', 'married', 'Cy', 'single <3']);
+    expect(copy(getCell('Cy'))['text/plain']).toEqual(
+      'Bob\tmarried\r\nCy\tsingle <3'
+    );
+
+    fireEvent.keyDown(getCell('single <3'), { key: 'Escape' });
+    expect(getSelectedCells()).toEqual([]);
+    expect(copy(getCell('Cy'))).toEqual({});
+  });
+
+  it('should reorder rows with the keyboard and by dragging them', () => {
+    const onRowOrderChange = jest.fn();
+    render(<RowReorder onRowOrderChange={onRowOrderChange} />);
+    const getHandle = (name) =>
+      screen.getByRole('button', { name: `Reorder ${name}` });
+    const getRowNames = () =>
+      screen
+        .getAllByRole('button', { name: /^Reorder / })
+        .map((handle) => handle.getAttribute('aria-label').slice(8));
+    expect(getRowNames()).toEqual(['Ada', 'Ann', 'Abe', 'Bob', 'Cy']);
+
+    // Space picks the row up, the arrow keys move it and Space drops it
+    fireEvent.keyDown(getHandle('Ada'), { key: ' ' });
+    expect(
+      screen.getByText('Ada grabbed. Current position 1 of 3.')
+    ).toBeInTheDocument();
+    fireEvent.keyDown(getHandle('Ada'), { key: 'ArrowDown' });
+    expect(getRowNames()).toEqual(['Bob', 'Ada', 'Ann', 'Abe', 'Cy']);
+    expect(document.activeElement).toEqual(getHandle('Ada'));
+    expect(
+      screen.getByText('Ada moved. New position 2 of 3.')
+    ).toBeInTheDocument();
+    expect(onRowOrderChange).toHaveBeenLastCalledWith(
+      [
+        expect.objectContaining({ firstName: 'Bob' }),
+        expect.objectContaining({ firstName: 'Ada' }),
+        expect.objectContaining({ firstName: 'Cy' }),
+      ],
+      expect.objectContaining({ fromIndex: 0, toIndex: 1 })
+    );
+    fireEvent.keyDown(getHandle('Ada'), { key: ' ' });
+    expect(
+      screen.getByText('Ada dropped. Final position 2 of 3.')
+    ).toBeInTheDocument();
+    fireEvent.keyDown(getHandle('Ada'), { key: 'ArrowDown' });
+    expect(getRowNames()).toEqual(['Bob', 'Ada', 'Ann', 'Abe', 'Cy']);
+
+    // Escape puts the row back where it was picked up
+    fireEvent.keyDown(getHandle('Cy'), { key: ' ' });
+    fireEvent.keyDown(getHandle('Cy'), { key: 'ArrowUp' });
+    fireEvent.keyDown(getHandle('Cy'), { key: 'ArrowUp' });
+    expect(getRowNames()).toEqual(['Cy', 'Bob', 'Ada', 'Ann', 'Abe']);
+    fireEvent.keyDown(getHandle('Cy'), { key: 'Escape' });
+    expect(getRowNames()).toEqual(['Bob', 'Ada', 'Ann', 'Abe', 'Cy']);
+    expect(
+      screen.getByText('Reordering cancelled. Cy returned to position 3 of 3.')
+    ).toBeInTheDocument();
+
+    // A nested row only moves among the children of its parent
+    onRowOrderChange.mockClear();
+    fireEvent.keyDown(getHandle('Abe'), { key: ' ' });
+    fireEvent.keyDown(getHandle('Abe'), { key: 'ArrowDown' });
+    expect(onRowOrderChange).not.toHaveBeenCalled();
+    fireEvent.keyDown(getHandle('Abe'), { key: 'ArrowUp' });
+    fireEvent.blur(getHandle('Abe'));
+    expect(getRowNames()).toEqual(['Bob', 'Ada', 'Abe', 'Ann', 'Cy']);
+    expect(
+      screen.getByText('Abe dropped. Final position 1 of 2.')
+    ).toBeInTheDocument();
+
+    // Dragging a row drops it before or after the row it is dragged over
+    // The element around the button is dragged, buttons cannot be dragged in
+    // Firefox
+    const getRow = (name) => getHandle(name).closest('tr');
+    const getDragHandle = (name) => getHandle(name).parentElement;
+    expect(getHandle('Cy')).not.toHaveAttribute('draggable');
+    expect(getDragHandle('Cy')).toHaveAttribute('draggable', 'true');
+    fireEvent.dragStart(getDragHandle('Cy'));
+    fireEvent.dragOver(getRow('Ann'));
+    expect(getRow('Ann')).not.toHaveClass(
+      `${blockClass}__row-reorder--drop-before`
+    );
+    fireEvent.dragOver(getRow('Bob'));
+    expect(getRow('Bob')).toHaveClass(
+      `${blockClass}__row-reorder--drop-before`
+    );
+    fireEvent.drop(getRow('Bob'));
+    fireEvent.dragEnd(getDragHandle('Cy'));
+    expect(getRowNames()).toEqual(['Cy', 'Bob', 'Ada', 'Abe', 'Ann']);
+  });
+
+  it('should set the height of the footer for the bottom pinned rows', () => {
+    const offsetHeight = jest
+      .spyOn(HTMLElement.prototype, 'offsetHeight', 'get')
+      .mockImplementation(function () {
+        return this.tagName === 'TFOOT' ? 96 : 0;
+      });
+    const { unmount } = render(<FooterTotals />);
+    const table = screen.getByRole('table');
+    expect(
+      table.style.getPropertyValue(`--${blockClass}--footer-height`)
+    ).toEqual('96px');
+    offsetHeight.mockRestore();
+    unmount();
+  });
+
+  it('should show the totals of the filtered rows and of the page in the footer', () => {
+    const { unmount } = render(<FooterTotals />);
+    const getTotals = (label) =>
+      within(screen.getByText(label).closest('tr'))
+        .getAllByRole('cell')
+        .map((cell) => cell.textContent);
+    expect(getTotals('Total')).toEqual([
+      'Total',
+      '3',
+      '1,215',
+      'All: 50%',
+      '2',
+    ]);
+    expect(screen.queryByText('Page total')).toBeNull();
+
+    unmount();
+    const { unmount: unmountFiltered } = render(
+      <FooterTotals
+        initialState={{ filters: [{ id: 'status', value: 'single' }] }}
+      />
+    );
+    expect(getTotals('Total')).toEqual([
+      'Total',
+      '2',
+      '1,210',
+      'All: 65%',
+      '2',
+    ]);
+
+    unmountFiltered();
+    render(
+      <FooterTotals
+        initialState={{ pageSize: 2 }}
+        DatagridPagination={DatagridPagination}
+        footerTotalsProps={{
+          showPageTotals: true,
+          labels: { totalLabel: 'Grand total' },
+        }}
+      />
+    );
+    expect(getTotals('Page total')).toEqual([
+      'Page total',
+      '2',
+      '15',
+      'Page: 35%',
+      '1',
+    ]);
+    expect(getTotals('Grand total')[2]).toEqual('1,215');
+  });
+
+  it('should format the cells by the rules of their column and by saved rules', async () => {
+    const onSaveFormattingRules = jest.fn();
+    render(
+      <ConditionalFormatting
+        conditionalFormattingProps={{ onSaveFormattingRules }}
+      />
+    );
+    const getCell = (text) => screen.getByText(text).closest('td');
+    const formattedClass = `${blockClass}__cell--formatted`;
+    expect(getCell('1200')).toHaveClass(`${formattedClass}-error`);
+    expect(getCell('10')).toHaveClass(`${formattedClass}-success`);
+    expect(getCell('1')).not.toHaveClass(`${formattedClass}-error`);
+    expect(getCell('single').querySelector('svg')).not.toBeNull();
+    const [, statusOfBob, statusOfCy] = screen
+      .getAllByRole('row')
+      .slice(1)
+      .map((row) => within(row).getAllByRole('cell')[1]);
+    expect(statusOfBob.querySelector('svg')).toBeNull();
+    expect(statusOfBob).not.toHaveClass(`${formattedClass}-warning`);
+    expect(statusOfCy).toHaveClass(`${formattedClass}-warning`);
+    // the data bars go from zero to the highest value of the column
+    expect(
+      getCell('80').querySelector(`.${blockClass}__data-bar`).style.width
+    ).toEqual('100%');
+    expect(
+      getCell('20').querySelector(`.${blockClass}__data-bar`).style.width
+    ).toEqual('25%');
+
+    await act(() =>
+      click(screen.getByRole('button', { name: 'Conditional formatting' }))
+    );
+    const tearsheet = screen.getByRole('dialog');
+    expect(within(tearsheet).getAllByRole('listitem')).toHaveLength(5);
+    const deleteButtons = within(tearsheet).getAllByRole('button', {
+      name: 'Delete rule',
+    });
+    await act(() => click(deleteButtons[2]));
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Add rule' }))
+    );
+    await act(() => click(within(tearsheet).getByText('Select a column')));
+    await act(() =>
+      click(within(tearsheet).getByRole('option', { name: 'First Name' }))
+    );
+    await act(() => click(within(tearsheet).getByText('has any value')));
+    await act(() =>
+      click(within(tearsheet).getByRole('option', { name: 'contains' }))
+    );
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Apply' }))
+    );
+    expect(within(tearsheet).getByText('Enter a value.')).toBeInTheDocument();
+    fireEvent.change(within(tearsheet).getByLabelText('Value'), {
+      target: { value: 'b' },
+    });
+    await act(() => click(within(tearsheet).getAllByText('None')[0]));
+    await act(() =>
+      click(within(tearsheet).getByRole('option', { name: 'Information' }))
+    );
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Apply' }))
+    );
+    expect(
+      within(tearsheet).getByText('First Name contains b')
+    ).toBeInTheDocument();
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Save' }))
+    );
+
+    expect(onSaveFormattingRules).toHaveBeenCalledTimes(1);
+    expect(onSaveFormattingRules.mock.calls[0][0]).toHaveLength(5);
+    expect(getCell('Bob')).toHaveClass(`${formattedClass}-info`);
+    expect(getCell('1200')).not.toHaveClass(`${formattedClass}-error`);
+    expect(getCell('10')).toHaveClass(`${formattedClass}-success`);
+  });
+
+  it('should format every cell that matches a global pattern', () => {
+    const rules = [
+      {
+        columnId: 'status',
+        operator: 'matches',
+        value: /ied/g,
+        status: 'info',
+        icon: 'info',
+      },
+    ];
+    render(<ConditionalFormatting conditionalFormattingProps={{ rules }} />);
+    const [, statusOfBob, statusOfCy] = screen
+      .getAllByRole('row')
+      .slice(1)
+      .map((row) => within(row).getAllByRole('cell')[1]);
+    const formattedClass = `${blockClass}__cell--formatted`;
+    [statusOfBob, statusOfCy].forEach((cell) => {
+      expect(cell).toHaveClass(`${formattedClass}-info`);
+      expect(cell.querySelector('svg')).not.toBeNull();
+    });
+    expect(rules[0].value.lastIndex).toEqual(0);
+  });
+
+  it('should format the cells by the rules given to the props when they are saved', async () => {
+    const onSaveFormattingRules = jest.fn();
+    const rules = [
+      {
+        columnId: 'visits',
+        operator: 'greaterThan',
+        value: 100,
+        status: 'error',
+      },
+    ];
+    const { rerender } = render(
+      <ConditionalFormatting
+        conditionalFormattingProps={{ rules, onSaveFormattingRules }}
+      />
+    );
+    const getCell = (text) => screen.getByText(text).closest('td');
+    const formattedClass = `${blockClass}__cell--formatted`;
+    expect(getCell('1200')).toHaveClass(`${formattedClass}-error`);
+    expect(getCell('10')).not.toHaveClass(`${formattedClass}-success`);
+
+    await act(() =>
+      click(screen.getByRole('button', { name: 'Conditional formatting' }))
+    );
+    const tearsheet = screen.getByRole('dialog');
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Delete rule' }))
+    );
+    await act(() =>
+      click(within(tearsheet).getByRole('button', { name: 'Save' }))
+    );
+    expect(onSaveFormattingRules).toHaveBeenCalledWith([]);
+    // The rules of the props are shown until the saved rules are passed back
+    expect(getCell('1200')).toHaveClass(`${formattedClass}-error`);
+    rerender(
+      <ConditionalFormatting
+        conditionalFormattingProps={{ rules: [], onSaveFormattingRules }}
+      />
+    );
+    expect(getCell('1200')).not.toHaveClass(`${formattedClass}-error`);
   });
 
-  it('Initial Load', async () => {
-    render(<InitialLoad data-testid={dataTestId} />);
-    expect(
-      screen
-        .getByRole('table')
-        .getElementsByTagName('thead')[0]
-        .getElementsByTagName('tr')[0]
-        .getElementsByTagName('th').length
-    ).toEqual(15);
+  it('should move the focus between the cells with the keyboard', () => {
+    render(<GridNavigation />);
+    const grid = screen.getByRole('grid');
+    const getCell = (rowIndex, columnIndex) =>
+      screen.getAllByRole('row')[rowIndex].children[columnIndex];
+    const press = (key, options) =>
+      fireEvent.keyDown(document.activeElement, { key, ...options });
+    // The first cell is the only tab stop of the grid
+    expect(grid.querySelectorAll('[tabindex="0"]')).toEqual(
+      expect.objectContaining({ length: 1 })
+    );
+    expect(getCell(0, 0)).toHaveAttribute('tabindex', '0');
+    screen
+      .getAllByRole('button', { name: 'married' })
+      .forEach((button) => expect(button).toHaveAttribute('tabindex', '-1'));
+
+    act(() => getCell(0, 0).focus());
+    press('ArrowDown');
+    expect(getCell(1, 0)).toHaveFocus();
+    press('ArrowRight');
+    press('ArrowRight');
+    expect(getCell(1, 2)).toHaveFocus();
+    expect(getCell(1, 2)).toHaveAttribute('tabindex', '0');
+    expect(getCell(0, 0)).toHaveAttribute('tabindex', '-1');
+    press('Home');
+    expect(getCell(1, 0)).toHaveFocus();
+    press('End');
+    expect(getCell(1, 3)).toHaveFocus();
+    press('PageDown');
+    expect(getCell(3, 3)).toHaveFocus();
+    press('PageDown');
+    expect(getCell(4, 3)).toHaveFocus();
+    press('Home', { ctrlKey: true });
+    expect(getCell(0, 0)).toHaveFocus();
+    press('End', { ctrlKey: true });
+    expect(getCell(4, 3)).toHaveFocus();
+    press('PageUp');
+    expect(getCell(2, 3)).toHaveFocus();
+
+    // Space selects the row of the cell
+    press(' ');
+    expect(within(getCell(2, 0)).getByRole('checkbox')).toBeChecked();
+
+    // Enter moves the focus to the button in the cell, and Escape back
+    press('ArrowLeft');
+    press('Enter');
+    expect(within(getCell(2, 2)).getByRole('button')).toHaveFocus();
+    press('ArrowDown');
+    expect(within(getCell(2, 2)).getByRole('button')).toHaveFocus();
+    press('Escape');
+    expect(getCell(2, 2)).toHaveFocus();
+    expect(getCell(2, 2)).toHaveAttribute('tabindex', '0');
   });
 
-  it('Infinite Scroll', async () => {
-    render(<InfiniteScroll data-testid={dataTestId}></InfiniteScroll>);
-
+  it('should highlight the matches of the query and move between them', async () => {
+    render(
+      <Find
+        initialState={{ pageSize: 2 }}
+        DatagridPagination={DatagridPagination}
+      />
+    );
+    const getMarks = (text) =>
+      Array.from(
+        screen
+          .getByText((content, element) => element.textContent === text, {
+            selector: 'td',
+          })
+          .querySelectorAll('mark')
+      ).map((mark) => [mark.textContent, mark.className]);
+    const matchClass = `${blockClass}__find-match`;
+    fireEvent.change(screen.getByRole('searchbox'), {
+      target: { value: 'a' },
+    });
+    screen.getByText('1 of 5');
+    // The rows are not filtered
+    screen.getByText('Bob');
+    expect(getMarks('Ada')).toEqual([
+      ['A', `${matchClass} ${matchClass}--active`],
+      ['a', matchClass],
+    ]);
+
+    const nextButton = screen.getByRole('button', { name: 'Next match' });
+    await act(() => click(nextButton));
+    await act(() => click(nextButton));
+    // The page of the match is shown
+    screen.getByText('3 of 5');
+    expect(screen.queryByText('Bob')).toBeNull();
+    expect(getMarks('Cara')[0]).toEqual([
+      'a',
+      `${matchClass} ${matchClass}--active`,
+    ]);
     expect(
       screen
-        .getByRole('table')
-        .getElementsByTagName('tbody')[0]
-        .getElementsByTagName('div')[0].classList[0]
-    ).toBe('c4p--datagrid__virtual-scrollbar');
+        .getByText((content, element) => element.textContent === 'Cara', {
+          selector: 'td',
+        })
+        .closest('td')
+    ).toHaveClass(`${blockClass}__cell--find-match-active`);
+
+    await act(() =>
+      click(screen.getByRole('button', { name: 'Previous match' }))
+    );
+    screen.getByText('2 of 5');
+    screen.getByText('Bob');
+
+    fireEvent.keyDown(screen.getByRole('searchbox'), { key: 'Enter' });
+    screen.getByText('3 of 5');
+    fireEvent.keyDown(screen.getByRole('searchbox'), {
+      key: 'Enter',
+      shiftKey: true,
+    });
+    screen.getByText('2 of 5');
+
+    fireEvent.change(screen.getByRole('searchbox'), {
+      target: { value: 'xyz' },
+    });
+    screen.getByText('No matches');
+    expect(nextButton).toBeDisabled();
   });
 
-  it('renders Ten Thousand table entries', async () => {
-    const { rerender } = render(
-      <TenThousandEntries data-testid={dataTestId} />
+  it('should render the pinned rows apart from the other rows', async () => {
+    const onPinnedRowsChange = jest.fn();
+    render(
+      <PinnedRows
+        pinnedRowsProps={{
+          initialPinnedRowIds: { bottom: ['3'] },
+          onPinnedRowsChange,
+        }}
+      />
     );
+    const getRowTexts = (selector) =>
+      Array.from(document.querySelectorAll(`${selector} tr`)).map(
+        (row) => row.firstChild.textContent
+      );
+    expect(getRowTexts(`.${blockClass}__pinned-rows--bottom`)).toEqual(['Dan']);
+    expect(getRowTexts(`.${blockClass}__simple-body`)).toEqual([
+      'Ada',
+      'Bob',
+      'Cara',
+    ]);
+
+    await act(() => click(screen.getByRole('button', { name: 'Pin Bob' })));
+    expect(onPinnedRowsChange).toHaveBeenCalledWith({
+      top: ['1'],
+      bottom: ['3'],
+    });
+    expect(getRowTexts(`.${blockClass}__pinned-rows--top`)).toEqual(['Bob']);
+    expect(getRowTexts(`.${blockClass}__simple-body`)).toEqual(['Ada', 'Cara']);
 
-    const tableBody =
-      screen.getAllByRole('rowgroup')[1].firstElementChild.firstElementChild;
-    const tableBodyHeight = tableBody.style.height;
-    expect(parseInt(tableBodyHeight)).toEqual(480000);
-
-    expect(
-      parseInt(tableBodyHeight) / 48 // 48 is default row height
-    ).toEqual(10000);
+    // The pin actions follow the row actions, without the current position
+    const pinnedRow = document.querySelector(
+      `.${blockClass}__pinned-rows--top tr`
+    );
+    await act(() =>
+      click(within(pinnedRow).getByRole('button', { name: 'Options' }))
+    );
+    const menuItems = Array.from(
+      document.querySelectorAll(
+        `.${carbon.prefix}--overflow-menu-options button`
+      )
+    );
+    expect(menuItems.map((item) => item.textContent)).toEqual([
+      'Edit',
+      'Pin to bottom',
+      'Unpin',
+    ]);
+    await act(() => click(menuItems[2]));
+    expect(document.querySelector(`.${blockClass}__pinned-rows--top`)).toBe(
+      null
+    );
+    expect(getRowTexts(`.${blockClass}__simple-body`)).toEqual([
+      'Ada',
+      'Bob',
+      'Cara',
+    ]);
+  });
 
-    rerender(
-      <TenThousandEntries
-        virtualHeight={400}
-        data-testid={dataTestId}
-        loadMoreThreshold={300}
+  it('should keep the pinned rows in the other rows when they are duplicated', () => {
+    render(
+      <PinnedRows
+        pinnedRowsProps={{
+          initialPinnedRowIds: { top: ['2'] },
+          duplicatePinnedRows: true,
+        }}
       />
     );
-    const rowGroups = screen.getAllByRole('rowgroup');
-    const bodyRowGroup = rowGroups[1];
-    const virtualScrollingElement = bodyRowGroup.firstElementChild;
-    fireEvent.scroll(virtualScrollingElement, { target: { scrollY: 5000 } });
-    expect(virtualScrollingElement.scrollLeft).toEqual(
-      bodyRowGroup.previousElementSibling.scrollLeft
+    const pinnedRow = document.querySelector(
+      `.${blockClass}__pinned-rows--top tr`
     );
+    expect(pinnedRow.firstChild.textContent).toBe('Cara');
+    expect(pinnedRow).toHaveClass(`${blockClass}__row--pinned`);
+    expect(
+      document.querySelectorAll(`.${blockClass}__simple-body tr`)
+    ).toHaveLength(4);
   });
 
-  it('With Pagination', async () => {
-    render(<WithPagination data-testid={dataTestId}></WithPagination>);
+  it('should render the headers of the column groups above the column headers', () => {
+    render(<GroupedHeaders />);
+    const [groupRow, headerRow] = screen.getAllByRole('row');
+    const groupHeader = within(groupRow).getByRole('columnheader', {
+      name: 'CPU',
+    });
+    expect(groupHeader).toHaveAttribute('colspan', '3');
+    expect(groupHeader).toHaveAttribute('scope', 'colgroup');
+    expect(
+      groupRow.querySelectorAll(`.${blockClass}__head-group-cell--placeholder`)
+    ).toHaveLength(1);
+    expect(
+      groupRow.querySelector(`.${blockClass}__head-hidden-select-all`)
+    ).toBeInTheDocument();
+    ['Name', 'Requested', 'Used', 'Limit'].forEach((name) =>
+      within(headerRow).getByText(name)
+    );
+    within(screen.getAllByRole('row')[2]).getByText('api');
 
+    fireEvent.click(screen.getByLabelText('Customize columns'));
+    fireEvent.change(screen.getByPlaceholderText('Find column'), {
+      target: { value: 'cpu' },
+    });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'CPU / Used' }));
+    expect(screen.getAllByRole('checkbox', { name: /^CPU \// })).toHaveLength(
+      3
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
     expect(
-      document.getElementById(`${carbon.prefix}-pagination-select-4`)
-    ).toBeDefined();
+      within(screen.getAllByRole('row')[0]).getByRole('columnheader', {
+        name: 'CPU',
+      })
+    ).toHaveAttribute('colspan', '2');
     expect(
-      document.getElementById(`${carbon.prefix}-pagination-select-6`)
-    ).toBeDefined();
+      within(screen.getAllByRole('row')[1]).queryByText('Used')
+    ).toBeNull();
+  });
+
+  it('Export', async () => {
+    const { clear, type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    const blobs = [];
+    const { Blob } = global;
+    global.Blob = class {
+      constructor(parts, { type }) {
+        Object.assign(this, { parts, type });
+        blobs.push(this);
+      }
+    };
+    URL.createObjectURL = jest.fn(() => 'blob:export');
+    URL.revokeObjectURL = jest.fn();
+    const downloads = [];
+    const clickSpy = jest
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(function () {
+        downloads.push(this.download);
+      });
+    const submitExportModal = () =>
+      click(
+        within(document.querySelector('.c4p--export-modal')).getByRole(
+          'button',
+          { name: 'Export' }
+        )
+      );
+
+    render(<Export />);
+    // The visible columns in their current order, and the filtered rows
+    // sorted by visits
+    await click(screen.getByRole('button', { name: /^Visits/ }));
+    await click(screen.getByRole('button', { name: 'Export' }));
+    const fileNameInput = screen.getByRole('textbox', { name: 'File name' });
+    expect(fileNameInput).toHaveValue('people.csv');
+    await submitExportModal();
+    expect(blobs[0].type).toEqual('text/csv;charset=utf-8');
+    expect(blobs[0].parts.join('')).toEqual(
+      '\uFEFFVisits,First Name,Status,Joined\r\n' +
+        '10,"\'=Ada, ""A""",single,2020\r\n' +
+        "20,'\tCy,single,2022\r\n" +
+        '30,"\'\rDee",single,2023'
+    );
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blobs[0]);
+
+    // Only the selected rows
+    const cyRow = screen.getByText('Cy').closest('tr');
+    await click(within(cyRow).getByRole('checkbox'));
+    await click(screen.getByRole('button', { name: 'Export selected' }));
+    expect(blobs[1].parts.join('')).toEqual(
+      "\uFEFFVisits\tFirst Name\tStatus\tJoined\r\n20\t' Cy\tsingle\t2022"
+    );
+
+    // The format is picked by the extension of the file name
+    await click(screen.getByRole('button', { name: 'Export' }));
+    await clear(fileNameInput);
+    await type(fileNameInput, 'people.xlsx');
+    await submitExportModal();
+    expect(blobs[2].type).toEqual(
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    // A zip archive
+    expect(Array.from(blobs[2].parts[0].slice(0, 4))).toEqual([
+      0x50, 0x4b, 0x03, 0x04,
+    ]);
+    expect(downloads).toEqual(['people.csv', 'people.tsv', 'people.xlsx']);
+
+    clickSpy.mockRestore();
+    global.Blob = Blob;
   });
 
   it('Clickable Row', async () => {
@@ -1541,6 +2988,94 @@ describe(componentName, () => {
     expect(nestedRow).toHaveClass(`${blockClass}__carbon-nested-row`);
   });
 
+  it('should load the children of nested rows when they are expanded', async () => {
+    const requests = [];
+    const onLoadChildren = jest.fn(
+      () => new Promise((resolve, reject) => requests.push({ resolve, reject }))
+    );
+    render(<LazyNestedRows onLoadChildren={onLoadChildren} />);
+    const getAdaExpander = () =>
+      within(screen.getByText('Ada').closest('tr')).getByRole('button');
+    expect(
+      within(screen.getByText('Bob').closest('tr')).queryByRole('button')
+    ).toBeNull();
+
+    // A skeleton row is shown under the row while its children load
+    fireEvent.click(getAdaExpander());
+    expect(onLoadChildren).toHaveBeenCalledTimes(1);
+    expect(onLoadChildren.mock.calls[0][0].original.firstName).toEqual('Ada');
+    expect(screen.getByText('Loading rows')).toBeInTheDocument();
+
+    // The children can be loaded again when they could not be loaded
+    await act(async () => requests[0].reject(new Error('Offline')));
+    expect(
+      screen.getByText('The rows could not be loaded.')
+    ).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+    expect(onLoadChildren).toHaveBeenCalledTimes(2);
+    expect(screen.getByText('Loading rows')).toBeInTheDocument();
+    await act(async () =>
+      requests[1].resolve([
+        { firstName: 'Ann', visits: 1 },
+        { firstName: 'Abe', visits: 2 },
+      ])
+    );
+    expect(screen.queryByText('Loading rows')).toBeNull();
+    expect(screen.getByText('Ann').closest('tr')).toHaveClass(
+      `${blockClass}__carbon-nested-row`
+    );
+    expect(screen.getByText('Abe')).toBeInTheDocument();
+
+    // The loaded children are kept when the row is collapsed
+    fireEvent.click(getAdaExpander());
+    expect(screen.queryByText('Ann')).toBeNull();
+    fireEvent.click(getAdaExpander());
+    expect(screen.getByText('Ann')).toBeInTheDocument();
+    expect(onLoadChildren).toHaveBeenCalledTimes(2);
+  });
+
+  it('should indent the first data column of nested rows', () => {
+    const data = [
+      {
+        firstName: 'Ada',
+        visits: 10,
+        subRows: [{ firstName: 'Ann', visits: 1 }],
+      },
+    ];
+    const nameColumns = [
+      { Header: 'First Name', accessor: 'firstName' },
+      { Header: 'Visits', accessor: 'visits' },
+    ];
+    const expectIndentedFirstDataCell = () => {
+      const [adaCells, annCells] = ['Ada', 'Ann'].map((name) =>
+        within(screen.getByText(name).closest('tr')).getAllByRole('cell')
+      );
+      // The expander column keeps its width
+      expect(annCells[0].style.width).toEqual(adaCells[0].style.width);
+      expect(parseInt(annCells[1].style.width, 10)).toEqual(
+        parseInt(adaCells[1].style.width, 10) - 48
+      );
+    };
+    const { unmount } = render(
+      <LazyNestedRows
+        columns={nameColumns}
+        data={data}
+        initialState={{ expandedRowIds: { 0: true } }}
+      />
+    );
+    expectIndentedFirstDataCell();
+    unmount();
+
+    render(
+      <LazyNestedRows
+        columns={[{ Header: 'Person', columns: nameColumns }]}
+        data={data}
+        initialState={{ expandedRowIds: { 0: true } }}
+      />
+    );
+    expectIndentedFirstDataCell();
+  });
+
   it('should render nested rows with some initially expanded', async () => {
     render(
       <NestedRows
@@ -2070,6 +3605,84 @@ describe(componentName, () => {
     });
   });
 
+  it('Multi-column sorting', async () => {
+    // The same instance for Shift to be held while clicking
+    const { click, keyboard } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    const onSort = jest.fn();
+    const { unmount } = render(<MultiSortColumns />);
+    const headerButton = (name) =>
+      screen.getByRole('button', { name: new RegExp(`^${name}`) });
+    const firstNames = () =>
+      within(screen.getAllByRole('rowgroup')[1])
+        .getAllByRole('row')
+        .map((row) => within(row).getAllByRole('cell')[0].textContent);
+
+    // Shift+click adds secondary sort keys, with their priority
+    await click(headerButton('Status'));
+    await keyboard('{Shift>}');
+    await click(headerButton('Visits'));
+    expect(firstNames()).toEqual(['Di', 'Bob', 'Ada', 'Cy']);
+    expect(headerButton('Status')).toHaveAccessibleName(
+      'Status sort priority 1'
+    );
+    expect(headerButton('Visits')).toHaveAccessibleName(
+      'Visits sort priority 2'
+    );
+    expect(headerButton('Visits')).toHaveAttribute('aria-sort', 'ascending');
+    expect(
+      document.querySelectorAll(`.${blockClass}__sort-priority`).length
+    ).toEqual(2);
+
+    // Toggling the order of a sort key keeps its priority
+    await click(headerButton('Visits'));
+    expect(firstNames()).toEqual(['Bob', 'Di', 'Cy', 'Ada']);
+    expect(headerButton('Visits')).toHaveAttribute('aria-sort', 'descending');
+    expect(headerButton('Visits')).toHaveAccessibleName(
+      'Visits sort priority 2'
+    );
+    await keyboard('{/Shift}');
+
+    // Shift+Enter is the keyboard equivalent of Shift+click
+    headerButton('Age').focus();
+    await keyboard('{Shift>}{Enter}{/Shift}');
+    expect(headerButton('Age')).toHaveAccessibleName('Age sort priority 3');
+
+    // A sort key is removed after its descending order
+    await keyboard('{Shift>}');
+    await click(headerButton('Visits'));
+    await keyboard('{/Shift}');
+    expect(headerButton('Visits')).toHaveAttribute('aria-sort', 'none');
+    expect(headerButton('Age')).toHaveAccessibleName('Age sort priority 2');
+
+    // A click without Shift sorts by that column only
+    await click(headerButton('Age'));
+    expect(headerButton('Status')).toHaveAttribute('aria-sort', 'none');
+    expect(headerButton('Age')).toHaveAttribute('aria-sort', 'descending');
+    expect(
+      document.querySelectorAll(`.${blockClass}__sort-priority`).length
+    ).toEqual(0);
+    unmount();
+
+    // `onSort` receives the full ordered list of sort keys
+    render(<MultiSortColumns onSort={onSort} />);
+    await click(headerButton('Status'));
+    expect(onSort).toHaveBeenLastCalledWith('status', 'ASC', [
+      { id: 'status', desc: false },
+    ]);
+    await keyboard('{Shift>}');
+    await click(headerButton('Visits'));
+    await click(headerButton('Visits'));
+    await keyboard('{/Shift}');
+    expect(onSort).toHaveBeenLastCalledWith('visits', 'DESC', [
+      { id: 'status', desc: false },
+      { id: 'visits', desc: true },
+    ]);
+    // The rows are left in the order they are given
+    expect(firstNames()).toEqual(['Ada', 'Bob', 'Cy', 'Di']);
+  });
+
   it('Customizing Columns', async () => {
     render(<CustomizingColumns data-testid={dataTestId}></CustomizingColumns>);
 
@@ -2498,6 +4111,396 @@ describe(componentName, () => {
     );
   });
 
+  it('should filter with the text, range and custom filter types', async () => {
+    const { clear, type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    const getFirstNames = () =>
+      screen
+        .getAllByRole('row')
+        .slice(1)
+        .map((row) => within(row).getAllByRole('cell')[0].textContent);
+    const selectOperator = async (group, operator) => {
+      await click(within(group).getByRole('combobox', { name: 'Operator' }));
+      await click(screen.getByRole('option', { name: operator }));
+      // Downshift reports the selection from an effect, after the click
+      await act(() => jest.runOnlyPendingTimers());
+    };
+    render(<FilterTypes />);
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+
+    // Text filters are case insensitive
+    const nameGroup = screen.getByRole('group', { name: 'First name' });
+    const nameInput = within(nameGroup).getByRole('textbox', {
+      name: 'Value',
+    });
+    await type(nameInput, 'A');
+    expect(getFirstNames()).toEqual(['Ada', 'Carla', 'Abe']);
+    await selectOperator(nameGroup, 'Starts with');
+    expect(getFirstNames()).toEqual(['Ada', 'Abe']);
+    await selectOperator(nameGroup, 'Matches regular expression');
+    await clear(nameInput);
+    await type(nameInput, '^(ada|BOB)$');
+    expect(getFirstNames()).toEqual(['Ada', 'bob']);
+    // An invalid expression does not filter the rows
+    await type(nameInput, '(');
+    expect(nameInput).toHaveAttribute('aria-invalid', 'true');
+    expect(getFirstNames()).toEqual(['Ada', 'bob', 'Carla', 'Abe']);
+    await clear(nameInput);
+    expect(getFirstNames()).toEqual(['Ada', 'bob', 'Carla', 'Abe']);
+
+    // Range filters
+    const amountGroup = screen.getByRole('group', { name: 'Amount' });
+    await type(
+      within(amountGroup).getByRole('spinbutton', { name: 'Minimum' }),
+      '20'
+    );
+    await type(
+      within(amountGroup).getByRole('spinbutton', { name: 'Maximum' }),
+      '80'
+    );
+    expect(getFirstNames()).toEqual(['bob', 'Abe']);
+    await selectOperator(amountGroup, 'Greater than');
+    expect(
+      within(amountGroup).queryByRole('spinbutton', { name: 'Maximum' })
+    ).not.toBeInTheDocument();
+    expect(getFirstNames()).toEqual(['bob', 'Carla', 'Abe']);
+
+    // Custom filter types render their own inputs
+    await click(screen.getByRole('checkbox', { name: 'Adults only' }));
+    expect(getFirstNames()).toEqual(['Carla', 'Abe']);
+    await click(screen.getByRole('checkbox', { name: 'Adults only' }));
+    expect(getFirstNames()).toEqual(['bob', 'Carla', 'Abe']);
+  });
+
+  it('should translate the labels of the text and range filters', async () => {
+    const { type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    render(
+      <FilterTypes
+        filterProps={{
+          filterLabels: {
+            operatorLabel: 'Opérateur',
+            valueLabel: 'Valeur',
+            minimumLabel: 'Minimum (fr)',
+            maximumLabel: 'Maximum (fr)',
+            invalidRegexLabel: 'Expression invalide',
+            regexLabel: 'Expression régulière',
+            betweenLabel: 'Entre',
+          },
+        }}
+      />
+    );
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+
+    const nameGroup = screen.getByRole('group', { name: 'First name' });
+    await click(within(nameGroup).getByRole('combobox', { name: 'Opérateur' }));
+    await click(screen.getByRole('option', { name: 'Expression régulière' }));
+    await act(() => jest.runOnlyPendingTimers());
+    await type(within(nameGroup).getByRole('textbox', { name: 'Valeur' }), '(');
+    expect(within(nameGroup).getByText('Expression invalide')).toBeVisible();
+
+    const amountGroup = screen.getByRole('group', { name: 'Amount' });
+    expect(
+      within(amountGroup).getByRole('combobox', { name: 'Opérateur' })
+    ).toHaveTextContent('Entre');
+    expect(
+      within(amountGroup).getByRole('spinbutton', { name: 'Minimum (fr)' })
+    ).toBeInTheDocument();
+    expect(
+      within(amountGroup).getByRole('spinbutton', { name: 'Maximum (fr)' })
+    ).toBeInTheDocument();
+  });
+
+  it('should keep the filters being edited when the custom filter types are created again', async () => {
+    const { type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    // The custom filter types of `FilterTypes` are a new object on each render
+    const filterProps = {
+      updateMethod: 'batch',
+      filters: [
+        {
+          type: 'text',
+          column: 'firstName',
+          props: { FormGroup: { legendText: 'First name' } },
+        },
+        { type: 'adult', column: 'age', props: {} },
+      ],
+    };
+    const { rerender } = render(<FilterTypes filterProps={filterProps} />);
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+    const nameInput = within(
+      screen.getByRole('group', { name: 'First name' })
+    ).getByRole('textbox', { name: 'Value' });
+    await type(nameInput, 'A');
+    rerender(<FilterTypes filterProps={filterProps} />);
+    expect(nameInput).toHaveValue('A');
+  });
+
+  it('should render the tags of the text, range and custom filters', () => {
+    render(
+      <FilterTypes
+        initialState={{
+          filters: [
+            {
+              id: 'firstName',
+              type: 'text',
+              value: { operator: 'startsWith', value: 'a' },
+            },
+            {
+              id: 'amount',
+              type: 'range',
+              value: { operator: 'between', min: '20', max: '80' },
+            },
+            { id: 'age', type: 'adult', value: true },
+          ],
+        }}
+      />
+    );
+    expect(screen.getAllByRole('row').length).toEqual(2);
+    // The TagSet renders each tag twice, once to measure the available space
+    expect(screen.getAllByTitle('firstName: a*').length).toEqual(2);
+    expect(screen.getAllByTitle('amount: 20 – 80').length).toEqual(2);
+    expect(screen.getAllByTitle('age: adults only').length).toEqual(2);
+  });
+
+  it('should search all the columns with the text filter', () => {
+    render(<FilterTypes initialState={{ globalFilter: 'BE' }} />);
+    expect(screen.getAllByRole('row').length).toEqual(2);
+    expect(screen.getByRole('cell', { name: 'Abe' })).toBeInTheDocument();
+  });
+
+  it('should save, select, rename and delete named views', async () => {
+    const { clear, type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    const getFirstNames = () =>
+      screen
+        .getAllByRole('row')
+        .slice(1)
+        .map((row) => within(row).getAllByRole('cell')[0].textContent);
+    const onSavedViewsChange = jest.fn();
+    const savedViews = [
+      {
+        id: 'a-names',
+        name: 'A names',
+        isDefault: true,
+        viewState: {
+          version: 1,
+          filters: [
+            {
+              id: 'firstName',
+              type: 'text',
+              value: { operator: 'startsWith', value: 'a' },
+            },
+          ],
+          sortBy: [{ id: 'amount', desc: true }],
+        },
+      },
+      {
+        id: 'large-amounts',
+        name: 'Large amounts',
+        viewState: {
+          version: 1,
+          filters: [
+            {
+              id: 'amount',
+              type: 'range',
+              value: { operator: 'greaterThan', min: '60', max: '' },
+            },
+          ],
+          sortBy: [],
+          hiddenColumns: ['age'],
+        },
+      },
+    ];
+    render(<FilterTypes filterProps={{ savedViews, onSavedViewsChange }} />);
+    // The default view is shown on mount
+    expect(getFirstNames()).toEqual(['Abe', 'Ada']);
+
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+    const viewsDropdown = screen.getByRole('combobox', { name: 'Saved views' });
+    expect(viewsDropdown).toHaveTextContent('A names (default)');
+    await click(viewsDropdown);
+    await click(screen.getByRole('option', { name: 'Large amounts' }));
+    // Downshift reports the selection from an effect, after the click
+    await waitFor(() => expect(getFirstNames()).toEqual(['Carla', 'Abe']));
+    expect(screen.queryByRole('columnheader', { name: 'Age' })).toBeNull();
+
+    // Saving the current view under a new name selects it
+    await click(screen.getByRole('button', { name: 'Save as new view' }));
+    await type(screen.getByRole('textbox', { name: 'View name' }), 'Mine');
+    await click(screen.getByRole('button', { name: 'Save' }));
+    const [views, { action, view }] = onSavedViewsChange.mock.calls[0];
+    expect(action).toEqual('save');
+    expect(views.map(({ name }) => name)).toEqual([
+      'A names',
+      'Large amounts',
+      'Mine',
+    ]);
+    expect(view.viewState.filters).toEqual(savedViews[1].viewState.filters);
+    expect(view.viewState.hiddenColumns).toEqual(['age']);
+    expect(
+      screen.getByRole('combobox', { name: 'Saved views' })
+    ).toHaveTextContent('Mine');
+
+    await click(screen.getByRole('button', { name: 'Rename view' }));
+    const nameInput = screen.getByRole('textbox', { name: 'View name' });
+    expect(nameInput).toHaveValue('Mine');
+    await clear(nameInput);
+    await type(nameInput, 'My view');
+    await click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSavedViewsChange.mock.calls[1][1].action).toEqual('rename');
+    expect(
+      screen.getByRole('combobox', { name: 'Saved views' })
+    ).toHaveTextContent('My view');
+
+    // There is only one default view
+    await click(screen.getByRole('button', { name: 'Set as default view' }));
+    expect(
+      onSavedViewsChange.mock.calls[2][0].map(({ name, isDefault }) => [
+        name,
+        isDefault,
+      ])
+    ).toEqual([
+      ['A names', false],
+      ['Large amounts', false],
+      ['My view', true],
+    ]);
+    expect(
+      screen.getByRole('button', { name: 'Remove default view' })
+    ).toBeInTheDocument();
+
+    await click(screen.getByRole('button', { name: 'Delete view' }));
+    expect(onSavedViewsChange.mock.calls[3][1].action).toEqual('delete');
+    expect(onSavedViewsChange.mock.calls[3][0].length).toEqual(2);
+    expect(
+      screen.getByRole('combobox', { name: 'Saved views' })
+    ).toHaveTextContent('Select a view');
+  });
+
+  it('should show the filters of a selected view in the flyout', async () => {
+    const { type } = userEvent.setup({
+      advanceTimers: jest.advanceTimersByTime,
+    });
+    const getFirstNames = () =>
+      screen
+        .getAllByRole('row')
+        .slice(1)
+        .map((row) => within(row).getAllByRole('cell')[0].textContent);
+    const savedViews = [
+      {
+        id: 'large-amounts',
+        name: 'Large amounts',
+        viewState: {
+          version: 1,
+          filters: [
+            {
+              id: 'amount',
+              type: 'range',
+              value: { operator: 'greaterThan', min: '60', max: '' },
+            },
+          ],
+        },
+      },
+    ];
+    render(<FilterTypes filterProps={{ savedViews, updateMethod: 'batch' }} />);
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+    await click(screen.getByRole('combobox', { name: 'Saved views' }));
+    await click(screen.getByRole('option', { name: 'Large amounts' }));
+    await waitFor(() => expect(getFirstNames()).toEqual(['Carla', 'Abe']));
+    const amountGroup = screen.getByRole('group', { name: 'Amount' });
+    expect(
+      within(amountGroup).getByRole('spinbutton', { name: 'Value' })
+    ).toHaveValue(60);
+
+    // The next Apply keeps the filters of the view
+    await type(
+      within(screen.getByRole('group', { name: 'First name' })).getByRole(
+        'textbox',
+        { name: 'Value' }
+      ),
+      'l'
+    );
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: 'Apply' })).toBeEnabled()
+    );
+    await click(screen.getByRole('button', { name: 'Apply' }));
+    expect(getFirstNames()).toEqual(['Carla']);
+  });
+
+  it('should keep the filters of a selected view when the panel closes', async () => {
+    const getFirstNames = () =>
+      screen
+        .getAllByRole('row')
+        .slice(1)
+        .map((row) => within(row).getAllByRole('cell')[0].textContent);
+    const PanelActions = () => {
+      const { setPanelOpen } = useFilterContext();
+      return (
+        <button type="button" onClick={() => setPanelOpen((open) => !open)}>
+          Open filters
+        </button>
+      );
+    };
+    const savedViews = [
+      {
+        id: 'large-amounts',
+        name: 'Large amounts',
+        viewState: {
+          version: 1,
+          filters: [
+            {
+              id: 'amount',
+              type: 'range',
+              value: { operator: 'greaterThan', min: '60', max: '' },
+            },
+          ],
+        },
+      },
+    ];
+    render(
+      <FilterTypes
+        filterProps={{
+          savedViews,
+          variation: 'panel',
+          updateMethod: 'batch',
+          sections: [
+            {
+              filters: [
+                {
+                  filter: {
+                    type: 'range',
+                    column: 'amount',
+                    props: { FormGroup: { legendText: 'Amount' } },
+                  },
+                },
+              ],
+            },
+          ],
+        }}
+        DatagridActions={PanelActions}
+      />
+    );
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+    await click(screen.getByRole('combobox', { name: 'Saved views' }));
+    await click(screen.getByRole('option', { name: 'Large amounts' }));
+    await waitFor(() => expect(getFirstNames()).toEqual(['Carla', 'Abe']));
+
+    await click(screen.getByRole('button', { name: 'Close filter panel' }));
+    expect(getFirstNames()).toEqual(['Carla', 'Abe']);
+    await click(screen.getByRole('button', { name: 'Open filters' }));
+    expect(getFirstNames()).toEqual(['Carla', 'Abe']);
+    expect(
+      within(screen.getByRole('group', { name: 'Amount' })).getByRole(
+        'spinbutton',
+        { name: 'Value' }
+      )
+    ).toHaveValue(60);
+  });
+
   it('should render initial filters in flyout', async () => {
     render(
       <FilteringUsage
@@ -2785,6 +4788,145 @@ const TestBatch = () => {
   return <Datagrid datagridState={datagridState} />;
 };
 
+// With fake timers the updates of the data made in effects are never rendered,
+// and are replayed on every render of the table
+describe('inline edit validation and bulk edit', () => {
+  beforeEach(() => {
+    jest.spyOn(global.console, 'error').mockImplementation(() => {});
+    jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+    window.ResizeObserver = jest.fn().mockImplementation(() => ({
+      observe: jest.fn(),
+      unobserve: jest.fn(),
+      disconnect: jest.fn(),
+    }));
+  });
+
+  afterEach(() => {
+    window.ResizeObserver = ResizeObserver;
+  });
+
+  const BulkEditUsage = ({ onUpdate }) => {
+    const [data, setData] = useState([
+      { firstName: 'Ada', age: 36, active: false },
+      { firstName: 'Alan', age: 41, active: true },
+      { firstName: 'Grace', age: 85, active: false },
+    ]);
+    const columns = React.useMemo(
+      () => [
+        {
+          Header: 'First name',
+          accessor: 'firstName',
+          inlineEdit: {
+            type: 'text',
+            validate: (value) => !value && 'Enter a first name',
+            inputProps: {},
+          },
+        },
+        {
+          Header: 'Age',
+          accessor: 'age',
+          inlineEdit: {
+            type: 'number',
+            validate: (value) => value < 18 && 'Must be 18 or older',
+            inputProps: {},
+          },
+        },
+        {
+          Header: 'Active',
+          accessor: 'active',
+          inlineEdit: { type: 'checkbox', inputProps: {} },
+        },
+      ],
+      []
+    );
+    // The cells save their value whenever `onDataUpdate` changes
+    const onDataUpdate = React.useCallback(
+      (updater) =>
+        setData((prev) => {
+          const next = updater(prev);
+          onUpdate(next);
+          return next;
+        }),
+      [onUpdate]
+    );
+    pkg._silenceWarnings(false);
+    pkg.feature['Datagrid.useInlineEdit'] = true;
+    pkg.feature['Datagrid.useEditableCell'] = true;
+    pkg._silenceWarnings(true);
+
+    const datagridState = useDatagrid(
+      {
+        columns,
+        data,
+        onDataUpdate,
+        batchActions: true,
+        toolbarBatchActions: [],
+        DatagridActions,
+        bulkEditProps: {},
+      },
+      useSelectRows,
+      useEditableCell
+    );
+
+    return <Datagrid datagridState={datagridState} />;
+  };
+
+  it('should validate inline edits and bulk edit the selected rows', async () => {
+    const { click, clear, type } = userEvent.setup();
+    const onUpdate = jest.fn();
+    const { container } = render(<BulkEditUsage onUpdate={onUpdate} />);
+    const getCells = (type) =>
+      container.querySelectorAll(`[data-inline-type="${type}"]`);
+
+    // An invalid value is shown in the cell but never reaches the data
+    await click(getCells('text')[0]);
+    const input = screen.getByRole('textbox');
+    await clear(input);
+    expect(screen.getByText('Enter a first name')).toBeInTheDocument();
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByRole('textbox')).toBeInTheDocument();
+    expect(onUpdate).not.toHaveBeenCalledWith(
+      expect.arrayContaining([expect.objectContaining({ firstName: '' })])
+    );
+    await type(input, 'Ada Lovelace{Enter}');
+    expect(onUpdate).toHaveBeenLastCalledWith(
+      expect.arrayContaining([
+        expect.objectContaining({ firstName: 'Ada Lovelace' }),
+      ])
+    );
+
+    // The checkbox saves as soon as it is clicked
+    await click(getCells('checkbox')[0]);
+    await click(within(getCells('checkbox')[0]).getByRole('checkbox'));
+    expect(onUpdate.mock.lastCall[0][0].active).toBe(true);
+
+    // The value is set in the selected rows in a single update, once it is
+    // valid for all of them
+    const getRowCheckbox = (index) =>
+      screen.getAllByRole('checkbox', { name: 'Toggle Row Selected' })[index];
+    await click(getRowCheckbox(0));
+    await click(getRowCheckbox(1));
+    // The batch actions are all in the menu at the width of the test
+    await click(screen.getByRole('button', { name: 'More' }));
+    await click(screen.getByRole('menuitem', { name: 'Edit' }));
+    await click(screen.getByRole('combobox', { name: 'Column' }));
+    await click(screen.getByRole('option', { name: 'Age' }));
+    const ageInput = await screen.findByRole('spinbutton', { name: 'Age' });
+    await type(ageInput, '12');
+    onUpdate.mockClear();
+    await click(screen.getByRole('button', { name: 'Apply' }));
+    expect(screen.getByText('Must be 18 or older')).toBeInTheDocument();
+    expect(onUpdate).not.toHaveBeenCalled();
+    await clear(ageInput);
+    await type(ageInput, '30');
+    await click(screen.getByRole('button', { name: 'Apply' }));
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.lastCall[0].map(({ age }) => age)).toEqual([
+      30, 30, 85,
+    ]);
+  });
+});
+
 describe('batch action testing', () => {
   beforeEach(() => {
     jest.useFakeTimers();
@@ -0,0 +1,65 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { Button, SkeletonText, TableCell, TableRow } from '@carbon/react';
+import cx from 'classnames';
+import { pkg } from '../../../settings';
+import { DataGridState } from '../types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+// Renders the row under an expanded nested row while its children are loaded
+// by `onLoadChildren`, or when they could not be loaded, with a retry button
+// eslint-disable-next-line react/prop-types
+const DatagridChildrenStatusRow = (datagridState: DataGridState) => {
+  const { row, key, loadChildren, nestedRowsProps } = datagridState;
+  const {
+    loadingChildrenLabel = 'Loading rows',
+    loadChildrenErrorLabel = 'The rows could not be loaded.',
+    retryLabel = 'Retry',
+  } = nestedRowsProps?.labels || {};
+  const { className, ...rowProps } = row.getRowProps();
+
+  return (
+    <TableRow
+      {...rowProps}
+      key={key}
+      className={cx(
+        `${blockClass}__carbon-row`,
+        `${blockClass}__children-status-row`,
+        className
+      )}
+    >
+      <TableCell className={`${blockClass}__children-status-cell`}>
+        {row.childrenStatus === 'error' ? (
+          <>
+            <span className={`${blockClass}__children-error`}>
+              {loadChildrenErrorLabel}
+            </span>
+            <Button
+              kind="ghost"
+              size="sm"
+              onClick={() => row.parentRow && loadChildren?.(row.parentRow)}
+            >
+              {retryLabel}
+            </Button>
+          </>
+        ) : (
+          <>
+            <SkeletonText />
+            <span className={`${blockClass}__shared-ui--assistive-text`}>
+              {loadingChildrenLabel}
+            </span>
+          </>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+};
+
+export default DatagridChildrenStatusRow;
@@ -15,6 +15,8 @@ import {
 } from './addons/Filtering/constants';
 import DatagridBody from './DatagridBody';
 import DatagridHead from './DatagridHead';
+import DatagridFoot from './DatagridFoot';
+import DatagridPinnedRows from './DatagridPinnedRows';
 import DatagridToolbar from './DatagridToolbar';
 import { FilterSummary } from '../../FilterSummary';
 import { InlineEditContext } from './addons/InlineEdit/InlineEditContext';
@@ -53,7 +55,12 @@ export const DatagridContent = ({
     withVirtualScroll,
     DatagridPagination,
     isFetching,
+    withServerSide,
     CustomizeColumnsTearsheet,
+    BulkEditModal,
+    ConditionalFormattingTearsheet,
+    RowReorderAssistiveText,
+    GroupBar,
     filterProps,
     fullHeightDatagrid,
     verticalAlign = 'center',
@@ -62,6 +69,9 @@ export const DatagridContent = ({
     gridDescription,
     useDenseHeader,
     withInlineEdit,
+    withGridNavigation,
+    withFooterTotals,
+    withPinnedRows,
     tableId,
     DatagridActions,
     totalColumnsWidth,
@@ -143,11 +153,12 @@ export const DatagridContent = ({
             getTableProps?.().className
           )}
           {...{
-            role: withInlineEdit ? 'grid' : undefined,
+            role: withInlineEdit || withGridNavigation ? 'grid' : undefined,
             tabIndex: withInlineEdit ? 0 : -1,
-            onKeyDown:
-              withInlineEdit &&
-              ((event) =>
+            // useGridNavigation handles the keys through the table props
+            // when the cells are not edited inline
+            ...(withInlineEdit && {
+              onKeyDown: (event) =>
                 handleGridKeyPress({
                   event,
                   dispatch,
@@ -156,10 +167,9 @@ export const DatagridContent = ({
                   state: inlineEditState,
                   usingMac,
                   ref: multiKeyTrackingRef,
-                })),
-            onFocus:
-              withInlineEdit &&
-              (() => handleGridFocus(inlineEditState, dispatch)),
+                }),
+              onFocus: () => handleGridFocus(inlineEditState, dispatch),
+            }),
             title,
           }}
         >
@@ -167,7 +177,16 @@ export const DatagridContent = ({
             (withVirtualScroll && !isFetching && !contentRows.length)) && (
             <DatagridHead {...datagridState} />
           )}
+          {withPinnedRows && !withVirtualScroll && (
+            <DatagridPinnedRows {...datagridState} position="top" />
+          )}
           <DatagridBody {...datagridState} rows={contentRows} />
+          {withPinnedRows && !withVirtualScroll && (
+            <DatagridPinnedRows {...datagridState} position="bottom" />
+          )}
+          {withFooterTotals && !withVirtualScroll && (
+            <DatagridFoot {...datagridState} />
+          )}
         </Table>
         {filterProps?.variation === 'panel' && renderPagination()}
       </>
@@ -219,7 +238,12 @@ export const DatagridContent = ({
     );
 
   const renderPagination = () => {
-    if (contentRows?.length > 0 && !isFetching && DatagridPagination) {
+    // The server-side pagination stays in place while the next page is fetched
+    if (
+      contentRows?.length > 0 &&
+      (!isFetching || withServerSide) &&
+      DatagridPagination
+    ) {
       return <DatagridPagination {...datagridState} />;
     }
   };
@@ -260,6 +284,7 @@ export const DatagridContent = ({
             />
           )}
           <div className={`${blockClass}__table-container-inner`}>
+            {GroupBar && <GroupBar {...datagridState} />}
             {renderFilterSummary()}
             {withInlineEdit ? (
               <div ref={multiKeyTrackingRef}>{renderTable()}</div>
@@ -280,6 +305,13 @@ export const DatagridContent = ({
       {CustomizeColumnsTearsheet && (
         <CustomizeColumnsTearsheet instance={datagridState} />
       )}
+      {ConditionalFormattingTearsheet && (
+        <ConditionalFormattingTearsheet instance={datagridState} />
+      )}
+      {BulkEditModal && <BulkEditModal instance={datagridState} />}
+      {RowReorderAssistiveText && (
+        <RowReorderAssistiveText instance={datagridState} />
+      )}
     </>
   );
 };
@@ -290,6 +322,8 @@ DatagridContent.propTypes = {
     getTableProps: PropTypes.func,
     getFilterFlyoutProps: PropTypes.func,
     withVirtualScroll: PropTypes.bool,
+    withFooterTotals: PropTypes.bool,
+    withPinnedRows: PropTypes.bool,
     DatagridActions: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
     DatagridPagination: PropTypes.oneOfType([
       PropTypes.element,
@@ -299,13 +333,25 @@ DatagridContent.propTypes = {
       PropTypes.element,
       PropTypes.func,
     ]),
+    ConditionalFormattingTearsheet: PropTypes.oneOfType([
+      PropTypes.element,
+      PropTypes.func,
+    ]),
+    BulkEditModal: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
+    RowReorderAssistiveText: PropTypes.oneOfType([
+      PropTypes.element,
+      PropTypes.func,
+    ]),
+    GroupBar: PropTypes.oneOfType([PropTypes.element, PropTypes.func]),
     isFetching: PropTypes.bool,
+    withServerSide: PropTypes.bool,
     skeletonRowCount: PropTypes.number,
     fullHeightDatagrid: PropTypes.bool,
     filterProps: PropTypes.object,
     variableRowHeight: PropTypes.bool,
     useDenseHeader: PropTypes.bool,
     withInlineEdit: PropTypes.bool,
+    withGridNavigation: PropTypes.bool,
     verticalAlign: PropTypes.string,
     gridTitle: PropTypes.node,
     gridDescription: PropTypes.node,
@@ -0,0 +1,100 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useLayoutEffect, useRef } from 'react';
+import { TableCell, TableRow } from '@carbon/react';
+import { px } from '@carbon/layout';
+import cx from 'classnames';
+import { pkg } from '../../../settings';
+import { DataGridState } from '../types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+// Renders the totals of `useFooterTotals`, in cells that take the widths and
+// the sticky position of the header cells of their column
+// eslint-disable-next-line react/prop-types
+const DatagridFoot = (datagridState: DataGridState) => {
+  const {
+    footerGroups,
+    footerTotals,
+    footerTotalsProps,
+    headers,
+    pageFooterTotals,
+  } = datagridState;
+  const { totalLabel = 'Total', pageTotalLabel = 'Page total' } =
+    footerTotalsProps?.labels || {};
+  const footRef = useRef<HTMLTableSectionElement>(null);
+  const visibleHeaders = (headers || []).filter(({ isVisible }) => isVisible);
+
+  // The rows pinned to the bottom by `usePinnedRows` stick above the footer,
+  // which takes the height of one or two rows
+  useLayoutEffect(() => {
+    const tableElement = footRef.current?.closest('table');
+    tableElement?.style.setProperty(
+      `--${blockClass}--footer-height`,
+      px(footRef.current?.offsetHeight || 0)
+    );
+    return () => {
+      tableElement?.style.removeProperty(`--${blockClass}--footer-height`);
+    };
+  });
+  const labelColumnId = visibleHeaders.find(
+    (column: any) => column.accessor && !column.isAction
+  )?.id;
+
+  const renderRow = (totals, label: string, isPageTotal = false) => {
+    const { key, className, ...rowProps } =
+      (footerGroups?.[0]?.getFooterGroupProps() as any) || {};
+    return (
+      <TableRow
+        {...rowProps}
+        key={`${key}-${isPageTotal ? 'page' : 'all'}`}
+        className={cx(`${blockClass}__footer-row`, className)}
+      >
+        {visibleHeaders.map((column) => {
+          const {
+            key: _key,
+            className: cellClassName,
+            ...cellProps
+          } = column.getFooterProps() as any;
+          return (
+            <TableCell
+              {...cellProps}
+              key={column.id}
+              className={cx(
+                `${blockClass}__footer-cell`,
+                {
+                  [`${blockClass}__footer-cell--right-align`]: (column as any)
+                    .rightAlignedColumn,
+                  [`${blockClass}__footer-cell--center-align`]: (column as any)
+                    .centerAlignedColumn,
+                },
+                column.className,
+                cellClassName
+              )}
+            >
+              {column.render('Footer', {
+                total: totals[column.id],
+                isPageTotal,
+                label: column.id === labelColumnId ? label : undefined,
+              })}
+            </TableCell>
+          );
+        })}
+      </TableRow>
+    );
+  };
+
+  return (
+    <tfoot className={`${blockClass}__footer`} ref={footRef}>
+      {pageFooterTotals && renderRow(pageFooterTotals, pageTotalLabel, true)}
+      {footerTotals && renderRow(footerTotals, totalLabel)}
+    </tfoot>
+  );
+};
+
+export default DatagridFoot;
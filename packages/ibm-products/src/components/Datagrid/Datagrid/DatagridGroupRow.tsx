@@ -0,0 +1,104 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { TableRow, TableCell } from '@carbon/react';
+import { ChevronRight } from '@carbon/react/icons';
+import cx from 'classnames';
+import { selectionColumnId } from '../common-column-ids';
+import { pkg, carbon } from '../../../settings';
+import { DataGridState } from '../types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+// Renders the header row of a group of rows created by `useGrouping`: the
+// grouped value with its row count in the grouped column, and the aggregate
+// of the rows in the columns that declare one
+// eslint-disable-next-line react/prop-types
+const DatagridGroupRow = (datagridState: DataGridState) => {
+  const { row, key, groupingProps } = datagridState;
+  const {
+    expandGroupLabel = 'Expand group',
+    collapseGroupLabel = 'Collapse group',
+  } = groupingProps?.labels || {};
+  const { className, ...rowProps } = row.getRowProps();
+  const expanderTitle = row.isExpanded ? collapseGroupLabel : expandGroupLabel;
+
+  return (
+    <TableRow
+      {...rowProps}
+      key={key}
+      className={cx(
+        `${blockClass}__carbon-row`,
+        `${blockClass}__group-row`,
+        className
+      )}
+    >
+      {row.cells.map((cell: any) => {
+        const {
+          key: _key,
+          className: cellClassName,
+          ...cellProps
+        } = cell.getCellProps();
+        const { column } = cell;
+        let content: React.ReactNode = null;
+        if (cell.isGrouped) {
+          content = (
+            <>
+              <button
+                type="button"
+                aria-label={expanderTitle}
+                className={cx(
+                  `${blockClass}__row-expander`,
+                  `${carbon.prefix}--btn`,
+                  `${carbon.prefix}--btn--ghost`
+                )}
+                {...row.getToggleRowExpandedProps()}
+                title={expanderTitle}
+              >
+                <ChevronRight
+                  className={cx(`${blockClass}__expander-icon`, {
+                    [`${blockClass}__expander-icon--not-open`]: !row.isExpanded,
+                    [`${blockClass}__expander-icon--open`]: row.isExpanded,
+                  })}
+                />
+              </button>
+              <span className={`${blockClass}__group-row-value`}>
+                {cell.render('Cell')}
+              </span>
+              <span className={`${blockClass}__group-row-count`}>
+                ({row.leafRows?.length ?? row.subRows.length})
+              </span>
+            </>
+          );
+        } else if (cell.isAggregated && column.aggregate) {
+          content = cell.render('Aggregated');
+        }
+        return (
+          <TableCell
+            {...cellProps}
+            key={column.id}
+            className={cx(
+              `${blockClass}__cell`,
+              {
+                [`${blockClass}__checkbox-cell`]:
+                  column.id === selectionColumnId,
+                [`${blockClass}__group-row-cell--grouped`]: cell.isGrouped,
+              },
+              column.className,
+              cellClassName
+            )}
+          >
+            {content}
+          </TableCell>
+        );
+      })}
+    </TableRow>
+  );
+};
+
+export default DatagridGroupRow;
@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2020, 2022
+ * Copyright IBM Corp. 2020, 2024
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -10,14 +10,23 @@ import { TableHead } from '@carbon/react';
 import { DataGridState } from '../types';
 
 const DatagridHead = (datagridState: DataGridState) => {
-  const { headerGroups = [], headRef, HeaderRow } = datagridState;
+  const {
+    headerGroups = [],
+    headRef,
+    HeaderRow,
+    HeaderGroupRow,
+  } = datagridState;
+  // The headers of the column groups come first, the headers of the columns
+  // are in the last header group
+  const columnHeaderGroup = headerGroups[headerGroups.length - 1];
 
   return (
     <TableHead>
-      {headerGroups.map((headerGroup) =>
-        // doesn't support header grouping.
-        HeaderRow?.(datagridState, headRef, headerGroup)
-      )}
+      {headerGroups
+        .slice(0, -1)
+        .map((headerGroup) => HeaderGroupRow?.(datagridState, headerGroup))}
+      {columnHeaderGroup &&
+        HeaderRow?.(datagridState, headRef, columnHeaderGroup)}
     </TableHead>
   );
 };
@@ -14,6 +14,7 @@ import React, {
 } from 'react';
 import cx from 'classnames';
 import { TableHeader, TableRow } from '@carbon/react';
+import { ColumnInstance, HeaderGroup } from 'react-table';
 import { px } from '@carbon/layout';
 import { selectionColumnId } from '../common-column-ids';
 import { pkg } from '../../../settings';
@@ -25,7 +26,6 @@ import { getNodeTextContent } from '../../../global/js/utils/getNodeTextContent'
 import { DatagridSlug } from './addons/Slug/DatagridSlug';
 import { useInitialColumnSort } from '../useInitialColumnSort';
 import {
-  DataGridHeader,
   DataGridHeaderGroup,
   DataGridState,
   DataGridTableInstance,
@@ -39,7 +39,7 @@ interface PropsType {
   title?: string;
 }
 
-const getAccessibilityProps = (header: DataGridHeader) => {
+const getAccessibilityProps = (header: { Header?: unknown }) => {
   const props: PropsType = {};
   const title = getNodeTextContent(header.Header);
   if (title) {
@@ -267,9 +267,89 @@ const HeaderRow = (
   );
 };
 
+// The number of visible columns under a header of a column group
+const getColumnCount = (header: HeaderGroup) =>
+  header.headers
+    ? header.headers.reduce(
+        (count, subHeader) => count + getColumnCount(subHeader),
+        0
+      )
+    : Number(header.isVisible);
+
+// Renders a row of the headers of the column groups, above the row of the
+// column headers, when the columns are nested. Where a column is not under a
+// group of that level, an empty placeholder header keeps its place
+const HeaderGroupRow = (
+  datagridState: DataGridState,
+  headerGroup: DataGridHeaderGroup
+) => {
+  const { columns, rows, withStickyColumn } = datagridState;
+  const {
+    key,
+    className: headerGroupClassName,
+    ...rowProps
+  } = headerGroup.getHeaderGroupProps();
+  const foundAIRow = rows.some((r) => isValidElement(r?.original?.slug));
+
+  return (
+    <TableRow
+      key={key}
+      {...rowProps}
+      className={cx(`${blockClass}__head-group`, headerGroupClassName)}
+    >
+      {foundAIRow ? <th scope="col" aria-hidden="false" /> : null}
+      {headerGroup.headers.map((header) => {
+        const { placeholderOf } = header;
+        let column: ColumnInstance<any> = header;
+        while (column.placeholderOf) {
+          column = column.placeholderOf;
+        }
+        if (column.id === selectionColumnId) {
+          // takes the width of the select all checkbox
+          return (
+            <div
+              key={header.id}
+              className={cx(`${blockClass}__head-hidden-select-all`, {
+                [`${blockClass}__select-all-sticky-left`]:
+                  columns[0]?.sticky === 'left' && withStickyColumn,
+              })}
+            />
+          );
+        }
+        const { key: _key, ...headerProps } = header.getHeaderProps();
+        return (
+          <TableHeader
+            {...headerProps}
+            key={header.id}
+            className={cx(
+              `${blockClass}__head-group-cell`,
+              {
+                [`${blockClass}__head-group-cell--placeholder`]: placeholderOf,
+              },
+              headerProps.className
+            )}
+            colSpan={getColumnCount(header)}
+            scope={placeholderOf ? 'col' : 'colgroup'}
+            {...getAccessibilityProps(header)}
+          >
+            {header.render('Header')}
+          </TableHeader>
+        );
+      })}
+    </TableRow>
+  );
+};
+
 const useHeaderRow = (hooks: DatagridTableHooks) => {
   const useInstance = (instance: DataGridTableInstance) => {
-    Object.assign(instance, { HeaderRow });
+    const { headerGroups, headers } = instance;
+    Object.assign(instance, {
+      HeaderRow,
+      HeaderGroupRow,
+      // The headers of the columns themselves, under the headers of their
+      // groups when the columns are nested
+      headers: headerGroups[headerGroups.length - 1]?.headers ?? headers,
+    });
   };
   hooks.useInstance.push(useInstance);
 };
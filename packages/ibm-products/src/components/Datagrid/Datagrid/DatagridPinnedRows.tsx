@@ -0,0 +1,45 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { TableBody } from '@carbon/react';
+import cx from 'classnames';
+import { pkg } from '../../../settings';
+import { DataGridState, RowPinPosition } from '../types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+// Renders the rows of `usePinnedRows` pinned to the top or the bottom of the
+// table, with the row renderer of the body so that their cells take the widths
+// of the columns
+// eslint-disable-next-line react/prop-types
+const DatagridPinnedRows = ({
+  position,
+  ...datagridState
+}: DataGridState & { position: RowPinPosition }) => {
+  const { pinnedRows, prepareRow } = datagridState as DataGridState;
+  const rows = pinnedRows?.[position] || [];
+  if (!rows.length) {
+    return null;
+  }
+  return (
+    <TableBody
+      className={cx(
+        `${blockClass}__pinned-rows`,
+        `${blockClass}__pinned-rows--${position}`
+      )}
+    >
+      {rows.map((row) => {
+        prepareRow(row);
+        const { key } = row.getRowProps();
+        return row?.RowRenderer?.({ ...datagridState, row, key });
+      })}
+    </TableBody>
+  );
+};
+
+export default DatagridPinnedRows;
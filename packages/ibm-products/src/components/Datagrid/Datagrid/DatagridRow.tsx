@@ -168,11 +168,15 @@ const DatagridRow = (datagridState: DataGridState) => {
         {row.cells.map((cell, index) => {
           const cellProps = cell.getCellProps();
           // eslint-disable-next-line no-unused-vars
-          const { children, ...restProps } = cellProps as any;
+          const {
+            children,
+            className: cellClassName,
+            ...restProps
+          } = cellProps as any;
           const columnClassname = cell?.column?.className;
           const content = children || (
             <>
-              {!row.isSkeleton && cell.render('Cell')}
+              {!row.isSkeleton && !cell.isPlaceholder && cell.render('Cell')}
               {row.isSkeleton && <SkeletonText />}
             </>
           );
@@ -198,7 +202,8 @@ const DatagridRow = (datagridState: DataGridState) => {
                     associatedHeader.length &&
                     isValidElement(associatedHeader[0]?.slug),
                 },
-                columnClassname
+                columnClassname,
+                cellClassName
               )}
               {...restProps}
               key={cell.column.id}
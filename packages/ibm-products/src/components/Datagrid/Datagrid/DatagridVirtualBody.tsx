@@ -10,8 +10,10 @@ import { VariableSizeList } from 'react-window';
 import { TableBody } from '@carbon/react';
 import { pkg } from '../../../settings';
 import DatagridHead from './DatagridHead';
+import DatagridFoot from './DatagridFoot';
+import DatagridPinnedRows from './DatagridPinnedRows';
 import { useResizeObserver } from '../../../global/js/hooks/useResizeObserver';
-import { DataGridState, DatagridRow } from '../types';
+import { DataGridState, DatagridRow, RowPinPosition } from '../types';
 
 const blockClass = `${pkg.prefix}--datagrid`;
 
@@ -42,6 +44,9 @@ const DatagridVirtualBody = (datagridState: DataGridState) => {
     gridRef,
     tableId,
     onVirtualScroll,
+    withFooterTotals,
+    withPinnedRows,
+    pinnedRows,
   } = datagridState;
 
   /* istanbul ignore next */
@@ -69,16 +74,18 @@ const DatagridVirtualBody = (datagridState: DataGridState) => {
   const visibleRows = ((DatagridPagination && page) || rows) as DatagridRow[];
   const testRef: MutableRefObject<HTMLDivElement | null> = useRef(null);
 
-  // Sync the scrollLeft position of the virtual body to the table header
+  // Sync the scrollLeft position of the virtual body to the table header,
+  // the pinned rows and the footer
   useEffect(() => {
     function handleScroll(event) {
       const virtualBody = event.target;
-      const headWrapEl = document?.querySelector(
-        `#${tableId} .${blockClass}__head-wrap`
-      );
-      if (headWrapEl) {
-        headWrapEl.scrollLeft = virtualBody?.scrollLeft;
-      }
+      document
+        ?.querySelectorAll(
+          `#${tableId} .${blockClass}__head-wrap, #${tableId} .${blockClass}__pinned-wrap, #${tableId} .${blockClass}__foot-wrap`
+        )
+        .forEach((wrapEl) => {
+          wrapEl.scrollLeft = virtualBody?.scrollLeft;
+        });
     }
 
     const testRefValue = testRef?.current;
@@ -89,6 +96,17 @@ const DatagridVirtualBody = (datagridState: DataGridState) => {
     };
   });
 
+  // The pinned rows stay in view, out of the scrolled list of the other rows
+  const renderPinnedRows = (position: RowPinPosition) =>
+    !!pinnedRows?.[position]?.length && (
+      <div
+        className={`${blockClass}__pinned-wrap`}
+        style={{ width: gridRef?.current?.clientWidth, overflow: 'hidden' }}
+      >
+        <DatagridPinnedRows {...datagridState} position={position} />
+      </div>
+    );
+
   return (
     <>
       <div
@@ -97,6 +115,7 @@ const DatagridVirtualBody = (datagridState: DataGridState) => {
       >
         <DatagridHead {...datagridState} />
       </div>
+      {withPinnedRows && renderPinnedRows('top')}
       <TableBody
         {...getTableBodyProps({ role: undefined })}
         aria-live={undefined}
@@ -134,6 +153,15 @@ const DatagridVirtualBody = (datagridState: DataGridState) => {
           }}
         </VariableSizeList>
       </TableBody>
+      {withPinnedRows && renderPinnedRows('bottom')}
+      {withFooterTotals && (
+        <div
+          className={`${blockClass}__foot-wrap`}
+          style={{ width: gridRef?.current?.clientWidth, overflow: 'hidden' }}
+        >
+          <DatagridFoot {...datagridState} />
+        </div>
+      )}
     </>
   );
 };
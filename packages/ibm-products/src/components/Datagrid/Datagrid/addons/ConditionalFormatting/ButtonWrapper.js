@@ -0,0 +1,42 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import * as React from 'react';
+import PropTypes from 'prop-types';
+import { ColorPalette } from '@carbon/react/icons';
+import { Button } from '@carbon/react';
+
+// Toolbar button that opens the tearsheet of the conditional formatting rules
+const ButtonWrapper = ({
+  onClick,
+  setIsTearsheetOpen,
+  isTearsheetOpen,
+  iconTooltipLabel = 'Conditional formatting',
+  ...rest
+}) => (
+  <Button
+    {...rest}
+    renderIcon={(props) => <ColorPalette size={16} {...props} />}
+    iconDescription={iconTooltipLabel}
+    tooltipPosition="bottom"
+    kind="ghost"
+    hasIconOnly
+    onClick={() => {
+      setIsTearsheetOpen(!isTearsheetOpen);
+      onClick?.();
+    }}
+  />
+);
+
+ButtonWrapper.propTypes = {
+  iconTooltipLabel: PropTypes.string,
+  isTearsheetOpen: PropTypes.bool.isRequired,
+  onClick: PropTypes.func,
+  setIsTearsheetOpen: PropTypes.func.isRequired,
+};
+
+export default ButtonWrapper;
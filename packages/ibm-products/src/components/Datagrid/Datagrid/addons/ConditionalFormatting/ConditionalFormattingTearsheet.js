@@ -0,0 +1,245 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@carbon/react';
+import { Add, Edit, TrashCan } from '@carbon/react/icons';
+import { TearsheetNarrow } from '../../../../Tearsheet';
+import RuleForm from './RuleForm';
+import { getColumnLabels } from '../../../utils/getColumnLabels';
+import {
+  getPattern,
+  iconLabels as defaultIconLabels,
+  operatorLabels as defaultOperatorLabels,
+  statusLabels as defaultStatusLabels,
+} from '../../../utils/formattingRules';
+import uuidv4 from '../../../../../global/js/utils/uuidv4';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__conditional-formatting`;
+
+const toItems = (labels) =>
+  Object.entries(labels).map(([value, text]) => ({ value, text }));
+
+// Tearsheet in which the conditional formatting rules are added, edited and
+// deleted, the rules being applied to the table when they are saved
+const ConditionalFormattingTearsheet = ({ instance }) => {
+  const {
+    allColumns,
+    columns,
+    formattingRules,
+    setFormattingRules,
+    conditionalFormattingProps: { isTearsheetOpen, setIsTearsheetOpen, labels },
+  } = instance;
+  const {
+    title = 'Conditional formatting',
+    description = 'Rules format the cells of their column whose values meet their condition. The first rule of a column that a cell meets formats it.',
+    noRulesLabel = 'No rules are set.',
+    addRuleLabel = 'Add rule',
+    editRuleLabel = 'Edit rule',
+    deleteRuleLabel = 'Delete rule',
+    anyValueLabel = 'has any value',
+    customConditionLabel = 'meets a custom condition',
+    andLabel = 'and',
+    noneLabel = 'None',
+    primaryButtonText = 'Save',
+    secondaryButtonText = 'Cancel',
+    operatorLabels,
+    statusLabels,
+    iconLabels,
+  } = labels || {};
+  const formLabels = {
+    columnLabel: 'Column',
+    selectColumnLabel: 'Select a column',
+    conditionLabel: 'Condition',
+    valueLabel: 'Value',
+    minLabel: 'Minimum',
+    maxLabel: 'Maximum',
+    statusLabel: 'Status color',
+    iconLabel: 'Status icon',
+    dataBarLabel: 'Show a data bar',
+    requiredLabel: 'Enter a value.',
+    invalidPatternLabel: 'Enter a valid regular expression.',
+    applyRuleLabel: 'Apply',
+    cancelRuleLabel: 'Cancel',
+    ...labels,
+  };
+  const idRef = useRef(uuidv4()); // keep id between renders
+  const [rules, setRules] = useState(formattingRules);
+  // the index of the rule in the form, the count of the rules for a new rule
+  const [editedIndex, setEditedIndex] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const [wasOpen, setWasOpen] = useState(isTearsheetOpen);
+
+  // the rules are edited from the rules of the table each time it opens
+  if (isTearsheetOpen !== wasOpen) {
+    setWasOpen(isTearsheetOpen);
+    if (isTearsheetOpen) {
+      setRules(formattingRules);
+      setEditedIndex(null);
+      setIsDirty(false);
+    }
+  }
+
+  const columnLabels = getColumnLabels(columns);
+  const columnItems = allColumns
+    .filter((column) => column.accessor && !column.isAction)
+    .map(({ id }) => ({ value: id, text: columnLabels[id] ?? id }));
+  const allOperatorLabels = { ...defaultOperatorLabels, ...operatorLabels };
+  const allStatusLabels = { ...defaultStatusLabels, ...statusLabels };
+  const allIconLabels = { ...defaultIconLabels, ...iconLabels };
+  const noneItem = { value: '', text: noneLabel };
+
+  const getConditionText = (rule) => {
+    const { operator, predicate, value } = rule;
+    if (predicate) {
+      return customConditionLabel;
+    }
+    if (!operator) {
+      return anyValueLabel;
+    }
+    const valueText =
+      operator === 'between'
+        ? `${value?.[0]} ${andLabel} ${value?.[1]}`
+        : String(value);
+    return `${allOperatorLabels[operator]} ${valueText}`;
+  };
+
+  const getFormattingText = ({ status, icon, dataBar }) =>
+    [
+      status && allStatusLabels[status],
+      icon && allIconLabels[icon],
+      dataBar && formLabels.dataBarLabel,
+    ]
+      .filter(Boolean)
+      .join(', ');
+
+  const changeRules = (newRules) => {
+    setRules(newRules);
+    setEditedIndex(null);
+    setIsDirty(true);
+  };
+
+  const renderForm = (rule, index) => (
+    <RuleForm
+      key={index}
+      id={`${idRef.current}-${index}`}
+      rule={rule}
+      columnItems={columnItems}
+      operatorItems={[
+        { value: '', text: anyValueLabel },
+        ...toItems(allOperatorLabels),
+      ]}
+      statusItems={[noneItem, ...toItems(allStatusLabels)]}
+      iconItems={[noneItem, ...toItems(allIconLabels)]}
+      labels={formLabels}
+      isValidPattern={(pattern) => !!getPattern(pattern)}
+      onApply={(newRule) =>
+        changeRules(
+          index < rules.length
+            ? rules.map((rule, i) => (i === index ? newRule : rule))
+            : [...rules, { id: uuidv4(), ...newRule }]
+        )
+      }
+      onCancel={() => setEditedIndex(null)}
+    />
+  );
+
+  return (
+    <TearsheetNarrow
+      className={`${blockClass}-tearsheet`}
+      open={isTearsheetOpen}
+      title={title}
+      description={description}
+      actions={[
+        {
+          kind: 'secondary',
+          label: secondaryButtonText,
+          onClick: () => setIsTearsheetOpen(false),
+        },
+        {
+          kind: 'primary',
+          label: primaryButtonText,
+          onClick: () => {
+            setFormattingRules(rules);
+            setIsTearsheetOpen(false);
+          },
+          disabled: !isDirty || editedIndex !== null,
+        },
+      ]}
+    >
+      {rules.length === 0 && editedIndex === null && (
+        <p className={`${blockClass}-no-rules`}>{noRulesLabel}</p>
+      )}
+      <ol className={`${blockClass}-rules`}>
+        {rules.map((rule, index) =>
+          index === editedIndex ? (
+            <li key={rule.id ?? index}>{renderForm(rule, index)}</li>
+          ) : (
+            <li key={rule.id ?? index} className={`${blockClass}-rule`}>
+              <div className={`${blockClass}-rule-text`}>
+                <span className={`${blockClass}-rule-condition`}>
+                  {`${
+                    columnLabels[rule.columnId] ?? rule.columnId
+                  } ${getConditionText(rule)}`}
+                </span>
+                <span className={`${blockClass}-rule-formatting`}>
+                  {getFormattingText(rule)}
+                </span>
+              </div>
+              <Button
+                kind="ghost"
+                size="sm"
+                hasIconOnly
+                renderIcon={(props) => <Edit size={16} {...props} />}
+                iconDescription={editRuleLabel}
+                tooltipPosition="left"
+                disabled={!!rule.predicate || editedIndex !== null}
+                onClick={() => setEditedIndex(index)}
+              />
+              <Button
+                kind="ghost"
+                size="sm"
+                hasIconOnly
+                renderIcon={(props) => <TrashCan size={16} {...props} />}
+                iconDescription={deleteRuleLabel}
+                tooltipPosition="left"
+                disabled={editedIndex !== null}
+                onClick={() => changeRules(rules.filter((r) => r !== rule))}
+              />
+            </li>
+          )
+        )}
+      </ol>
+      {editedIndex === rules.length ? (
+        renderForm({}, rules.length)
+      ) : (
+        <Button
+          kind="ghost"
+          renderIcon={(props) => <Add size={16} {...props} />}
+          disabled={editedIndex !== null}
+          onClick={() => setEditedIndex(rules.length)}
+        >
+          {addRuleLabel}
+        </Button>
+      )}
+    </TearsheetNarrow>
+  );
+};
+
+ConditionalFormattingTearsheet.propTypes = {
+  instance: PropTypes.shape({
+    allColumns: PropTypes.arrayOf(PropTypes.object),
+    columns: PropTypes.arrayOf(PropTypes.object),
+    conditionalFormattingProps: PropTypes.object,
+    formattingRules: PropTypes.arrayOf(PropTypes.object),
+    setFormattingRules: PropTypes.func,
+  }).isRequired,
+};
+
+export default ConditionalFormattingTearsheet;
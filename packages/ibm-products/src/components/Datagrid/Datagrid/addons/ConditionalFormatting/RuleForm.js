@@ -0,0 +1,197 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Button,
+  ButtonSet,
+  Checkbox,
+  Dropdown,
+  Stack,
+  TextInput,
+} from '@carbon/react';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__conditional-formatting`;
+
+const toText = (value) =>
+  value instanceof RegExp ? value.source : String(value ?? '');
+
+// Form in which the column, the condition and the formatting of a rule are
+// picked, for a new rule or one being edited
+const RuleForm = ({
+  id,
+  rule,
+  columnItems,
+  operatorItems,
+  statusItems,
+  iconItems,
+  labels,
+  isValidPattern,
+  onApply,
+  onCancel,
+}) => {
+  const {
+    columnLabel,
+    selectColumnLabel,
+    conditionLabel,
+    valueLabel,
+    minLabel,
+    maxLabel,
+    statusLabel,
+    iconLabel,
+    dataBarLabel,
+    requiredLabel,
+    invalidPatternLabel,
+    applyRuleLabel,
+    cancelRuleLabel,
+  } = labels;
+  const [columnId, setColumnId] = useState(rule.columnId ?? null);
+  const [operator, setOperator] = useState(rule.operator ?? '');
+  const [value, setValue] = useState(
+    rule.operator === 'between' ? '' : toText(rule.value)
+  );
+  const [min, setMin] = useState(toText(rule.value?.[0]));
+  const [max, setMax] = useState(toText(rule.value?.[1]));
+  const [status, setStatus] = useState(rule.status ?? '');
+  const [icon, setIcon] = useState(rule.icon ?? '');
+  const [dataBar, setDataBar] = useState(!!rule.dataBar);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+
+  const getInvalidText = (text) => {
+    if (!text.trim()) {
+      return requiredLabel;
+    }
+    if (operator === 'matches' && !isValidPattern(text)) {
+      return invalidPatternLabel;
+    }
+    return null;
+  };
+  const getInvalidProps = (text) => {
+    const invalidText = isSubmitted ? getInvalidText(text) : null;
+    return { invalid: !!invalidText, invalidText };
+  };
+  const isValid =
+    !!columnId &&
+    (operator === 'between'
+      ? !getInvalidText(min) && !getInvalidText(max)
+      : !operator || !getInvalidText(value));
+
+  const apply = () => {
+    setIsSubmitted(true);
+    if (!isValid) {
+      return;
+    }
+    onApply({
+      ...rule,
+      columnId,
+      operator: operator || undefined,
+      value: operator === 'between' ? [min, max] : operator ? value : undefined,
+      status: status || undefined,
+      icon: icon || undefined,
+      // keeps the range of the data bar of an edited rule
+      dataBar: dataBar && (rule.dataBar || true),
+    });
+  };
+
+  const renderDropdown = (key, titleText, items, selected, onChange) => (
+    <Dropdown
+      id={`${id}-${key}`}
+      titleText={titleText}
+      label={titleText}
+      items={items}
+      itemToString={(item) => item?.text ?? ''}
+      selectedItem={items.find((item) => item.value === selected) ?? null}
+      onChange={({ selectedItem }) => onChange(selectedItem.value)}
+    />
+  );
+
+  return (
+    <Stack gap={5} className={`${blockClass}-rule-form`}>
+      <Dropdown
+        id={`${id}-column`}
+        titleText={columnLabel}
+        label={selectColumnLabel}
+        items={columnItems}
+        itemToString={(item) => item?.text ?? ''}
+        selectedItem={
+          columnItems.find((item) => item.value === columnId) ?? null
+        }
+        onChange={({ selectedItem }) => setColumnId(selectedItem.value)}
+        invalid={isSubmitted && !columnId}
+        invalidText={requiredLabel}
+      />
+      {renderDropdown(
+        'condition',
+        conditionLabel,
+        operatorItems,
+        operator,
+        setOperator
+      )}
+      {operator === 'between' ? (
+        <>
+          <TextInput
+            {...getInvalidProps(min)}
+            id={`${id}-min`}
+            labelText={minLabel}
+            value={min}
+            onChange={(event) => setMin(event.target.value)}
+          />
+          <TextInput
+            {...getInvalidProps(max)}
+            id={`${id}-max`}
+            labelText={maxLabel}
+            value={max}
+            onChange={(event) => setMax(event.target.value)}
+          />
+        </>
+      ) : (
+        operator && (
+          <TextInput
+            {...getInvalidProps(value)}
+            id={`${id}-value`}
+            labelText={valueLabel}
+            value={value}
+            onChange={(event) => setValue(event.target.value)}
+          />
+        )
+      )}
+      {renderDropdown('status', statusLabel, statusItems, status, setStatus)}
+      {renderDropdown('icon', iconLabel, iconItems, icon, setIcon)}
+      <Checkbox
+        id={`${id}-data-bar`}
+        labelText={dataBarLabel}
+        checked={dataBar}
+        onChange={(event, { checked }) => setDataBar(checked)}
+      />
+      <ButtonSet>
+        <Button kind="secondary" size="sm" onClick={onCancel}>
+          {cancelRuleLabel}
+        </Button>
+        <Button kind="primary" size="sm" onClick={apply}>
+          {applyRuleLabel}
+        </Button>
+      </ButtonSet>
+    </Stack>
+  );
+};
+
+RuleForm.propTypes = {
+  columnItems: PropTypes.arrayOf(PropTypes.object).isRequired,
+  iconItems: PropTypes.arrayOf(PropTypes.object).isRequired,
+  id: PropTypes.string.isRequired,
+  isValidPattern: PropTypes.func.isRequired,
+  labels: PropTypes.object.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  operatorItems: PropTypes.arrayOf(PropTypes.object).isRequired,
+  rule: PropTypes.object.isRequired,
+  statusItems: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+export default RuleForm;
@@ -0,0 +1,9 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+export { default as ConditionalFormattingButton } from './ButtonWrapper';
+export { default as ConditionalFormattingTearsheet } from './ConditionalFormattingTearsheet';
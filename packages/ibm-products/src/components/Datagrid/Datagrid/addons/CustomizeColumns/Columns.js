@@ -12,6 +12,7 @@ import update from 'immutability-helper';
 import { pkg } from '../../../../../settings';
 import cx from 'classnames';
 import { DraggableItemsList } from './DraggableItemsList';
+import { keepColumnGroupsTogether } from './common';
 import uuidv4 from '../../../../../global/js/utils/uuidv4';
 
 const blockClass = `${pkg.prefix}--datagrid`;
@@ -37,12 +38,15 @@ const Columns = ({
       const fromCol = columns[from];
 
       setColumnsObject(
-        update(columns, {
-          $splice: [
-            [from, 1],
-            [to, 0, fromCol],
-          ],
-        })
+        keepColumnGroupsTogether(
+          update(columns, {
+            $splice: [
+              [from, 1],
+              [to, 0, fromCol],
+            ],
+          }),
+          fromCol
+        )
       );
     },
     [columns, setColumnsObject]
@@ -1,5 +1,5 @@
 /**
- * Copyright IBM Corp. 2023, 2023
+ * Copyright IBM Corp. 2023, 2024
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
@@ -8,7 +8,7 @@
 import React from 'react';
 import { PropTypes } from 'prop-types';
 import { Checkbox } from '@carbon/react';
-import { isColumnVisible } from './common';
+import { getColumnTitle, isColumnVisible } from './common';
 import DraggableElement from '../../DraggableElement';
 import { pkg } from '../../../../../settings';
 import { getNodeTextContent } from '../../../../../global/js/utils/getNodeTextContent';
@@ -51,7 +51,7 @@ export const DraggableItemsList = ({
     .filter((colDef) => {
       return (
         filterString.length === 0 ||
-        getNodeTextContent(colDef.Header).toLowerCase().includes(filterString)
+        getColumnTitle(colDef).toLowerCase().includes(filterString)
       );
     });
 
@@ -84,9 +84,7 @@ export const DraggableItemsList = ({
       matchedColsById(col, over)
     );
 
-    const colTitle = getNodeTextContent(
-      updatedDragCols[fromVisibleIndex].Header
-    );
+    const colTitle = getColumnTitle(updatedDragCols[fromVisibleIndex]);
 
     setAriaRegionText(
       `${colTitle} dropped. New position ${toVisibleIndex + 1} of ${
@@ -106,7 +104,7 @@ export const DraggableItemsList = ({
     const fromIndex = updatedDragCols.findIndex((col) =>
       matchedColsById(col, active)
     );
-    const colTitle = getNodeTextContent(updatedDragCols[fromIndex].Header);
+    const colTitle = getColumnTitle(updatedDragCols[fromIndex]);
 
     setAriaRegionText(
       `${colTitle} grabbed. Current position ${fromIndex + 1} of ${
@@ -125,7 +123,7 @@ export const DraggableItemsList = ({
       matchedColsById(col, over)
     );
 
-    const colTitle = getNodeTextContent(updatedDragCols[fromIndex].Header);
+    const colTitle = getColumnTitle(updatedDragCols[fromIndex]);
 
     setAriaRegionText(
       `${colTitle} grabbed. Original position ${fromIndex + 1}, new position ${
@@ -205,7 +203,7 @@ export const DraggableItemsList = ({
           strategy={verticalListSortingStrategy}
         >
           {visibleCols.map((colDef) => {
-            const colHeaderTitle = getNodeTextContent(colDef.Header);
+            const colHeaderTitle = getColumnTitle(colDef);
             const searchString = new RegExp('(' + filterString + ')');
             const res = filterString.length
               ? colHeaderTitle.toLowerCase().split(searchString)
@@ -1,11 +1,56 @@
 /**
- * Copyright IBM Corp. 2022, 2023
+ * Copyright IBM Corp. 2022, 2024
  *
  * This source code is licensed under the Apache-2.0 license found in the
  * LICENSE file in the root directory of this source tree.
  */
 
 import isBoolean from 'lodash/isBoolean';
+import { getNodeTextContent } from '../../../../../global/js/utils/getNodeTextContent';
 
 export const isColumnVisible = (colDef) =>
   isBoolean(colDef.isVisible) ? colDef.isVisible : true;
+
+// The groups of a nested column, from the outermost
+const getColumnGroups = (colDef) => {
+  const groups = [];
+  for (let group = colDef.parent; group; group = group.parent) {
+    groups.unshift(group);
+  }
+  return groups;
+};
+
+// The title of a column, after the titles of its groups
+export const getColumnTitle = (colDef) =>
+  [...getColumnGroups(colDef), colDef]
+    .map((column) => getNodeTextContent(column.Header))
+    .filter(Boolean)
+    .join(' / ');
+
+// Puts the columns of a group back together after a column is moved, at the
+// place of the moved column when it belongs to the group, or of the first
+// column of the group otherwise
+export const keepColumnGroupsTogether = (columns, movedColumn) => {
+  const movedIndex = columns.indexOf(movedColumn);
+  const movedGroupIds = getColumnGroups(movedColumn).map(({ id }) => id);
+  const getGroupIndex = (group) =>
+    movedGroupIds.includes(group.id)
+      ? movedIndex
+      : columns.findIndex((colDef) =>
+          getColumnGroups(colDef).some(({ id }) => id === group.id)
+        );
+  const sortKeys = new Map(
+    columns.map((colDef, index) => [
+      colDef,
+      [...getColumnGroups(colDef).map(getGroupIndex), index],
+    ])
+  );
+  const compare = (keys1, keys2) =>
+    keys1.findIndex((key, level) => key !== keys2[level]);
+  return [...columns].sort((colDef1, colDef2) => {
+    const keys1 = sortKeys.get(colDef1);
+    const keys2 = sortKeys.get(colDef2);
+    const level = compare(keys1, keys2);
+    return level === -1 ? 0 : keys1[level] - keys2[level];
+  });
+};
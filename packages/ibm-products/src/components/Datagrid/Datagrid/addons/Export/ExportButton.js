@@ -0,0 +1,91 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Download } from '@carbon/react/icons';
+import { IconButton } from '@carbon/react';
+import { ExportModal } from '../../../../ExportModal';
+import { exportFormats } from '../../../utils/exportTable';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__export`;
+
+// Toolbar button opening an `ExportModal` in which the file name is typed,
+// its extension picking the format the rows are exported to
+const ExportButton = ({
+  align = 'bottom-right',
+  filename = 'export',
+  labels = {},
+  onExport,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const {
+    exportLabel = 'Export',
+    inputLabel = 'File name',
+    invalidInputText = `File must have a valid extension (${exportFormats
+      .map((format) => `.${format}`)
+      .join(', ')})`,
+    primaryButtonText = 'Export',
+    secondaryButtonText = 'Cancel',
+    title = 'Export',
+  } = labels;
+
+  const onRequestSubmit = (name) => {
+    const extension = name.split('.').pop().toLowerCase();
+    const isValidExtension =
+      name.includes('.') && exportFormats.includes(extension);
+    onExport({
+      format: isValidExtension ? extension : exportFormats[0],
+      filename: isValidExtension ? name : `${name}.${exportFormats[0]}`,
+    });
+    setIsOpen(false);
+  };
+
+  return (
+    <>
+      <IconButton
+        align={align}
+        kind="ghost"
+        onClick={() => setIsOpen(true)}
+        label={exportLabel}
+        className={`${blockClass}-button`}
+      >
+        <Download size={16} />
+      </IconButton>
+      <ExportModal
+        className={`${blockClass}-modal`}
+        filename={`${filename}.${exportFormats[0]}`}
+        inputLabel={inputLabel}
+        invalidInputText={invalidInputText}
+        onClose={() => setIsOpen(false)}
+        onRequestSubmit={onRequestSubmit}
+        open={isOpen}
+        primaryButtonText={primaryButtonText}
+        secondaryButtonText={secondaryButtonText}
+        title={title}
+        validExtensions={exportFormats}
+      />
+    </>
+  );
+};
+
+ExportButton.propTypes = {
+  align: IconButton.propTypes.align,
+  filename: PropTypes.string,
+  labels: PropTypes.shape({
+    exportLabel: PropTypes.string,
+    inputLabel: PropTypes.string,
+    invalidInputText: PropTypes.string,
+    primaryButtonText: PropTypes.string,
+    secondaryButtonText: PropTypes.string,
+    title: PropTypes.string,
+  }),
+  onExport: PropTypes.func.isRequired,
+};
+
+export default ExportButton;
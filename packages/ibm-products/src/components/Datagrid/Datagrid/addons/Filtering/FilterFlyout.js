@@ -22,6 +22,7 @@ import {
 import { ActionSet } from '../../../../ActionSet';
 import { Filter } from '@carbon/react/icons';
 import PropTypes from 'prop-types';
+import SavedViews from './SavedViews';
 import cx from 'classnames';
 import { pkg } from '../../../../../settings';
 
@@ -49,6 +50,12 @@ const FilterFlyout = ({
   setAllFilters,
   data = [],
   reactTableFiltersState = [],
+  customFilterTypes,
+  filterLabels,
+  savedViews,
+  savedViewsLabels,
+  getViewState,
+  applyViewState,
 }) => {
   /** State */
   const [open, setOpen] = useState(false);
@@ -65,6 +72,7 @@ const FilterFlyout = ({
     prevFiltersRef,
     cancel,
     reset,
+    applyView,
     renderFilter,
     filtersObjectArray,
     lastAppliedFilters,
@@ -75,6 +83,9 @@ const FilterFlyout = ({
     variation: FLYOUT,
     reactTableFiltersState,
     onCancel: handleCancel,
+    customFilterTypes,
+    applyViewState,
+    labels: filterLabels,
   });
 
   const { width } = breakpoints.md;
@@ -254,6 +265,13 @@ const FilterFlyout = ({
       >
         <div className={`${componentClass}__inner-container`}>
           <span className={`${componentClass}__title`}>{title}</span>
+          {savedViews && (
+            <SavedViews
+              applyViewState={applyView}
+              getViewState={getViewState}
+              labels={savedViewsLabels}
+            />
+          )}
           <div
             className={cx(`${componentClass}__filters`, {
               [`${componentClass}__stacked`]: stackedLayout,
@@ -270,11 +288,39 @@ const FilterFlyout = ({
 };
 
 FilterFlyout.propTypes = {
+  /**
+   * Shows the view state of a saved view in the table
+   */
+  applyViewState: PropTypes.func,
+
+  /**
+   * Filter types added to the built-in ones, by type name. Each one has a
+   * `predicate(rowValue, filterValue, row)` telling whether a row matches, an
+   * `initialValue`, a `renderFilter({ column, value, onChange, props })`
+   * rendering its inputs, and optionally `isEmpty(value)` and
+   * `formatValue(value)` for its tag
+   */
+  customFilterTypes: PropTypes.objectOf(
+    PropTypes.shape({
+      formatValue: PropTypes.func,
+      initialValue: PropTypes.any,
+      isEmpty: PropTypes.func,
+      predicate: PropTypes.func.isRequired,
+      renderFilter: PropTypes.func.isRequired,
+    })
+  ),
+
   /**
    * All data rows in the table
    */
   data: PropTypes.array.isRequired,
 
+  /**
+   * Labels of the text and range filters, eg `operatorLabel`, `valueLabel`,
+   * `minimumLabel` or `containsLabel`
+   */
+  filterLabels: PropTypes.object,
+
   /**
    * Array of filters to render
    */
@@ -291,6 +337,11 @@ FilterFlyout.propTypes = {
    */
   flyoutIconDescription: PropTypes.string,
 
+  /**
+   * Returns the current view state of the table, to save it as a view
+   */
+  getViewState: PropTypes.func,
+
   /**
    * Callback when the apply button is clicked
    */
@@ -327,6 +378,25 @@ FilterFlyout.propTypes = {
     })
   ),
 
+  /**
+   * Views saved under a name, each one with its `id`, `name`, `viewState` and
+   * whether it `isDefault`. Saved views are offered when this is set, even to
+   * an empty array
+   */
+  savedViews: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool,
+      name: PropTypes.string.isRequired,
+      viewState: PropTypes.object.isRequired,
+    })
+  ),
+
+  /**
+   * Labels of the saved views
+   */
+  savedViewsLabels: PropTypes.object,
+
   /**
    * Label text of the secondary action in the flyout
    */
@@ -24,6 +24,7 @@ import { ActionSet } from '../../../../ActionSet';
 import { Close } from '@carbon/react/icons';
 import { FilterContext } from './FilterProvider';
 import PropTypes from 'prop-types';
+import SavedViews from './SavedViews';
 import cx from 'classnames';
 import { pkg } from '../../../../../settings';
 import { rem } from '@carbon/layout';
@@ -61,6 +62,12 @@ const FilterPanel = ({
   reactTableFiltersState = [],
   autoHideFilters = false,
   isFetching = false,
+  customFilterTypes,
+  filterLabels,
+  savedViews,
+  savedViewsLabels,
+  getViewState,
+  applyViewState,
 }) => {
   /** State */
   const [showDividerLine, setShowDividerLine] = useState(false);
@@ -74,6 +81,7 @@ const FilterPanel = ({
     prevFiltersRef,
     cancel,
     reset,
+    applyView,
     renderFilter,
     filtersObjectArray,
     lastAppliedFilters,
@@ -87,6 +95,9 @@ const FilterPanel = ({
     panelOpen,
     autoHideFilters,
     isFetching,
+    customFilterTypes,
+    applyViewState,
+    labels: filterLabels,
   });
 
   /** Refs */
@@ -261,6 +272,13 @@ const FilterPanel = ({
           style={{ height: getScrollableContainerHeight() }}
           onScroll={onInnerContainerScroll}
         >
+          {savedViews && (
+            <SavedViews
+              applyViewState={applyView}
+              getViewState={getViewState}
+              labels={savedViewsLabels}
+            />
+          )}
           {filterSections.map(
             ({ categoryTitle = null, filters = [], hasAccordion }, index) => {
               return (
@@ -296,10 +314,22 @@ const FilterPanel = ({
 };
 
 FilterPanel.propTypes = {
+  applyViewState: PropTypes.func,
   autoHideFilters: PropTypes.bool,
   closeIconDescription: PropTypes.string,
+  customFilterTypes: PropTypes.objectOf(
+    PropTypes.shape({
+      formatValue: PropTypes.func,
+      initialValue: PropTypes.any,
+      isEmpty: PropTypes.func,
+      predicate: PropTypes.func.isRequired,
+      renderFilter: PropTypes.func.isRequired,
+    })
+  ),
+  filterLabels: PropTypes.object,
   filterPanelMinHeight: PropTypes.number,
   filterSections: PropTypes.array,
+  getViewState: PropTypes.func,
   isFetching: PropTypes.bool,
   onApply: PropTypes.func,
   onCancel: PropTypes.func,
@@ -317,6 +347,15 @@ FilterPanel.propTypes = {
       value: PropTypes.any.isRequired,
     })
   ),
+  savedViews: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool,
+      name: PropTypes.string.isRequired,
+      viewState: PropTypes.object.isRequired,
+    })
+  ),
+  savedViewsLabels: PropTypes.object,
   searchLabelText: PropTypes.string,
   searchPlaceholder: PropTypes.string,
   secondaryActionLabel: PropTypes.string,
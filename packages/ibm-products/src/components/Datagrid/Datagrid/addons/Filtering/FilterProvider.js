@@ -5,7 +5,13 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { createContext, useState, useReducer } from 'react';
+import React, {
+  createContext,
+  useEffect,
+  useReducer,
+  useRef,
+  useState,
+} from 'react';
 import PropTypes from 'prop-types';
 import {
   DATE,
@@ -15,8 +21,13 @@ import {
   CHECKBOX,
   CLEAR_SINGLE_FILTER,
   SAVED_FILTERS,
+  SAVED_VIEWS,
+  SELECT_SAVED_VIEW,
   MULTISELECT,
+  RANGE,
+  TEXT,
 } from './constants';
+import { formatRangeFilter, formatTextFilter } from './utils';
 
 export const FilterContext = createContext();
 
@@ -100,7 +111,11 @@ const formatDateRange = (startDate, endDate) => {
   return `${startDateObj.toLocaleDateString()} - ${endDateObj.toLocaleDateString()}`;
 };
 
-const prepareFiltersForTags = (filters, renderDateLabel) => {
+const prepareFiltersForTags = (
+  filters,
+  renderDateLabel,
+  customFilterTypes = {}
+) => {
   const tags = [];
 
   filters.forEach(({ id, type, value }) => {
@@ -109,7 +124,25 @@ const prepareFiltersForTags = (filters, renderDateLabel) => {
       onClose: () => handleSingleFilterRemoval(id, value),
     };
 
-    if (type === DROPDOWN || type === RADIO || type === NUMBER) {
+    if (customFilterTypes[type]) {
+      tags.push({
+        key: id,
+        value: customFilterTypes[type].formatValue?.(value) ?? `${value}`,
+        ...sharedFilterProps,
+      });
+    } else if (type === TEXT) {
+      tags.push({
+        key: id,
+        value: formatTextFilter(value),
+        ...sharedFilterProps,
+      });
+    } else if (type === RANGE) {
+      tags.push({
+        key: id,
+        value: formatRangeFilter(value),
+        ...sharedFilterProps,
+      });
+    } else if (type === DROPDOWN || type === RADIO || type === NUMBER) {
       tags.push({
         key: id,
         value,
@@ -150,21 +183,81 @@ const filteringReducer = (state, action) => {
         savedFilters,
       };
     }
+    case SAVED_VIEWS: {
+      const { savedViews, selectedViewId = state.selectedViewId } =
+        action.payload || {};
+      return {
+        ...state,
+        savedViews,
+        // The selected view is deselected once it is deleted
+        selectedViewId: savedViews.some(({ id }) => id === selectedViewId)
+          ? selectedViewId
+          : null,
+      };
+    }
+    case SELECT_SAVED_VIEW: {
+      const { selectedViewId } = action.payload || {};
+      return {
+        ...state,
+        selectedViewId,
+      };
+    }
     default:
       return state;
   }
 };
 
 export const FilterProvider = ({ children, filters, filterProps }) => {
-  const { renderDateLabel } = filterProps || {};
-  const filterTags = prepareFiltersForTags(filters, renderDateLabel);
+  const { renderDateLabel, customFilterTypes, savedViews, onSavedViewsChange } =
+    filterProps || {};
+  const filterTags = prepareFiltersForTags(
+    filters,
+    renderDateLabel,
+    customFilterTypes
+  );
   const [panelOpen, setPanelOpen] = useState(false);
 
   const initialState = {
     savedFilters: [],
+    savedViews: savedViews || [],
+    // The default view is the one shown when the table mounts
+    selectedViewId: savedViews?.find(({ isDefault }) => isDefault)?.id ?? null,
   };
   const [state, dispatch] = useReducer(filteringReducer, initialState);
 
+  // The saved views follow the `savedViews` prop, eg once they are loaded
+  // from the server. The prop is often a new array of the same views, which
+  // does not reset the views saved since
+  const savedViewsRef = useRef(savedViews);
+  useEffect(() => {
+    const previousSavedViews = savedViewsRef.current || [];
+    const newSavedViews = savedViews || [];
+    savedViewsRef.current = savedViews;
+    if (
+      previousSavedViews.length === newSavedViews.length &&
+      previousSavedViews.every((view, index) => view === newSavedViews[index])
+    ) {
+      return;
+    }
+    dispatch({
+      type: SAVED_VIEWS,
+      payload: { savedViews: newSavedViews },
+    });
+  }, [savedViews]);
+
+  // The saved views are only kept in memory, `onSavedViewsChange` persists
+  // them
+  const updateSavedViews = (newSavedViews, change, selectedViewId) => {
+    dispatch({
+      type: SAVED_VIEWS,
+      payload: { savedViews: newSavedViews, selectedViewId },
+    });
+    onSavedViewsChange?.(newSavedViews, change);
+  };
+
+  const selectSavedView = (selectedViewId) =>
+    dispatch({ type: SELECT_SAVED_VIEW, payload: { selectedViewId } });
+
   const value = {
     filterTags,
     EventEmitter,
@@ -172,6 +265,8 @@ export const FilterProvider = ({ children, filters, filterProps }) => {
     setPanelOpen,
     state,
     dispatch,
+    updateSavedViews,
+    selectSavedView,
   };
 
   return (
@@ -0,0 +1,254 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useContext, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Dropdown, IconButton, TextInput } from '@carbon/react';
+import {
+  Add,
+  Edit,
+  Save,
+  Star,
+  StarFilled,
+  TrashCan,
+} from '@carbon/react/icons';
+import { FilterContext } from './FilterProvider';
+import uuidv4 from '../../../../../global/js/utils/uuidv4';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+const componentClass = `${blockClass}-saved-views`;
+
+const defaults = {
+  savedViewsLabel: 'Saved views',
+  selectViewLabel: 'Select a view',
+  defaultViewLabel: 'default',
+  saveViewLabel: 'Save as new view',
+  updateViewLabel: 'Save changes to view',
+  renameViewLabel: 'Rename view',
+  setDefaultViewLabel: 'Set as default view',
+  removeDefaultViewLabel: 'Remove default view',
+  deleteViewLabel: 'Delete view',
+  viewNameLabel: 'View name',
+  saveLabel: 'Save',
+  cancelLabel: 'Cancel',
+};
+
+// Lists the views saved under a name in the filter flyout and panel, a view
+// being the filters, the sorting and the columns of the table
+const SavedViews = ({ applyViewState, getViewState, labels }) => {
+  const {
+    state: { savedViews, selectedViewId },
+    updateSavedViews,
+    selectSavedView,
+  } = useContext(FilterContext);
+  const {
+    savedViewsLabel,
+    selectViewLabel,
+    defaultViewLabel,
+    saveViewLabel,
+    updateViewLabel,
+    renameViewLabel,
+    setDefaultViewLabel,
+    removeDefaultViewLabel,
+    deleteViewLabel,
+    viewNameLabel,
+    saveLabel,
+    cancelLabel,
+  } = { ...defaults, ...labels };
+  const savedViewsId = useRef(uuidv4()); // keep id between renders
+  // `save` or `rename` while the name of a view is edited
+  const [editing, setEditing] = useState(null);
+  const [viewName, setViewName] = useState('');
+
+  const selectedView = savedViews.find(({ id }) => id === selectedViewId);
+  // Downshift compares the selected item by reference
+  const items = useMemo(
+    () =>
+      savedViews.map(({ id, name, isDefault }) => ({
+        value: id,
+        text: isDefault ? `${name} (${defaultViewLabel})` : name,
+      })),
+    [savedViews, defaultViewLabel]
+  );
+
+  const replaceView = (view) =>
+    savedViews.map((savedView) =>
+      savedView.id === view.id ? view : savedView
+    );
+
+  const selectView = (view) => {
+    selectSavedView(view.id);
+    applyViewState(view.viewState);
+  };
+
+  const startEditing = (mode) => {
+    setEditing(mode);
+    setViewName(mode === 'rename' ? selectedView.name : '');
+  };
+
+  const submitViewName = (event) => {
+    event.preventDefault();
+    const name = viewName.trim();
+    if (!name) {
+      return;
+    }
+    if (editing === 'rename') {
+      const view = { ...selectedView, name };
+      updateSavedViews(replaceView(view), { action: 'rename', view });
+    } else {
+      const view = {
+        id: uuidv4(),
+        name,
+        isDefault: false,
+        viewState: getViewState(),
+      };
+      updateSavedViews(
+        [...savedViews, view],
+        { action: 'save', view },
+        view.id
+      );
+    }
+    setEditing(null);
+  };
+
+  const updateView = () => {
+    const view = { ...selectedView, viewState: getViewState() };
+    updateSavedViews(replaceView(view), { action: 'update', view });
+  };
+
+  // There is at most one default view
+  const toggleDefaultView = () => {
+    const view = { ...selectedView, isDefault: !selectedView.isDefault };
+    updateSavedViews(
+      savedViews.map((savedView) =>
+        savedView.id === view.id
+          ? view
+          : { ...savedView, isDefault: !view.isDefault && savedView.isDefault }
+      ),
+      { action: 'setDefault', view }
+    );
+  };
+
+  const deleteView = () => {
+    updateSavedViews(
+      savedViews.filter(({ id }) => id !== selectedView.id),
+      { action: 'delete', view: selectedView }
+    );
+  };
+
+  if (editing) {
+    return (
+      <form
+        className={`${componentClass} ${componentClass}--editing`}
+        onSubmit={submitViewName}
+      >
+        <TextInput
+          id={`${savedViewsId.current}-name`}
+          labelText={viewNameLabel}
+          size="sm"
+          value={viewName}
+          onChange={(event) => setViewName(event.target.value)}
+        />
+        <Button type="submit" size="sm" disabled={!viewName.trim()}>
+          {saveLabel}
+        </Button>
+        <Button kind="ghost" size="sm" onClick={() => setEditing(null)}>
+          {cancelLabel}
+        </Button>
+      </form>
+    );
+  }
+
+  return (
+    <div className={componentClass}>
+      <Dropdown
+        id={`${savedViewsId.current}-dropdown`}
+        className={`${componentClass}__dropdown`}
+        size="sm"
+        titleText={savedViewsLabel}
+        label={selectViewLabel}
+        items={items}
+        itemToString={(item) => item?.text ?? ''}
+        selectedItem={
+          items.find(({ value }) => value === selectedViewId) ?? null
+        }
+        onChange={({ selectedItem }) =>
+          selectView(savedViews.find(({ id }) => id === selectedItem.value))
+        }
+        disabled={!savedViews.length}
+      />
+      <div className={`${componentClass}__actions`}>
+        <IconButton
+          kind="ghost"
+          size="sm"
+          label={saveViewLabel}
+          onClick={() => startEditing('save')}
+        >
+          <Add />
+        </IconButton>
+        {selectedView && (
+          <>
+            <IconButton
+              kind="ghost"
+              size="sm"
+              label={updateViewLabel}
+              onClick={updateView}
+            >
+              <Save />
+            </IconButton>
+            <IconButton
+              kind="ghost"
+              size="sm"
+              label={renameViewLabel}
+              onClick={() => startEditing('rename')}
+            >
+              <Edit />
+            </IconButton>
+            <IconButton
+              kind="ghost"
+              size="sm"
+              label={
+                selectedView.isDefault
+                  ? removeDefaultViewLabel
+                  : setDefaultViewLabel
+              }
+              onClick={toggleDefaultView}
+            >
+              {selectedView.isDefault ? <StarFilled /> : <Star />}
+            </IconButton>
+            <IconButton
+              kind="ghost"
+              size="sm"
+              label={deleteViewLabel}
+              onClick={deleteView}
+            >
+              <TrashCan />
+            </IconButton>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SavedViews.propTypes = {
+  /**
+   * Shows the view state of a saved view in the table
+   */
+  applyViewState: PropTypes.func.isRequired,
+  /**
+   * Returns the current view state of the table, to save it
+   */
+  getViewState: PropTypes.func.isRequired,
+  /**
+   * Labels of the saved views, see `savedViewsLabels` in `filterProps`
+   */
+  labels: PropTypes.object,
+};
+
+export default SavedViews;
@@ -20,6 +20,19 @@ export const CHECKBOX = 'checkbox';
 export const RADIO = 'radio';
 export const DROPDOWN = 'dropdown';
 export const MULTISELECT = 'multiSelect';
+export const TEXT = 'text';
+export const RANGE = 'range';
+
+/** Constants for the operators of the text filter */
+export const CONTAINS = 'contains';
+export const STARTS_WITH = 'startsWith';
+export const EQUALS = 'equals';
+export const REGEX = 'regex';
+
+/** Constants for the operators of the range filter, which also uses `EQUALS` */
+export const BETWEEN = 'between';
+export const GREATER_THAN = 'greaterThan';
+export const LESS_THAN = 'lessThan';
 
 /** Constants for event emitters */
 export const CLEAR_FILTERS = 'clearFilters';
@@ -31,3 +44,5 @@ export const ACTION_SET_HEIGHT = 64;
 
 /** Constants for local reducer */
 export const SAVED_FILTERS = 'savedFilters';
+export const SAVED_VIEWS = 'savedViews';
+export const SELECT_SAVED_VIEW = 'selectSavedView';
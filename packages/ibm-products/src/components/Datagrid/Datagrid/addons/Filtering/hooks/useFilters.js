@@ -7,15 +7,24 @@
 
 import {
   BATCH,
+  BETWEEN,
   CHECKBOX,
+  CONTAINS,
   DATE,
   DROPDOWN,
+  EQUALS,
+  GREATER_THAN,
   INSTANT,
+  LESS_THAN,
   MULTISELECT,
   NUMBER,
   PANEL,
   RADIO,
+  RANGE,
+  REGEX,
   SAVED_FILTERS,
+  STARTS_WITH,
+  TEXT,
 } from '../constants';
 import {
   Checkbox,
@@ -28,6 +37,8 @@ import {
   NumberInput,
   RadioButton,
   RadioButtonGroup,
+  Stack,
+  TextInput,
 } from '@carbon/react';
 import React, {
   useCallback,
@@ -38,11 +49,49 @@ import React, {
 } from 'react';
 
 import OverflowCheckboxes from '../OverflowCheckboxes';
-import { getInitialStateFromFilters } from '../utils';
+import {
+  getInitialStateFromFilters,
+  getTextFilterValue,
+  isCustomFilterEmpty,
+  isRangeFilterEmpty,
+  isTextFilterEmpty,
+  parseRegex,
+} from '../utils';
 import { usePreviousValue } from '../../../../../../global/js/hooks';
 import { FilterContext } from '../FilterProvider';
 import { handleCheckboxChange } from '../handleCheckboxChange';
 
+const defaults = {
+  operatorLabel: 'Operator',
+  valueLabel: 'Value',
+  minimumLabel: 'Minimum',
+  maximumLabel: 'Maximum',
+  invalidRegexLabel: 'Invalid regular expression',
+  containsLabel: 'Contains',
+  startsWithLabel: 'Starts with',
+  equalsLabel: 'Equals',
+  regexLabel: 'Matches regular expression',
+  betweenLabel: 'Between',
+  greaterThanLabel: 'Greater than',
+  lessThanLabel: 'Less than',
+};
+
+// The operators of the text and range filters, labelled by `labels`, which
+// `props.Dropdown.items` can restrict or relabel with their `text`
+const textOperators = [
+  { value: CONTAINS, labelKey: 'containsLabel' },
+  { value: STARTS_WITH, labelKey: 'startsWithLabel' },
+  { value: EQUALS, labelKey: 'equalsLabel' },
+  { value: REGEX, labelKey: 'regexLabel' },
+];
+
+const rangeOperators = [
+  { value: BETWEEN, labelKey: 'betweenLabel' },
+  { value: GREATER_THAN, labelKey: 'greaterThanLabel' },
+  { value: LESS_THAN, labelKey: 'lessThanLabel' },
+  { value: EQUALS, labelKey: 'equalsLabel' },
+];
+
 const useFilters = ({
   updateMethod,
   filters = [],
@@ -53,12 +102,26 @@ const useFilters = ({
   panelOpen,
   autoHideFilters,
   isFetching,
+  customFilterTypes,
+  applyViewState,
+  labels,
 }) => {
+  const filterLabels = { ...defaults, ...labels };
+  // The effects and callbacks read the latest custom filter types, so that a
+  // `customFilterTypes` object created on each render does not reset the
+  // state of the filters
+  const customFilterTypesRef = useRef(customFilterTypes);
+  customFilterTypesRef.current = customFilterTypes;
   const { state, dispatch: localDispatch } = useContext(FilterContext);
   const { savedFilters } = state;
   /** State */
   const [filtersState, setFiltersState] = useState(
-    getInitialStateFromFilters(filters, variation, reactTableFiltersState)
+    getInitialStateFromFilters(
+      filters,
+      variation,
+      reactTableFiltersState,
+      customFilterTypes
+    )
   );
   const [fetchingReset, setFetchingReset] = useState(false);
 
@@ -104,7 +167,8 @@ const useFilters = ({
     const initialFiltersState = getInitialStateFromFilters(
       filters,
       variation,
-      resetFiltersArray
+      resetFiltersArray,
+      customFilterTypesRef.current
     );
     const initialFiltersObjectArray = [];
 
@@ -121,6 +185,38 @@ const useFilters = ({
     lastAppliedFilters.current = JSON.stringify([]);
   }, [filters, setAllFilters, variation]);
 
+  // Applies a saved view to the table and shows its filters as the last
+  // applied ones, so that the next Apply, Cancel or close of the panel keeps
+  // them
+  const applyView = useCallback(
+    (viewState) => {
+      applyViewState(viewState);
+      if (!viewState.filters) {
+        return;
+      }
+
+      const viewFiltersState = getInitialStateFromFilters(
+        filters,
+        variation,
+        viewState.filters,
+        customFilterTypesRef.current
+      );
+      setFiltersState(viewFiltersState);
+      setFiltersObjectArray(viewState.filters);
+      localDispatch({
+        type: SAVED_FILTERS,
+        payload: {
+          savedFilters: viewState.filters,
+        },
+      });
+
+      prevFiltersRef.current = JSON.stringify(viewFiltersState);
+      prevFiltersObjectArrayRef.current = JSON.stringify(viewState.filters);
+      lastAppliedFilters.current = JSON.stringify(viewState.filters);
+    },
+    [applyViewState, filters, variation, localDispatch]
+  );
+
   const applyFilters = ({ column, value, type }) => {
     // If no end date is selected return because we need the end date to do computations
     if (type === DATE && value.length > 0 && !value[1]) {
@@ -146,7 +242,19 @@ const useFilters = ({
     const clearDate = type === DATE && value.length === 0;
     const clearAny = (type === DROPDOWN || type === RADIO) && value === 'Any';
     const clearNum = type === NUMBER && value === '';
-    const shouldClear = clearCheckbox || clearDate || clearAny || clearNum;
+    const clearText = type === TEXT && isTextFilterEmpty(value);
+    const clearRange = type === RANGE && isRangeFilterEmpty(value);
+    const clearCustom =
+      !!customFilterTypes?.[type] &&
+      isCustomFilterEmpty(customFilterTypes[type], value);
+    const shouldClear =
+      clearCheckbox ||
+      clearDate ||
+      clearAny ||
+      clearNum ||
+      clearText ||
+      clearRange ||
+      clearCustom;
 
     if (shouldClear) {
       filterCopy.splice(index, 1);
@@ -222,7 +330,119 @@ const useFilters = ({
       );
     };
 
+    // Sets the value of the filters made of several inputs, and of the
+    // custom filters
+    const setFilterValue = (value) => {
+      setFiltersState({ ...filtersState, [column]: { value, type } });
+      applyFilters({ column, value, type });
+    };
+
+    const renderOperatorDropdown = (operators, operator, onChange) => (
+      <Dropdown
+        id={`${column}-${type}-filter-operator`}
+        titleText={filterLabels.operatorLabel}
+        label={filterLabels.operatorLabel}
+        {...components.Dropdown}
+        items={operators}
+        itemToString={(item) =>
+          item?.text ?? filterLabels[item?.labelKey] ?? ''
+        }
+        selectedItem={operators.find(({ value }) => value === operator) ?? null}
+        onChange={({ selectedItem }) => {
+          onChange(selectedItem.value);
+          components.Dropdown?.onChange?.(selectedItem);
+        }}
+      />
+    );
+
     switch (type) {
+      case TEXT: {
+        const { operator, value } = getTextFilterValue(
+          filtersState[column]?.value
+        );
+        filter = (
+          <FormGroup legendText="" {...components.FormGroup}>
+            <Stack gap={5}>
+              {renderOperatorDropdown(
+                components.Dropdown?.items ?? textOperators,
+                operator,
+                (newOperator) =>
+                  setFilterValue({ operator: newOperator, value })
+              )}
+              <TextInput
+                id={`${column}-text-filter`}
+                labelText={filterLabels.valueLabel}
+                invalidText={filterLabels.invalidRegexLabel}
+                {...components.TextInput}
+                invalid={operator === REGEX && !!value && !parseRegex(value)}
+                value={value}
+                onChange={(event) => {
+                  setFilterValue({ operator, value: event.target.value });
+                  components.TextInput?.onChange?.(event);
+                }}
+              />
+            </Stack>
+          </FormGroup>
+        );
+        break;
+      }
+      case RANGE: {
+        const {
+          operator = BETWEEN,
+          min = '',
+          max = '',
+        } = filtersState[column]?.value || {};
+        const { start, end } = components.NumberInput || {};
+        const renderBound = (bound, props, defaultLabel) => (
+          <NumberInput
+            id={`${column}-range-filter-${bound}`}
+            label={defaultLabel}
+            step={1}
+            allowEmpty
+            hideSteppers
+            {...props}
+            value={bound === 'min' ? min : max}
+            onChange={(event) => {
+              setFilterValue({
+                operator,
+                min,
+                max,
+                [bound]: event.target.value,
+              });
+              props?.onChange?.(event);
+            }}
+          />
+        );
+        filter = (
+          <FormGroup legendText="" {...components.FormGroup}>
+            <Stack gap={5}>
+              {renderOperatorDropdown(
+                components.Dropdown?.items ?? rangeOperators,
+                operator,
+                (newOperator) =>
+                  setFilterValue({ operator: newOperator, min, max })
+              )}
+              {operator !== LESS_THAN &&
+                renderBound(
+                  'min',
+                  start,
+                  operator === BETWEEN
+                    ? filterLabels.minimumLabel
+                    : filterLabels.valueLabel
+                )}
+              {(operator === BETWEEN || operator === LESS_THAN) &&
+                renderBound(
+                  'max',
+                  end,
+                  operator === BETWEEN
+                    ? filterLabels.maximumLabel
+                    : filterLabels.valueLabel
+                )}
+            </Stack>
+          </FormGroup>
+        );
+        break;
+      }
       case DATE:
         filter = (
           <DatePicker
@@ -418,6 +638,14 @@ const useFilters = ({
         );
         break;
       }
+      default:
+        // Filter types registered with `filterProps.customFilterTypes`
+        filter = customFilterTypes?.[type]?.renderFilter({
+          column,
+          value: filtersState[column]?.value,
+          onChange: setFilterValue,
+          props: components,
+        });
     }
 
     if (isPanel) {
@@ -510,10 +738,26 @@ const useFilters = ({
       those new filter changes in the panel/flyout state. The external change is triggered if setAllFilters is called outside of the Datagrid */
   useEffect(
     function updateStateAndFiltersToReflectExternalFilterChanges() {
-      const newFiltersState = getInitialStateFromFilters(
-        filters,
-        variation,
-        reactTableFiltersState
+      // The empty text and range filters are not in react-table's state, they
+      // keep their inputs, eg the operator picked before typing a value
+      const isEmptyFilter = ({ type, value } = {}) =>
+        (type === TEXT && isTextFilterEmpty(value)) ||
+        (type === RANGE && isRangeFilterEmpty(value));
+      const newFiltersState = Object.fromEntries(
+        Object.entries(
+          getInitialStateFromFilters(
+            filters,
+            variation,
+            reactTableFiltersState,
+            customFilterTypesRef.current
+          )
+        ).map(([column, filterState]) => [
+          column,
+          isEmptyFilter(filtersState[column]) &&
+          !reactTableFiltersState.some(({ id }) => id === column)
+            ? filtersState[column]
+            : filterState,
+        ])
       );
       setFiltersState(newFiltersState);
       prevFiltersRef.current = JSON.stringify(newFiltersState);
@@ -523,6 +767,7 @@ const useFilters = ({
 
       setFiltersObjectArray(reactTableFiltersState);
     },
+    // eslint-disable-next-line react-hooks/exhaustive-deps
     [filters, reactTableFiltersState, variation]
   );
 
@@ -533,6 +778,7 @@ const useFilters = ({
     prevFiltersRef,
     revertToPreviousFilters,
     reset,
+    applyView,
     renderFilter,
     filtersObjectArray,
     lastAppliedFilters,
@@ -5,17 +5,140 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import isEqual from 'lodash/isEqual';
 import {
+  BETWEEN,
   CHECKBOX,
+  CONTAINS,
   DATE,
   DROPDOWN,
+  EQUALS,
   FLYOUT,
+  GREATER_THAN,
+  LESS_THAN,
   MULTISELECT,
   NUMBER,
   PANEL,
   RADIO,
+  RANGE,
+  REGEX,
+  STARTS_WITH,
+  TEXT,
 } from './constants';
 
+const isBlank = (value) =>
+  value === '' || value === null || value === undefined;
+
+// Text filter values are `{ operator, value }`, a string being matched with
+// the `contains` operator as the react-table text filter does
+export const getTextFilterValue = (filterValue) =>
+  typeof filterValue === 'string'
+    ? { operator: CONTAINS, value: filterValue }
+    : { operator: CONTAINS, value: '', ...filterValue };
+
+export const isTextFilterEmpty = (filterValue) =>
+  isBlank(getTextFilterValue(filterValue).value);
+
+// Returns `null` when the expression is not valid
+export const parseRegex = (expression) => {
+  try {
+    return new RegExp(expression, 'i');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns the case insensitive test of the row values matching the text
+// filter, or `null` when there is nothing to test
+export const getTextMatcher = (filterValue) => {
+  const { operator, value } = getTextFilterValue(filterValue);
+  if (isBlank(value)) {
+    return null;
+  }
+  const text = `${value}`.toLocaleLowerCase();
+  const toText = (rowValue) => `${rowValue ?? ''}`.toLocaleLowerCase();
+  switch (operator) {
+    case REGEX: {
+      const regex = parseRegex(value);
+      return regex && ((rowValue) => regex.test(`${rowValue ?? ''}`));
+    }
+    case STARTS_WITH:
+      return (rowValue) => toText(rowValue).startsWith(text);
+    case EQUALS:
+      return (rowValue) => toText(rowValue) === text;
+    default:
+      return (rowValue) => toText(rowValue).includes(text);
+  }
+};
+
+// Range filter values are `{ operator, min, max }`, the `greaterThan` and
+// `equals` operators using `min` and the `lessThan` operator using `max`
+export const isRangeFilterEmpty = ({ operator = BETWEEN, min, max } = {}) => {
+  if (operator === BETWEEN) {
+    return isBlank(min) && isBlank(max);
+  }
+  return isBlank(operator === LESS_THAN ? max : min);
+};
+
+export const isInRange = (rowValue, { operator = BETWEEN, min, max }) => {
+  if (isBlank(rowValue) || isNaN(Number(rowValue))) {
+    return false;
+  }
+  const number = Number(rowValue);
+  switch (operator) {
+    case GREATER_THAN:
+      return number > Number(min);
+    case LESS_THAN:
+      return number < Number(max);
+    case EQUALS:
+      return number === Number(min);
+    default:
+      return (
+        (isBlank(min) || number >= Number(min)) &&
+        (isBlank(max) || number <= Number(max))
+      );
+  }
+};
+
+// The values shown in the filter tags
+export const formatTextFilter = (filterValue) => {
+  const { operator, value } = getTextFilterValue(filterValue);
+  switch (operator) {
+    case REGEX:
+      return `/${value}/`;
+    case STARTS_WITH:
+      return `${value}*`;
+    case EQUALS:
+      return `"${value}"`;
+    default:
+      return `${value}`;
+  }
+};
+
+export const formatRangeFilter = ({ operator = BETWEEN, min, max }) => {
+  switch (operator) {
+    case GREATER_THAN:
+      return `> ${min}`;
+    case LESS_THAN:
+      return `< ${max}`;
+    case EQUALS:
+      return `= ${min}`;
+    default:
+      return isBlank(max)
+        ? `≥ ${min}`
+        : isBlank(min)
+        ? `≤ ${max}`
+        : `${min} – ${max}`;
+  }
+};
+
+// Custom filter types are empty when their value is back to the initial one,
+// unless they say otherwise
+export const isCustomFilterEmpty = (customFilterType, value) =>
+  customFilterType.isEmpty
+    ? customFilterType.isEmpty(value)
+    : isEqual(value, customFilterType.initialValue);
+
 const applyInitialFilters = (filterState, initialFilters) => {
   Object.keys(filterState).forEach((key) => {
     const hasInitialFilter = initialFilters.find((filter) => filter.id === key);
@@ -30,12 +153,18 @@ const applyInitialFilters = (filterState, initialFilters) => {
 export const getInitialStateFromFilters = (
   filters,
   variation,
-  initialFilters
+  initialFilters,
+  customFilterTypes = {}
 ) => {
   const initialFilterState = {};
 
   const setInitialState = ({ type, column, props }) => {
-    if (type === CHECKBOX) {
+    if (customFilterTypes[type]) {
+      initialFilterState[column] = {
+        value: customFilterTypes[type].initialValue ?? null,
+        type,
+      };
+    } else if (type === CHECKBOX) {
       initialFilterState[column] = {
         value: props.Checkbox.map(({ id, labelText, value, ...rest }) => ({
           id,
@@ -66,6 +195,23 @@ export const getInitialStateFromFilters = (
         value: '',
         type,
       };
+    } else if (type === TEXT) {
+      initialFilterState[column] = {
+        value: {
+          operator: props?.Dropdown?.items?.[0]?.value ?? CONTAINS,
+          value: '',
+        },
+        type,
+      };
+    } else if (type === RANGE) {
+      initialFilterState[column] = {
+        value: {
+          operator: props?.Dropdown?.items?.[0]?.value ?? BETWEEN,
+          min: '',
+          max: '',
+        },
+        type,
+      };
     } else if (type === MULTISELECT) {
       initialFilterState[column] = {
         value: props.MultiSelect.items.map((item) => ({
@@ -0,0 +1,111 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Button, TableToolbarSearch } from '@carbon/react';
+import { ChevronDown, ChevronUp } from '@carbon/react/icons';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__find`;
+
+const defaultGetMatchCountLabel = ({ position, count }) =>
+  `${position} of ${count}`;
+
+// Toolbar search of `useFind`, with the position of the active match among the
+// matches and the buttons that move to the previous and the next match. Enter
+// moves to the next match, and Shift+Enter to the previous one
+const FindSearch = ({ instance, ...rest }) => {
+  const {
+    findProps,
+    findQuery,
+    setFindQuery,
+    findMatches,
+    activeFindMatchIndex,
+    findNext,
+    findPrevious,
+    tableId,
+  } = instance;
+  const {
+    findLabel = 'Find in table',
+    noMatchesLabel = 'No matches',
+    previousMatchLabel = 'Previous match',
+    nextMatchLabel = 'Next match',
+  } = findProps?.labels || {};
+  const getMatchCountLabel =
+    findProps?.getMatchCountLabel ?? defaultGetMatchCountLabel;
+  const count = findMatches.length;
+
+  return (
+    <div className={blockClass}>
+      <TableToolbarSearch
+        id={`${tableId}-find`}
+        persistent
+        labelText={findLabel}
+        placeholder={findLabel}
+        defaultValue={findQuery}
+        // the search calls onChange with its default value when it mounts
+        onChange={(event, value = event?.target?.value) =>
+          setFindQuery(value ?? '')
+        }
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            if (event.shiftKey) {
+              findPrevious();
+            } else {
+              findNext();
+            }
+          }
+        }}
+        {...rest}
+      />
+      <span className={`${blockClass}-count`} aria-live="polite">
+        {findQuery &&
+          (count
+            ? getMatchCountLabel({
+                position: activeFindMatchIndex + 1,
+                count,
+              })
+            : noMatchesLabel)}
+      </span>
+      <Button
+        kind="ghost"
+        hasIconOnly
+        renderIcon={(props) => <ChevronUp size={16} {...props} />}
+        iconDescription={previousMatchLabel}
+        tooltipPosition="bottom"
+        disabled={!count}
+        onClick={findPrevious}
+      />
+      <Button
+        kind="ghost"
+        hasIconOnly
+        renderIcon={(props) => <ChevronDown size={16} {...props} />}
+        iconDescription={nextMatchLabel}
+        tooltipPosition="bottom"
+        disabled={!count}
+        onClick={findNext}
+      />
+    </div>
+  );
+};
+
+FindSearch.propTypes = {
+  instance: PropTypes.shape({
+    activeFindMatchIndex: PropTypes.number,
+    findMatches: PropTypes.arrayOf(PropTypes.object),
+    findNext: PropTypes.func,
+    findPrevious: PropTypes.func,
+    findProps: PropTypes.object,
+    findQuery: PropTypes.string,
+    setFindQuery: PropTypes.func,
+    tableId: PropTypes.string,
+  }).isRequired,
+};
+
+export default FindSearch;
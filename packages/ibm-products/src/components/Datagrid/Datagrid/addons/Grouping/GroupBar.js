@@ -0,0 +1,95 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Tag } from '@carbon/react';
+import cx from 'classnames';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__group-bar`;
+
+// The drag data type of the column headers dragged to the group bar
+export const groupByDataType = 'application/x-datagrid-column-id';
+
+// Lists the columns the rows are grouped by, in grouping order. Column
+// headers can be dropped on it to group the rows by them.
+const GroupBar = ({
+  groupingColumnLabels = {},
+  groupingProps,
+  state,
+  toggleGroupBy,
+}) => {
+  const {
+    groupBarLabel = 'Group by',
+    groupBarPlaceholder = 'Drag a column header here to group rows by it',
+    removeGroupLabel = 'Remove group',
+  } = groupingProps?.labels || {};
+  const [isDragOver, setIsDragOver] = useState(false);
+  const groupBy = state.groupBy || [];
+
+  const isColumnDrag = (event) =>
+    Array.from(event.dataTransfer?.types || []).includes(groupByDataType);
+
+  const onDragOver = (event) => {
+    if (isColumnDrag(event)) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      setIsDragOver(true);
+    }
+  };
+
+  const onDrop = (event) => {
+    setIsDragOver(false);
+    const columnId = event.dataTransfer?.getData(groupByDataType);
+    if (columnId && !groupBy.includes(columnId)) {
+      event.preventDefault();
+      toggleGroupBy(columnId, true);
+    }
+  };
+
+  return (
+    <div
+      className={cx(blockClass, {
+        [`${blockClass}--drag-over`]: isDragOver,
+      })}
+      onDragOver={onDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={onDrop}
+    >
+      <span className={`${blockClass}-label`}>{groupBarLabel}</span>
+      {groupBy.length ? (
+        groupBy.map((columnId) => (
+          <Tag
+            key={columnId}
+            type="gray"
+            filter
+            title={removeGroupLabel}
+            onClose={() => toggleGroupBy(columnId, false)}
+          >
+            {groupingColumnLabels[columnId] ?? columnId}
+          </Tag>
+        ))
+      ) : (
+        <span className={`${blockClass}-placeholder`}>
+          {groupBarPlaceholder}
+        </span>
+      )}
+    </div>
+  );
+};
+
+GroupBar.propTypes = {
+  groupingColumnLabels: PropTypes.object,
+  groupingProps: PropTypes.shape({
+    labels: PropTypes.object,
+  }),
+  state: PropTypes.object.isRequired,
+  toggleGroupBy: PropTypes.func.isRequired,
+};
+
+export default GroupBar;
@@ -0,0 +1,109 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Group } from '@carbon/react/icons';
+import {
+  Checkbox,
+  FormGroup,
+  IconButton,
+  Layer,
+  Popover,
+  PopoverContent,
+} from '@carbon/react';
+import cx from 'classnames';
+import { pkg } from '../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__group-by`;
+
+// Toolbar button listing the columns the rows can be grouped by
+const GroupByDropdown = ({
+  align = 'bottom-right',
+  columns,
+  groupBy = [],
+  legendText = 'Group by',
+  onChange,
+  tableId,
+}) => {
+  const [isOpen, setIsOpen] = React.useState(false);
+
+  const onCloseHandler = () => {
+    setIsOpen(false);
+  };
+
+  const onKeyHandler = (e) => {
+    if (e.key === 'Escape') {
+      onCloseHandler();
+    }
+  };
+
+  const onBlurHandler = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      onCloseHandler();
+    }
+  };
+
+  return (
+    <Popover
+      tabIndex={-1}
+      isTabTip
+      align="bottom-right"
+      open={isOpen}
+      onRequestClose={onCloseHandler}
+      className={`${blockClass}-options-container`}
+      onKeyDown={onKeyHandler}
+      onBlur={onBlurHandler}
+    >
+      <IconButton
+        align={align}
+        kind="ghost"
+        onClick={() => setIsOpen((prev) => !prev)}
+        label={legendText}
+        className={cx(`${blockClass}-button`, {
+          [`${blockClass}-button--open`]: isOpen,
+        })}
+      >
+        <Group size={16} />
+      </IconButton>
+      <PopoverContent>
+        <Layer>
+          <FormGroup
+            className={`${blockClass}-dropdown`}
+            legendText={legendText}
+          >
+            {columns.map(({ id, label }) => (
+              <Checkbox
+                key={id}
+                id={`${tableId || 'datagrid'}--group-by--${id}`}
+                labelText={label}
+                checked={groupBy.includes(id)}
+                onChange={(event, { checked }) => onChange(id, checked)}
+              />
+            ))}
+          </FormGroup>
+        </Layer>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+GroupByDropdown.propTypes = {
+  align: IconButton.propTypes.align,
+  columns: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.node,
+    })
+  ).isRequired,
+  groupBy: PropTypes.arrayOf(PropTypes.string),
+  legendText: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  tableId: PropTypes.string,
+};
+
+export default GroupByDropdown;
@@ -0,0 +1,233 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Checkbox,
+  DatePicker,
+  DatePickerInput,
+  Dropdown,
+  Modal,
+  MultiSelect,
+  NumberInput,
+  Stack,
+  TextArea,
+  TextInput,
+  Toggle,
+} from '@carbon/react';
+import { getColumnLabels } from '../../../../utils/getColumnLabels';
+import uuidv4 from '../../../../../../global/js/utils/uuidv4';
+import { pkg } from '../../../../../../settings';
+
+const blockClass = `${pkg.prefix}--datagrid__bulk-edit`;
+
+// Modal in which a column and a value are picked, the value being set in the
+// column of every selected row at once
+export const BulkEditModal = ({ instance }) => {
+  const {
+    allColumns,
+    bulkEdit,
+    bulkEditProps: { isModalOpen, setIsModalOpen, labels, columns: columnIds },
+    columns,
+    selectedFlatRows,
+  } = instance;
+  const {
+    title = 'Edit selected rows',
+    columnLabel = 'Column',
+    selectColumnLabel = 'Select a column',
+    primaryButtonText = 'Apply',
+    secondaryButtonText = 'Cancel',
+  } = labels || {};
+  const idRef = useRef(uuidv4()); // keep id between renders
+  const [columnId, setColumnId] = useState(null);
+  const [value, setValue] = useState();
+  const [invalidText, setInvalidText] = useState(null);
+
+  const columnLabels = getColumnLabels(columns);
+  const editableColumns = allColumns.filter(
+    ({ id, inlineEdit, isDisabled }) =>
+      inlineEdit && !isDisabled && (!columnIds || columnIds.includes(id))
+  );
+  const items = editableColumns.map(({ id }) => ({
+    value: id,
+    text: columnLabels[id] ?? id,
+  }));
+  const column = editableColumns.find(({ id }) => id === columnId);
+  const { type, inputProps } = column?.inlineEdit || {};
+  const id = `${idRef.current}-value`;
+  const labelText = columnLabels[columnId] ?? columnId;
+
+  const close = () => {
+    setIsModalOpen(false);
+    setColumnId(null);
+    setValue(undefined);
+    setInvalidText(null);
+  };
+
+  const changeValue = (newValue) => {
+    setValue(newValue);
+    setInvalidText(null);
+  };
+
+  const renderEditor = () => {
+    const invalidProps = { invalid: !!invalidText, invalidText };
+    switch (type) {
+      case 'number':
+        return (
+          <NumberInput
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            label={labelText}
+            value={value ?? ''}
+            onChange={(event, { value }) => changeValue(value)}
+          />
+        );
+      case 'textarea':
+        return (
+          <TextArea
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            labelText={labelText}
+            value={value ?? ''}
+            onChange={(event) => changeValue(event.target.value)}
+          />
+        );
+      case 'selection':
+        return (
+          <Dropdown
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            titleText={labelText}
+            label={labelText}
+            items={inputProps?.items || []}
+            selectedItem={value ?? null}
+            onChange={({ selectedItem }) => changeValue(selectedItem)}
+          />
+        );
+      case 'multiselect':
+        return (
+          <MultiSelect
+            itemToString={(item) => item?.text ?? item ?? ''}
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            titleText={labelText}
+            label={labelText}
+            items={inputProps?.items || []}
+            selectedItems={value || []}
+            onChange={({ selectedItems }) => changeValue(selectedItems)}
+          />
+        );
+      case 'checkbox':
+        return (
+          <Checkbox
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            labelText={labelText}
+            checked={!!value}
+            onChange={(event, { checked }) => changeValue(checked)}
+          />
+        );
+      case 'toggle':
+        return (
+          <>
+            <Toggle
+              {...inputProps}
+              id={id}
+              labelText={labelText}
+              toggled={!!value}
+              onToggle={changeValue}
+            />
+            {invalidText && (
+              <div className={`${blockClass}-invalid-text`}>{invalidText}</div>
+            )}
+          </>
+        );
+      case 'date':
+        return (
+          <DatePicker
+            dateFormat={inputProps?.dateFormat}
+            datePickerType="single"
+            value={value}
+            onChange={([newDate]) => changeValue(newDate)}
+          >
+            <DatePickerInput
+              {...inputProps?.datePickerInputProps}
+              {...invalidProps}
+              id={id}
+              labelText={labelText}
+              placeholder={
+                inputProps?.datePickerInputProps?.placeholder || 'mm/dd/yyyy'
+              }
+            />
+          </DatePicker>
+        );
+      default:
+        return (
+          <TextInput
+            {...inputProps}
+            {...invalidProps}
+            id={id}
+            labelText={labelText}
+            value={value ?? ''}
+            onChange={(event) => changeValue(event.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <Modal
+      className={blockClass}
+      open={isModalOpen}
+      modalHeading={title}
+      primaryButtonText={primaryButtonText}
+      secondaryButtonText={secondaryButtonText}
+      primaryButtonDisabled={!column || !selectedFlatRows?.length}
+      onRequestClose={close}
+      onRequestSubmit={() => {
+        const newInvalidText = bulkEdit(columnId, value);
+        if (newInvalidText) {
+          setInvalidText(newInvalidText);
+          return;
+        }
+        close();
+      }}
+    >
+      <Stack gap={6}>
+        <Dropdown
+          id={`${idRef.current}-column`}
+          titleText={columnLabel}
+          label={selectColumnLabel}
+          items={items}
+          itemToString={(item) => item?.text ?? ''}
+          selectedItem={items.find((item) => item.value === columnId) ?? null}
+          onChange={({ selectedItem }) => {
+            setColumnId(selectedItem.value);
+            changeValue(undefined);
+          }}
+        />
+        {column && renderEditor()}
+      </Stack>
+    </Modal>
+  );
+};
+
+BulkEditModal.propTypes = {
+  instance: PropTypes.shape({
+    allColumns: PropTypes.arrayOf(PropTypes.object),
+    bulkEdit: PropTypes.func,
+    bulkEditProps: PropTypes.object,
+    columns: PropTypes.arrayOf(PropTypes.object),
+    selectedFlatRows: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+};
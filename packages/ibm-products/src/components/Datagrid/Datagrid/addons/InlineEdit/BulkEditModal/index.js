@@ -0,0 +1 @@
+export { BulkEditModal } from './BulkEditModal';
@@ -30,7 +30,7 @@ export const InlineEditButton = ({
         [`${blockClass}__inline-edit-button--non-edit`]: nonEditCell,
         [`${blockClass}__inline-edit-button--active`]: isActiveCell,
         [`${blockClass}__inline-edit-button--${type}`]:
-          type === 'date' || type === 'selection',
+          type === 'date' || type === 'selection' || type === 'multiselect',
       })}
       tabIndex={isActiveCell ? 0 : -1}
       data-disabled={disabledCell}
@@ -74,6 +74,15 @@ InlineEditButton.propTypes = {
   nonEditCell: PropTypes.bool,
   placeholder: PropTypes.string,
   renderIcon: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
-  type: PropTypes.oneOf(['text', 'number', 'selection', 'date']),
+  type: PropTypes.oneOf([
+    'text',
+    'number',
+    'selection',
+    'date',
+    'checkbox',
+    'toggle',
+    'multiselect',
+    'textarea',
+  ]),
   value: PropTypes.oneOfType([PropTypes.string, PropTypes.node]),
 };
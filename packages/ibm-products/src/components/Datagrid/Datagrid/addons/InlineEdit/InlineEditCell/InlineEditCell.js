@@ -19,14 +19,26 @@ import {
   Dropdown,
   DatePicker,
   DatePickerInput,
+  Checkbox,
+  Toggle,
+  MultiSelect,
+  TextArea,
 } from '@carbon/react';
-import { Edit, CaretSort, ChevronDown, Calendar } from '@carbon/react/icons';
+import {
+  Edit,
+  CaretSort,
+  ChevronDown,
+  Calendar,
+  Checkbox as CheckboxIcon,
+  CheckboxChecked,
+} from '@carbon/react/icons';
 import { InlineEditButton } from '../InlineEditButton';
 import { pkg } from '../../../../../../settings';
 import cx from 'classnames';
 import { InlineEditContext } from '../InlineEditContext';
 import { usePreviousValue } from '../../../../../../global/js/hooks';
 import { prepareProps } from '../../../../../../global/js/utils/props-helper';
+import { getInvalidText } from '../getInvalidText';
 
 const blockClass = `${pkg.prefix}--datagrid`;
 export const InlineEditCell = ({
@@ -41,7 +53,9 @@ export const InlineEditCell = ({
   type,
 }) => {
   const columnId = cell.column.id;
-  const columnIndex = instance.columns.findIndex((col) => col.id === columnId);
+  const columnIndex = instance.allColumns.findIndex(
+    (col) => col.id === columnId
+  );
   const rowIndex = cell.row.index;
   const cellId = `column-${columnIndex}-row-${rowIndex}`;
 
@@ -59,10 +73,16 @@ export const InlineEditCell = ({
   const dropdownRef = useRef();
   const datePickerRef = useRef();
   const outerButtonElement = useRef();
+  // The value picked in a dropdown, read when its menu closes
+  const pickedValueRef = useRef();
 
   const { rowSize, onDataUpdate } = instance;
   let saveCellData;
 
+  const getCellInvalidText = (newValue) =>
+    getInvalidText(config, newValue, cell.row);
+  const invalidText = inEditMode ? getCellInvalidText(cellValue) : null;
+
   if (inEditMode) {
     instance.cellEditing = {
       cellId,
@@ -75,7 +95,9 @@ export const InlineEditCell = ({
   useEffect(() => {
     setInitialValue(value);
     const columnId = cell.column.id;
-    const columnLabel = instance.columns.find((item) => item.id === columnId);
+    const columnLabel = instance.allColumns.find(
+      (item) => item.id === columnId
+    );
     setCellLabel(
       typeof columnLabel.Header === 'string'
         ? columnLabel.Header
@@ -92,9 +114,7 @@ export const InlineEditCell = ({
       (previousState?.editId === cellId && !editId) ||
       (previousState?.editId === cellId && cellId !== editId)
     ) {
-      const { validator } = config || {};
-      const isInvalid = validator?.(cellValue);
-      if (isInvalid) {
+      if (getInvalidText(config, cellValue, cell.row)) {
         setCellValue(initialValue);
         saveCellData(initialValue);
         return;
@@ -105,6 +125,7 @@ export const InlineEditCell = ({
     editId,
     cellId,
     cellValue,
+    cell.row,
     config,
     initialValue,
     saveCellData,
@@ -132,7 +153,7 @@ export const InlineEditCell = ({
     );
 
     const dropdownTrigger =
-      type === 'selection' ? dropdownRef?.current : datePickerInputElement;
+      type === 'date' ? datePickerInputElement : dropdownRef?.current;
     dropdownTrigger.click();
     if (type === 'date') {
       dropdownTrigger?.focus();
@@ -147,13 +168,11 @@ export const InlineEditCell = ({
       previousState?.activeCellId === cellId &&
       activeCellId !== cellId
     ) {
-      const { validator } = config || {};
-      const isInvalid = validator?.(cellValue);
-      if (!isInvalid) {
+      if (!getInvalidText(config, cellValue, cell.row)) {
         setInitialValue(cellValue);
       }
     }
-  }, [previousState, cellId, cellValue, activeCellId, config]);
+  }, [previousState, cellId, cellValue, cell.row, activeCellId, config]);
 
   const handleInlineCellClick = () => {
     if (!inEditMode) {
@@ -166,7 +185,7 @@ export const InlineEditCell = ({
       });
       setInEditMode(true);
       setTimeout(() => {
-        if (type === 'selection' || type === 'date') {
+        if (type === 'selection' || type === 'multiselect' || type === 'date') {
           openDropdown(type);
         }
       }, 1);
@@ -176,22 +195,29 @@ export const InlineEditCell = ({
   // Auto focus text input when entering edit mode
   useEffect(() => {
     if (inEditMode) {
-      if (type === 'text') {
+      if (type === 'text' || type === 'textarea') {
         textInputRef.current.focus();
       }
       if (type === 'number') {
         numberInputRef.current.focus();
       }
-      if (type === 'selection') {
+      if (type === 'selection' || type === 'multiselect') {
         dropdownRef?.current?.focus();
       }
+      if (type === 'checkbox' || type === 'toggle') {
+        document.getElementById(`${cellId}-input`)?.focus();
+      }
     }
-  }, [inEditMode, type]);
+  }, [inEditMode, type, cellId]);
 
   // Saves the new cell data, onDataUpdate is a required function to be
   // passed to useDatagrid when using useInlineEdit
   saveCellData = useCallback(
     (newValue) => {
+      // Invalid values are shown in the cell but never reach the data
+      if (getInvalidText(config, newValue, cell.row)) {
+        return;
+      }
       const columnId = cell.column.id;
       const rowIndex = cell.row.index;
       onDataUpdate((prev) =>
@@ -206,7 +232,7 @@ export const InlineEditCell = ({
         })
       );
     },
-    [cell, onDataUpdate]
+    [cell, config, onDataUpdate]
   );
 
   // Initialize cellValue from value prop
@@ -230,7 +256,7 @@ export const InlineEditCell = ({
             cell.row.index < totalRows - 1 ? cell.row.index + 1 : cell.row.index
           }`
         : `column-${
-            columnIndex < instance.columns.length - 1
+            columnIndex < instance.allColumns.length - 1
               ? columnIndex + 1
               : columnIndex
           }-row-${cell.row.index}`;
@@ -244,15 +270,22 @@ export const InlineEditCell = ({
       case 'Tab':
       case 'Enter': {
         if (inEditMode) {
-          // Dropdown saves are handled in the Dropdown's/DatePicker's onChange prop
-          if (type === 'selection' || type === 'date') {
+          // Dropdown saves are handled in the Dropdown's/DatePicker's onChange prop,
+          // and checkbox and toggle saves in their own
+          if (
+            ['selection', 'multiselect', 'date', 'checkbox', 'toggle'].includes(
+              type
+            )
+          ) {
+            return;
+          }
+          // Shift+Enter adds a line to a textarea
+          if (type === 'textarea' && key === 'Enter' && event.shiftKey) {
             return;
           }
-          const { validator } = config || {};
-          const isInvalid = validator?.(cellValue);
           // If an invalid state is detected, Tab/Enter should not do anything
           // until the input has a valid state once again
-          if (isInvalid) {
+          if (invalidText) {
             return;
           }
           const newCellId = getNewCellId(key);
@@ -279,6 +312,23 @@ export const InlineEditCell = ({
     }
   };
 
+  // Saves the value of the editors which save as soon as a value is picked,
+  // they stay in edit mode while the value is invalid
+  const pickValue = (newValue) => {
+    setCellValue(newValue);
+    if (getCellInvalidText(newValue)) {
+      return false;
+    }
+    pickedValueRef.current = undefined;
+    const newCellId = getNewCellId('Enter');
+    saveCellData(newValue);
+    setInitialValue(newValue);
+    dispatch({ type: 'EXIT_EDIT_MODE', payload: newCellId });
+    setInEditMode(false);
+    sendFocusBackToGrid();
+    return true;
+  };
+
   const addActiveState = () => {
     dispatch({ type: 'UPDATE_ACTIVE_CELL_ID', payload: cellId });
   };
@@ -322,21 +372,23 @@ export const InlineEditCell = ({
         initialSelectedItem={cell.value}
         itemToElement={handleTransformedItem(inputProps?.items)}
         renderSelectedItem={handleTransformedItem(inputProps?.items)}
+        invalid={!!invalidText}
+        invalidText={invalidText}
         onChange={(item) => {
-          const newCellId = getNewCellId('Enter');
-          saveCellData(item.selectedItem);
-          setCellValue(item.selectedItem);
-          dispatch({ type: 'EXIT_EDIT_MODE', payload: newCellId });
-          setInEditMode(false);
-          sendFocusBackToGrid();
+          pickedValueRef.current = item.selectedItem;
+          pickValue(item.selectedItem);
           inputProps?.onChange?.(item.selectedItem);
         }}
         downshiftProps={{
           onStateChange: (downshiftState) => {
             const { isOpen } = downshiftState || {};
             // !isOpen does not work in this case because a state change occurs on hover of the
-            // menu items and isOpen is changed to undefined which causes dispatch to be called unexpectedly
-            if (isOpen === false) {
+            // menu items and isOpen is changed to undefined which causes dispatch to be called unexpectedly.
+            // An invalid item keeps the cell in edit mode to show why
+            if (
+              isOpen === false &&
+              !getCellInvalidText(pickedValueRef.current ?? cellValue)
+            ) {
               dispatch({ type: 'EXIT_EDIT_MODE', payload: cellId });
               setInEditMode(false);
               sendFocusBackToGrid();
@@ -361,6 +413,36 @@ export const InlineEditCell = ({
     if (type === 'date') {
       return Calendar;
     }
+    if (type === 'multiselect') {
+      return ChevronDown;
+    }
+    if (type === 'textarea') {
+      return Edit;
+    }
+  };
+
+  const getLabel = () => {
+    switch (type) {
+      case 'selection':
+        return value?.text ?? value;
+      case 'multiselect':
+        return (value || []).map((item) => item?.text ?? item).join(', ');
+      case 'date':
+        return buildDate(value);
+      case 'checkbox':
+        return '';
+      case 'toggle':
+        return value ? inputProps?.labelB ?? 'On' : inputProps?.labelA ?? 'Off';
+      default:
+        return value;
+    }
+  };
+
+  const getLabelIcon = () => {
+    if (type === 'checkbox') {
+      return value ? CheckboxChecked : CheckboxIcon;
+    }
+    return value?.icon || null;
   };
 
   const renderRegularCell = () => {
@@ -387,6 +469,10 @@ export const InlineEditCell = ({
         onChange={(newDate) => {
           const newDateObj = newDate[0];
           datePickerPreparedProps?.onChange?.(newDateObj, cell);
+          if (getCellInvalidText(newDateObj)) {
+            setCellValue(newDateObj);
+            return;
+          }
           const newCellId = getNewCellId('Enter');
           saveCellData(newDateObj);
           setCellValue(newDateObj);
@@ -408,6 +494,8 @@ export const InlineEditCell = ({
           labelText={datePickerInputProps?.labelText || cellLabel || 'Set date'}
           id={`${blockClass}__inline-edit--date-picker--${cell.row.index}`}
           hideLabel
+          invalid={!!invalidText}
+          invalidText={invalidText}
         />
       </DatePicker>
     );
@@ -441,7 +529,6 @@ export const InlineEditCell = ({
   };
 
   const renderNumberInput = () => {
-    const { validator } = config || {};
     return (
       <NumberInput
         placeholder={placeholder}
@@ -450,8 +537,8 @@ export const InlineEditCell = ({
         id={cellId}
         hideLabel
         defaultValue={cellValue}
-        invalid={validator?.(cellValue)}
-        invalidText={inputProps?.invalidText || 'Provide missing invalidText'}
+        invalid={!!invalidText}
+        invalidText={invalidText}
         onChange={(event, { value }) => {
           setCellValue(value);
           if (inputProps.onChange) {
@@ -464,8 +551,6 @@ export const InlineEditCell = ({
   };
 
   const renderTextInput = () => {
-    const { validator } = config || {};
-    const isInvalid = validator?.(cellValue);
     return (
       <TextInput
         labelText={cellLabel}
@@ -474,8 +559,8 @@ export const InlineEditCell = ({
         id={cellId}
         hideLabel
         defaultValue={cellValue}
-        invalid={isInvalid}
-        invalidText={inputProps?.invalidText || 'Provide missing invalidText'}
+        invalid={!!invalidText}
+        invalidText={invalidText}
         onChange={(event) => {
           setCellValue(event.target.value);
           if (inputProps.onChange) {
@@ -487,6 +572,106 @@ export const InlineEditCell = ({
     );
   };
 
+  const renderTextArea = () => {
+    return (
+      <TextArea
+        labelText={cellLabel}
+        placeholder={placeholder}
+        rows={2}
+        {...inputProps}
+        id={cellId}
+        hideLabel
+        defaultValue={cellValue}
+        invalid={!!invalidText}
+        invalidText={invalidText}
+        onChange={(event) => {
+          setCellValue(event.target.value);
+          inputProps?.onChange?.(event.target.value);
+        }}
+        ref={textInputRef}
+      />
+    );
+  };
+
+  const renderMultiSelect = () => {
+    return (
+      <MultiSelect
+        label={cellLabel || 'Dropdown menu options'}
+        titleText={cellLabel || 'Dropdown menu options'}
+        itemToString={(item) => item?.text ?? item ?? ''}
+        {...inputProps}
+        id={cellId}
+        hideLabel
+        style={{
+          width: cell.column.totalWidth,
+        }}
+        className={cx(`${blockClass}__inline-edit--select`, {
+          [`${blockClass}__inline-edit--select-${rowSize}`]: rowSize,
+        })}
+        items={inputProps?.items || []}
+        initialSelectedItems={cellValue || []}
+        invalid={!!invalidText}
+        invalidText={invalidText}
+        onChange={({ selectedItems }) => {
+          pickedValueRef.current = selectedItems;
+          setCellValue(selectedItems);
+          inputProps?.onChange?.(selectedItems);
+        }}
+        // The items are saved once the menu closes
+        onMenuChange={(isOpen) => {
+          if (!isOpen) {
+            pickValue(pickedValueRef.current ?? cellValue);
+          }
+        }}
+        ref={dropdownRef}
+      />
+    );
+  };
+
+  const renderCheckbox = () => {
+    return (
+      <Checkbox
+        labelText={cellLabel}
+        {...inputProps}
+        // The id of the cell is already used by the span of the cell
+        id={`${cellId}-input`}
+        hideLabel
+        checked={!!cellValue}
+        invalid={!!invalidText}
+        invalidText={invalidText}
+        onChange={(event, { checked }) => {
+          pickValue(checked);
+          inputProps?.onChange?.(checked);
+        }}
+      />
+    );
+  };
+
+  const renderToggle = () => {
+    return (
+      <>
+        <Toggle
+          labelText={cellLabel}
+          size="sm"
+          {...inputProps}
+          // The id of the cell is already used by the span of the cell
+          id={`${cellId}-input`}
+          hideLabel
+          toggled={!!cellValue}
+          onToggle={(checked) => {
+            pickValue(checked);
+            inputProps?.onChange?.(checked);
+          }}
+        />
+        {invalidText && (
+          <div className={`${blockClass}__inline-edit--invalid-text`}>
+            {invalidText}
+          </div>
+        )}
+      </>
+    );
+  };
+
   return (
     // eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions
     <div
@@ -502,7 +687,7 @@ export const InlineEditCell = ({
         [`${blockClass}__inline-edit--outer-cell-button--${rowSize}`]: rowSize,
         [`${blockClass}__inline-edit--outer-cell-button--lg`]: !rowSize,
         [`${blockClass}__inline-edit--outer-cell-button--invalid`]:
-          inEditMode && config?.validator?.(cellValue),
+          !!invalidText,
         [`${blockClass}__static--outer-cell`]: !disabledCell,
       })}
     >
@@ -511,15 +696,9 @@ export const InlineEditCell = ({
         <InlineEditButton
           isActiveCell={cellId === activeCellId}
           renderIcon={setRenderIcon()}
-          label={
-            type === 'selection'
-              ? value?.text ?? value
-              : type === 'date'
-              ? buildDate(value)
-              : value
-          }
+          label={getLabel()}
           disabledCell={disabledCell}
-          labelIcon={value?.icon || null}
+          labelIcon={getLabelIcon()}
           placeholder={placeholder}
           tabIndex={tabIndex}
           nonEditCell={nonEditCell}
@@ -533,6 +712,10 @@ export const InlineEditCell = ({
           {type === 'number' && renderNumberInput()}
           {type === 'selection' && renderSelectCell()}
           {type === 'date' && renderDateCell()}
+          {type === 'textarea' && renderTextArea()}
+          {type === 'multiselect' && renderMultiSelect()}
+          {type === 'checkbox' && renderCheckbox()}
+          {type === 'toggle' && renderToggle()}
         </>
       )}
     </div>
@@ -544,7 +727,7 @@ InlineEditCell.propTypes = {
   config: PropTypes.object,
   disabledCell: PropTypes.bool,
   instance: PropTypes.shape({
-    columns: PropTypes.arrayOf(PropTypes.object),
+    allColumns: PropTypes.arrayOf(PropTypes.object),
     onDataUpdate: PropTypes.func,
     rows: PropTypes.arrayOf(PropTypes.object),
     rowSize: PropTypes.string,
@@ -554,10 +737,21 @@ InlineEditCell.propTypes = {
   nonEditCell: PropTypes.bool,
   placeholder: PropTypes.string,
   tabIndex: PropTypes.number,
-  type: PropTypes.oneOf(['text', 'number', 'selection', 'date']),
+  type: PropTypes.oneOf([
+    'text',
+    'number',
+    'selection',
+    'date',
+    'checkbox',
+    'toggle',
+    'multiselect',
+    'textarea',
+  ]),
   value: PropTypes.oneOfType([
     PropTypes.string,
     PropTypes.node,
     PropTypes.object,
+    PropTypes.bool,
+    PropTypes.array,
   ]),
 };
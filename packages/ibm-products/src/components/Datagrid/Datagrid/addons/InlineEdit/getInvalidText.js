@@ -0,0 +1,23 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const defaultInvalidText = 'Provide missing invalidText';
+
+// Returns the message shown when a value is invalid for the inline edit
+// configuration of a column, or `null` when it is valid. `validate(value, row)`
+// returns the message itself, or `true` to use the `invalidText` of the input,
+// whereas the older `validator(value)` only returns whether it is invalid
+export const getInvalidText = (config, value, row) => {
+  const { validate, validator, inputProps } = config || {};
+  const result = validate ? validate(value, row) : validator?.(value);
+  if (!result) {
+    return null;
+  }
+  return typeof result === 'string'
+    ? result
+    : inputProps?.invalidText || defaultInvalidText;
+};
@@ -218,8 +218,8 @@ export const handleGridKeyPress = ({
         // Only go into edit mode if there is no editId, meaning that we're not already in edit mode
         if (!editId) {
           const focusedType = focusedCell.getAttribute('data-inline-type');
-          // Open dropdown immediately after entering edit mode for selection type
-          if (focusedType === 'selection') {
+          // Open dropdown immediately after entering edit mode for selection types
+          if (focusedType === 'selection' || focusedType === 'multiselect') {
             setTimeout(() => {
               const dropdownTrigger = focusedCell.querySelector('button');
               dropdownTrigger?.click();
@@ -7,3 +7,4 @@
  */
 
 export const selectionColumnId = 'datagridSelection';
+export const rowReorderColumnId = 'datagridRowReorder';
@@ -25,5 +25,16 @@ export { default as useColumnOrder } from './useColumnOrder';
 export { default as useInlineEdit } from './useInlineEdit';
 export { default as useEditableCell } from './useEditableCell';
 export { default as useFiltering } from './useFiltering';
+export { default as useServerSide } from './useServerSide';
+export { default as useViewState } from './useViewState';
+export { default as useGrouping } from './useGrouping';
+export { default as useExport } from './useExport';
+export { default as useCellRangeSelection } from './useCellRangeSelection';
+export { default as useRowReorder } from './useRowReorder';
+export { default as useFooterTotals } from './useFooterTotals';
+export { default as useConditionalFormatting } from './useConditionalFormatting';
+export { default as useGridNavigation } from './useGridNavigation';
+export { default as useFind } from './useFind';
+export { default as usePinnedRows } from './usePinnedRows';
 export { getAutoSizedColumnWidth } from './utils/getAutoSizedColumnWidth';
 export { useFilterContext } from './Datagrid/addons/Filtering/hooks';
@@ -4,6 +4,7 @@ import { RadioButtonProps } from '@carbon/react/lib/components/RadioButton/Radio
 import { RadioButtonGroupProps } from '@carbon/react/lib/components/RadioButtonGroup/RadioButtonGroup';
 import { CheckboxProps } from '@carbon/react/lib/components/Checkbox';
 import { NumberInputProps } from '@carbon/react/lib/components/NumberInput/NumberInput';
+import { TextInputProps } from '@carbon/react/lib/components/TextInput/TextInput';
 
 import React, {
   CSSProperties,
@@ -28,15 +29,20 @@ import {
   TableInstance,
   TableToggleAllRowsSelectedProps,
   UseExpandedRowProps,
+  UseColumnOrderState,
   UseFiltersInstanceProps,
+  UseGlobalFiltersState,
   UsePaginationInstanceProps,
+  UsePaginationState,
   UseResizeColumnsColumnProps,
   UseResizeColumnsState,
   UseRowSelectInstanceProps,
   UseRowSelectRowProps,
   UseRowSelectState,
+  SortingRule,
   UseSortByColumnProps,
   UseSortByOptions,
+  UseSortByState,
   UseTableHooks,
 } from 'react-table';
 import { CarbonIconType } from '@carbon/react/icons';
@@ -91,8 +97,42 @@ export type DataGridFilter =
       props: {
         MultiSelect?: MultiSelectProps<any>;
       };
+    }
+  | {
+      type: 'text';
+      props: {
+        FormGroup?: FormGroupProps;
+        // DropdownProps, `items` being the operators `{ value, text }`
+        Dropdown?: any;
+        TextInput?: Partial<TextInputProps>;
+      };
+    }
+  | {
+      type: 'range';
+      props: {
+        FormGroup?: FormGroupProps;
+        // DropdownProps, `items` being the operators `{ value, text }`
+        Dropdown?: any;
+        NumberInput?: {
+          start?: Partial<NumberInputProps>;
+          end?: Partial<NumberInputProps>;
+        };
+      };
     };
 
+export interface CustomFilterType<V = any> {
+  predicate: (rowValue: any, filterValue: V, row: DatagridRow) => boolean;
+  initialValue?: V;
+  isEmpty?: (filterValue: V) => boolean;
+  renderFilter: (props: {
+    column: string;
+    value: V;
+    onChange: (value: V) => void;
+    props: any;
+  }) => ReactNode;
+  formatValue?: (filterValue: V) => string;
+}
+
 export interface ReactTableFiltersState {
   id: string;
   type: string;
@@ -125,6 +165,14 @@ export interface FilterFlyoutProps {
   panelTitle?: string;
   sections?: Section[];
   autoHideFilters: boolean;
+  customFilterTypes?: Record<string, CustomFilterType>;
+  filterLabels?: FilterLabels;
+  savedViews?: DatagridSavedView[];
+  onSavedViewsChange?: (
+    savedViews: DatagridSavedView[],
+    change: SavedViewsChange
+  ) => void;
+  savedViewsLabels?: SavedViewsLabels;
 }
 
 export interface DataGridToggleAllRowsProps
@@ -143,13 +191,99 @@ export interface DatagridColumn<T extends object = any>
   rightAlignedColumn?: boolean;
   disableSortBy?: boolean;
   centerAlignedColumn?: boolean;
+  exportFormatter?: (props: {
+    value: any;
+    row: DatagridRow<T>;
+    column: DatagridColumn<T>;
+  }) => string | number | boolean | Date | null | undefined;
+  disableExport?: boolean;
+  inlineEdit?: InlineEditConfig<T>;
+  total?: FooterTotal<T>;
+  formattingRules?: Array<FormattingRule<T>>;
+}
+
+// Aggregates the values of a column in the footer, by name or with a function
+export type FooterTotal<T extends object = any> =
+  | 'sum'
+  | 'average'
+  | 'count'
+  | 'min'
+  | 'max'
+  | ((values: Array<any>, rows: Array<DatagridRow<T>>) => any);
+
+export type FormattingOperator =
+  | 'equals'
+  | 'notEquals'
+  | 'greaterThan'
+  | 'greaterThanOrEqual'
+  | 'lessThan'
+  | 'lessThanOrEqual'
+  | 'between'
+  | 'contains'
+  | 'matches';
+
+export type FormattingStatus = 'error' | 'warning' | 'success' | 'info';
+
+// Formats the cells of a column whose value meets the condition of the rule,
+// an operator and its value or a predicate, with a status color, a status
+// icon or a data bar
+export interface FormattingRule<T extends object = any> {
+  id?: string;
+  columnId?: string;
+  operator?: FormattingOperator;
+  value?: any;
+  predicate?: (value: any, row: DatagridRow<T>) => boolean;
+  status?: FormattingStatus;
+  icon?:
+    | 'fatal'
+    | 'critical'
+    | 'major-warning'
+    | 'minor-warning'
+    | 'normal'
+    | 'info'
+    | 'unknown';
+  iconDescription?: string;
+  dataBar?: boolean | { min?: number; max?: number };
+}
+
+export interface CellFormatting {
+  status?: FormattingStatus;
+  icon?: FormattingRule['icon'];
+  iconDescription?: string;
+  dataBar?: number;
+}
+
+export interface InlineEditConfig<T extends object = any> {
+  type:
+    | 'text'
+    | 'number'
+    | 'selection'
+    | 'date'
+    | 'checkbox'
+    | 'toggle'
+    | 'multiselect'
+    | 'textarea';
+  // Returns a message, or `true` to use `inputProps.invalidText`, when the
+  // value is invalid
+  validate?: (
+    value: any,
+    row: DatagridRow<T>
+  ) => string | boolean | null | undefined;
+  validator?: (value: any) => boolean;
+  inputProps?: any;
 }
 
 export interface DataGridCell<T extends object = any>
   extends Omit<Cell<T>, 'column'> {
   column: DatagridColumn<any>;
+  isGrouped?: boolean;
+  isAggregated?: boolean;
+  isPlaceholder?: boolean;
 }
 
+// The status of the children that a nested row loads with `onLoadChildren`
+export type ChildrenStatus = 'loading' | 'loaded' | 'error';
+
 export interface DatagridRow<T extends object = any>
   extends Omit<Row<T>, 'cells'>,
     UseExpandedRowProps<T>,
@@ -160,6 +294,12 @@ export interface DatagridRow<T extends object = any>
   cells: Array<DataGridCell>;
   isSkeleton?: boolean;
   hasExpanded?: boolean;
+  isGrouped?: boolean;
+  leafRows?: Array<DatagridRow<T>>;
+  childrenStatus?: ChildrenStatus;
+  parentRow?: DatagridRow<T>;
+  pinnedPosition?: RowPinPosition | null;
+  pin?: (position: RowPinPosition | null) => void;
 }
 
 export interface DataGridHeader<T extends object = any>
@@ -183,8 +323,144 @@ export interface TableProps {
 
 interface DataGridTableState
   extends UseResizeColumnsState<any>,
-    UseRowSelectState<any> {
+    UseRowSelectState<any>,
+    Partial<UseSortByState<any>>,
+    Partial<UseGlobalFiltersState<any>>,
+    Partial<UsePaginationState<any>>,
+    Partial<UseColumnOrderState<any>> {
   filters: Filters<DataGridFilter>;
+  hiddenColumns?: Array<string>;
+  groupBy?: Array<string>;
+}
+
+// The query emitted by `useServerSide`, for the server to sort, filter and
+// paginate the rows with
+export interface DatagridQuery {
+  sortBy?: Array<SortingRule<any>>;
+  filters: Filters<DataGridFilter>;
+  globalFilter?: any;
+  pageIndex?: number;
+  pageSize?: number;
+}
+
+// The view state saved by `useViewState`, `version` being the version of
+// its shape
+export interface DatagridViewState {
+  version: number;
+  columnOrder?: Array<string>;
+  hiddenColumns?: Array<string>;
+  columnWidths?: Record<string, number>;
+  rowSize?: Size;
+  sortBy?: Array<SortingRule<any>>;
+  filters?: Filters<DataGridFilter>;
+}
+
+// Where `useViewState` saves the serialized view state, `localStorage` and
+// `sessionStorage` are both valid adapters
+export interface ViewStateStorage {
+  getItem: (key: string) => string | null;
+  setItem: (key: string, value: string) => void;
+}
+
+// A view saved under a name from the filter flyout or panel
+export interface DatagridSavedView {
+  id: string;
+  name: string;
+  isDefault?: boolean;
+  viewState: DatagridViewState;
+}
+
+export interface SavedViewsChange {
+  action: 'save' | 'update' | 'rename' | 'setDefault' | 'delete';
+  view: DatagridSavedView;
+}
+
+export interface FilterLabels {
+  operatorLabel?: string;
+  valueLabel?: string;
+  minimumLabel?: string;
+  maximumLabel?: string;
+  invalidRegexLabel?: string;
+  containsLabel?: string;
+  startsWithLabel?: string;
+  equalsLabel?: string;
+  regexLabel?: string;
+  betweenLabel?: string;
+  greaterThanLabel?: string;
+  lessThanLabel?: string;
+}
+
+export interface SavedViewsLabels {
+  savedViewsLabel?: string;
+  selectViewLabel?: string;
+  defaultViewLabel?: string;
+  saveViewLabel?: string;
+  updateViewLabel?: string;
+  renameViewLabel?: string;
+  setDefaultViewLabel?: string;
+  removeDefaultViewLabel?: string;
+  deleteViewLabel?: string;
+  viewNameLabel?: string;
+  saveLabel?: string;
+  cancelLabel?: string;
+}
+
+export interface DatagridCellPosition {
+  rowId: string;
+  columnId: string;
+}
+
+// The range spans the rows and columns from the anchor to the focus, in the
+// order they are displayed
+export interface DatagridCellRange {
+  anchor: DatagridCellPosition;
+  focus: DatagridCellPosition;
+}
+
+// Where a row is pinned by `usePinnedRows`
+export type RowPinPosition = 'top' | 'bottom';
+
+export interface PinnedRowIds {
+  top: string[];
+  bottom: string[];
+}
+
+// The cell of `useGridNavigation` that is the tab stop of the grid, by the
+// index of its row among the column header row and the body rows, and of its
+// column. The `rowId` is null in the column header row
+export interface DatagridGridCell {
+  rowId: string | null;
+  columnId: string;
+  rowIndex: number;
+  columnIndex: number;
+}
+
+// An occurrence of the query of `useFind` in the value of a cell, from the
+// `start` character of its text
+export interface FindMatch {
+  rowId: string;
+  columnId: string;
+  rowIndex: number;
+  start: number;
+}
+
+export type RowReorderAnnouncement =
+  | 'grabbed'
+  | 'moved'
+  | 'dropped'
+  | 'cancelled';
+
+export interface RowReorderProps {
+  labels?: {
+    columnLabel?: string;
+    handleLabel?: string;
+    instructionsLabel?: string;
+  };
+  getRowLabel?: (row: DatagridRow) => string;
+  getAnnouncement?: (
+    action: RowReorderAnnouncement,
+    args: { label: string; position: number; count: number }
+  ) => string;
 }
 
 export interface DataGridTableInstance<T extends object = any>
@@ -239,6 +515,7 @@ export interface DataGridState<T extends object = any>
     ref?: MutableRefObject<HTMLDivElement>,
     group?: HeaderGroup<any>
   ) => ReactNode;
+  HeaderGroupRow?: (state?: object, group?: HeaderGroup<any>) => ReactNode;
   withStickyColumn?: boolean;
   emptyStateTitle?: string | ReactNode;
   emptyStateDescription?: string;
@@ -259,6 +536,40 @@ export interface DataGridState<T extends object = any>
   resizerAriaLabel?: string;
   onColResizeEnd?: () => void;
   withNestedRows?: boolean;
+  onLoadChildren?: (row: DatagridRow) => Promise<Array<any>>;
+  nestedRowsProps?: {
+    labels?: {
+      loadingChildrenLabel?: string;
+      loadChildrenErrorLabel?: string;
+      retryLabel?: string;
+    };
+  };
+  loadChildren?: (row: DatagridRow) => void;
+  getChildrenStatus?: (row: DatagridRow) => ChildrenStatus | undefined;
+  withFooterTotals?: boolean;
+  footerTotalsProps?: {
+    showPageTotals?: boolean;
+    labels?: {
+      totalLabel?: string;
+      pageTotalLabel?: string;
+    };
+  };
+  footerTotals?: Record<string, any>;
+  pageFooterTotals?: Record<string, any> | null;
+  withConditionalFormatting?: boolean;
+  conditionalFormattingProps?: {
+    rules?: Array<FormattingRule<T>>;
+    onSaveFormattingRules?: (rules: Array<FormattingRule<T>>) => void;
+    iconTheme?: 'light' | 'dark';
+    isTearsheetOpen?: boolean;
+    setIsTearsheetOpen?: (isOpen: boolean) => void;
+    labels?: Record<string, any>;
+  };
+  formattingRules?: Array<FormattingRule<T>>;
+  setFormattingRules?: (rules: Array<FormattingRule<T>>) => void;
+  getCellFormatting?: (cell: DataGridCell) => CellFormatting | null;
+  ConditionalFormattingButton?: JSXElementConstructor<any>;
+  ConditionalFormattingTearsheet?: JSXElementConstructor<any>;
   withExpandedRows?: boolean;
   withMouseHover?: boolean;
   setMouseOverRowIndex?: (arg: any) => void;
@@ -285,9 +596,147 @@ export interface DataGridState<T extends object = any>
   onVirtualScroll?: (evt?: boolean) => void;
   fetchMoreData?: () => void;
   loadMoreThreshold?: number;
+  manualSortBy?: boolean;
+  onQueryChange?: (query: DatagridQuery) => void;
+  queryChangeDelay?: number;
+  rowCount?: number;
+  withServerSide?: boolean;
+  withGrouping?: boolean;
+  groupingProps?: {
+    labels?: {
+      groupByLabel?: string;
+      groupBarLabel?: string;
+      groupBarPlaceholder?: string;
+      removeGroupLabel?: string;
+      expandGroupLabel?: string;
+      collapseGroupLabel?: string;
+    };
+  };
+  toggleGroupBy?: (columnId: string, value?: boolean) => void;
+  GroupBar?: JSXElementConstructor<any>;
+  exportProps?: {
+    filename?: string;
+    selectedOnly?: boolean;
+    labels?: {
+      exportLabel?: string;
+      inputLabel?: string;
+      invalidInputText?: string;
+      primaryButtonText?: string;
+      secondaryButtonText?: string;
+      title?: string;
+    };
+  };
+  getExportData?: (options?: {
+    selectedOnly?: boolean;
+  }) => Array<Array<string | number | boolean | Date | null | undefined>>;
+  exportData?: (options?: {
+    format?: 'csv' | 'tsv' | 'xlsx';
+    filename?: string;
+    selectedOnly?: boolean;
+  }) => void;
+  ExportButton?: JSXElementConstructor<any>;
+  onDataUpdate?: (updater: (data: Array<any>) => Array<any>) => void;
+  bulkEditProps?: {
+    columns?: string[];
+    labels?: {
+      bulkEditLabel?: string;
+      title?: string;
+      columnLabel?: string;
+      selectColumnLabel?: string;
+      primaryButtonText?: string;
+      secondaryButtonText?: string;
+    };
+  };
+  bulkEdit?: (
+    columnId: string,
+    value: any,
+    rows?: DatagridRow[]
+  ) => string | null;
+  BulkEditModal?: JSXElementConstructor<any>;
+  withCellRangeSelection?: boolean;
+  cellRange?: DatagridCellRange | null;
+  setCellRange?: (cellRange: DatagridCellRange | null) => void;
+  getCellRangeData?: () => Array<
+    Array<string | number | boolean | Date | null | undefined>
+  >;
+  copyCellRange?: () => Promise<void>;
+  withFind?: boolean;
+  findProps?: {
+    labels?: {
+      findLabel?: string;
+      noMatchesLabel?: string;
+      previousMatchLabel?: string;
+      nextMatchLabel?: string;
+    };
+    getMatchCountLabel?: (args: { position: number; count: number }) => string;
+  };
+  findQuery?: string;
+  setFindQuery?: (query: string) => void;
+  findMatches?: FindMatch[];
+  activeFindMatchIndex?: number;
+  findNext?: () => void;
+  findPrevious?: () => void;
+  isActiveFindMatchCell?: (cell: DataGridCell) => boolean;
+  highlightFindMatches?: (cell: DataGridCell) => ReactNode[] | null;
+  FindSearch?: JSXElementConstructor<any>;
+  withGridNavigation?: boolean;
+  gridNavigationProps?: {
+    pageRowCount?: number;
+  };
+  activeGridCell?: DatagridGridCell | null;
+  focusGridCell?: (rowIndex: number, columnIndex: number) => void;
+  withPinnedRows?: boolean;
+  pinnedRowsProps?: {
+    initialPinnedRowIds?: Partial<PinnedRowIds>;
+    duplicatePinnedRows?: boolean;
+    withRowActions?: boolean;
+    onPinnedRowsChange?: (pinnedRowIds: PinnedRowIds) => void;
+    labels?: {
+      pinToTopLabel?: string;
+      pinToBottomLabel?: string;
+      unpinLabel?: string;
+    };
+  };
+  pinnedRowIds?: PinnedRowIds;
+  pinnedRows?: Record<RowPinPosition, DatagridRow[]>;
+  pinRow?: (rowId: string, position: RowPinPosition) => void;
+  unpinRow?: (rowId: string) => void;
+  getRowPinnedPosition?: (rowId: string) => RowPinPosition | null;
+  withRowReorder?: boolean;
+  rowReorderProps?: RowReorderProps;
+  onRowOrderChange?: (
+    newData: Array<any>,
+    change: { row: DatagridRow; fromIndex: number; toIndex: number }
+  ) => void;
+  moveRow?: (row: DatagridRow, toIndex: number) => number;
+  getRowReorderLabel?: (row: DatagridRow) => string;
+  RowReorderAssistiveText?: JSXElementConstructor<any>;
+  rowReorderHandlers?: {
+    onKeyDown: (event: React.KeyboardEvent, row: DatagridRow) => void;
+    onBlur: (row: DatagridRow) => void;
+    onDragStart: (event: React.DragEvent, row: DatagridRow) => void;
+    onDragEnd: () => void;
+    onDragOver: (event: React.DragEvent, row: DatagridRow) => void;
+    onDrop: (event: React.DragEvent, row: DatagridRow) => void;
+  };
+  rowReorderAnnouncement?: string;
+  rowReorderState?: {
+    isDisabled: boolean;
+    grabbedRowId: string | null;
+    dropTarget: { rowId: string; position: 'before' | 'after' } | null;
+  };
+  viewState?: DatagridViewState;
+  viewStateKey?: string;
+  viewStateStorage?: 'localStorage' | 'url' | ViewStateStorage;
   expandedRowIds?: object;
   onRowClick?: (row, event) => void;
-  onSort?: boolean;
+  onSort?: (
+    columnId: string,
+    order: string,
+    sortBy: Array<{ id: string; desc?: boolean }>
+  ) => void;
+  sortPriorityLabelText?: string;
+  maxMultiSortColCount?: number;
   column?: DatagridColumn;
   expandedContentHeight?: number;
   onRowExpand?: (
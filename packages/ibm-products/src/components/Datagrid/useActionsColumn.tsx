@@ -193,7 +193,12 @@ const useActionsColumn = (hooks: Hooks) => {
     const { rowActions } = instance;
     if (rowActions && Array.isArray(rowActions)) {
       const addHeaderWidth = (props, cellData) => {
-        const { column } = cellData;
+        let { column } = cellData;
+        // the placeholders above the actions column, when the columns are
+        // nested, take its width
+        while (column.placeholderOf) {
+          column = column.placeholderOf;
+        }
         if (column.isAction) {
           const isColumnSticky = !!column.sticky;
           return [
@@ -209,6 +214,7 @@ const useActionsColumn = (hooks: Hooks) => {
         return [props];
       };
       hooks.getHeaderProps.push(addHeaderWidth);
+      hooks.getFooterProps.push(addHeaderWidth);
     }
   };
 
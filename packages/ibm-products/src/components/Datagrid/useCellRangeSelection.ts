@@ -0,0 +1,260 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import cx from 'classnames';
+import { pkg } from '../../settings';
+import {
+  ExportTable,
+  getExportValue,
+  toHtml,
+  toTsv,
+} from './utils/exportTable';
+import {
+  DataGridState,
+  DatagridCellPosition,
+  DatagridCellRange,
+  DatagridColumn,
+  DatagridRow,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+const arrowKeys = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+const clamp = (index: number, length: number) =>
+  Math.min(Math.max(index, 0), length - 1);
+
+const getSpan = <T extends { id: string }>(
+  items: T[],
+  fromId: string,
+  toId: string
+) => {
+  const from = items.findIndex(({ id }) => id === fromId);
+  const to = items.findIndex(({ id }) => id === toId);
+  return from < 0 || to < 0
+    ? []
+    : items.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
+
+// Selects a rectangular range of cells, from the cell where the selection
+// starts (the anchor) to the cell where it ends (the focus), by dragging the
+// mouse, Shift+clicking or pressing Shift and the arrow keys. Copying puts the
+// values of the range on the clipboard, as TSV and as an HTML table
+const useCellRangeSelection = (hooks: Hooks) => {
+  const useInstance = (instance: TableInstance) => {
+    const { page, rows, tableId, visibleColumns } = instance as DataGridState &
+      TableInstance;
+    const [cellRange, setCellRange] = useState<DatagridCellRange | null>(null);
+    const isDraggingRef = useRef(false);
+    // The focus follows the range when it is moved with the keyboard
+    const shouldFocusRef = useRef(false);
+
+    useEffect(() => {
+      const stopDragging = () => {
+        isDraggingRef.current = false;
+      };
+      document.addEventListener('mouseup', stopDragging);
+      return () => document.removeEventListener('mouseup', stopDragging);
+    }, []);
+
+    useEffect(() => {
+      if (!shouldFocusRef.current || !cellRange) {
+        return;
+      }
+      shouldFocusRef.current = false;
+      const { rowId, columnId } = cellRange.focus;
+      const cells = document
+        .getElementById(tableId as string)
+        ?.querySelectorAll<HTMLElement>('[data-column-id]');
+      Array.from(cells || [])
+        .find(
+          ({ dataset }) =>
+            dataset.rowId === rowId && dataset.columnId === columnId
+        )
+        ?.focus();
+    }, [cellRange, tableId]);
+
+    // The rows and columns of the data cells, the group rows and the
+    // selection, expander, action and spacer columns are left out
+    const rangeRows = ((page || rows) as DatagridRow[]).filter(
+      (row) => !row.isSkeleton && !row.isGrouped
+    );
+    const rangeColumns = (visibleColumns as DatagridColumn[]).filter(
+      (column: any) => column.accessor && !column.isAction
+    );
+    const selectedRows = cellRange
+      ? getSpan(rangeRows, cellRange.anchor.rowId, cellRange.focus.rowId)
+      : [];
+    const selectedColumns = cellRange
+      ? getSpan(
+          rangeColumns,
+          cellRange.anchor.columnId,
+          cellRange.focus.columnId
+        )
+      : [];
+
+    const getCellRangeData = (): ExportTable =>
+      selectedRows.map((row) =>
+        selectedColumns.map((column) => getExportValue(row, column))
+      );
+
+    // For copy buttons, the keyboard shortcut goes through the copy event
+    const copyCellRange = async () => {
+      const data = getCellRangeData();
+      if (typeof ClipboardItem === 'undefined') {
+        return navigator.clipboard.writeText(toTsv(data));
+      }
+      return navigator.clipboard.write([
+        new ClipboardItem({
+          'text/plain': new Blob([toTsv(data)], { type: 'text/plain' }),
+          'text/html': new Blob([toHtml(data)], { type: 'text/html' }),
+        }),
+      ]);
+    };
+
+    const moveFocus = (
+      { rowId, columnId }: DatagridCellPosition,
+      [rowStep, columnStep]: number[]
+    ): DatagridCellPosition => {
+      const rowIndex = rangeRows.findIndex(({ id }) => id === rowId);
+      const columnIndex = rangeColumns.findIndex(({ id }) => id === columnId);
+      return {
+        rowId: rangeRows[clamp(rowIndex + rowStep, rangeRows.length)].id,
+        columnId:
+          rangeColumns[clamp(columnIndex + columnStep, rangeColumns.length)].id,
+      };
+    };
+
+    const selectedRowIds = selectedRows.map(({ id }) => id);
+    const selectedColumnIds = selectedColumns.map(({ id }) => id);
+    // The cell reached with Tab, the others are reached with the arrow keys
+    const tabStop = cellRange?.anchor ?? {
+      rowId: rangeRows[0]?.id,
+      columnId: rangeColumns[0]?.id,
+    };
+
+    Object.assign(instance, {
+      withCellRangeSelection: true,
+      cellRange,
+      setCellRange,
+      getCellRangeData,
+      copyCellRange,
+      isCellInRange: ({ rowId, columnId }: DatagridCellPosition) =>
+        selectedRowIds.includes(rowId) && selectedColumnIds.includes(columnId),
+      isCellRangeTabStop: ({ rowId, columnId }: DatagridCellPosition) =>
+        rowId === tabStop.rowId && columnId === tabStop.columnId,
+      cellRangeHandlers: {
+        onMouseDown: (event, position: DatagridCellPosition) => {
+          // Buttons, links and inputs in the cells keep their behavior
+          if (
+            event.button !== 0 ||
+            event.target.closest('a, button, input, select, textarea')
+          ) {
+            return;
+          }
+          isDraggingRef.current = true;
+          setCellRange(
+            event.shiftKey && cellRange
+              ? { anchor: cellRange.anchor, focus: position }
+              : { anchor: position, focus: position }
+          );
+        },
+        onMouseEnter: (position: DatagridCellPosition) => {
+          if (isDraggingRef.current) {
+            setCellRange((range) => range && { ...range, focus: position });
+          }
+        },
+        onKeyDown: (event, position: DatagridCellPosition) => {
+          if (event.key === 'Escape' && cellRange) {
+            setCellRange(null);
+            return;
+          }
+          const step = arrowKeys[event.key];
+          if (!step || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+          }
+          event.preventDefault();
+          shouldFocusRef.current = true;
+          if (event.shiftKey) {
+            const anchor = cellRange?.anchor ?? position;
+            const focus = moveFocus(cellRange?.focus ?? position, step);
+            setCellRange({ anchor, focus });
+          } else {
+            const focus = moveFocus(position, step);
+            setCellRange({ anchor: focus, focus });
+          }
+        },
+        onCopy: (event) => {
+          if (!selectedRows.length || !selectedColumns.length) {
+            return;
+          }
+          const data = getCellRangeData();
+          event.preventDefault();
+          event.clipboardData.setData('text/plain', toTsv(data));
+          event.clipboardData.setData('text/html', toHtml(data));
+        },
+      },
+    });
+  };
+
+  const getCellProps = (props, { cell, instance }) => {
+    const {
+      cellRangeHandlers,
+      isCellInRange,
+      isCellRangeTabStop,
+      withGridNavigation,
+      withInlineEdit,
+    } = instance;
+    const { column, row } = cell;
+    if (
+      !column.accessor ||
+      column.isAction ||
+      row.isGrouped ||
+      row.isSkeleton
+    ) {
+      return [props];
+    }
+    const position = { rowId: row.id, columnId: column.id };
+    const isSelected = isCellInRange(position);
+    return [
+      props,
+      {
+        className: cx(`${blockClass}__cell--range-selectable`, {
+          [`${blockClass}__cell--range-selected`]: isSelected,
+        }),
+        // useGridNavigation moves the tab stop of its grid itself
+        ...(!withGridNavigation && {
+          tabIndex: isCellRangeTabStop(position) ? 0 : -1,
+        }),
+        // Only the cells of a grid can be selected for assistive technologies
+        ...((withGridNavigation || withInlineEdit) && {
+          'aria-selected': isSelected,
+        }),
+        'data-row-id': row.id,
+        'data-column-id': column.id,
+        onMouseDown: (event) => cellRangeHandlers.onMouseDown(event, position),
+        onMouseEnter: () => cellRangeHandlers.onMouseEnter(position),
+        onKeyDown: (event) => cellRangeHandlers.onKeyDown(event, position),
+        onCopy: cellRangeHandlers.onCopy,
+      },
+    ];
+  };
+
+  hooks.useInstance.push(useInstance);
+  hooks.getCellProps.push(getCellProps);
+};
+
+useCellRangeSelection.pluginName = 'useCellRangeSelection';
+
+export default useCellRangeSelection;
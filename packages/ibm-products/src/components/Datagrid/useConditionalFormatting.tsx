@@ -0,0 +1,211 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useMemo, useState } from 'react';
+import cx from 'classnames';
+import { Hooks, TableInstance } from 'react-table';
+import { StatusIcon } from '../StatusIcon';
+import {
+  ConditionalFormattingButton,
+  ConditionalFormattingTearsheet,
+} from './Datagrid/addons/ConditionalFormatting';
+import { getPattern, iconLabels, matchesRule } from './utils/formattingRules';
+import { pkg } from '../../settings';
+import {
+  CellFormatting,
+  DataGridCell,
+  DataGridState,
+  DatagridColumn,
+  DatagridRow,
+  FormattingRule,
+  NodeFuncType,
+  VisibleColumns,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+// Renders the status icon and the data bar of a formatted cell around its
+// content, which is left as is when the cell has neither
+const FormattedCell = (cellProps: DataGridState, column: DatagridColumn) => {
+  const { cell, conditionalFormattingProps, getCellFormatting } =
+    cellProps as DataGridState & { cell?: DataGridCell };
+  const content = (column.Cell as NodeFuncType)?.(cellProps);
+  const formatting = cell && getCellFormatting?.(cell);
+  if (!formatting?.icon && formatting?.dataBar === undefined) {
+    return content;
+  }
+  const { status, icon, iconDescription, dataBar } = formatting;
+  return (
+    <div className={`${blockClass}__formatted-cell`}>
+      {dataBar !== undefined && (
+        <span
+          className={cx(`${blockClass}__data-bar`, {
+            [`${blockClass}__data-bar--${status}`]: status,
+          })}
+          style={{ width: `${dataBar * 100}%` }}
+          aria-hidden
+        />
+      )}
+      {icon && (
+        <StatusIcon
+          className={`${blockClass}__formatted-cell-icon`}
+          kind={icon}
+          iconDescription={iconDescription ?? iconLabels[icon]}
+          size="sm"
+          theme={conditionalFormattingProps?.iconTheme ?? 'light'}
+        />
+      )}
+      {content}
+    </div>
+  );
+};
+
+// Formats the cells that meet the `formattingRules` of their column, with a
+// status color, a status icon or a data bar. The rules are edited at runtime in
+// a tearsheet, which replaces the rules of the columns with the saved rules,
+// unless the rules are controlled with `conditionalFormattingProps.rules`
+const useConditionalFormatting = (hooks: Hooks) => {
+  const [savedRules, setSavedRules] = useState<FormattingRule[] | null>(null);
+  const [isTearsheetOpen, setIsTearsheetOpen] = useState(false);
+
+  // The cells of every data column are wrapped, since any column can get rules
+  // at runtime
+  const formattedColumns = (columns: DatagridColumn[]) =>
+    columns.map((column) =>
+      (column as DatagridColumn & { accessor?: unknown }).accessor
+        ? {
+            ...column,
+            Cell: (cellProps: DataGridState) =>
+              FormattedCell(cellProps, column),
+          }
+        : column
+    );
+
+  const getCellProps = (props, { cell, instance }) => {
+    const formatting = instance.getCellFormatting?.(cell);
+    return [
+      props,
+      formatting?.status
+        ? { className: `${blockClass}__cell--formatted-${formatting.status}` }
+        : {},
+    ];
+  };
+
+  const useInstance = (instance: TableInstance) => {
+    const { allColumns, conditionalFormattingProps, rows } =
+      instance as DataGridState & TableInstance;
+    const { labels, onSaveFormattingRules } = conditionalFormattingProps || {};
+    const columnRules = useMemo(
+      () =>
+        (allColumns as DatagridColumn[]).flatMap((column) =>
+          (column.formattingRules || []).map((rule) => ({
+            columnId: column.id,
+            ...rule,
+          }))
+        ),
+      [allColumns]
+    );
+    const formattingRules: FormattingRule[] =
+      conditionalFormattingProps?.rules ?? savedRules ?? columnRules;
+
+    // The patterns of the `matches` rules are compiled once per rules, rather
+    // than for every cell
+    const patterns = useMemo(
+      () =>
+        new Map(
+          formattingRules
+            .filter((rule) => rule.operator === 'matches')
+            .map((rule) => [rule, getPattern(rule.value)])
+        ),
+      [formattingRules]
+    );
+
+    // The data bars go from zero, or the lowest value when it is negative, to
+    // the highest value of the filtered rows, unless the rule sets them
+    const dataBarRanges = {};
+    const getDataBarRange = (columnId: string) => {
+      if (!dataBarRanges[columnId]) {
+        const values = (rows as DatagridRow[])
+          .filter((row) => !row.isSkeleton && !row.isGrouped)
+          .map((row) => Number(row.values[columnId]))
+          .filter((value) => isFinite(value));
+        dataBarRanges[columnId] = {
+          min: values.reduce((min, value) => Math.min(min, value), 0),
+          max: values.reduce((max, value) => Math.max(max, value), 0),
+        };
+      }
+      return dataBarRanges[columnId];
+    };
+
+    const getDataBar = (rule: FormattingRule, value: any) => {
+      const range = {
+        ...getDataBarRange(rule.columnId as string),
+        ...(typeof rule.dataBar === 'object' && rule.dataBar),
+      };
+      const width = (Number(value) - range.min) / (range.max - range.min);
+      return isFinite(width) ? Math.min(Math.max(width, 0), 1) : 0;
+    };
+
+    // The formatting of the first rule of the column of a cell that its value
+    // meets
+    const getCellFormatting = (cell: DataGridCell): CellFormatting | null => {
+      const { column, value } = cell;
+      const row = cell.row as unknown as DatagridRow;
+      if (row.isSkeleton || row.isGrouped) {
+        return null;
+      }
+      const rule = formattingRules.find(
+        (rule) =>
+          rule.columnId === column.id &&
+          matchesRule(rule, value, row, patterns.get(rule))
+      );
+      if (!rule) {
+        return null;
+      }
+      const { status, icon, dataBar } = rule;
+      return {
+        status,
+        icon,
+        iconDescription:
+          rule.iconDescription ?? (icon && labels?.iconLabels?.[icon]),
+        dataBar: dataBar ? getDataBar(rule, value) : undefined,
+      };
+    };
+
+    Object.assign(instance, {
+      withConditionalFormatting: true,
+      formattingRules,
+      setFormattingRules: (rules: FormattingRule[]) => {
+        setSavedRules(rules);
+        onSaveFormattingRules?.(rules);
+      },
+      getCellFormatting,
+      conditionalFormattingProps: {
+        ...conditionalFormattingProps,
+        isTearsheetOpen,
+        setIsTearsheetOpen,
+      },
+      ConditionalFormattingButton: (props) => (
+        <ConditionalFormattingButton
+          iconTooltipLabel={labels?.iconTooltipLabel}
+          isTearsheetOpen={isTearsheetOpen}
+          setIsTearsheetOpen={setIsTearsheetOpen}
+          {...props}
+        />
+      ),
+      ConditionalFormattingTearsheet,
+    });
+  };
+
+  hooks.visibleColumns.push(formattedColumns as VisibleColumns);
+  hooks.getCellProps.push(getCellProps);
+  hooks.useInstance.push(useInstance);
+};
+
+useConditionalFormatting.pluginName = 'useConditionalFormatting';
+
+export default useConditionalFormatting;
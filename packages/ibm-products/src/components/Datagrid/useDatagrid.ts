@@ -15,6 +15,7 @@ import {
   useSortBy,
   useGlobalFilter,
   useFilters,
+  useGroupBy,
   usePagination,
   TableInstance,
 } from 'react-table';
@@ -50,6 +51,21 @@ const useDatagrid = (params, ...plugins): TableInstance => {
     );
     defaultPlugins.splice(resizeIndex, 1);
   }
+  // Rows are grouped before they are sorted and expanded, which puts
+  // useGroupBy among the default plugins, with useColumnOrder ahead of it
+  if (plugins.some((p) => p?.['pluginName'] === 'useGrouping')) {
+    const columnOrderIndex = plugins.findIndex(
+      (p) => p?.['pluginName'] === 'useColumnOrder'
+    );
+    const columnOrderPlugins =
+      columnOrderIndex > -1 ? plugins.splice(columnOrderIndex, 1) : [];
+    defaultPlugins.splice(
+      defaultPlugins.indexOf(useSortBy),
+      0,
+      ...columnOrderPlugins,
+      useGroupBy
+    );
+  }
   const defaultEndPlugins = [
     usePagination,
     useRowSelect,
@@ -19,7 +19,7 @@ const useDefaultStringRenderer = (hooks) => {
           tableProps.column?.multiLineWrap || tableProps?.multiLineWrapAll,
       })}
     >
-      {tableProps.value}
+      {tableProps.highlightFindMatches?.(tableProps.cell) ?? tableProps.value}
     </div>
   );
 
@@ -0,0 +1,96 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Hooks, TableInstance } from 'react-table';
+import { ExportButton } from './Datagrid/addons/Export';
+import { getColumnLabels } from './utils/getColumnLabels';
+import {
+  ExportFormat,
+  ExportTable,
+  downloadBlob,
+  getExportBlob,
+  getExportValue,
+} from './utils/exportTable';
+import { DataGridState, DatagridColumn, DatagridRow } from './types';
+
+// The data rows in the order they are displayed, including the nested rows
+// whether they are expanded or not, and the rows of collapsed groups without
+// the group rows themselves
+const getDataRows = (rows: DatagridRow[]): DatagridRow[] =>
+  rows.flatMap((row) =>
+    row.isSkeleton
+      ? []
+      : row.isGrouped
+      ? getDataRows(row.subRows as DatagridRow[])
+      : [row, ...getDataRows((row.subRows || []) as DatagridRow[])]
+  );
+
+// Exports the current view of the rows: the visible columns in their current
+// order, and the rows as filtered and sorted, to CSV, TSV or XLSX
+const useExport = (hooks: Hooks) => {
+  const useInstance = (instance: TableInstance) => {
+    const { columns, exportProps, rows, sortedRows, state, visibleColumns } =
+      instance as DataGridState & TableInstance & { sortedRows?: any[] };
+
+    // The columns showing data, the selection, expander, action and spacer
+    // columns have no accessor
+    const exportColumns = (visibleColumns as DatagridColumn[]).filter(
+      (column: any) =>
+        column.accessor && !column.isAction && !column.disableExport
+    );
+
+    const getExportData = ({
+      selectedOnly = exportProps?.selectedOnly,
+    }: { selectedOnly?: boolean } = {}): ExportTable => {
+      const columnLabels = getColumnLabels(columns);
+      const selectedRowIds = state.selectedRowIds || {};
+      const dataRows = getDataRows(
+        (sortedRows || rows) as DatagridRow[]
+      ).filter((row) => !selectedOnly || selectedRowIds[row.id]);
+      return [
+        exportColumns.map(({ id }) => columnLabels[id] ?? id),
+        ...dataRows.map((row) =>
+          exportColumns.map((column) => getExportValue(row, column))
+        ),
+      ];
+    };
+
+    const exportData = ({
+      format = 'csv',
+      filename = `${exportProps?.filename || 'export'}.${format}`,
+      selectedOnly,
+    }: {
+      format?: ExportFormat;
+      filename?: string;
+      selectedOnly?: boolean;
+    } = {}) => {
+      downloadBlob(
+        getExportBlob(
+          getExportData({ selectedOnly }),
+          format,
+          exportProps?.filename
+        ),
+        filename
+      );
+    };
+
+    Object.assign(instance, {
+      getExportData,
+      exportData,
+      ExportButton,
+      exportButtonProps: {
+        filename: exportProps?.filename,
+        labels: exportProps?.labels,
+        onExport: exportData,
+      },
+    });
+  };
+
+  hooks.useInstance.push(useInstance);
+};
+
+export default useExport;
@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { useMemo } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { FilterFlyout } from './Datagrid/addons/Filtering';
 import {
   BATCH,
@@ -13,9 +13,23 @@ import {
   DATE,
   MULTISELECT,
   NUMBER,
+  RANGE,
+  TEXT,
 } from './Datagrid/addons/Filtering/constants';
+import {
+  getTextMatcher,
+  isCustomFilterEmpty,
+  isInRange,
+  isRangeFilterEmpty,
+  isTextFilterEmpty,
+} from './Datagrid/addons/Filtering/utils';
 import { Hooks, TableInstance } from 'react-table';
-import { DataGridState } from './types';
+import {
+  applyViewState,
+  getInitialState,
+  getViewState,
+} from './utils/viewState';
+import { CustomFilterType, DataGridState } from './types';
 
 const handleMultiFilter = (rows, id, value) => {
   // gets all the items that are selected and returns their value
@@ -34,6 +48,70 @@ const handleMultiFilter = (rows, id, value) => {
   });
 };
 
+// Replaces react-table's default `text` filter, which is also the one of the
+// global filter: `ids` holds all the searched columns in that case
+const textFilter = (rows, ids, value) => {
+  const matches = getTextMatcher(value);
+  // An invalid expression does not filter the rows
+  return matches
+    ? rows.filter((row) => ids.some((id) => matches(row.values[id])))
+    : rows;
+};
+// Removes the filter from the state once it is empty
+textFilter.autoRemove = isTextFilterEmpty;
+
+const rangeFilter = (rows, id, value) =>
+  isRangeFilterEmpty(value)
+    ? rows
+    : rows.filter((row) => isInRange(row.values[id], value));
+rangeFilter.autoRemove = isRangeFilterEmpty;
+
+// The filter function of a custom filter type, from its predicate of a row
+// value. It reads the latest custom filter types from a ref
+const getCustomFilter = (type: string, customFilterTypesRef) => {
+  const isEmpty = (value) =>
+    isCustomFilterEmpty(customFilterTypesRef.current[type], value);
+  const customFilter = (rows, id, value) =>
+    isEmpty(value)
+      ? rows
+      : rows.filter((row) =>
+          customFilterTypesRef.current[type].predicate(
+            row.values[id],
+            value,
+            row
+          )
+        );
+  customFilter.autoRemove = isEmpty;
+  return customFilter;
+};
+
+// The filter functions of the custom filter types registered in
+// `filterProps.customFilterTypes`. They are kept while the same types are
+// registered, so that react-table does not filter the rows again when the
+// `customFilterTypes` object is created on each render
+const useCustomFilters = (
+  customFilterTypes: Record<string, CustomFilterType> = {}
+) => {
+  const customFilterTypesRef = useRef(customFilterTypes);
+  customFilterTypesRef.current = customFilterTypes;
+  const customFiltersRef = useRef({});
+
+  const types = Object.keys(customFilterTypes);
+  if (
+    types.length !== Object.keys(customFiltersRef.current).length ||
+    types.some((type) => !customFiltersRef.current[type])
+  ) {
+    customFiltersRef.current = Object.fromEntries(
+      types.map((type) => [
+        type,
+        customFiltersRef.current[type] ??
+          getCustomFilter(type, customFilterTypesRef),
+      ])
+    );
+  }
+  return customFiltersRef.current;
+};
+
 const useFiltering = (hooks: Hooks) => {
   /* istanbul ignore next */
   const filterTypes = useMemo(
@@ -64,7 +142,7 @@ const useFiltering = (hooks: Hooks) => {
           return rows;
         }
 
-        const parsedValue = parseInt(value);
+        const parsedValue = Number(value);
         return rows.filter((row) => {
           const rowValue = row.values[id];
           return rowValue === parsedValue;
@@ -72,10 +150,48 @@ const useFiltering = (hooks: Hooks) => {
       },
       [CHECKBOX]: (rows, id, value) => handleMultiFilter(rows, id, value),
       [MULTISELECT]: (rows, id, value) => handleMultiFilter(rows, id, value),
+      [TEXT]: textFilter,
+      [RANGE]: rangeFilter,
     }),
     []
   );
 
+  // The filter types are set as an option for react-table to filter the rows
+  // with them from the first render, eg with initial filters
+  const useFilterTypes = (options) => {
+    const customFilters = useCustomFilters(
+      (options as DataGridState).filterProps?.customFilterTypes
+    );
+    const allFilterTypes = useMemo(
+      () => ({ ...filterTypes, ...customFilters }),
+      [customFilters]
+    );
+    return { ...options, filterTypes: allFilterTypes };
+  };
+
+  hooks.useOptions.push(useFilterTypes);
+
+  // The default saved view takes the place of the initial state, it is only
+  // read once as react-table only reads `initialState` on mount
+  const useDefaultSavedView = (options) => {
+    const [defaultView] = useState(() =>
+      (options as DataGridState).filterProps?.savedViews?.find(
+        ({ isDefault }) => isDefault
+      )
+    );
+    if (!defaultView) {
+      return options;
+    }
+    const { viewState } = defaultView;
+    return {
+      ...options,
+      initialState: getInitialState(options.initialState, viewState),
+      ...(viewState.rowSize && { rowSize: viewState.rowSize }),
+    };
+  };
+
+  hooks.useOptions.push(useDefaultSavedView);
+
   hooks.useInstance.push((instance: TableInstance) => {
     const { filterProps, setAllFilters, setFilter, headers, data, state } =
       instance as DataGridState;
@@ -94,6 +210,8 @@ const useFiltering = (hooks: Hooks) => {
       setFilter,
       headers,
       data,
+      getViewState: () => getViewState(instance),
+      applyViewState: (viewState) => applyViewState(instance, viewState),
     });
 
     Object.assign(instance, {
@@ -101,7 +219,6 @@ const useFiltering = (hooks: Hooks) => {
         ...defaultProps,
         ...(instance as DataGridState)?.filterProps,
       },
-      filterTypes,
       getFilterFlyoutProps,
       FilterFlyout,
     });
@@ -0,0 +1,192 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import cx from 'classnames';
+import { FindSearch } from './Datagrid/addons/Find';
+import { pkg } from '../../settings';
+import {
+  DataGridCell,
+  DataGridState,
+  DatagridColumn,
+  DatagridRow,
+  FindMatch,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+const getCellKey = (rowId: string, columnId: string) => `${rowId}/${columnId}`;
+
+// The text of the values that can be found, which leaves out the values that
+// are objects, like the values of the selection and action columns
+const getCellText = (value: any) =>
+  typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+
+// Finds the query in the values of the cells, highlighting what matches in the
+// cells of the default string renderer, without filtering the rows. The active
+// match is moved to with the next and previous buttons of `FindSearch`, which
+// goes to its page and scrolls its row into view
+const useFind = (hooks: Hooks) => {
+  const useInstance = (instance: TableInstance) => {
+    const {
+      DatagridPagination,
+      gotoPage,
+      listRef,
+      rows,
+      state,
+      tableId,
+      visibleColumns,
+      withVirtualScroll,
+    } = instance as DataGridState & TableInstance;
+    const [findQuery, setQuery] = useState('');
+    const [activeFindMatchIndex, setActiveFindMatchIndex] = useState(0);
+    // The table scrolls to the active match when it is moved to
+    const shouldScrollRef = useRef(false);
+    // The search keeps its component between renders, so that its input keeps
+    // the focus as the query is typed. The instance is the same object in every
+    // render
+    const [BoundFindSearch] = useState(() => (props) => (
+      <FindSearch instance={instance} {...props} />
+    ));
+
+    // The matches of every occurrence of the query, case insensitive, in the
+    // order of the rows and of the columns
+    const query = findQuery.toLowerCase();
+    const findMatches: FindMatch[] = [];
+    const cellMatches: Record<string, number[]> = {};
+    if (query) {
+      (rows as DatagridRow[]).forEach((row, rowIndex) => {
+        if (row.isSkeleton) {
+          return;
+        }
+        (visibleColumns as DatagridColumn[]).forEach((column) => {
+          const text = getCellText(row.values[column.id]).toLowerCase();
+          let start = text.indexOf(query);
+          while (start >= 0) {
+            const key = getCellKey(row.id, column.id);
+            cellMatches[key] = [
+              ...(cellMatches[key] || []),
+              findMatches.length,
+            ];
+            findMatches.push({
+              rowId: row.id,
+              columnId: column.id,
+              rowIndex,
+              start,
+            });
+            start = text.indexOf(query, start + query.length);
+          }
+        });
+      });
+    }
+    const activeMatch = findMatches[activeFindMatchIndex] ?? null;
+
+    const moveToMatch = (index: number) => {
+      if (!findMatches.length) {
+        return;
+      }
+      shouldScrollRef.current = true;
+      // The first match follows the last one, and the other way around
+      setActiveFindMatchIndex(
+        (index + findMatches.length) % findMatches.length
+      );
+    };
+
+    useEffect(() => {
+      if (!shouldScrollRef.current || !activeMatch) {
+        return;
+      }
+      const { pageIndex, pageSize } = state as any;
+      if (DatagridPagination && pageSize) {
+        const matchPageIndex = Math.floor(activeMatch.rowIndex / pageSize);
+        if (matchPageIndex !== pageIndex) {
+          // The table scrolls to the match once its page is shown
+          gotoPage(matchPageIndex);
+          return;
+        }
+      }
+      shouldScrollRef.current = false;
+      if (withVirtualScroll) {
+        listRef?.current?.scrollToItem(activeMatch.rowIndex, 'center');
+      }
+      document
+        .getElementById(tableId as string)
+        ?.querySelector(`.${blockClass}__cell--find-match-active`)
+        ?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    });
+
+    // The text of a cell with its matches highlighted, or null when the query
+    // is not found in the cell
+    const highlightFindMatches = (cell: DataGridCell) => {
+      const matchIndexes =
+        cellMatches[getCellKey(cell.row.id, cell.column.id)] || [];
+      if (!matchIndexes.length) {
+        return null;
+      }
+      const text = getCellText(cell.value);
+      let end = 0;
+      const parts: React.ReactNode[] = [];
+      matchIndexes.forEach((matchIndex) => {
+        const { start } = findMatches[matchIndex];
+        parts.push(text.slice(end, start));
+        end = start + query.length;
+        parts.push(
+          <mark
+            key={matchIndex}
+            className={cx(`${blockClass}__find-match`, {
+              [`${blockClass}__find-match--active`]:
+                matchIndex === activeFindMatchIndex,
+            })}
+          >
+            {text.slice(start, end)}
+          </mark>
+        );
+      });
+      parts.push(text.slice(end));
+      return parts;
+    };
+
+    Object.assign(instance, {
+      withFind: true,
+      findQuery,
+      setFindQuery: (newQuery: string) => {
+        // The search sets its query again when it mounts
+        if (newQuery === findQuery) {
+          return;
+        }
+        setQuery(newQuery);
+        setActiveFindMatchIndex(0);
+        shouldScrollRef.current = !!newQuery;
+      },
+      findMatches,
+      activeFindMatchIndex: activeMatch ? activeFindMatchIndex : -1,
+      findNext: () => moveToMatch(activeFindMatchIndex + 1),
+      findPrevious: () => moveToMatch(activeFindMatchIndex - 1),
+      isActiveFindMatchCell: (cell: DataGridCell) =>
+        !!activeMatch &&
+        activeMatch.rowId === cell.row.id &&
+        activeMatch.columnId === cell.column.id,
+      highlightFindMatches,
+      FindSearch: BoundFindSearch,
+    });
+  };
+
+  const getCellProps = (props, { cell, instance }) => [
+    props,
+    instance.isActiveFindMatchCell?.(cell)
+      ? { className: `${blockClass}__cell--find-match-active` }
+      : {},
+  ];
+
+  hooks.useInstance.push(useInstance);
+  hooks.getCellProps.push(getCellProps);
+};
+
+useFind.pluginName = 'useFind';
+
+export default useFind;
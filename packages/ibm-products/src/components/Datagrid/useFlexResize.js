@@ -6,6 +6,10 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+// The header of a column group flexes with the column that flexes under it
+const isFlexColumn = (column) =>
+  column.isFlexCol || !!column.headers?.some(isFlexColumn);
+
 const useFlexResize = (hooks) => {
   hooks.visibleColumns.push((columns) => {
     // always move actions to the end
@@ -29,13 +33,14 @@ const useFlexResize = (hooks) => {
     if (!column && data.cell) {
       column = data.cell.column;
     }
-    if (column.isFlexCol) {
+    if (isFlexColumn(column)) {
       return [props, { style: { flex: '1 1 0' } }];
     }
     return [props, { style: { flex: '0 0 auto' } }];
   };
   hooks.getHeaderProps.push((props, data) => changeProps(props, data));
   hooks.getCellProps.push((props, data) => changeProps(props, data));
+  hooks.getFooterProps.push((props, data) => changeProps(props, data));
 };
 
 export default useFlexResize;
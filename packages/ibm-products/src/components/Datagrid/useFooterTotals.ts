@@ -0,0 +1,120 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Hooks, TableInstance } from 'react-table';
+import { DataGridState, DatagridColumn, DatagridRow } from './types';
+
+const getNumbers = (values: Array<any>) =>
+  values.filter((value) => typeof value === 'number' && !isNaN(value));
+
+const sum = (values: Array<any>) =>
+  getNumbers(values).reduce((total, value) => total + value, 0);
+
+// Aggregates available to the `total` of the columns, by name
+const totals = {
+  sum,
+  average: (values: Array<any>) => {
+    const numbers = getNumbers(values);
+    return numbers.length ? sum(numbers) / numbers.length : null;
+  },
+  count: (values: Array<any>) =>
+    values.filter((value) => value !== null && value !== undefined).length,
+  min: (values: Array<any>) => {
+    const numbers = getNumbers(values);
+    return numbers.length ? Math.min(...numbers) : null;
+  },
+  max: (values: Array<any>) => {
+    const numbers = getNumbers(values);
+    return numbers.length ? Math.max(...numbers) : null;
+  },
+};
+
+// The default `Footer` of the columns renders their total, or the label of the
+// footer row in the first data column when it has no total
+const FooterTotal = ({
+  column,
+  total,
+  label,
+}: {
+  column: DatagridColumn;
+  total?: any;
+  label?: string;
+}) => {
+  if (!column.total) {
+    return label ?? null;
+  }
+  if (total === null || total === undefined) {
+    return null;
+  }
+  return typeof total === 'number' ? total.toLocaleString() : String(total);
+};
+
+// Shows the totals of the columns that declare a `total` in a footer that
+// sticks to the bottom of the table: the total of all the filtered rows, and
+// optionally of the rows of the current page
+const useFooterTotals = (hooks: Hooks) => {
+  hooks.useOptions.push((options) => ({
+    ...options,
+    defaultColumn: {
+      Footer: FooterTotal,
+      ...options.defaultColumn,
+    } as typeof options.defaultColumn,
+  }));
+
+  // The totals of the page need the rows of `usePagination`, which comes after
+  // the other plugins
+  const useFinalInstance = (instance: TableInstance) => {
+    const {
+      DatagridPagination,
+      footerTotalsProps,
+      page,
+      rows,
+      state,
+      visibleColumns,
+    } = instance as DataGridState & TableInstance;
+    const { preGroupedRows, preExpandedRows } = instance as any;
+    const isGrouped = !!(state as any).groupBy?.length;
+
+    const getTotals = (totalRows: DatagridRow[]) =>
+      Object.fromEntries(
+        (visibleColumns as DatagridColumn[])
+          .filter((column) => column.total)
+          .map((column) => {
+            const aggregate =
+              typeof column.total === 'function'
+                ? column.total
+                : totals[column.total as string];
+            const values = totalRows.map((row) => row.values[column.id]);
+            return [column.id, aggregate?.(values, totalRows) ?? null];
+          })
+      );
+
+    // The filtered rows, before they are grouped and their nested rows are
+    // expanded, so that no row is counted twice
+    const filteredRows = (
+      (isGrouped ? preGroupedRows : preExpandedRows) || rows
+    ).filter((row) => !row.isSkeleton) as DatagridRow[];
+    const pageRows = (page as DatagridRow[]).filter((row) =>
+      isGrouped ? !row.isGrouped : !row.depth && !row.isSkeleton
+    );
+
+    Object.assign(instance, {
+      withFooterTotals: true,
+      footerTotals: getTotals(filteredRows),
+      pageFooterTotals:
+        footerTotalsProps?.showPageTotals && DatagridPagination
+          ? getTotals(pageRows)
+          : null,
+    });
+  };
+
+  hooks.useFinalInstance.push(useFinalInstance);
+};
+
+useFooterTotals.pluginName = 'useFooterTotals';
+
+export default useFooterTotals;
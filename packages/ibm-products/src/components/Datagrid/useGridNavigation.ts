@@ -0,0 +1,318 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import { pkg } from '../../settings';
+import { selectionColumnId } from './common-column-ids';
+import {
+  DataGridState,
+  DatagridColumn,
+  DatagridGridCell,
+  DatagridRow,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+const focusableSelector =
+  'a[href], button, input, select, textarea, [contenteditable="true"], [tabindex]';
+
+const clamp = (index: number, length: number) =>
+  Math.min(Math.max(index, 0), length - 1);
+
+// The rows of the grid are the rows with an `aria-rowindex` of the table
+// itself, which leaves out the expanded content of rows and nested tables
+const getRowElements = (table: HTMLTableElement) =>
+  Array.from(
+    table.querySelectorAll<HTMLTableRowElement>('tr[aria-rowindex]')
+  ).filter((rowElement) => rowElement.closest('table') === table);
+
+// The cells of a row are its last children, after the cell of its AI slug
+const getCellElements = (rowElement: HTMLElement, columnCount: number) =>
+  (Array.from(rowElement.children) as HTMLElement[]).slice(-columnCount);
+
+const getFocusableElements = (cellElement: HTMLElement) =>
+  Array.from(
+    cellElement.querySelectorAll<HTMLElement>(focusableSelector)
+  ).filter((element) => !(element as HTMLButtonElement).disabled);
+
+// Moves the focus between the cells of the table with the keyboard, as in the
+// WAI-ARIA grid pattern. The active cell is the only tab stop of the grid, the
+// buttons and inputs in the cells being reached by pressing Enter in their cell
+const useGridNavigation = (hooks: Hooks) => {
+  const useInstance = (instance: TableInstance) => {
+    const {
+      DatagridPagination,
+      gridNavigationProps,
+      headerGroups,
+      listRef,
+      page,
+      rows,
+      tableId,
+      visibleColumns,
+      withVirtualScroll,
+    } = instance as DataGridState & TableInstance;
+    const { pageRowCount = 10 } = gridNavigationProps || {};
+    const [activeGridCell, setActiveGridCell] =
+      useState<DatagridGridCell | null>(null);
+    // The focus follows the active cell when it is moved with the keyboard
+    const shouldFocusRef = useRef(false);
+
+    // The column header row comes first, then the rows of the body
+    const rowIds = [
+      null,
+      ...(((DatagridPagination && page) || rows) as DatagridRow[]).map(
+        ({ id }) => id
+      ),
+    ];
+    const columnIds = (visibleColumns as DatagridColumn[])
+      .filter(({ id }) => id !== 'spacer')
+      .map(({ id }) => id);
+    // The `aria-rowindex` of the rows counts the rows of the headers of the
+    // column groups, and the rows of the previous pages
+    const headerRowCount = headerGroups.length;
+    const pageOffset = DatagridPagination
+      ? (rows as DatagridRow[]).indexOf((page as DatagridRow[])[0])
+      : 0;
+    const toRowIndex = (ariaRowIndex: number) =>
+      ariaRowIndex === headerRowCount
+        ? 0
+        : ariaRowIndex - headerRowCount - Math.max(pageOffset, 0);
+
+    // The active cell keeps its row and column when they move, and its place
+    // when they are removed
+    const findIndex = (ids: Array<string | null>, id, index: number) =>
+      ids.includes(id) ? ids.indexOf(id) : clamp(index, ids.length);
+    const activeRowIndex = activeGridCell
+      ? findIndex(rowIds, activeGridCell.rowId, activeGridCell.rowIndex)
+      : 0;
+    const activeColumnIndex = activeGridCell
+      ? findIndex(
+          columnIds,
+          activeGridCell.columnId,
+          activeGridCell.columnIndex
+        )
+      : 0;
+
+    const getTable = () =>
+      document.getElementById(tableId as string)?.querySelector('table');
+
+    const getGridCell = (target: HTMLElement, table: HTMLTableElement) => {
+      const rowElement = target.closest<HTMLElement>('tr[aria-rowindex]');
+      const ariaRowIndex = Number(rowElement?.getAttribute('aria-rowindex'));
+      if (
+        !rowElement ||
+        rowElement.closest('table') !== table ||
+        ariaRowIndex < headerRowCount
+      ) {
+        return null;
+      }
+      const cellElements = getCellElements(rowElement, columnIds.length);
+      const columnIndex = cellElements.findIndex((cellElement) =>
+        cellElement.contains(target)
+      );
+      if (columnIndex < 0) {
+        return null;
+      }
+      return {
+        rowElement,
+        cellElement: cellElements[columnIndex],
+        rowIndex: toRowIndex(ariaRowIndex),
+        columnIndex,
+      };
+    };
+
+    const focusGridCell = (rowIndex: number, columnIndex: number) => {
+      const newRowIndex = clamp(rowIndex, rowIds.length);
+      const newColumnIndex = clamp(columnIndex, columnIds.length);
+      shouldFocusRef.current = true;
+      setActiveGridCell({
+        rowId: rowIds[newRowIndex],
+        columnId: columnIds[newColumnIndex],
+        rowIndex: newRowIndex,
+        columnIndex: newColumnIndex,
+      });
+      // The virtual body renders the row once it is scrolled to
+      if (withVirtualScroll && newRowIndex > 0) {
+        listRef?.current?.scrollToItem(newRowIndex - 1);
+      }
+    };
+
+    // The active cell is the only cell that can be tabbed to, and the buttons
+    // and inputs in the cells are left out of the tab order. The rows rendered
+    // later, by the virtual body or when rows expand, are updated as they come
+    useEffect(() => {
+      const table = getTable();
+      if (!table) {
+        return;
+      }
+      const updateTabStops = () => {
+        let activeCellElement: HTMLElement | null = null;
+        const cellElements = getRowElements(table).flatMap((rowElement) => {
+          const ariaRowIndex = Number(rowElement.getAttribute('aria-rowindex'));
+          if (ariaRowIndex < headerRowCount) {
+            return [];
+          }
+          const rowCellElements = getCellElements(rowElement, columnIds.length);
+          if (toRowIndex(ariaRowIndex) === activeRowIndex) {
+            activeCellElement = rowCellElements[activeColumnIndex] ?? null;
+          }
+          return rowCellElements;
+        });
+        cellElements.forEach((cellElement) => {
+          cellElement.tabIndex = -1;
+          getFocusableElements(cellElement).forEach((element) => {
+            element.tabIndex = -1;
+          });
+        });
+        // When the row of the active cell is scrolled out of the virtual body,
+        // the first cell keeps the grid in the tab order
+        (activeCellElement ?? cellElements[0])?.setAttribute('tabindex', '0');
+        return activeCellElement as HTMLElement | null;
+      };
+      const activeCellElement = updateTabStops();
+      if (shouldFocusRef.current) {
+        shouldFocusRef.current = false;
+        activeCellElement?.focus();
+      }
+      const observer = new MutationObserver(updateTabStops);
+      observer.observe(table, { childList: true, subtree: true });
+      return () => observer.disconnect();
+    });
+
+    const onFocus = (event) => {
+      const gridCell = getGridCell(event.target, event.currentTarget);
+      if (
+        gridCell &&
+        (gridCell.rowIndex !== activeRowIndex ||
+          gridCell.columnIndex !== activeColumnIndex)
+      ) {
+        // Clicking or tabbing into a cell makes it the active cell
+        setActiveGridCell({
+          rowId: rowIds[gridCell.rowIndex],
+          columnId: columnIds[gridCell.columnIndex],
+          rowIndex: gridCell.rowIndex,
+          columnIndex: gridCell.columnIndex,
+        });
+      }
+    };
+
+    const onKeyDown = (event) => {
+      const gridCell = getGridCell(event.target, event.currentTarget);
+      // Other plugins, like useCellRangeSelection, can handle the keys first
+      if (!gridCell || event.defaultPrevented) {
+        return;
+      }
+      const { key, ctrlKey, metaKey } = event;
+      const { rowElement, cellElement, rowIndex, columnIndex } = gridCell;
+      // The keys go to the buttons and inputs of the cell, until Escape or F2
+      // brings the focus back to the cell
+      if (event.target !== cellElement) {
+        if (key === 'Escape' || key === 'F2') {
+          event.preventDefault();
+          cellElement.focus();
+        }
+        return;
+      }
+      const lastRowIndex = rowIds.length - 1;
+      const lastColumnIndex = columnIds.length - 1;
+      const isControlKey = ctrlKey || metaKey;
+      const positions = {
+        ArrowUp: [rowIndex - 1, columnIndex],
+        ArrowDown: [rowIndex + 1, columnIndex],
+        ArrowLeft: [rowIndex, columnIndex - 1],
+        ArrowRight: [rowIndex, columnIndex + 1],
+        Home: isControlKey ? [0, 0] : [rowIndex, 0],
+        End: isControlKey
+          ? [lastRowIndex, lastColumnIndex]
+          : [rowIndex, lastColumnIndex],
+        PageUp: [rowIndex - pageRowCount, columnIndex],
+        PageDown: [rowIndex + pageRowCount, columnIndex],
+      };
+      if (positions[key]) {
+        event.preventDefault();
+        focusGridCell(positions[key][0], positions[key][1]);
+        return;
+      }
+      switch (key) {
+        case 'Enter':
+        case 'F2': {
+          const [focusableElement] = getFocusableElements(cellElement);
+          if (focusableElement) {
+            event.preventDefault();
+            focusableElement.focus();
+          }
+          break;
+        }
+        // Selects the row, or all the rows in the column header row, as its
+        // checkbox does
+        case ' ': {
+          const selectionCellElement = getCellElements(
+            rowElement,
+            columnIds.length
+          )[columnIds.indexOf(selectionColumnId)];
+          const [selectionInput] = selectionCellElement
+            ? getFocusableElements(selectionCellElement).filter(
+                (element) => element.tagName === 'INPUT'
+              )
+            : [];
+          if (selectionInput) {
+            event.preventDefault();
+            selectionInput.click();
+          }
+          break;
+        }
+      }
+    };
+
+    Object.assign(instance, {
+      withGridNavigation: true,
+      activeGridCell,
+      focusGridCell,
+      gridNavigationHandlers: { onFocus, onKeyDown },
+    });
+  };
+
+  const getTableProps = (props, { instance }) => [
+    props,
+    {
+      className: `${blockClass}__table-grid-navigation`,
+      'aria-rowcount': instance.headerGroups.length + instance.rows.length,
+      'aria-colcount': instance.visibleColumns.length,
+      ...instance.gridNavigationHandlers,
+    },
+  ];
+
+  // The types of react-table leave out the index of the header group
+  const getHeaderGroupProps = (props, { index }: any) => [
+    props,
+    { 'aria-rowindex': index + 1 },
+  ];
+
+  // The rows are numbered in the order they are shown, after the header rows
+  const getRowProps = (props, { instance, row }) => {
+    const rowIndex = instance.rows.indexOf(row);
+    return [
+      props,
+      rowIndex < 0
+        ? {}
+        : { 'aria-rowindex': instance.headerGroups.length + rowIndex + 1 },
+    ];
+  };
+
+  const getCellProps = (props) => [props, { role: 'gridcell' }];
+
+  hooks.useInstance.push(useInstance);
+  hooks.getTableProps.push(getTableProps);
+  hooks.getHeaderGroupProps.push(getHeaderGroupProps);
+  hooks.getRowProps.push(getRowProps);
+  hooks.getCellProps.push(getCellProps);
+};
+
+useGridNavigation.pluginName = 'useGridNavigation';
+
+export default useGridNavigation;
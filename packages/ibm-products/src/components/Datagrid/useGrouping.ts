@@ -0,0 +1,97 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { Hooks, TableInstance, UseGroupByOptions } from 'react-table';
+import DatagridGroupRow from './Datagrid/DatagridGroupRow';
+import {
+  GroupBar,
+  GroupByDropdown,
+  groupByDataType,
+} from './Datagrid/addons/Grouping';
+import { getColumnLabels } from './utils/getColumnLabels';
+import { DataGridState } from './types';
+
+// Aggregates available to the columns on top of the react-table ones (sum,
+// average, min, max, count...), by their `aggregate` name
+const aggregations = {
+  avg: (values) => {
+    const numbers = values.filter((value) => typeof value === 'number');
+    return numbers.length
+      ? numbers.reduce((total, value) => total + value, 0) / numbers.length
+      : null;
+  },
+};
+
+// Groups the rows by the columns in the `groupBy` state, using react-table's
+// `useGroupBy` which `useDatagrid` adds ahead of the sorting and expanding
+// plugins when this plugin is included
+const useGrouping = (hooks: Hooks) => {
+  hooks.useOptions.push((options) => ({
+    ...options,
+    aggregations: {
+      ...aggregations,
+      ...(options as UseGroupByOptions<any>).aggregations,
+    },
+  }));
+
+  // Headers are dragged to the group bar to group the rows by their column
+  const getHeaderProps = (props, { column }) => [
+    props,
+    column.canGroupBy
+      ? {
+          draggable: true,
+          onDragStart: (event) => {
+            if (event.target === event.currentTarget) {
+              event.dataTransfer.setData(groupByDataType, column.id);
+              event.dataTransfer.effectAllowed = 'copy';
+            }
+          },
+        }
+      : {},
+  ];
+
+  const prepareRow = (row) => {
+    if (row.isGrouped) {
+      Object.assign(row, { RowRenderer: DatagridGroupRow });
+    }
+  };
+
+  const useInstance = (instance: TableInstance) => {
+    const {
+      allColumns,
+      columns,
+      groupingProps,
+      state,
+      tableId,
+      toggleGroupBy,
+    } = instance as DataGridState & TableInstance;
+    const columnLabels = getColumnLabels(columns);
+    Object.assign(instance, {
+      withGrouping: true,
+      groupingColumnLabels: columnLabels,
+      GroupBar,
+      GroupByDropdown,
+      groupByDropdownProps: {
+        columns: allColumns
+          .filter((column: any) => column.canGroupBy && column.isVisible)
+          .map(({ id }) => ({ id, label: columnLabels[id] ?? id })),
+        groupBy: state.groupBy,
+        legendText: groupingProps?.labels?.groupByLabel,
+        onChange: toggleGroupBy,
+        tableId,
+      },
+    });
+  };
+
+  hooks.getHeaderProps.push(getHeaderProps);
+  hooks.prepareRow.push(prepareRow);
+  hooks.useInstance.push(useInstance);
+};
+
+useGrouping.pluginName = 'useGrouping';
+
+export default useGrouping;
@@ -21,7 +21,7 @@ export const useInitialColumnSort = (instance) => {
     if (sortableColumn) {
       const { id: columnId, order } = sortableColumn;
       const { newSortDesc, newOrder } = getNewSortOrder(order);
-      onSort?.(columnId, newOrder);
+      onSort?.(columnId, newOrder, [{ id: columnId, desc: newSortDesc }]);
       instance.toggleSortBy(columnId, newSortDesc, false);
       setHasInitialSort(true);
     }
@@ -5,15 +5,29 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { pkg } from '../../settings';
 import cx from 'classnames';
+import { Edit } from '@carbon/react/icons';
 import { InlineEditCell } from './Datagrid/addons/InlineEdit/InlineEditCell';
+import { BulkEditModal } from './Datagrid/addons/InlineEdit/BulkEditModal';
+import { getInvalidText } from './Datagrid/addons/InlineEdit/getInvalidText';
 import { Hooks, TableInstance } from 'react-table';
-import { DataGridState } from './types';
+import { DataGridState, DatagridColumn, DatagridRow } from './types';
 
 const blockClass = `${pkg.prefix}--datagrid`;
 
+const inlineEditTypes = [
+  'text',
+  'number',
+  'selection',
+  'date',
+  'checkbox',
+  'toggle',
+  'multiselect',
+  'textarea',
+];
+
 const useInlineEdit = (hooks: Hooks) => {
   const addInlineEdit = (props, { cell, instance }) => {
     const columnInlineEditConfig = cell.column.inlineEdit;
@@ -48,13 +62,7 @@ const useInlineEdit = (hooks: Hooks) => {
         role: 'gridcell',
         children: (
           <>
-            {inlineEditType === 'text' &&
-              renderInlineEditComponent(inlineEditType)}
-            {inlineEditType === 'number' &&
-              renderInlineEditComponent(inlineEditType)}
-            {inlineEditType === 'selection' &&
-              renderInlineEditComponent(inlineEditType)}
-            {inlineEditType === 'date' &&
+            {inlineEditTypes.includes(inlineEditType) &&
               renderInlineEditComponent(inlineEditType)}
             {/* Render default inline edit cell button, if it's column doesn't have an inline edit configuration */}
             {!inlineEditType && (
@@ -74,12 +82,65 @@ const useInlineEdit = (hooks: Hooks) => {
       },
     ];
   };
+  // With `bulkEditProps`, a batch action opens a modal to set a value in a
+  // column of all the selected rows, in a single update of the data
+  const useBulkEdit = (instance: TableInstance) => {
+    const { allColumns, bulkEditProps, onDataUpdate, toolbarBatchActions } =
+      instance as DataGridState & TableInstance;
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    if (!bulkEditProps) {
+      return;
+    }
+
+    // Returns the message of the first row for which the value is invalid, in
+    // which case no row is updated
+    const bulkEdit = (
+      columnId: string,
+      value,
+      rows = (instance as DataGridState).selectedFlatRows as DatagridRow[]
+    ) => {
+      const column = (allColumns as DatagridColumn[]).find(
+        ({ id }) => id === columnId
+      );
+      // The data of nested rows is not in the top level of the data
+      const editedRows = rows.filter((row) => !row.depth && !row.isGrouped);
+      for (const row of editedRows) {
+        const invalidText = getInvalidText(column?.inlineEdit, value, row);
+        if (invalidText) {
+          return invalidText;
+        }
+      }
+      const indexes = new Set(editedRows.map(({ index }) => index));
+      onDataUpdate?.((data) =>
+        data.map((item, index) =>
+          indexes.has(index) ? { ...item, [columnId]: value } : item
+        )
+      );
+      return null;
+    };
+
+    Object.assign(instance, {
+      bulkEdit,
+      bulkEditProps: { ...bulkEditProps, isModalOpen, setIsModalOpen },
+      BulkEditModal,
+      toolbarBatchActions: [
+        ...(toolbarBatchActions || []),
+        {
+          label: bulkEditProps.labels?.bulkEditLabel ?? 'Edit',
+          renderIcon: (props) => <Edit size={16} {...props} />,
+          onClick: () => setIsModalOpen(true),
+        },
+      ],
+    });
+  };
+
   hooks.getCellProps.push(addInlineEdit);
   hooks.useInstance.push((instance: TableInstance) => {
     Object.assign(instance as DataGridState, {
       withInlineEdit: true,
     });
   });
+  hooks.useInstance.push(useBulkEdit);
 };
 
 export default useInlineEdit;
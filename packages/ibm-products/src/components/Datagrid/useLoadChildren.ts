@@ -0,0 +1,120 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import DatagridChildrenStatusRow from './Datagrid/DatagridChildrenStatusRow';
+import { ChildrenStatus, DataGridState, DatagridRow } from './types';
+
+interface LoadedChildren {
+  status: ChildrenStatus;
+  children?: Array<any>;
+  error?: unknown;
+}
+
+const defaultGetSubRows = (row, _index?: number) => row.subRows || [];
+
+// Loads the children of the nested rows that declare `hasChildren` in their
+// data without `subRows`, with `onLoadChildren(row)`, when they are expanded.
+// The children are kept by the data row of their parent, which keeps them when
+// it is collapsed and loads them again when it is replaced
+const useLoadChildren = (hooks: Hooks) => {
+  const [loadedChildren, setLoadedChildren] = useState(
+    new Map<object, LoadedChildren>()
+  );
+  const getSubRowsRef =
+    useRef<(row, index: number) => Array<any>>(defaultGetSubRows);
+
+  // The rows are built again, with the loaded children as their `subRows`,
+  // only when children are loaded
+  const getSubRows = useCallback(
+    (row, index) =>
+      loadedChildren.get(row)?.children ?? getSubRowsRef.current(row, index),
+    [loadedChildren]
+  );
+
+  hooks.useOptions.push((options) => {
+    if (!(options as DataGridState).onLoadChildren) {
+      return options;
+    }
+    getSubRowsRef.current = options.getSubRows || defaultGetSubRows;
+    return { ...options, getSubRows };
+  });
+
+  const useInstance = (instance: TableInstance) => {
+    const { onLoadChildren, rows } = instance as DataGridState;
+
+    const getChildrenStatus = (row: DatagridRow) => {
+      if (!row.original?.hasChildren) {
+        return undefined;
+      }
+      return (
+        loadedChildren.get(row.original)?.status ??
+        (row.subRows?.length ? 'loaded' : undefined)
+      );
+    };
+
+    const loadChildren = (row: DatagridRow) => {
+      const { original } = row;
+      const update = (loaded: LoadedChildren) =>
+        setLoadedChildren((map) => new Map(map).set(original, loaded));
+      update({ status: 'loading' });
+      onLoadChildren?.(row).then(
+        (children) => update({ status: 'loaded', children }),
+        (error) => update({ status: 'error', error })
+      );
+    };
+
+    useEffect(() => {
+      if (!onLoadChildren) {
+        return;
+      }
+      (rows as DatagridRow[])
+        .filter((row) => row.isExpanded && !getChildrenStatus(row))
+        .forEach(loadChildren);
+    });
+
+    if (!onLoadChildren) {
+      return;
+    }
+
+    // A row under each expanded row whose children are not loaded yet, or
+    // could not be loaded
+    const rowsWithStatus = (rows as DatagridRow[]).flatMap((row) => {
+      if (!row.original?.hasChildren) {
+        return [row];
+      }
+      const status = getChildrenStatus(row);
+      if (status !== 'loaded') {
+        row.canExpand = true;
+      }
+      if (!row.isExpanded || status === 'loaded') {
+        return [row];
+      }
+      const statusRow = {
+        id: `${row.id}-children-status`,
+        depth: row.depth + 1,
+        values: {},
+        subRows: [],
+        parentRow: row,
+        childrenStatus: status ?? 'loading',
+        RowRenderer: DatagridChildrenStatusRow,
+      };
+      return [row, statusRow];
+    });
+
+    Object.assign(instance, {
+      rows: rowsWithStatus,
+      loadChildren,
+      getChildrenStatus,
+    });
+  };
+
+  hooks.useInstance.push(useInstance);
+};
+
+export default useLoadChildren;
@@ -8,14 +8,20 @@
 import cx from 'classnames';
 import { pkg } from '../../settings';
 import useNestedRowExpander from './useNestedRowExpander';
+import useLoadChildren from './useLoadChildren';
 import { useEffect } from 'react';
 import { Hooks, TableInstance } from 'react-table';
 import { DataGridState, DatagridRow } from './types';
 
 const blockClass = `${pkg.prefix}--datagrid`;
 
+// The first data column, under the group headers of nested columns
+const getFirstLeafColumn = (column) =>
+  column?.columns?.length ? getFirstLeafColumn(column.columns[0]) : column;
+
 const useNestedRows = (hooks: Hooks) => {
   useNestedRowExpander(hooks);
+  useLoadChildren(hooks);
   const useInstance = (instance: TableInstance) => {
     useEffect(() => {
       const { rows } = instance as DataGridState;
@@ -84,7 +90,7 @@ const useNestedRows = (hooks: Hooks) => {
     const getCellProps = (props, { cell, instance }) => {
       // we add a dynamic -ve margin right only if the cell is resized below minimum width i.e 50px, else we set the width based on indentation at different levels
       const isFirstCell =
-        instance.columns.findIndex((c) => c.id === cell.column.id) === 0;
+        getFirstLeafColumn(instance.columns[0])?.id === cell.column.id;
       return [
         props,
         {
@@ -0,0 +1,163 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import { pkg } from '../../settings';
+import {
+  DataGridState,
+  DatagridRow,
+  PinnedRowIds,
+  RowPinPosition,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+const withoutRowId = ({ top, bottom }: PinnedRowIds, rowId: string) => ({
+  top: top.filter((id) => id !== rowId),
+  bottom: bottom.filter((id) => id !== rowId),
+});
+
+// Pins rows to the top or the bottom of the table, where they are rendered
+// apart from the other rows, with `pinRow` or with the pin actions added to the
+// row actions. The pinned rows are left out of the other rows, before they are
+// paginated, unless `duplicatePinnedRows` keeps them there too
+const usePinnedRows = (hooks: Hooks) => {
+  // The pin actions follow the row actions of the table, whatever the order
+  // of the plugins
+  const addPinRowActions = (options) => {
+    const { pinnedRowsProps, rowActions } = options;
+    if (
+      !Array.isArray(rowActions) ||
+      pinnedRowsProps?.withRowActions === false
+    ) {
+      return options;
+    }
+    const {
+      pinToTopLabel = 'Pin to top',
+      pinToBottomLabel = 'Pin to bottom',
+      unpinLabel = 'Unpin',
+    } = pinnedRowsProps?.labels || {};
+    const getPinRowAction = (
+      id: string,
+      itemText: string,
+      position: RowPinPosition | null
+    ) => ({
+      id,
+      itemText,
+      shouldHideMenuItem: (row: DatagridRow) =>
+        (row.pinnedPosition ?? null) === position,
+      onClick: (actionId: string, row: DatagridRow) => row.pin?.(position),
+    });
+    return {
+      ...options,
+      rowActions: [
+        ...rowActions,
+        getPinRowAction('pinRowToTop', pinToTopLabel, 'top'),
+        getPinRowAction('pinRowToBottom', pinToBottomLabel, 'bottom'),
+        getPinRowAction('unpinRow', unpinLabel, null),
+      ],
+    };
+  };
+
+  const useInstance = (instance: TableInstance) => {
+    const { pinnedRowsProps, rows } = instance as DataGridState & TableInstance;
+    const {
+      initialPinnedRowIds,
+      duplicatePinnedRows = false,
+      onPinnedRowsChange,
+    } = pinnedRowsProps || {};
+    const [pinnedRowIds, setPinnedRowIds] = useState<PinnedRowIds>(() => ({
+      top: initialPinnedRowIds?.top ?? [],
+      bottom: initialPinnedRowIds?.bottom ?? [],
+    }));
+    // Rows can be pinned one after the other before the table renders again
+    const pinnedRowIdsRef = useRef(pinnedRowIds);
+    pinnedRowIdsRef.current = pinnedRowIds;
+
+    const changePinnedRowIds = (newPinnedRowIds: PinnedRowIds) => {
+      pinnedRowIdsRef.current = newPinnedRowIds;
+      setPinnedRowIds(newPinnedRowIds);
+      onPinnedRowsChange?.(newPinnedRowIds);
+    };
+
+    // A pinned row moves to the end of the rows pinned where it goes
+    const pinRow = (rowId: string, position: RowPinPosition) => {
+      const otherPinnedRowIds = withoutRowId(pinnedRowIdsRef.current, rowId);
+      changePinnedRowIds({
+        ...otherPinnedRowIds,
+        [position]: [...otherPinnedRowIds[position], rowId],
+      });
+    };
+
+    const getRowPinnedPosition = (rowId: string): RowPinPosition | null => {
+      const { top, bottom } = pinnedRowIdsRef.current;
+      return top.includes(rowId)
+        ? 'top'
+        : bottom.includes(rowId)
+        ? 'bottom'
+        : null;
+    };
+
+    const unpinRow = (rowId: string) => {
+      if (getRowPinnedPosition(rowId)) {
+        changePinnedRowIds(withoutRowId(pinnedRowIdsRef.current, rowId));
+      }
+    };
+
+    // The pinned rows are the filtered and sorted rows, in the order they are
+    // pinned, so that they are not shown when they are filtered out
+    const rowsById = new Map(
+      (rows as DatagridRow[]).map((row) => [row.id, row])
+    );
+    const getPinnedRows = (rowIds: string[]) =>
+      rowIds
+        .map((rowId) => rowsById.get(rowId))
+        .filter((row): row is DatagridRow => !!row);
+
+    Object.assign(instance, {
+      withPinnedRows: true,
+      pinnedRowIds,
+      pinnedRows: {
+        top: getPinnedRows(pinnedRowIds.top),
+        bottom: getPinnedRows(pinnedRowIds.bottom),
+      },
+      pinRow,
+      unpinRow,
+      getRowPinnedPosition,
+      ...(!duplicatePinnedRows && {
+        rows: (rows as DatagridRow[]).filter(
+          (row) => !getRowPinnedPosition(row.id)
+        ),
+      }),
+    });
+  };
+
+  const prepareRow = (row, { instance }) => {
+    Object.assign(row, {
+      pinnedPosition: instance.getRowPinnedPosition(row.id),
+      pin: (position: RowPinPosition | null) =>
+        position
+          ? instance.pinRow(row.id, position)
+          : instance.unpinRow(row.id),
+    });
+  };
+
+  const getRowProps = (props, { row }) => [
+    props,
+    row.pinnedPosition ? { className: `${blockClass}__row--pinned` } : {},
+  ];
+
+  hooks.useOptions.push(addPinRowActions);
+  hooks.useInstance.push(useInstance);
+  hooks.prepareRow.push(prepareRow);
+  hooks.getRowProps.push(getRowProps);
+};
+
+usePinnedRows.pluginName = 'usePinnedRows';
+
+export default usePinnedRows;
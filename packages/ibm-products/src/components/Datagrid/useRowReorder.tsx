@@ -0,0 +1,426 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import cx from 'classnames';
+import { Draggable } from '@carbon/react/icons';
+import { pkg } from '../../settings';
+import { rowReorderColumnId } from './common-column-ids';
+import {
+  DataGridState,
+  DatagridColumn,
+  DatagridRow,
+  RowReorderAnnouncement,
+} from './types';
+
+const blockClass = `${pkg.prefix}--datagrid`;
+
+const defaultAnnouncements: Record<
+  RowReorderAnnouncement,
+  (args: { label: string; position: number; count: number }) => string
+> = {
+  grabbed: ({ label, position, count }) =>
+    `${label} grabbed. Current position ${position} of ${count}.`,
+  moved: ({ label, position, count }) =>
+    `${label} moved. New position ${position} of ${count}.`,
+  dropped: ({ label, position, count }) =>
+    `${label} dropped. Final position ${position} of ${count}.`,
+  cancelled: ({ label, position, count }) =>
+    `Reordering cancelled. ${label} returned to position ${position} of ${count}.`,
+};
+
+// The instructions the handles are described by, and the live region in which
+// the moves are announced
+const RowReorderAssistiveText = ({ instance }: { instance: DataGridState }) => {
+  const { rowReorderAnnouncement, rowReorderProps, tableId } = instance;
+  return (
+    <>
+      <span
+        id={`${tableId}-row-reorder-instructions`}
+        className={`${blockClass}__shared-ui--assistive-text`}
+      >
+        {rowReorderProps?.labels?.instructionsLabel ??
+          'Press Space to pick up the row, the up and down arrow keys to move it, Space to drop it and Escape to cancel.'}
+      </span>
+      <span
+        aria-live="assertive"
+        className={`${blockClass}__shared-ui--assistive-text`}
+      >
+        {rowReorderAnnouncement}
+      </span>
+    </>
+  );
+};
+
+const clamp = (index: number, length: number) =>
+  Math.min(Math.max(index, 0), length - 1);
+
+const move = <T,>(items: T[], fromIndex: number, toIndex: number) => {
+  const newItems = [...items];
+  const [item] = newItems.splice(fromIndex, 1);
+  newItems.splice(toIndex, 0, item);
+  return newItems;
+};
+
+const RowReorderHeader = (instance?: DataGridState) => (
+  <span className={`${blockClass}__shared-ui--assistive-text`}>
+    {instance?.rowReorderProps?.labels?.columnLabel ?? 'Reorder rows'}
+  </span>
+);
+
+// The handles are the same component between renders, keeping the focus
+// while the rows are moved. The button is dragged through the element around
+// it, since buttons cannot be dragged in Firefox
+const RowReorderHandle = ({
+  row,
+  getRowReorderLabel,
+  rowReorderHandlers,
+  rowReorderProps,
+  rowReorderState,
+  tableId,
+}: DataGridState & { row: DatagridRow }) => {
+  if (row.isSkeleton) {
+    return null;
+  }
+  const isGrabbed = rowReorderState?.grabbedRowId === row.id;
+  return (
+    // The keyboard goes through the button
+    // eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions
+    <span
+      className={`${blockClass}__row-reorder-drag-handle`}
+      draggable={!rowReorderState?.isDisabled}
+      onDragStart={(event) => rowReorderHandlers?.onDragStart(event, row)}
+      onDragEnd={rowReorderHandlers?.onDragEnd}
+      // Prevents `onRowClick` from being called if `useOnRowClick` is included
+      onClick={(event) => event.stopPropagation()}
+    >
+      <button
+        type="button"
+        id={`${tableId}-row-reorder-${row.id}`}
+        className={cx(`${blockClass}__row-reorder-handle`, {
+          [`${blockClass}__row-reorder-handle--grabbed`]: isGrabbed,
+        })}
+        aria-label={`${
+          rowReorderProps?.labels?.handleLabel ?? 'Reorder'
+        } ${getRowReorderLabel?.(row)}`}
+        aria-describedby={`${tableId}-row-reorder-instructions`}
+        aria-pressed={isGrabbed}
+        disabled={rowReorderState?.isDisabled}
+        onKeyDown={(event) => rowReorderHandlers?.onKeyDown(event, row)}
+        onBlur={() => rowReorderHandlers?.onBlur(row)}
+      >
+        <Draggable size={16} />
+      </button>
+    </span>
+  );
+};
+
+// The row picked up with the keyboard or dragged with the mouse, by the id of
+// its parent and its index among its siblings, the ids of the rows being their
+// index unless `getRowId` is passed
+interface PickedRow {
+  parentId: string | null;
+  index: number;
+  startIndex: number;
+}
+
+// Reorders the rows with a drag handle in the first column, by dragging it
+// with the mouse or by picking the row up with Space, moving it with the up
+// and down arrow keys and dropping it with Space, Escape putting it back. A row
+// only moves among its siblings, the data is reordered by `onRowOrderChange`
+const useRowReorder = (hooks: Hooks) => {
+  // The expanded rows stay expanded when the data is reordered
+  hooks.useOptions.push((options) => ({
+    autoResetExpanded: false,
+    ...options,
+  }));
+
+  const useInstance = (instance: TableInstance) => {
+    const {
+      data,
+      onRowOrderChange,
+      rows,
+      rowReorderProps,
+      state,
+      tableId,
+      visibleColumns,
+      isFetching,
+    } = instance as DataGridState & TableInstance;
+    const [grabbedRow, setGrabbedRow] = useState<PickedRow | null>(null);
+    const [dropTarget, setDropTarget] = useState<{
+      rowId: string;
+      position: 'before' | 'after';
+    } | null>(null);
+    const [announcement, setAnnouncement] = useState('');
+    const draggedRowRef = useRef<PickedRow | null>(null);
+    // The focus follows the row when it is moved with the keyboard
+    const focusedRowRef = useRef<Omit<PickedRow, 'startIndex'> | null>(null);
+
+    // The parents of the nested rows, the rows being moved among the children
+    // of their parent
+    const parents: Record<string, DatagridRow | null> = {};
+    const rowsById: Record<string, DatagridRow> = {};
+    const walk = (items: DatagridRow[], parent: DatagridRow | null) =>
+      items.forEach((row) => {
+        parents[row.id] = parent;
+        rowsById[row.id] = row;
+        walk((row.subRows || []) as DatagridRow[], row);
+      });
+    // The expanded rows follow their parent, the top level rows keeping their
+    // children whether they are expanded or not
+    const topRows = (rows as DatagridRow[]).filter((row) => !row.depth);
+    walk(topRows, null);
+
+    const getSiblings = (parentId: string | null) =>
+      parentId === null
+        ? topRows
+        : ((rowsById[parentId]?.subRows || []) as DatagridRow[]);
+    const getParentId = (row: DatagridRow) => parents[row.id]?.id ?? null;
+
+    // The rows are in the order of the data as long as they are not sorted,
+    // filtered or grouped
+    const { sortBy, filters, globalFilter, groupBy } = state as any;
+    const isDisabled =
+      !!isFetching ||
+      !!sortBy?.length ||
+      !!filters?.length ||
+      !!globalFilter ||
+      !!groupBy?.length;
+
+    const labelColumn = (visibleColumns as DatagridColumn[]).find(
+      (column: any) => column.accessor && !column.isAction
+    );
+    const getRowLabel = (row: DatagridRow) =>
+      rowReorderProps?.getRowLabel?.(row) ??
+      String(
+        labelColumn ? row.values[labelColumn.id] ?? '' : Number(row.index) + 1
+      );
+
+    const announce = (
+      type: RowReorderAnnouncement,
+      row: DatagridRow,
+      position: number,
+      count: number
+    ) => {
+      const args = { label: getRowLabel(row), position: position + 1, count };
+      setAnnouncement(
+        rowReorderProps?.getAnnouncement?.(type, args) ??
+          defaultAnnouncements[type](args)
+      );
+    };
+
+    // Moves the row among its siblings, updating the data of its parent
+    const moveRow = (row: DatagridRow, toIndex: number) => {
+      const parentId = getParentId(row);
+      const siblings = getSiblings(parentId);
+      const fromIndex = siblings.findIndex(({ id }) => id === row.id);
+      const newIndex = clamp(toIndex, siblings.length);
+      if (fromIndex < 0 || fromIndex === newIndex) {
+        return fromIndex;
+      }
+      const path: number[] = [];
+      for (let parent = parents[row.id]; parent; parent = parents[parent.id]) {
+        path.unshift(parent.index);
+      }
+      const reorder = (items: any[], depth: number) =>
+        depth === path.length
+          ? move(items, fromIndex, newIndex)
+          : items.map((item, index) =>
+              index === path[depth]
+                ? { ...item, subRows: reorder(item.subRows || [], depth + 1) }
+                : item
+            );
+      onRowOrderChange?.(reorder(data as any[], 0), {
+        row,
+        fromIndex,
+        toIndex: newIndex,
+      });
+      return newIndex;
+    };
+
+    useEffect(() => {
+      if (!focusedRowRef.current) {
+        return;
+      }
+      const { parentId, index } = focusedRowRef.current;
+      const row = getSiblings(parentId)[index];
+      document.getElementById(`${tableId}-row-reorder-${row?.id}`)?.focus();
+      // The handle that had the focus is blurred without dropping the row
+      focusedRowRef.current = null;
+    });
+
+    const dropGrabbedRow = (row: DatagridRow) => {
+      const count = getSiblings(getParentId(row)).length;
+      announce('dropped', row, grabbedRow!.index, count);
+      setGrabbedRow(null);
+    };
+
+    const onHandleKeyDown = (event, row: DatagridRow) => {
+      const parentId = getParentId(row);
+      const siblings = getSiblings(parentId);
+      const index = siblings.findIndex(({ id }) => id === row.id);
+      const isGrabbed =
+        grabbedRow?.parentId === parentId && grabbedRow.index === index;
+      if (event.key === ' ' || event.key === 'Enter') {
+        event.preventDefault();
+        if (isGrabbed) {
+          dropGrabbedRow(row);
+        } else {
+          setGrabbedRow({ parentId, index, startIndex: index });
+          announce('grabbed', row, index, siblings.length);
+        }
+        return;
+      }
+      if (!isGrabbed) {
+        return;
+      }
+      if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+        event.preventDefault();
+        const newIndex = moveRow(
+          row,
+          index + (event.key === 'ArrowUp' ? -1 : 1)
+        );
+        focusedRowRef.current = { parentId, index: newIndex };
+        setGrabbedRow({ ...grabbedRow, index: newIndex });
+        announce('moved', row, newIndex, siblings.length);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        moveRow(row, grabbedRow.startIndex);
+        focusedRowRef.current = { parentId, index: grabbedRow.startIndex };
+        setGrabbedRow(null);
+        announce('cancelled', row, grabbedRow.startIndex, siblings.length);
+      }
+    };
+
+    const isDropAllowed = (row: DatagridRow) => {
+      const draggedRow = draggedRowRef.current;
+      return (
+        !!draggedRow &&
+        draggedRow.parentId === getParentId(row) &&
+        getSiblings(draggedRow.parentId)[draggedRow.index]?.id !== row.id
+      );
+    };
+
+    Object.assign(instance, {
+      withRowReorder: true,
+      RowReorderAssistiveText,
+      moveRow,
+      getRowReorderLabel: getRowLabel,
+      rowReorderAnnouncement: announcement,
+      rowReorderState: {
+        isDisabled,
+        grabbedRowId: grabbedRow
+          ? getSiblings(grabbedRow.parentId)[grabbedRow.index]?.id
+          : null,
+        dropTarget,
+      },
+      rowReorderHandlers: {
+        onKeyDown: onHandleKeyDown,
+        // A grabbed row is dropped where it is when the handle loses the focus
+        onBlur: (row: DatagridRow) => {
+          if (grabbedRow && !focusedRowRef.current) {
+            dropGrabbedRow(row);
+          }
+        },
+        onDragStart: (event, row: DatagridRow) => {
+          const parentId = getParentId(row);
+          const index = getSiblings(parentId).findIndex(
+            ({ id }) => id === row.id
+          );
+          draggedRowRef.current = { parentId, index, startIndex: index };
+          event.dataTransfer?.setData('text/plain', row.id);
+          if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+          }
+          const rowElement = event.currentTarget.closest('tr');
+          if (rowElement) {
+            event.dataTransfer?.setDragImage?.(rowElement, 0, 0);
+          }
+          announce('grabbed', row, index, getSiblings(parentId).length);
+        },
+        onDragEnd: () => {
+          draggedRowRef.current = null;
+          setDropTarget(null);
+        },
+        onDragOver: (event, row: DatagridRow) => {
+          if (!isDropAllowed(row)) {
+            return;
+          }
+          event.preventDefault();
+          if (event.dataTransfer) {
+            event.dataTransfer.dropEffect = 'move';
+          }
+          const { top, height } = event.currentTarget.getBoundingClientRect();
+          const position =
+            event.clientY > top + height / 2 ? 'after' : 'before';
+          if (
+            dropTarget?.rowId !== row.id ||
+            dropTarget?.position !== position
+          ) {
+            setDropTarget({ rowId: row.id, position });
+          }
+        },
+        onDrop: (event, row: DatagridRow) => {
+          if (!isDropAllowed(row)) {
+            return;
+          }
+          event.preventDefault();
+          const { index: fromIndex, parentId } = draggedRowRef.current!;
+          const siblings = getSiblings(parentId);
+          const draggedRow = siblings[fromIndex];
+          const targetIndex = siblings.findIndex(({ id }) => id === row.id);
+          const toIndex =
+            targetIndex +
+            (dropTarget?.position === 'after' ? 1 : 0) -
+            (fromIndex < targetIndex ? 1 : 0);
+          const newIndex = moveRow(draggedRow, toIndex);
+          announce('dropped', draggedRow, newIndex, siblings.length);
+          draggedRowRef.current = null;
+          setDropTarget(null);
+        },
+      },
+    });
+  };
+
+  const visibleColumns = (columns) => [
+    {
+      id: rowReorderColumnId,
+      width: 48,
+      disableResizing: true,
+      disableSortBy: true,
+      Header: RowReorderHeader,
+      Cell: RowReorderHandle,
+    },
+    ...columns,
+  ];
+
+  const getRowProps = (props, { row, instance }) => {
+    const { rowReorderHandlers, rowReorderState } = instance;
+    const { dropTarget, grabbedRowId } = rowReorderState;
+    return [
+      props,
+      {
+        className: cx({
+          [`${blockClass}__row-reorder--grabbed`]: grabbedRowId === row.id,
+          [`${blockClass}__row-reorder--drop-${dropTarget?.position}`]:
+            dropTarget?.rowId === row.id,
+        }),
+        onDragOver: (event) => rowReorderHandlers.onDragOver(event, row),
+        onDrop: (event) => rowReorderHandlers.onDrop(event, row),
+      },
+    ];
+  };
+
+  hooks.useInstance.push(useInstance);
+  hooks.visibleColumns.push(visibleColumns);
+  hooks.getRowProps.push(getRowProps);
+};
+
+useRowReorder.pluginName = 'useRowReorder';
+
+export default useRowReorder;
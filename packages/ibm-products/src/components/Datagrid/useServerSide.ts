@@ -0,0 +1,69 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useMemo, useRef } from 'react';
+import debounce from 'lodash/debounce';
+import { Hooks, TableInstance } from 'react-table';
+import { DataGridState } from './types';
+
+const useServerSide = (hooks: Hooks) => {
+  // Sorting, filtering and pagination are left to the server, and the
+  // returned rows must not reset the query that produced them
+  hooks.useOptions.push((options) => ({
+    ...options,
+    manualFilters: true,
+    manualGlobalFilter: true,
+    manualSortBy: true,
+    manualPagination: true,
+    autoResetFilters: false,
+    autoResetGlobalFilter: false,
+    autoResetSortBy: false,
+  }));
+
+  const useInstance = (instance: TableInstance) => {
+    const {
+      isFetching,
+      onQueryChange,
+      queryChangeDelay,
+      rowCount,
+      rows,
+      state,
+    } = instance as DataGridState;
+    const { sortBy, filters, globalFilter, pageIndex, pageSize } = state;
+
+    const onQueryChangeRef = useRef(onQueryChange);
+    onQueryChangeRef.current = onQueryChange;
+    const emitQueryChange = useMemo(
+      () =>
+        debounce(
+          (query) => onQueryChangeRef.current?.(query),
+          typeof queryChangeDelay === 'number' ? queryChangeDelay : 300
+        ),
+      [queryChangeDelay]
+    );
+    useEffect(() => () => emitQueryChange.cancel(), [emitQueryChange]);
+
+    // Emitted once on mount, and once for every burst of changes after that
+    useEffect(() => {
+      emitQueryChange({ sortBy, filters, globalFilter, pageIndex, pageSize });
+    }, [emitQueryChange, sortBy, filters, globalFilter, pageIndex, pageSize]);
+
+    Object.assign(instance, {
+      withServerSide: true,
+      // Only the skeleton rows are shown while the next rows are fetched
+      rows: isFetching ? rows.filter((row) => row.isSkeleton) : rows,
+      ...(typeof rowCount === 'number' &&
+        pageSize && {
+          pageCount: Math.ceil(rowCount / pageSize),
+        }),
+    });
+  };
+
+  hooks.useInstance.push(useInstance);
+};
+
+export default useServerSide;
@@ -12,7 +12,7 @@ import { Button } from '@carbon/react';
 import { ArrowUp, ArrowDown, ArrowsVertical } from '@carbon/react/icons';
 import { SelectAll } from './Datagrid/DatagridSelectAll';
 import { DatagridSlug } from './Datagrid/addons/Slug/DatagridSlug';
-import { Hooks, TableInstance } from 'react-table';
+import { Hooks, SortingRule, TableInstance } from 'react-table';
 import { DataGridState } from './types';
 
 const blockClass = `${pkg.prefix}--datagrid`;
@@ -62,6 +62,25 @@ const getAriaSortValue = (
   }
 };
 
+// Shift+click adds the column to the sorted columns, or changes its order
+// without changing its priority, the column being removed from the sorted
+// columns after its descending order
+const getMultiSortBy = (
+  sortBy: Array<SortingRule<any>>,
+  { id, desc }: SortingRule<any>,
+  newOrder: string,
+  maxMultiSortColCount = Number.MAX_SAFE_INTEGER
+) => {
+  if (newOrder === ordering.NONE) {
+    return sortBy.filter((sort) => sort.id !== id);
+  }
+  if (sortBy.some((sort) => sort.id === id)) {
+    return sortBy.map((sort) => (sort.id === id ? { id, desc } : sort));
+  }
+  // The latest columns are kept when there are too many
+  return [...sortBy, { id, desc }].slice(-maxMultiSortColCount);
+};
+
 const getAriaPressedValue = (col) => {
   if (!col) {
     return;
@@ -80,6 +99,7 @@ const useSortableColumns = (hooks: Hooks) => {
       ascendingSortableLabelText,
       descendingSortableLabelText,
       defaultSortableLabelText,
+      sortPriorityLabelText = 'sort priority',
     } = instance;
     const onSortClick = (event, column) => {
       const slug =
@@ -93,11 +113,33 @@ const useSortableColumns = (hooks: Hooks) => {
       const key = column.id;
       const sortDesc = column.isSortedDesc;
       const { newSortDesc, newOrder } = getNewSortOrder(sortDesc);
+      const sortBy = event.shiftKey
+        ? getMultiSortBy(
+            instance.state.sortBy || [],
+            { id: key, desc: newSortDesc },
+            newOrder,
+            instance.maxMultiSortColCount
+          )
+        : newOrder === ordering.NONE
+        ? []
+        : [{ id: key, desc: newSortDesc }];
       if (onSort) {
-        onSort(key, newOrder);
+        onSort(key, newOrder, sortBy);
+      }
+      instance.setSortBy(sortBy);
+    };
+    // Shift+Enter and Shift+Space are the keyboard equivalent of Shift+click
+    const onSortKeyDown = (event, column) => {
+      if (event.shiftKey && (event.key === 'Enter' || event.key === ' ')) {
+        event.preventDefault();
+        onSortClick(event, column);
       }
-      instance.toggleSortBy(key, newSortDesc, false);
     };
+    // The position of the column in the sorted columns, when there are several
+    const getSortPriority = (col) =>
+      col?.isSorted && instance.state.sortBy?.length > 1
+        ? col.sortedIndex + 1
+        : null;
     const sortableColumns = visibleColumns.map((column) => {
       const icon = (col, props) => {
         const iconProps = {
@@ -117,10 +159,11 @@ const useSortableColumns = (hooks: Hooks) => {
         }
         return <ArrowsVertical {...iconProps} />;
       };
-      const Header = (headerProp) =>
-        column.disableSortBy === true ||
-        column.id === 'datagridSelection' ||
-        column.isAction ? (
+      const Header = (headerProp) => {
+        const sortPriority = getSortPriority(headerProp?.column);
+        return column.disableSortBy === true ||
+          column.id === 'datagridSelection' ||
+          column.isAction ? (
           column.disableSortBy || column.isAction ? (
             column.Header
           ) : (
@@ -135,15 +178,22 @@ const useSortableColumns = (hooks: Hooks) => {
             })}
             aria-pressed={getAriaPressedValue(headerProp?.column)}
             onClick={(event) => onSortClick(event, headerProp?.column)}
+            onKeyDown={(event) => onSortKeyDown(event, headerProp?.column)}
             kind="ghost"
-            renderIcon={(props) => {
-              return (
-                <>
-                  <DatagridSlug slug={headerProp?.column?.slug} />
-                  {icon(headerProp?.column, props)}
-                </>
-              );
-            }}
+            renderIcon={(props) => (
+              <>
+                <DatagridSlug slug={headerProp?.column?.slug} />
+                {icon(headerProp?.column, props)}
+                {sortPriority && (
+                  <span
+                    className={`${blockClass}__sort-priority`}
+                    aria-hidden="true"
+                  >
+                    {sortPriority}
+                  </span>
+                )}
+              </>
+            )}
             className={cx(
               `${carbon.prefix}--table-sort ${blockClass}--table-sort`,
               {
@@ -155,8 +205,14 @@ const useSortableColumns = (hooks: Hooks) => {
             )}
           >
             {column.Header}
+            {sortPriority && (
+              <span className={`${carbon.prefix}--visually-hidden`}>
+                {`${sortPriorityLabelText} ${sortPriority}`}
+              </span>
+            )}
           </Button>
         );
+      };
       return {
         ...column,
         Header,
@@ -173,9 +229,21 @@ const useSortableColumns = (hooks: Hooks) => {
       : [...sortableColumns];
   };
 
+  // Set as an option rather than on the instance for `useSortBy` to know the
+  // rows are sorted elsewhere from the first render, eg by `useServerSide`,
+  // as it resets the sorting when that changes
+  hooks.useOptions.push((options) => {
+    const { onSort, manualSortBy } = options as DataGridState;
+    return {
+      ...options,
+      manualSortBy: !!onSort || !!manualSortBy,
+    };
+  });
+
   const sortInstanceProps = (instance: TableInstance) => {
-    const { onSort } = instance as DataGridState;
-    Object.assign(instance, { manualSortBy: !!onSort, isTableSortable: true });
+    Object.assign(instance, {
+      isTableSortable: true,
+    });
   };
 
   hooks.visibleColumns.push(sortableVisibleColumns);
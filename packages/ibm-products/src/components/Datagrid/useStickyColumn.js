@@ -36,6 +36,8 @@ const useStickyColumn = (hooks) => {
   }, []);
 
   hooks.getCellProps.push(changeProps.bind(null, 'cell', null, windowSize));
+  // The footer cells stick like the cells of their column
+  hooks.getFooterProps.push(changeProps.bind(null, 'cell', null, windowSize));
   hooks.getHeaderProps.push(
     changeProps.bind(null, 'header', stickyHeaderCellRef, windowSize)
   );
@@ -139,9 +141,22 @@ const addTableBodyProps = (tableBodyRef, props) => [
   },
 ];
 
+// The header of a column group sticks when all the columns under it stick to
+// the same side
+const getSticky = (column) => {
+  if (!column.headers) {
+    return column.sticky;
+  }
+  const sides = column.headers.map(getSticky);
+  return sides.every((side) => side === sides[0]) ? sides[0] : undefined;
+};
+
 const changeProps = (elementName, headerCellRef, windowSize, props, data) => {
   const column = data.column || data.cell.column;
-  if (column.sticky === 'right') {
+  const sticky = getSticky(column);
+  // the ref is kept for the header of the column itself
+  const ref = !column.headers && headerCellRef;
+  if (sticky === 'right') {
     return [
       props,
       {
@@ -150,13 +165,13 @@ const changeProps = (elementName, headerCellRef, windowSize, props, data) => {
           [`${blockClass}__resizableColumn`]: false,
           [`${blockClass}__sortableColumn`]: false,
         }),
-        ...(headerCellRef && {
-          ref: headerCellRef,
+        ...(ref && {
+          ref,
         }),
       },
     ];
   }
-  if (column.sticky === 'left') {
+  if (sticky === 'left') {
     return [
       props,
       {
@@ -166,8 +181,8 @@ const changeProps = (elementName, headerCellRef, windowSize, props, data) => {
           [`${leftStickyStyleClassPrefix}-${elementName}--with-extra-select-column`]:
             data?.instance?.withSelectRows && windowSize > 671,
         }),
-        ...(headerCellRef && {
-          ref: headerCellRef,
+        ...(ref && {
+          ref,
         }),
       },
     ];
@@ -0,0 +1,115 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { Hooks, TableInstance } from 'react-table';
+import {
+  VIEW_STATE_VERSION,
+  getInitialState,
+  getViewState,
+} from './utils/viewState';
+import { DataGridState, DatagridViewState, ViewStateStorage } from './types';
+
+export { VIEW_STATE_VERSION };
+
+const localViewStateStorage: ViewStateStorage = {
+  getItem: (key) => window.localStorage.getItem(key),
+  setItem: (key, value) => window.localStorage.setItem(key, value),
+};
+
+// Keeps the view state in a query string parameter, replacing the current
+// history entry so that every change does not add one
+const urlViewStateStorage: ViewStateStorage = {
+  getItem: (key) => new URLSearchParams(window.location.search).get(key),
+  setItem: (key, value) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set(key, value);
+    window.history.replaceState(window.history.state, '', url.toString());
+  },
+};
+
+const getStorage = (
+  viewStateStorage: DataGridState['viewStateStorage']
+): ViewStateStorage =>
+  viewStateStorage === 'url'
+    ? urlViewStateStorage
+    : !viewStateStorage || viewStateStorage === 'localStorage'
+    ? localViewStateStorage
+    : viewStateStorage;
+
+// Storage can be unavailable (eg blocked cookies) or hold anything, in which
+// case there is no view state to restore
+const loadViewState = (
+  storage: ViewStateStorage,
+  key: string
+): DatagridViewState | null => {
+  try {
+    const viewState = JSON.parse(storage.getItem(key) || 'null');
+    return viewState?.version === VIEW_STATE_VERSION ? viewState : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveViewState = (
+  storage: ViewStateStorage,
+  key: string,
+  serializedViewState: string
+) => {
+  try {
+    storage.setItem(key, serializedViewState);
+  } catch (error) {
+    // The view state is not persisted when the storage is unavailable or full
+  }
+};
+
+const useViewState = (hooks: Hooks) => {
+  // The saved view state takes the place of the initial state, it is only
+  // loaded once as react-table only reads `initialState` on mount
+  const useRestoreViewState = (options) => {
+    const { viewStateKey, viewStateStorage } = options as DataGridState;
+    const [viewState] = useState(() =>
+      viewStateKey
+        ? loadViewState(getStorage(viewStateStorage), viewStateKey)
+        : null
+    );
+    if (!viewState) {
+      return options;
+    }
+    return {
+      ...options,
+      initialState: getInitialState(options.initialState, viewState),
+      ...(viewState.rowSize && { rowSize: viewState.rowSize }),
+    };
+  };
+
+  const useInstance = (instance: TableInstance) => {
+    const { viewStateKey, viewStateStorage } = instance as DataGridState;
+    const viewState = getViewState(instance);
+    // Compared as JSON so that the view state is only saved when it changed
+    const serializedViewState = JSON.stringify(viewState);
+    const storageRef = useRef(viewStateStorage);
+    storageRef.current = viewStateStorage;
+
+    useEffect(() => {
+      if (viewStateKey) {
+        saveViewState(
+          getStorage(storageRef.current),
+          viewStateKey,
+          serializedViewState
+        );
+      }
+    }, [serializedViewState, viewStateKey]);
+
+    Object.assign(instance, { viewState });
+  };
+
+  hooks.useOptions.push(useRestoreViewState);
+  hooks.useInstance.push(useInstance);
+};
+
+export default useViewState;
@@ -9,7 +9,13 @@
 import React from 'react';
 import { Pagination } from '@carbon/react';
 
-export const DatagridPagination = ({ state, setPageSize, gotoPage, rows }) => {
+export const DatagridPagination = ({
+  state,
+  setPageSize,
+  gotoPage,
+  rows,
+  rowCount,
+}) => {
   const updatePagination = ({ page, pageSize }) => {
     console.log(state);
     setPageSize(pageSize);
@@ -21,7 +27,7 @@ export const DatagridPagination = ({ state, setPageSize, gotoPage, rows }) => {
       page={state.pageIndex + 1} // react-table is zero-based
       pageSize={state.pageSize}
       pageSizes={state.pageSizes || [10, 20, 30, 40, 50]}
-      totalItems={rows.length}
+      totalItems={rowCount ?? rows.length}
       onChange={updatePagination}
     />
   );
@@ -0,0 +1,311 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { DatagridColumn, DatagridRow } from '../types';
+
+export type ExportFormat = 'csv' | 'tsv' | 'xlsx';
+
+export type ExportValue = string | number | boolean | Date | null | undefined;
+
+// The exported rows, the first one being the column labels
+export type ExportTable = ExportValue[][];
+
+export const exportFormats: ReadonlyArray<ExportFormat> = [
+  'csv',
+  'tsv',
+  'xlsx',
+];
+
+const mimeTypes: Record<ExportFormat, string> = {
+  csv: 'text/csv;charset=utf-8',
+  tsv: 'text/tab-separated-values;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Values which are neither text, numbers, booleans nor dates (eg the objects
+// rendered by a custom `Cell`) need an `exportFormatter` to be exported
+export const getExportValue = (
+  row: DatagridRow,
+  column: DatagridColumn
+): ExportValue => {
+  const value = row.values[column.id];
+  if (column.exportFormatter) {
+    return column.exportFormatter({ value, row, column });
+  }
+  return ['string', 'number', 'boolean'].includes(typeof value) ||
+    value instanceof Date
+    ? value
+    : '';
+};
+
+const toText = (value: ExportValue) =>
+  value === null || value === undefined
+    ? ''
+    : value instanceof Date
+    ? value.toISOString()
+    : String(value);
+
+// Text that a spreadsheet would run as a formula starts with a quote in the
+// exported files, so that it is opened as text
+const toExportedText = (value: ExportValue) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const toExportedTable = (table: ExportTable) =>
+  table.map((row) => row.map(toExportedText));
+
+// Quotes the values that contain a separator, a quote or a line break (RFC 4180)
+export const toCsv = (table: ExportTable) =>
+  table
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = toText(value);
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(',')
+    )
+    .join('\r\n');
+
+// TSV has no quoting, tabs and line breaks in the values become spaces
+export const toTsv = (table: ExportTable) =>
+  table
+    .map((row) =>
+      row.map((value) => toText(value).replace(/[\t\r\n]+/g, ' ')).join('\t')
+    )
+    .join('\r\n');
+
+const escapeHtml = (text: string) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A bare table, which spreadsheet and rich text applications paste as a table
+export const toHtml = (table: ExportTable) =>
+  `<table>${table
+    .map(
+      (row) =>
+        `<tr>${row
+          .map((value) => `<td>${escapeHtml(toText(value))}</td>`)
+          .join('')}</tr>`
+    )
+    .join('')}</table>`;
+
+const encodeUtf8 = (text: string) => {
+  const bytes: number[] = [];
+  for (const char of text) {
+    const code = char.codePointAt(0) as number;
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+const crcTable = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+const crc32 = (bytes: Uint8Array) => {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Writes a zip archive of the files without compressing them, which is all an
+// XLSX file needs
+export const createZip = (files: Array<{ name: string; content: string }>) => {
+  const entries = files.map(({ name, content }) => {
+    const data = encodeUtf8(content);
+    return { name: encodeUtf8(name), data, crc: crc32(data) };
+  });
+  const size = entries.reduce(
+    (total, { name, data }) => total + 30 + name.length + data.length,
+    entries.reduce((total, { name }) => total + 46 + name.length, 22)
+  );
+  const zip = new Uint8Array(size);
+  const view = new DataView(zip.buffer);
+  let offset = 0;
+  const writeUint16 = (value: number) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const writeUint32 = (value: number) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeBytes = (bytes: Uint8Array) => {
+    zip.set(bytes, offset);
+    offset += bytes.length;
+  };
+  // The fields shared by the local file headers and the central directory:
+  // version needed, flags (UTF-8 names), method (stored), time, date
+  // (1980-01-01), crc, sizes and name length
+  const writeEntryFields = ({ name, data, crc }) => {
+    [20, 0x0800, 0, 0, 0x21].forEach(writeUint16);
+    [crc, data.length, data.length].forEach(writeUint32);
+    [name.length, 0].forEach(writeUint16);
+  };
+
+  const localOffsets = entries.map((entry) => {
+    const localOffset = offset;
+    writeUint32(0x04034b50);
+    writeEntryFields(entry);
+    writeBytes(entry.name);
+    writeBytes(entry.data);
+    return localOffset;
+  });
+  const centralOffset = offset;
+  entries.forEach((entry, index) => {
+    writeUint32(0x02014b50);
+    writeUint16(20);
+    writeEntryFields(entry);
+    [0, 0, 0].forEach(writeUint16);
+    [0, localOffsets[index]].forEach(writeUint32);
+    writeBytes(entry.name);
+  });
+  const centralSize = offset - centralOffset;
+  writeUint32(0x06054b50);
+  [0, 0, entries.length, entries.length].forEach(writeUint16);
+  [centralSize, centralOffset].forEach(writeUint32);
+  writeUint16(0);
+  return zip;
+};
+
+const escapeXml = (text: string) =>
+  text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A, B, ..., Z, AA, AB...
+const getColumnName = (index: number) => {
+  let name = '';
+  for (
+    let number = index + 1;
+    number > 0;
+    number = Math.floor((number - 1) / 26)
+  ) {
+    name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const getXlsxCell = (value: ExportValue, reference: string) => {
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}" t="b"><v>${Number(value)}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    toText(value)
+  )}</t></is></c>`;
+};
+
+const xmlDeclaration =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const relationshipsNamespace =
+  'http://schemas.openxmlformats.org/package/2006/relationships';
+const documentRelationshipsNamespace =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const spreadsheetNamespace =
+  'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+// A workbook with a single sheet, the values being written inline rather than
+// as shared strings and without any styles
+export const toXlsx = (table: ExportTable, sheetName = 'Sheet1') => {
+  const rows = table
+    .map(
+      (row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row
+          .map((value, columnIndex) =>
+            getXlsxCell(value, `${getColumnName(columnIndex)}${rowIndex + 1}`)
+          )
+          .join('')}</row>`
+    )
+    .join('');
+  // Sheet names are at most 31 characters, without []:*?/\
+  const name = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlDeclaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlDeclaration}<Relationships xmlns="${relationshipsNamespace}"><Relationship Id="rId1" Type="${documentRelationshipsNamespace}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlDeclaration}<workbook xmlns="${spreadsheetNamespace}" xmlns:r="${documentRelationshipsNamespace}"><sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlDeclaration}<Relationships xmlns="${relationshipsNamespace}"><Relationship Id="rId1" Type="${documentRelationshipsNamespace}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xmlDeclaration}<worksheet xmlns="${spreadsheetNamespace}"><sheetData>${rows}</sheetData></worksheet>`,
+    },
+  ]);
+};
+
+// The text formats start with a byte order mark for spreadsheet applications
+// to read them as UTF-8
+export const getExportBlob = (
+  table: ExportTable,
+  format: ExportFormat,
+  sheetName?: string
+) =>
+  new Blob(
+    format === 'xlsx'
+      ? [toXlsx(table, sheetName)]
+      : [
+          '\uFEFF',
+          format === 'tsv'
+            ? toTsv(toExportedTable(table))
+            : toCsv(toExportedTable(table)),
+        ],
+    { type: mimeTypes[format] }
+  );
+
+export const downloadBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url));
+};
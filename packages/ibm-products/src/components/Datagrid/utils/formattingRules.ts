@@ -0,0 +1,100 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { DatagridRow, FormattingRule } from '../types';
+
+const toNumber = (value) =>
+  value instanceof Date ? value.getTime() : Number(value);
+
+// The conditions of the formatting rules, by their `operator`. `between` takes
+// a `[min, max]` value, `matches` the RegExp of the pattern of the rule
+const conditions = {
+  equals: (value, ruleValue) => String(value) === String(ruleValue),
+  notEquals: (value, ruleValue) => String(value) !== String(ruleValue),
+  greaterThan: (value, ruleValue) => toNumber(value) > toNumber(ruleValue),
+  greaterThanOrEqual: (value, ruleValue) =>
+    toNumber(value) >= toNumber(ruleValue),
+  lessThan: (value, ruleValue) => toNumber(value) < toNumber(ruleValue),
+  lessThanOrEqual: (value, ruleValue) => toNumber(value) <= toNumber(ruleValue),
+  between: (value, [min, max] = []) =>
+    toNumber(value) >= toNumber(min) && toNumber(value) <= toNumber(max),
+  contains: (value, ruleValue) =>
+    String(value).toLowerCase().includes(String(ruleValue).toLowerCase()),
+  matches: (value, pattern: RegExp | null) =>
+    !!pattern && pattern.test(String(value)),
+};
+
+// The default labels of the operators, the statuses and the icons of the
+// rules, in the order they are offered in the tearsheet
+export const operatorLabels = {
+  equals: 'is equal to',
+  notEquals: 'is not equal to',
+  greaterThan: 'is greater than',
+  greaterThanOrEqual: 'is greater than or equal to',
+  lessThan: 'is less than',
+  lessThanOrEqual: 'is less than or equal to',
+  between: 'is between',
+  contains: 'contains',
+  matches: 'matches the pattern',
+};
+
+export const statusLabels = {
+  error: 'Error',
+  warning: 'Warning',
+  success: 'Success',
+  info: 'Information',
+};
+
+export const iconLabels = {
+  fatal: 'Fatal',
+  critical: 'Critical',
+  'major-warning': 'Major warning',
+  'minor-warning': 'Minor warning',
+  normal: 'Normal',
+  info: 'Information',
+  unknown: 'Unknown',
+};
+
+// The RegExp of a `matches` rule, or null when its pattern is not valid. The
+// `g` and `y` flags are dropped, since they make `test` resume from the
+// `lastIndex` of the previous match
+export const getPattern = (ruleValue: RegExp | string) => {
+  if (ruleValue instanceof RegExp) {
+    return ruleValue.global || ruleValue.sticky
+      ? new RegExp(ruleValue.source, ruleValue.flags.replace(/[gy]/g, ''))
+      : ruleValue;
+  }
+  try {
+    return new RegExp(ruleValue);
+  } catch {
+    return null;
+  }
+};
+
+// Whether a value of the column of a rule meets its condition. A rule without
+// an operator or a predicate applies to every value, eg to show data bars. The
+// pattern of a `matches` rule can be compiled beforehand with `getPattern`
+export const matchesRule = (
+  rule: FormattingRule,
+  value: any,
+  row: DatagridRow,
+  pattern = rule.operator === 'matches' ? getPattern(rule.value) : null
+) => {
+  if (rule.predicate) {
+    return !!rule.predicate(value, row);
+  }
+  if (!rule.operator) {
+    return true;
+  }
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  return !!conditions[rule.operator]?.(
+    value,
+    rule.operator === 'matches' ? pattern : rule.value
+  );
+};
@@ -0,0 +1,24 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+// The plugins replace the `Header` of the columns with components, so the
+// labels of the columns are taken from the column definitions instead. Returns
+// the labels by column id, for the columns with a string `Header`.
+export const getColumnLabels = (
+  columns: ReadonlyArray<any>,
+  labels: Record<string, string> = {}
+): Record<string, string> => {
+  columns.forEach((column) => {
+    const id =
+      column.id ?? (typeof column.accessor === 'string' && column.accessor);
+    if (id && typeof column.Header === 'string') {
+      labels[id] = column.Header;
+    }
+    getColumnLabels(column.columns || [], labels);
+  });
+  return labels;
+};
@@ -0,0 +1,87 @@
+/**
+ * Copyright IBM Corp. 2024, 2024
+ *
+ * This source code is licensed under the Apache-2.0 license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+  TableInstance,
+  TableOptions,
+  UseColumnOrderInstanceProps,
+  UseSortByInstanceProps,
+} from 'react-table';
+import { DataGridState, DatagridViewState } from '../types';
+
+// Bumped whenever the shape of the saved view state changes, view states
+// saved by another version are not restored
+export const VIEW_STATE_VERSION = 1;
+
+// The parts of the state of the table that make up its view, as saved by
+// `useViewState` and by the saved views of the filters
+export const getViewState = (instance: TableInstance): DatagridViewState => {
+  const { rowSize, state } = instance as DataGridState;
+  const { columnOrder, hiddenColumns, columnResizing, sortBy, filters } = state;
+  const columnWidths = Object.fromEntries(
+    Object.entries(columnResizing?.columnWidths || {}).filter(
+      (entry): entry is [string, number] =>
+        typeof entry[1] === 'number' && !isNaN(entry[1])
+    )
+  );
+  return {
+    version: VIEW_STATE_VERSION,
+    columnOrder: columnOrder || [],
+    hiddenColumns: hiddenColumns || [],
+    columnWidths,
+    rowSize,
+    sortBy: sortBy || [],
+    filters: filters || [],
+  };
+};
+
+// The initial state of the table showing the view state
+export const getInitialState = (
+  initialState: TableOptions<any>['initialState'] = {},
+  viewState: DatagridViewState
+) => {
+  const { columnOrder, hiddenColumns, columnWidths, sortBy, filters } =
+    viewState;
+  const { columnResizing } = initialState as DataGridState['state'];
+  return {
+    ...initialState,
+    ...(columnOrder && { columnOrder }),
+    ...(hiddenColumns && { hiddenColumns }),
+    ...(sortBy && { sortBy }),
+    ...(filters && { filters }),
+    ...(columnWidths && {
+      columnResizing: {
+        ...columnResizing,
+        columnWidths: { ...columnResizing?.columnWidths, ...columnWidths },
+      },
+    }),
+  };
+};
+
+// Shows the view state in a mounted table. The column widths and the row size
+// are only restored on mount, react-table has no action to set the widths and
+// the row size is a prop of the table
+export const applyViewState = (
+  instance: TableInstance,
+  { columnOrder, hiddenColumns, sortBy, filters }: DatagridViewState
+) => {
+  const { setAllFilters, setColumnOrder, setHiddenColumns, setSortBy } =
+    instance as DataGridState &
+      Partial<UseColumnOrderInstanceProps<any> & UseSortByInstanceProps<any>>;
+  if (filters) {
+    setAllFilters?.(filters);
+  }
+  if (sortBy) {
+    setSortBy?.(sortBy);
+  }
+  if (columnOrder) {
+    setColumnOrder?.(columnOrder);
+  }
+  if (hiddenColumns) {
+    setHiddenColumns?.(hiddenColumns);
+  }
+};
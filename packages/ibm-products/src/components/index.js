@@ -77,6 +77,17 @@ export {
   useColumnOrder,
   useInlineEdit,
   useFiltering,
+  useServerSide,
+  useViewState,
+  useGrouping,
+  useExport,
+  useCellRangeSelection,
+  useRowReorder,
+  useFooterTotals,
+  useConditionalFormatting,
+  useGridNavigation,
+  useFind,
+  usePinnedRows,
   getAutoSizedColumnWidth,
   useFilterContext,
   useEditableCell,